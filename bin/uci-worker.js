@@ -0,0 +1,22 @@
+// Worker thread that runs the UCI engine for bin/uci.js, which passes it the lines read from stdin
+import { parentPort, workerData } from 'node:worker_threads';
+import { UCIEngine } from '../js/chess-uci.js';
+
+// stdout carries the protocol, so the AI's diagnostics ('debug on') go to stderr
+console.log = console.error;
+
+const engine = new UCIEngine((line) => parentPort.postMessage({ type: 'output', line }), workerData.stopSignal);
+
+parentPort.on('message', async (message) => {
+    if (message.type === 'command') {
+        if (!engine.handleCommand(message.line)) {
+            parentPort.postMessage({ type: 'exit' });
+        }
+    } else if (message.type === 'end') {
+        // Input has ended: let the running search answer (no 'stop' can come for an infinite one), then exit
+        const search = engine.search;
+        if (search && (search.limits.infinite || search.limits.ponder)) engine.stop();
+        if (search) await search.promise;
+        parentPort.postMessage({ type: 'exit' });
+    }
+});
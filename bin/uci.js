@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+// UCI engine entry point for chess GUIs and engine matches: node bin/uci.js
+// Input is read here and the engine runs in a worker thread (bin/uci-worker.js), so that 'stop'
+// reaches a running search through shared memory instead of waiting for the search to yield.
+import { createInterface } from 'node:readline';
+import { Worker } from 'node:worker_threads';
+
+// Commands that end the running search
+const STOPPING_COMMANDS = ['stop', 'quit', 'go', 'ucinewgame'];
+
+// Number of the latest 'go' stopped, read by the engine as it searches
+const stopSignal = new Int32Array(new SharedArrayBuffer(4));
+let searchCount = 0;
+
+const worker = new Worker(new URL('./uci-worker.js', import.meta.url), { workerData: { stopSignal } });
+worker.on('message', (message) => {
+    if (message.type === 'output') {
+        process.stdout.write(`${message.line}\n`);
+    } else if (message.type === 'exit') {
+        process.exit(0);
+    }
+});
+worker.on('error', (error) => {
+    console.error(error);
+    process.exit(1);
+});
+
+const input = createInterface({ input: process.stdin });
+
+input.on('line', (line) => {
+    const command = line.trim().split(/\s+/)[0];
+    if (STOPPING_COMMANDS.includes(command)) {
+        Atomics.store(stopSignal, 0, searchCount);
+    }
+    if (command === 'go') searchCount++;
+    worker.postMessage({ type: 'command', line });
+});
+
+input.on('close', () => worker.postMessage({ type: 'end' }));
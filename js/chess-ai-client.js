@@ -0,0 +1,263 @@
+// Runs AI searches in a Web Worker so the page stays responsive while the engine thinks
+import { ChessGame } from './chess-logic.js';
+import { sharedTablebase } from './chess-tablebase.js';
+
+// Snapshot of a game that can be posted to the worker. The moves are replayed from the
+// starting position so the engine sees the repetition history and opening book line.
+function serializePosition(game, sideToMove = game.currentPlayer) {
+    return {
+        variant: game.variant.id,
+        startingFEN: game.startingFEN,
+        fen: game.toFEN(),
+        moves: game.moveHistory.map(({ from, to, promotion, drop }) => ({ from, to, promotion, drop })),
+        currentPlayer: sideToMove
+    };
+}
+
+// Rebuild a game from a serialized position
+function deserializePosition(position) {
+    let game = ChessGame.fromFEN(position.startingFEN, null, position.variant);
+    const replayed = position.moves.every(move => game.playMove(move));
+
+    // Fall back to the bare position if the history does not lead to it
+    if (!replayed || game.toFEN() !== position.fen) {
+        game = ChessGame.fromFEN(position.fen, null, position.variant);
+    }
+
+    // Hints search for the player even when it is not their turn
+    game.currentPlayer = position.currentPlayer;
+    return game;
+}
+
+// Strip a search result down to the fields the UI needs
+function serializeMove(move) {
+    if (!move) return null;
+    return move.drop
+        ? { from: null, to: move.to, promotion: null, drop: move.drop }
+        : { from: move.from, to: move.to, promotion: move.promotion || null };
+}
+
+class AIWorkerClient {
+    constructor(workerURL = new URL('./chess-ai-worker.js', import.meta.url)) {
+        this.workerURL = workerURL;
+        this.worker = null;
+        this.useWorker = typeof Worker !== 'undefined';
+        this.pending = null;
+        this.nextId = 1;
+        this.bookData = null; // Polyglot book sent to every worker, or null for the built-in book
+        this.probes = new Map(); // Tablebase probe id -> { resolve, reject, position }
+        this.tables = {}; // Endgame tables sent to every worker, by name
+        this.onTables = null; // Called with the tables a probe generated in the worker
+    }
+
+    // Whether a search is in progress
+    isSearching() {
+        return this.pending !== null;
+    }
+
+    // Search a position and resolve with the best move (or null if there is none). `clock` is the
+    // side to move's { remaining, increment, movesToGo } in timed games, used to budget thinking time.
+    // With `analysis` the enhanced engine analyses instead, deepening until it is cancelled (on the
+    // main thread, until its time per move is up) and reporting each depth's score and line;
+    // `depth` stops the analysis at that depth instead.
+    // `multiPV` asks the enhanced engine to report that many of the best moves as lines.
+    // Starting a new search cancels the previous one; a cancelled search rejects with an AbortError.
+    search(game, { engine, ai, sideToMove, clock = null, analysis = false, depth = Infinity, multiPV = 1, onProgress } = {}) {
+        this.cancel();
+
+        const request = {
+            type: 'search',
+            id: this.nextId++,
+            engine,
+            difficulty: ai.difficulty,
+            position: serializePosition(game, sideToMove),
+            clock,
+            analysis,
+            depth,
+            multiPV
+        };
+
+        return new Promise((resolve, reject) => {
+            this.pending = { id: request.id, request, ai, onProgress, resolve, reject };
+
+            if (this.useWorker && this.startWorker()) {
+                this.worker.postMessage(request);
+            } else {
+                this.searchInline(this.pending);
+            }
+        });
+    }
+
+    // Look a position up in the endgame tablebase, resolving with { result, plies } or null when
+    // it is not covered. Missing tables are generated in the worker, which can take a while for
+    // four-piece endings, and handed to onTables. Probes are answered in order and are not
+    // cancelled by new ones.
+    probeTablebase(game) {
+        const request = { type: 'probe', id: this.nextId++, position: serializePosition(game) };
+
+        return new Promise((resolve, reject) => {
+            if (this.useWorker && this.startWorker()) {
+                this.probes.set(request.id, { resolve, reject, position: request.position });
+                this.worker.postMessage(request);
+            } else {
+                this.probeInline(request.position, resolve, reject);
+            }
+        });
+    }
+
+    // Abort the running search. The worker is terminated and recreated on the next search,
+    // so tablebase probes waiting on it are cancelled too.
+    cancel() {
+        if (!this.pending) return;
+
+        const { reject } = this.pending;
+        this.pending = null;
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        const error = new Error('Search cancelled');
+        error.name = 'AbortError';
+        reject(error);
+
+        for (const probe of this.probes.values()) {
+            probe.reject(error);
+        }
+        this.probes.clear();
+    }
+
+    // Have the worker's engine use a Polyglot book (the .bin file's contents), or the built-in
+    // book when given null. Searches on the main thread use the caller's AI, which must be set too.
+    setOpeningBook(data) {
+        this.bookData = data;
+        if (this.worker) {
+            this.worker.postMessage({ type: 'book', data });
+        }
+    }
+
+    // Give the worker's engine endgame tables generated elsewhere, by name. Searches only use
+    // tables that already exist, since generating one takes far longer than a move may.
+    // Searches on the main thread share the tables of the thread they were generated in.
+    loadTables(tables) {
+        Object.assign(this.tables, tables);
+        if (this.worker) {
+            this.worker.postMessage({ type: 'tables', tables });
+        }
+    }
+
+    // Terminate the worker for good
+    dispose() {
+        this.cancel();
+        this.useWorker = false;
+    }
+
+    // Create the worker if needed, returning false when workers are unavailable
+    startWorker() {
+        if (this.worker) return true;
+
+        try {
+            this.worker = new Worker(this.workerURL, { type: 'module' });
+        } catch (error) {
+            console.warn('AI worker unavailable, searching on the main thread:', error);
+            this.useWorker = false;
+            return false;
+        }
+
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => this.handleWorkerError(event);
+        if (this.bookData) {
+            this.worker.postMessage({ type: 'book', data: this.bookData });
+        }
+        if (Object.keys(this.tables).length > 0) {
+            this.worker.postMessage({ type: 'tables', tables: this.tables });
+        }
+        return true;
+    }
+
+    // Handle a message posted by the worker
+    handleMessage(message) {
+        const probe = this.probes.get(message.id);
+        if (probe) {
+            this.probes.delete(message.id);
+            if (message.type === 'tablebase') {
+                if (this.onTables && Object.keys(message.tables).length > 0) this.onTables(message.tables);
+                probe.resolve(message.result);
+            } else {
+                probe.reject(new Error(`Tablebase probe failed: ${message.message}`));
+            }
+            return;
+        }
+
+        const pending = this.pending;
+        if (!pending || message.id !== pending.id) return; // Result of a cancelled search
+
+        switch (message.type) {
+            case 'progress':
+                if (pending.onProgress) pending.onProgress(message.info);
+                break;
+            case 'bestmove':
+                this.pending = null;
+                pending.resolve(message.move);
+                break;
+            case 'error':
+                this.pending = null;
+                pending.reject(new Error(`AI search failed: ${message.message}`));
+                break;
+        }
+    }
+
+    // The worker script failed to load or crashed; finish the search on the main thread
+    handleWorkerError(event) {
+        if (event.preventDefault) event.preventDefault();
+        console.warn('AI worker failed, searching on the main thread:', event.message);
+
+        this.worker.terminate();
+        this.worker = null;
+        this.useWorker = false;
+
+        if (this.pending) this.searchInline(this.pending);
+        for (const { position, resolve, reject } of this.probes.values()) {
+            this.probeInline(position, resolve, reject);
+        }
+        this.probes.clear();
+    }
+
+    // Probe the tablebase on the main thread
+    probeInline(position, resolve, reject) {
+        try {
+            resolve(sharedTablebase.probe(deserializePosition(position)));
+        } catch (error) {
+            reject(error);
+        }
+    }
+
+    // Search with the caller's AI on the main thread, yielding first so the UI can repaint
+    searchInline(pending) {
+        setTimeout(() => {
+            if (this.pending !== pending) return;
+
+            const { ai, request, onProgress } = pending;
+            ai.onProgress = onProgress || null;
+            ai.multiPV = request.multiPV;
+            try {
+                const game = deserializePosition(request.position);
+                const move = request.analysis ? ai.analyze(game, ai.timeLimit, request.depth) : ai.getBestMove(game, request.clock);
+                if (this.pending === pending) {
+                    this.pending = null;
+                    pending.resolve(serializeMove(move));
+                }
+            } catch (error) {
+                if (this.pending === pending) {
+                    this.pending = null;
+                    pending.reject(error);
+                }
+            } finally {
+                ai.onProgress = null;
+            }
+        }, 100);
+    }
+}
+
+// Export for use in other modules
+export { AIWorkerClient, serializePosition, deserializePosition, serializeMove };
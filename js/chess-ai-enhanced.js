@@ -1,108 +1,90 @@
 // Enhanced Chess AI with Advanced Algorithms
 import { PIECE_VALUES } from './chess-pieces.js';
-import { ChessGame } from './chess-logic.js';
 import { ChessEvaluation } from './chess-evaluation.js';
+import { SearchBoard } from './chess-board.js';
+import { TimeManager } from './chess-time-manager.js';
+import { PolyglotBook } from './chess-polyglot.js';
+import { sharedTablebase, MAX_TABLEBASE_PIECES } from './chess-tablebase.js';
+
+// Finite search window bound, larger than any mate score. Null-window and null-move
+// searches derive bounds like -beta + 1, which must not collapse to -Infinity.
+const SCORE_BOUND = 100000;
+
+// Score for delivering mate; mates found further from the root score lower
+const MATE_SCORE = 30000;
+
+// Nodes searched between checks of the clock (a power of two)
+const TIME_CHECK_INTERVAL = 1024;
+
+// Deepest iteration an analysis search runs to
+const MAX_ANALYSIS_DEPTH = 20;
+
+// Opening lines for the built-in book, used until a Polyglot book is loaded
+const DEFAULT_BOOK_LINES = [
+  'e2e4 e7e5 g1f3 b8c6 f1c4 f8c5 c2c3 g8f6 d2d3 d7d6',  // Italian Game
+  'e2e4 e7e5 g1f3 b8c6 f1c4 g8f6 d2d3 f8e7 e1g1 e8g8',  // Two Knights Defense
+  'e2e4 e7e5 g1f3 b8c6 f1b5 a7a6 b5a4 g8f6 e1g1 f8e7',  // Ruy Lopez
+  'e2e4 e7e5 g1f3 b8c6 f1b5 g8f6 e1g1 f6e4 d2d4 e4d6',  // Ruy Lopez, Berlin Defense
+  'e2e4 c7c5 g1f3 d7d6 d2d4 c5d4 f3d4 g8f6 b1c3 a7a6',  // Sicilian Defense, Najdorf
+  'e2e4 c7c5 g1f3 b8c6 d2d4 c5d4 f3d4 g8f6 b1c3 e7e5',  // Sicilian Defense, Sveshnikov
+  'e2e4 c7c5 b1c3 b8c6 g2g3 g7g6 f1g2 f8g7',            // Closed Sicilian
+  'e2e4 e7e6 d2d4 d7d5 b1c3 g8f6 c1g5 f8e7',            // French Defense
+  'e2e4 e7e6 d2d4 d7d5 e4e5 c7c5 c2c3 b8c6 g1f3 d8b6',  // French Defense, Advance Variation
+  'e2e4 c7c6 d2d4 d7d5 b1c3 d5e4 c3e4 c8f5 e4g3 f5g6',  // Caro-Kann Defense
+  'd2d4 d7d5 c2c4 e7e6 b1c3 g8f6 c1g5 f8e7 e2e3 e8g8',  // Queen's Gambit Declined
+  'd2d4 d7d5 c2c4 c7c6 g1f3 g8f6 b1c3 d5c4 a2a4 c8f5',  // Slav Defense
+  'd2d4 d7d5 c2c4 d5c4 g1f3 g8f6 e2e3 e7e6 f1c4 c7c5',  // Queen's Gambit Accepted
+  'd2d4 g8f6 c2c4 g7g6 b1c3 f8g7 e2e4 d7d6 g1f3 e8g8',  // King's Indian Defense
+  'd2d4 g8f6 c2c4 e7e6 b1c3 f8b4 e2e3 e8g8',            // Nimzo-Indian Defense
+  'd2d4 g8f6 c2c4 e7e6 g1f3 b7b6 g2g3 c8b7',            // Queen's Indian Defense
+  'c2c4 e7e5 b1c3 g8f6 g1f3 b8c6 g2g3 d7d5',            // English Opening
+  'c2c4 c7c5 g1f3 g8f6 b1c3 b8c6 g2g3 g7g6',            // English Opening, Symmetrical
+  'g1f3 d7d5 g2g3 g8f6 f1g2 e7e6 e1g1 f8e7'             // Reti Opening
+];
+
+// Built on first use so loading the module stays cheap
+let defaultBook = null;
 
 class EnhancedChessAI {
   constructor(difficulty = 2) {
     this.difficulty = difficulty;
     this.maxDepth = this.getDepthFromDifficulty(difficulty);
     this.transpositionTable = new Map();
+    this.searchVariant = null; // Variant whose rules the transposition table's scores follow
     this.killerMoves = Array(20).fill(null).map(() => []);
     this.historyTable = {};
-    this.openingBook = this.initializeOpeningBook();
-    this.moveCount = 0;
+    this.openingBook = null; // PolyglotBook; the built-in book unless one has been loaded
     this.nodesSearched = 0;
-    this.zobristTable = this.initializeZobrist();
     this.pvTable = {}; // Principal variation table
+    this.rootDepth = 0;
+    this.timeManager = null;
+    this.searchAborted = false; // Set when the time manager stops a search part-way through an iteration
+    this.searchingFirstMove = false; // The first root move of the first iteration, which always completes
+    this.nodeLimit = Infinity; // Nodes the current search may visit
+    this.shouldStop = null; // Polled with the clock; the current search stops once it returns true
+    this.onProgress = null; // Called with { depth, score, nodes, pv, lines } after each completed iteration
+    this.multiPV = 1; // Number of best root moves to score exactly and report as lines
+    this.debug = false; // Log each iteration and the search timing to the console
     this.setDifficultyParameters(difficulty);
   }
 
-  // Initialize Zobrist hashing for better transposition table
-  initializeZobrist() {
-    const table = {
-      pieces: {},
-      blackToMove: Math.random() * Number.MAX_SAFE_INTEGER | 0,
-      castling: {},
-      enPassant: {}
-    };
-
-    const pieceTypes = ['PAWN', 'KNIGHT', 'BISHOP', 'ROOK', 'QUEEN', 'KING'];
-    const colors = ['WHITE', 'BLACK'];
-
-    // Generate random numbers for each piece at each square
-    for (const color of colors) {
-      table.pieces[color] = {};
-      for (const piece of pieceTypes) {
-        table.pieces[color][piece] = [];
-        for (let i = 0; i < 64; i++) {
-          table.pieces[color][piece].push(Math.random() * Number.MAX_SAFE_INTEGER | 0);
-        }
-      }
-    }
-
-    // Castling rights
-    table.castling.whiteKingside = Math.random() * Number.MAX_SAFE_INTEGER | 0;
-    table.castling.whiteQueenside = Math.random() * Number.MAX_SAFE_INTEGER | 0;
-    table.castling.blackKingside = Math.random() * Number.MAX_SAFE_INTEGER | 0;
-    table.castling.blackQueenside = Math.random() * Number.MAX_SAFE_INTEGER | 0;
-
-    // En passant files
-    for (let file = 0; file < 8; file++) {
-      table.enPassant[file] = Math.random() * Number.MAX_SAFE_INTEGER | 0;
-    }
-
-    return table;
+  // Log a diagnostic message when debugging is on
+  log(message) {
+    if (this.debug) console.log(message);
   }
 
-  // Calculate Zobrist hash for a position
-  getZobristHash(game) {
-    let hash = 0;
-
-    // Hash pieces
-    for (let row = 0; row < 8; row++) {
-      for (let col = 0; col < 8; col++) {
-        const piece = game.getPieceAt(row, col);
-        if (piece) {
-          const squareIndex = row * 8 + col;
-          hash ^= this.zobristTable.pieces[piece.color][piece.type][squareIndex];
-        }
-      }
-    }
-
-    // Hash side to move
-    if (game.currentPlayer === 'BLACK') {
-      hash ^= this.zobristTable.blackToMove;
-    }
-
-    // Hash en passant
-    if (game.enPassantTarget) {
-      hash ^= this.zobristTable.enPassant[game.enPassantTarget[1]];
-    }
-
-    return hash;
+  // Use a Polyglot book for the opening, or the built-in book when given null
+  setOpeningBook(book) {
+    this.openingBook = book;
   }
 
-  // Initialize opening book with common openings
-  initializeOpeningBook() {
-    return {
-      // Italian Game
-      'e2e4,e7e5,g1f3,b8c6,f1c4': ['b7b5', 'd7d6', 'f7f5', 'g8f6'],
-      // Sicilian Defense
-      'e2e4,c7c5': ['g1f3', 'd2d4', 'b1c3'],
-      // French Defense
-      'e2e4,e7e6': ['d2d4', 'g1f3'],
-      // Queen's Gambit
-      'd2d4,d7d5,c2c4': ['e7e6', 'c7c6', 'd5c4'],
-      // King's Indian Defense
-      'd2d4,g8f6,c2c4,g7g6': ['b1c3', 'g1f3'],
-      // Ruy Lopez
-      'e2e4,e7e5,g1f3,b8c6,f1b5': ['a7a6', 'g8f6', 'f7f5'],
-      // English Opening
-      'c2c4': ['e7e5', 'g8f6', 'c7c5', 'e7e6'],
-      // Caro-Kann Defense
-      'e2e4,c7c6': ['d2d4', 'b1c3', 'g1f3']
-    };
+  // The book in use, building the built-in one if no book has been set
+  getOpeningBook() {
+    if (!this.openingBook) {
+      defaultBook = defaultBook || PolyglotBook.fromLines(DEFAULT_BOOK_LINES);
+      return defaultBook;
+    }
+    return this.openingBook;
   }
 
   // Get search depth based on difficulty
@@ -117,108 +99,239 @@ class EnhancedChessAI {
     }
   }
 
-  // Get the best move using iterative deepening
-  getBestMove(game) {
-    this.startTime = Date.now();
-    this.nodesSearched = 0;
-    this.moveCount++;
+  // Get the best move using iterative deepening. With a clock ({ remaining, increment, movesToGo }
+  // for the side to move) the thinking time is budgeted from it; otherwise the difficulty's time limit applies.
+  getBestMove(game, clock = null) {
+    this.beginSearch(clock ? TimeManager.fromClock(clock) : TimeManager.fixed(this.timeLimit));
 
-    // Check opening book first (if enabled for this difficulty)
-    if (this.useOpeningBook && this.moveCount <= 10) {
+    // Check opening book first (if enabled for this difficulty and still within its book depth)
+    if (this.useOpeningBook && game.fullMoveNumber <= this.bookDepth) {
       const bookMove = this.getOpeningBookMove(game);
       if (bookMove) {
-        console.log('Using opening book move');
+        this.log('Using opening book move');
         return bookMove;
       }
     }
 
+    const board = SearchBoard.fromGame(game);
+
+    // Play endings with few pieces perfectly from the tablebase
+    if (this.useTablebase) {
+      const tablebaseMove = this.getTablebaseMove(board);
+      if (tablebaseMove) {
+        this.log('Using tablebase move');
+        return tablebaseMove;
+      }
+    }
+
     // For easy difficulties, sometimes pick a random move
     if (this.moveRandomness > 0 && Math.random() < this.moveRandomness) {
-      const moves = this.getAllPossibleMoves(game);
+      const moves = this.getAllPossibleMoves(board);
       if (moves.length > 0) {
         const randomIndex = Math.floor(Math.random() * Math.min(moves.length, 3)); // Pick from top 3 moves
-        console.log(`Enhanced AI chose random move (difficulty ${this.difficulty})`);
+        this.log(`Enhanced AI chose random move (difficulty ${this.difficulty})`);
         return moves[randomIndex];
       }
     }
 
+    let bestMove = null;
+    let bestScore = -Infinity;
+
+    for (const iteration of this.iterativeDeepening(board)) {
+      bestMove = iteration.move;
+      bestScore = iteration.score;
+      this.log(`Depth ${iteration.depth}: Score ${bestScore}, Nodes ${iteration.nodes}`);
+      this.reportProgress(iteration);
+    }
+
+    const timeElapsed = Date.now() - this.startTime;
+    this.log(`AI thinking time: ${timeElapsed}ms, Nodes searched: ${this.nodesSearched}`);
+    this.log(`Transposition table hits: ${this.transpositionTable.size}`);
+
+    return bestMove;
+  }
+
+  // Analyse a position rather than choose a move to play: search without the opening book,
+  // tablebase shortcut or random moves, up to maxDepth (at most MAX_ANALYSIS_DEPTH) or the time
+  // limit, reporting every depth through onProgress. Returns the best move found.
+  analyze(game, timeLimit = Infinity, maxDepth = MAX_ANALYSIS_DEPTH) {
+    this.beginSearch(TimeManager.fixed(timeLimit));
+    const board = SearchBoard.fromGame(game);
+
+    let bestMove = null;
+    for (const iteration of this.iterativeDeepening(board, Math.min(maxDepth, MAX_ANALYSIS_DEPTH))) {
+      bestMove = iteration.move;
+      this.reportProgress(iteration);
+    }
+    return bestMove;
+  }
+
+  // Pass a completed iteration to onProgress, with the lines' moves as plain { from, to, promotion, drop }
+  reportProgress({ depth, score, nodes, lines }) {
+    if (this.onProgress) {
+      const plainLines = lines.map(line => ({
+        score: line.score,
+        pv: line.pv.map(({ from, to, promotion, drop }) =>
+          (drop ? { from, to, promotion: null, drop } : { from, to, promotion: promotion || null }))
+      }));
+      this.onProgress({ depth, score, nodes, pv: plainLines[0].pv, lines: plainLines });
+    }
+  }
+
+  // Reset the clock and node count before a search. `nodes` limits the nodes it may visit, and
+  // `shouldStop` lets another thread stop it part-way through an iteration.
+  beginSearch(timeManager = TimeManager.fixed(this.timeLimit), { nodes = Infinity, shouldStop = null } = {}) {
+    this.startTime = Date.now();
+    this.nodesSearched = 0;
+    this.searchAborted = false;
+    this.nodeLimit = nodes;
+    this.shouldStop = shouldStop;
+    this.timeManager = timeManager;
+    this.timeManager.start();
+
     // Clear old transposition table entries periodically
     if (this.transpositionTable.size > 100000) {
       this.transpositionTable.clear();
     }
+  }
 
-    let bestMove = null;
-    let bestScore = -Infinity;
+  // Iterative deepening: yields { depth, score, move, nodes, pv, lines } after each completed depth,
+  // where lines are the best multiPV root moves as { move, score, pv }, best first. The principal
+  // variation is remembered in pvTable so the next depth searches it first.
+  // Stops when the time manager has no time for another iteration; an iteration aborted
+  // at the hard limit is discarded, leaving the previous iteration's move as the answer.
+  // When time runs out during the first iteration, the root moves searched so far are yielded.
+  *iterativeDeepening(board, maxDepth = this.maxDepth) {
+    // Stored scores only hold under the rules of the variant they were searched in
+    if (board.variant !== this.searchVariant) {
+      this.transpositionTable.clear();
+      this.searchVariant = board.variant;
+    }
 
-    // Iterative deepening
-    for (let depth = 1; depth <= this.maxDepth; depth++) {
-      const result = this.alphaBetaRoot(game, depth);
-      
-      if (Date.now() - this.startTime > this.timeLimit) {
-        console.log(`Time limit reached at depth ${depth}`);
-        break;
+    for (let depth = 1; depth <= maxDepth; depth++) {
+      if (depth > 1 && !this.timeManager.canStartIteration()) {
+        this.log(`No time for depth ${depth}`);
+        return;
+      }
+
+      const result = this.alphaBetaRoot(board, depth);
+      const aborted = this.searchAborted;
+
+      if (aborted && depth > 1) {
+        this.log(`Time limit reached during depth ${depth}`);
+        return;
       }
 
       if (result.move) {
-        bestMove = result.move;
-        bestScore = result.score;
-        console.log(`Depth ${depth}: Score ${bestScore}, Nodes ${this.nodesSearched}`);
+        this.timeManager.recordIteration(result.move);
+        const lines = result.lines.map(({ move, score }) => ({ move, score, pv: this.getPrincipalVariation(board, move) }));
+        const pv = lines[0].pv;
+        this.pvTable = {};
+        for (const move of pv) {
+          this.pvTable[this.getMoveKey(move)] = true;
+        }
+        yield { depth, score: result.score, move: result.move, nodes: this.nodesSearched, pv, lines };
       }
+      if (aborted) return;
     }
+  }
 
-    const timeElapsed = Date.now() - this.startTime;
-    console.log(`AI thinking time: ${timeElapsed}ms, Nodes searched: ${this.nodesSearched}`);
-    console.log(`Transposition table hits: ${this.transpositionTable.size}`);
+  // Abort the search at the node limit, and check the clock and shouldStop every few thousand
+  // nodes. The first root move of the first iteration always completes so there is a move to play.
+  isTimeUp() {
+    if (this.searchAborted || this.searchingFirstMove) return this.searchAborted;
 
-    return bestMove;
+    if (this.nodesSearched >= this.nodeLimit) {
+      this.searchAborted = true;
+    } else if ((this.nodesSearched & (TIME_CHECK_INTERVAL - 1)) === 0) {
+      this.searchAborted = this.timeManager.isHardLimitReached() || (this.shouldStop !== null && this.shouldStop());
+    }
+    return this.searchAborted;
   }
 
-  // Alpha-beta search at root with move ordering
-  alphaBetaRoot(game, depth) {
-    const moves = this.getAllPossibleMoves(game);
+  // Follow the best moves stored in the transposition table from a root move
+  getPrincipalVariation(board, rootMove, maxLength = 20) {
+    const line = [];
+    let move = rootMove;
+
+    while (move && line.length < maxLength && !board.isRepetition() && board.makeMove(move)) {
+      line.push(move);
+      const entry = this.transpositionTable.get(board.getKey());
+      move = entry && entry.move ? board.findMove(entry.move.from, entry.move.to, entry.move.promotion, entry.move.drop) : null;
+    }
+
+    for (let i = 0; i < line.length; i++) {
+      board.unmakeMove();
+    }
+    return line;
+  }
+
+  // Alpha-beta search at root with move ordering. Besides the best { score, move } it returns
+  // `lines`: the best multiPV root moves as { move, score }, best first. Only their scores are
+  // exact; the other moves are searched just far enough to show they score no better.
+  alphaBetaRoot(board, depth) {
+    this.rootDepth = depth; // Mate scores count plies from here
+    const moves = this.getAllPossibleMoves(board);
     
     if (moves.length === 0) {
-      return { score: game.isInCheck(game.currentPlayer) ? -30000 : 0, move: null };
+      return { score: this.scoreNoMoves(board, 0), move: null, lines: [] };
     }
 
     // Order moves for better pruning
-    this.orderMovesAdvanced(moves, game, depth);
+    this.orderMovesAdvanced(moves, board, depth);
 
-    let bestMove = moves[0];
-    let bestScore = -Infinity;
-    let alpha = -Infinity;
-    const beta = Infinity;
+    const lines = [];
+    let alpha = -SCORE_BOUND; // Score a move must beat to make the lines
+    const beta = SCORE_BOUND;
+    this.searchingFirstMove = depth === 1;
 
     for (const move of moves) {
-      const gameClone = this.cloneGame(game);
-      if (!gameClone.makeMove(move.from[0], move.from[1], move.to[0], move.to[1])) {
+      if (!board.makeMove(move)) {
         continue;
       }
 
-      const score = -this.alphaBeta(gameClone, depth - 1, -beta, -alpha, false);
+      const score = -this.alphaBeta(board, depth - 1, -beta, -alpha, false);
+      board.unmakeMove();
+      this.searchingFirstMove = false;
 
-      if (score > bestScore) {
-        bestScore = score;
-        bestMove = move;
+      if (this.searchAborted) {
+        break;
       }
 
-      alpha = Math.max(alpha, score);
-
-      // Time check
-      if (Date.now() - this.startTime > this.timeLimit) {
-        break;
+      if (lines.length < this.multiPV || score > alpha) {
+        lines.push({ move, score });
+        lines.sort((a, b) => b.score - a.score);
+        lines.length = Math.min(lines.length, this.multiPV);
+        alpha = lines.length < this.multiPV ? -SCORE_BOUND : lines[lines.length - 1].score;
       }
     }
 
-    return { score: bestScore, move: bestMove };
+    const best = lines[0] || { score: -SCORE_BOUND, move: moves[0] };
+    return { score: best.score, move: best.move, lines };
   }
 
-  // Enhanced alpha-beta with quiescence search
-  alphaBeta(game, depth, alpha, beta, isMaximizing) {
+  // Enhanced alpha-beta with quiescence search, making and unmaking moves on a SearchBoard
+  alphaBeta(board, depth, alpha, beta, isMaximizing) {
     this.nodesSearched++;
+    if (this.isTimeUp()) return 0;
+
+    // Repeating a position or reaching the 50-move limit is scored as a draw
+    if (board.isRepetition() || board.halfMoveClock >= 100) {
+      return 0;
+    }
+
+    // Games the variant has already decided end the line
+    const variantScore = this.scoreVariantWin(board, this.rootDepth - depth);
+    if (variantScore !== null) return variantScore;
+
+    // Positions in a loaded tablebase have an exact score
+    if (this.useTablebase && board.pieceCount <= MAX_TABLEBASE_PIECES) {
+      const entry = sharedTablebase.probe(board, { generate: false });
+      if (entry) return this.scoreTablebaseEntry(entry, this.rootDepth - depth);
+    }
 
     // Check transposition table
-    const hash = this.getZobristHash(game);
+    const hash = board.getKey();
     const ttEntry = this.transpositionTable.get(hash);
     if (ttEntry && ttEntry.depth >= depth) {
       if (ttEntry.flag === 'EXACT') return ttEntry.score;
@@ -227,38 +340,38 @@ class EnhancedChessAI {
       if (alpha >= beta) return ttEntry.score;
     }
 
-    // Terminal node or depth limit
-    if (depth === 0 || game.gameState !== 'playing') {
-      return this.quiescenceSearch(game, alpha, beta);
+    // Depth limit
+    if (depth === 0) {
+      return this.quiescenceSearch(board, alpha, beta);
     }
 
-    const moves = this.getAllPossibleMoves(game);
+    const moves = this.getAllPossibleMoves(board);
     
     if (moves.length === 0) {
-      const score = game.isInCheck(game.currentPlayer) ? -30000 + (this.maxDepth - depth) : 0;
-      return score;
+      return this.scoreNoMoves(board, this.rootDepth - depth);
     }
 
-    // Null move pruning
-    if (depth >= 3 && !game.isInCheck(game.currentPlayer)) {
-      const nullGame = this.cloneGame(game);
-      nullGame.currentPlayer = nullGame.currentPlayer === 'WHITE' ? 'BLACK' : 'WHITE';
-      const nullScore = -this.alphaBeta(nullGame, depth - 3, -beta, -beta + 1, !isMaximizing);
+    // Null move pruning (not where running out of moves wins, since zugzwang is the whole game there)
+    if (depth >= 3 && !board.variant.winsWithoutMoves && !board.isInCheck(board.currentPlayer)) {
+      board.makeNullMove();
+      const nullScore = -this.alphaBeta(board, depth - 3, -beta, -beta + 1, !isMaximizing);
+      board.unmakeNullMove();
+      if (this.searchAborted) return 0;
       if (nullScore >= beta) {
         return beta;
       }
     }
 
-    this.orderMovesAdvanced(moves, game, depth);
+    this.orderMovesAdvanced(moves, board, depth);
 
     let bestScore = -Infinity;
+    let bestMove = null;
     let flag = 'UPPERBOUND';
 
     for (let i = 0; i < moves.length; i++) {
       const move = moves[i];
-      const gameClone = this.cloneGame(game);
       
-      if (!gameClone.makeMove(move.from[0], move.from[1], move.to[0], move.to[1])) {
+      if (!board.makeMove(move)) {
         continue;
       }
 
@@ -266,19 +379,24 @@ class EnhancedChessAI {
       
       // Principal Variation Search (PVS)
       if (i === 0) {
-        score = -this.alphaBeta(gameClone, depth - 1, -beta, -alpha, !isMaximizing);
+        score = -this.alphaBeta(board, depth - 1, -beta, -alpha, !isMaximizing);
       } else {
         // Search with null window
-        score = -this.alphaBeta(gameClone, depth - 1, -alpha - 1, -alpha, !isMaximizing);
+        score = -this.alphaBeta(board, depth - 1, -alpha - 1, -alpha, !isMaximizing);
         
         // Re-search if failed high
         if (score > alpha && score < beta) {
-          score = -this.alphaBeta(gameClone, depth - 1, -beta, -alpha, !isMaximizing);
+          score = -this.alphaBeta(board, depth - 1, -beta, -alpha, !isMaximizing);
         }
       }
+      board.unmakeMove();
+
+      // Scores from an aborted search are meaningless; don't let them reach the tables
+      if (this.searchAborted) return 0;
 
       if (score > bestScore) {
         bestScore = score;
+        bestMove = move;
         if (score > alpha) {
           alpha = score;
           flag = 'EXACT';
@@ -290,7 +408,7 @@ class EnhancedChessAI {
           }
           
           // Update history heuristic
-          const moveKey = `${move.from[0]},${move.from[1]},${move.to[0]},${move.to[1]}`;
+          const moveKey = this.getMoveKey(move);
           this.historyTable[moveKey] = (this.historyTable[moveKey] || 0) + depth * depth;
         }
       }
@@ -305,33 +423,38 @@ class EnhancedChessAI {
     this.transpositionTable.set(hash, {
       score: bestScore,
       depth: depth,
-      flag: flag
+      flag: flag,
+      move: bestMove
     });
 
     return bestScore;
   }
 
   // Quiescence search to avoid horizon effect
-  quiescenceSearch(game, alpha, beta, depth = 0) {
+  quiescenceSearch(board, alpha, beta, depth = 0) {
     this.nodesSearched++;
+    if (this.isTimeUp()) return 0;
+
+    const variantScore = this.scoreVariantWin(board, this.rootDepth + depth);
+    if (variantScore !== null) return variantScore;
 
-    const standPat = ChessEvaluation.evaluatePositionAdvanced(game);
+    const standPat = ChessEvaluation.evaluatePositionAdvanced(board);
     
     if (standPat >= beta) return beta;
     if (alpha < standPat) alpha = standPat;
     if (depth > 4) return standPat; // Limit quiescence depth
 
     // Only search captures
-    const moves = this.getCaptureMoves(game);
+    const moves = this.getCaptureMoves(board);
     this.orderCapturesByMVVLVA(moves);
 
     for (const move of moves) {
-      const gameClone = this.cloneGame(game);
-      if (!gameClone.makeMove(move.from[0], move.from[1], move.to[0], move.to[1])) {
+      if (!board.makeMove(move)) {
         continue;
       }
 
-      const score = -this.quiescenceSearch(gameClone, -beta, -alpha, depth + 1);
+      const score = -this.quiescenceSearch(board, -beta, -alpha, depth + 1);
+      board.unmakeMove();
 
       if (score >= beta) return beta;
       if (score > alpha) alpha = score;
@@ -340,26 +463,30 @@ class EnhancedChessAI {
     return alpha;
   }
 
-  // Get only capture moves
-  getCaptureMoves(game) {
-    const moves = [];
-    const pieces = game.getPieces(game.currentPlayer);
-
-    for (const piece of pieces) {
-      const legalMoves = game.getLegalMoves(piece);
-      for (const [toRow, toCol] of legalMoves) {
-        const capturedPiece = game.getPieceAt(toRow, toCol);
-        if (capturedPiece) {
-          moves.push({
-            from: [piece.row, piece.col],
-            to: [toRow, toCol],
-            piece: piece.type,
-            captured: capturedPiece.type,
-            capturedValue: PIECE_VALUES[capturedPiece.type],
-            attackerValue: PIECE_VALUES[piece.type]
-          });
-        }
-      }
+  // Score for the side to move when it has no legal move `ply` plies from the root: mated or
+  // stalemated, or the winner in variants where running out of moves wins
+  scoreNoMoves(board, ply) {
+    if (board.variant.winsWithoutMoves) return MATE_SCORE - ply;
+    return board.isInCheck(board.currentPlayer) ? -MATE_SCORE + ply : 0;
+  }
+
+  // Score for the side to move of a game won by the variant's own goal `ply` plies from the
+  // root, on the same scale as mates, or null while the game goes on
+  scoreVariantWin(board, ply) {
+    const winner = board.getVariantWinner();
+    if (!winner) return null;
+    return winner === board.currentPlayer ? MATE_SCORE - ply : -MATE_SCORE + ply;
+  }
+
+  // Get only capture moves (pseudo-legal; illegal ones are rejected by makeMove). Capturing
+  // underpromotions are left to the main search.
+  getCaptureMoves(board) {
+    const moves = board.generateMoves(true)
+      .filter(move => move.captured && (!move.promotion || move.promotion === 'QUEEN'));
+
+    for (const move of moves) {
+      move.capturedValue = PIECE_VALUES[move.captured];
+      move.attackerValue = PIECE_VALUES[move.piece];
     }
 
     return moves;
@@ -375,13 +502,13 @@ class EnhancedChessAI {
   }
 
   // Advanced move ordering
-  orderMovesAdvanced(moves, game, depth) {
+  orderMovesAdvanced(moves, board, depth) {
     // Score each move
     for (const move of moves) {
       move.score = 0;
 
       // PV move from previous iteration
-      const moveKey = `${move.from[0]},${move.from[1]},${move.to[0]},${move.to[1]}`;
+      const moveKey = this.getMoveKey(move);
       if (this.pvTable[moveKey]) {
         move.score += 10000;
       }
@@ -393,6 +520,11 @@ class EnhancedChessAI {
         move.score += 1000 + capturedValue - attackerValue / 10;
       }
 
+      // Promotions: queening early, underpromotions after the quiet moves
+      if (move.promotion) {
+        move.score += move.promotion === 'QUEEN' ? 1500 : -1500;
+      }
+
       // Killer moves
       if (depth < this.killerMoves.length) {
         const killers = this.killerMoves[depth];
@@ -409,8 +541,6 @@ class EnhancedChessAI {
       // Piece-square tables
       const toRow = move.to[0];
       const toCol = move.to[1];
-      const fromRow = move.from[0];
-      const fromCol = move.from[1];
       
       // Favor central squares
       const centerBonus = (row, col) => {
@@ -418,17 +548,22 @@ class EnhancedChessAI {
         return (7 - centerDistance) * 10;
       };
       
-      move.score += centerBonus(toRow, toCol) - centerBonus(fromRow, fromCol);
+      // A Crazyhouse drop has no square to come from
+      move.score += centerBonus(toRow, toCol);
+      if (!move.from) continue;
+      const fromRow = move.from[0];
+      const fromCol = move.from[1];
+      move.score -= centerBonus(fromRow, fromCol);
 
       // Pawn advancement
       if (move.piece === 'PAWN') {
-        const advancement = game.currentPlayer === 'WHITE' ? 
+        const advancement = board.currentPlayer === 'WHITE' ? 
           (fromRow - toRow) * 20 : (toRow - fromRow) * 20;
         move.score += advancement;
       }
 
       // Castling bonus
-      if (move.piece === 'KING' && Math.abs(toCol - fromCol) === 2) {
+      if (move.castle) {
         move.score += 300;
       }
     }
@@ -437,85 +572,74 @@ class EnhancedChessAI {
     moves.sort((a, b) => b.score - a.score);
   }
 
-  // Check if two moves are equal
+  // Check if two moves are equal; drops match on the piece dropped
   movesEqual(move1, move2) {
-    if (!move1 || !move2) return false;
-    return move1.from[0] === move2.from[0] && 
-           move1.from[1] === move2.from[1] && 
+    if (!move1 || !move2 || (move1.drop || null) !== (move2.drop || null)) return false;
+    return (move1.drop || (move1.from[0] === move2.from[0] && move1.from[1] === move2.from[1])) &&
            move1.to[0] === move2.to[0] && 
-           move1.to[1] === move2.to[1];
+           move1.to[1] === move2.to[1] &&
+           (move1.promotion || null) === (move2.promotion || null);
   }
 
-  // Get all possible moves
-  getAllPossibleMoves(game) {
-    const moves = [];
-    const pieces = game.getPieces(game.currentPlayer);
-
-    for (const piece of pieces) {
-      const legalMoves = game.getLegalMoves(piece);
-      for (const [toRow, toCol] of legalMoves) {
-        const capturedPiece = game.getPieceAt(toRow, toCol);
-        moves.push({
-          from: [piece.row, piece.col],
-          to: [toRow, toCol],
-          piece: piece.type,
-          captured: capturedPiece ? capturedPiece.type : null
-        });
-      }
-    }
+  // Key of a move in the PV and history tables, telling promotions and drops apart
+  getMoveKey(move) {
+    const from = move.drop ? `${move.drop}@` : `${move.from[0]},${move.from[1]}`;
+    return `${from},${move.to[0]},${move.to[1]},${move.promotion || ''}`;
+  }
 
-    return moves;
+  // Search score of a tablebase result { result, plies } for a position `ply` plies from the root,
+  // on the same scale as mates found by the search
+  scoreTablebaseEntry({ result, plies }, ply) {
+    if (result === 'win') return MATE_SCORE - ply - plies;
+    if (result === 'loss') return -MATE_SCORE + ply + plies;
+    return 0;
   }
 
-  // Clone the game state
-  cloneGame(game) {
-    const cloned = new ChessGame();
-    
-    // Clone board
-    for (let row = 0; row < 8; row++) {
-      for (let col = 0; col < 8; col++) {
-        const piece = game.getPieceAt(row, col);
-        if (piece) {
-          cloned.board[row][col] = piece.clone();
-        }
+  // Pick the move the tablebase rates best: the fastest win, else a draw, else the slowest loss.
+  // Only tables already generated are probed, since generating one can take far longer than the
+  // time to move. Returns null when the position or a move from it is not covered, e.g. with more
+  // pieces, when en passant is possible or when a table is missing.
+  getTablebaseMove(board) {
+    if (board.pieceCount > MAX_TABLEBASE_PIECES || !sharedTablebase.probe(board, { generate: false })) return null;
+
+    let bestMove = null;
+    let bestScore = -Infinity;
+    for (const move of this.getAllPossibleMoves(board)) {
+      if (!board.makeMove(move)) continue;
+      const entry = sharedTablebase.probe(board, { generate: false });
+      board.unmakeMove();
+
+      if (!entry) return null;
+      const score = -this.scoreTablebaseEntry(entry, 1);
+      if (score > bestScore) {
+        bestScore = score;
+        bestMove = move;
       }
     }
-    
-    // Copy game state
-    cloned.currentPlayer = game.currentPlayer;
-    cloned.gameState = game.gameState;
-    cloned.kingPositions = { ...game.kingPositions };
-    cloned.enPassantTarget = game.enPassantTarget;
-    cloned.halfMoveClock = game.halfMoveClock;
-    cloned.fullMoveNumber = game.fullMoveNumber;
-    
-    return cloned;
+    return bestMove;
   }
 
-  // Get opening book move
+  // Get all legal moves on a SearchBoard, with every promotion piece
+  getAllPossibleMoves(board) {
+    return board.getLegalMoves();
+  }
+
+  // Get opening book move, chosen at random in proportion to the book's weights. The book is
+  // keyed by position, so transpositions and games set up from a FEN are found too.
   getOpeningBookMove(game) {
-    const moveHistory = game.moveHistory.map(m => {
-      const from = String.fromCharCode(97 + m.from[1]) + (8 - m.from[0]);
-      const to = String.fromCharCode(97 + m.to[1]) + (8 - m.to[0]);
-      return from + to;
-    }).join(',');
-
-    const bookMoves = this.openingBook[moveHistory];
-    if (bookMoves && bookMoves.length > 0) {
-      const moveNotation = bookMoves[Math.floor(Math.random() * bookMoves.length)];
-      
-      // Convert notation to move
-      const from = [8 - parseInt(moveNotation[1]), moveNotation.charCodeAt(0) - 97];
-      const to = [8 - parseInt(moveNotation[3]), moveNotation.charCodeAt(2) - 97];
-      
-      return {
-        from: from,
-        to: to,
-        piece: game.getPieceAt(from[0], from[1])?.type
-      };
-    }
-    
-    return null;
+    // Books only cover standard chess
+    if (game.chess960 || game.variant.id !== 'standard') return null;
+
+    const bookMove = this.getOpeningBook().pickMove(game);
+    if (!bookMove) return null;
+
+    const { from, to, promotion } = bookMove;
+    return {
+      from: from,
+      to: to,
+      promotion: promotion,
+      piece: game.getPieceAt(from[0], from[1])?.type
+    };
   }
 
   // Get a hint for the human player
@@ -534,7 +658,7 @@ class EnhancedChessAI {
     this.difficulty = difficulty;
     this.maxDepth = this.getDepthFromDifficulty(difficulty);
     this.setDifficultyParameters(difficulty);
-    console.log(`Enhanced AI difficulty set to ${difficulty} (depth: ${this.maxDepth}, time: ${this.timeLimit}ms, randomness: ${this.randomnessFactor})`);
+    this.log(`Enhanced AI difficulty set to ${difficulty} (depth: ${this.maxDepth}, time: ${this.timeLimit}ms, randomness: ${this.randomnessFactor})`);
   }
 
   // Set difficulty-specific parameters
@@ -545,39 +669,51 @@ class EnhancedChessAI {
         this.randomnessFactor = 0.25; // 25% randomness in evaluation
         this.moveRandomness = 0.3; // 30% chance to pick suboptimal move
         this.useOpeningBook = false; // Don't use opening book
+        this.bookDepth = 0;
+        this.useTablebase = false; // Play endings by search alone
         break;
       case 2: // Medium
         this.timeLimit = 2000; // 2 seconds
         this.randomnessFactor = 0.1; // 10% randomness
         this.moveRandomness = 0.15; // 15% chance for suboptimal move
         this.useOpeningBook = true; // Use opening book
+        this.bookDepth = 4; // For the first 4 moves
+        this.useTablebase = true; // Play small endings from the tablebase
         break;
       case 3: // Hard
         this.timeLimit = 3000; // 3 seconds
         this.randomnessFactor = 0.05; // 5% randomness
         this.moveRandomness = 0.08; // 8% chance for suboptimal move
         this.useOpeningBook = true;
+        this.bookDepth = 6;
+        this.useTablebase = true;
         break;
       case 4: // Expert
         this.timeLimit = 5000; // 5 seconds
         this.randomnessFactor = 0.02; // 2% randomness
         this.moveRandomness = 0.03; // 3% chance for suboptimal move
         this.useOpeningBook = true;
+        this.bookDepth = 8;
+        this.useTablebase = true;
         break;
       case 5: // Master
         this.timeLimit = 8000; // 8 seconds
         this.randomnessFactor = 0; // No randomness
         this.moveRandomness = 0; // Always best move
         this.useOpeningBook = true;
+        this.bookDepth = 12;
+        this.useTablebase = true;
         break;
       default:
         this.timeLimit = 3000;
         this.randomnessFactor = 0.1;
         this.moveRandomness = 0.15;
         this.useOpeningBook = true;
+        this.bookDepth = 6;
+        this.useTablebase = true;
     }
   }
 }
 
 // Export for module compatibility
-export { EnhancedChessAI };
+export { EnhancedChessAI, MATE_SCORE, MAX_ANALYSIS_DEPTH };
@@ -0,0 +1,81 @@
+// Web Worker that runs AI searches off the main thread.
+//
+// Protocol (all messages carry the id of the search they belong to):
+//   in:  { type: 'search', id, engine: 'classic' | 'enhanced', difficulty, position, clock, analysis, depth, multiPV }
+//        { type: 'book', data }  (contents of a Polyglot .bin file, or null for the built-in book)
+//        { type: 'probe', id, position }  (endgame tablebase lookup)
+//        { type: 'tables', tables }  (endgame tables generated in another worker, by name)
+//   out: { type: 'progress', id, info: { depth, score, nodes, pv, lines: [{ score, pv }] } }
+//        { type: 'bestmove', id, move: { from, to, promotion } | null }
+//        { type: 'tablebase', id, result: { result, plies } | null, tables }  (tables the probe generated)
+//        { type: 'error', id, message }
+// A search is cancelled by terminating the worker.
+import { ChessAI } from './chess-ai.js';
+import { EnhancedChessAI } from './chess-ai-enhanced.js';
+import { PolyglotBook } from './chess-polyglot.js';
+import { sharedTablebase } from './chess-tablebase.js';
+import { deserializePosition, serializeMove } from './chess-ai-client.js';
+
+// The engine is kept between searches so its tables carry over, like the
+// instance the UI would otherwise hold
+let engine = null;
+let engineType = null;
+let openingBook = null;
+
+// Get the engine for a search, recreating it when the type changes
+function getEngine(type, difficulty) {
+    if (!engine || engineType !== type) {
+        engine = type === 'classic' ? new ChessAI(difficulty) : new EnhancedChessAI(difficulty);
+        engineType = type;
+        if (engine.setOpeningBook) engine.setOpeningBook(openingBook);
+    } else if (engine.difficulty !== difficulty) {
+        engine.setDifficulty(difficulty);
+    }
+    return engine;
+}
+
+// Run one search request, reporting progress and the best move. Analysis has no time
+// limit and runs until the depth limit or until the worker is terminated.
+function handleSearch({ id, engine: type, difficulty, position, clock = null, analysis = false, depth = Infinity, multiPV = 1 }) {
+    try {
+        const ai = getEngine(type, difficulty);
+        ai.onProgress = (info) => self.postMessage({ type: 'progress', id, info });
+        ai.multiPV = multiPV;
+        const game = deserializePosition(position);
+        const move = analysis ? ai.analyze(game, Infinity, depth) : ai.getBestMove(game, clock);
+        self.postMessage({ type: 'bestmove', id, move: serializeMove(move) });
+    } catch (error) {
+        self.postMessage({ type: 'error', id, message: error.message });
+    }
+}
+
+// Switch the enhanced engine to a Polyglot book
+function handleBook({ data }) {
+    openingBook = data ? new PolyglotBook(data) : null;
+    if (engine && engine.setOpeningBook) engine.setOpeningBook(openingBook);
+}
+
+// Look a position up in the tablebase, generating its tables if needed. The tables
+// generated are sent back too, so they can be passed on to a worker that searches.
+function handleProbe({ id, position }) {
+    try {
+        const known = new Set(sharedTablebase.tables.keys());
+        const result = sharedTablebase.probe(deserializePosition(position));
+        const generated = [...sharedTablebase.tables.keys()].filter(name => !known.has(name));
+        self.postMessage({ type: 'tablebase', id, result, tables: sharedTablebase.exportTables(generated) });
+    } catch (error) {
+        self.postMessage({ type: 'error', id, message: error.message });
+    }
+}
+
+self.onmessage = (event) => {
+    if (event.data.type === 'search') {
+        handleSearch(event.data);
+    } else if (event.data.type === 'book') {
+        handleBook(event.data);
+    } else if (event.data.type === 'probe') {
+        handleProbe(event.data);
+    } else if (event.data.type === 'tables') {
+        sharedTablebase.importTables(event.data.tables);
+    }
+};
@@ -1,6 +1,6 @@
 // Chess AI using Minimax Algorithm with Alpha-Beta Pruning
 import { PIECE_VALUES } from './chess-pieces.js';
-import { ChessGame } from './chess-logic.js';
+import { SearchBoard } from './chess-board.js';
 
 class ChessAI {
     constructor(difficulty = 2) {
@@ -9,9 +9,16 @@ class ChessAI {
         this.transpositionTable = new Map();
         this.killerMoves = Array(10).fill(null).map(() => []);
         this.historyTable = {};
+        this.onProgress = null; // Called with { depth, score } once the search finishes
+        this.debug = false; // Log search timing and scores to the console
         this.setDifficultyParameters(difficulty);
     }
 
+    // Log a diagnostic message when debugging is on
+    log(message) {
+        if (this.debug) console.log(message);
+    }
+
     // Get search depth based on difficulty level
     getDepthFromDifficulty(difficulty) {
         switch (difficulty) {
@@ -29,7 +36,7 @@ class ChessAI {
         this.difficulty = difficulty;
         this.maxDepth = this.getDepthFromDifficulty(difficulty);
         this.setDifficultyParameters(difficulty);
-        console.log(`AI difficulty set to ${difficulty} (depth: ${this.maxDepth}, time: ${this.timeLimit}ms, randomness: ${this.randomnessFactor})`);
+        this.log(`AI difficulty set to ${difficulty} (depth: ${this.maxDepth}, time: ${this.timeLimit}ms, randomness: ${this.randomnessFactor})`);
     }
 
     // Set difficulty-specific parameters
@@ -73,106 +80,98 @@ class ChessAI {
         this.killerMoves = Array(10).fill(null).map(() => []);
         
         const startTime = Date.now();
+        const board = SearchBoard.fromGame(game);
         
         // For easy difficulties, sometimes pick a random move
         if (this.moveRandomness > 0 && Math.random() < this.moveRandomness) {
-            const moves = this.getAllPossibleMoves(game);
+            const moves = this.getAllPossibleMoves(board);
             if (moves.length > 0) {
                 const randomIndex = Math.floor(Math.random() * Math.min(moves.length, 5)); // Pick from top 5 moves
-                console.log(`AI chose random move (difficulty ${this.difficulty})`);
+                this.log(`AI chose random move (difficulty ${this.difficulty})`);
                 return moves[randomIndex];
             }
         }
         
-        // First, check if we're in check and find all moves that get us out of check
-        const aiColor = game.currentPlayer;
-        if (game.isInCheck(aiColor)) {
-            const allMoves = [];
-            const pieces = game.getPieces(aiColor);
-            
-            // Try all possible moves to see which ones get us out of check
-            for (const piece of pieces) {
-                const moves = game.getLegalMoves(piece);
-                for (const [toRow, toCol] of moves) {
-                    const gameClone = game.cloneGame();
-                    if (gameClone.makeMove(piece.row, piece.col, toRow, toCol)) {
-                        if (!gameClone.isInCheck(aiColor)) {
-                            allMoves.push({
-                                from: [piece.row, piece.col],
-                                to: [toRow, toCol],
-                                piece: piece.type,
-                                captured: game.getPieceAt(toRow, toCol)?.type || null
-                            });
-                        }
-                    }
-                }
-            }
-            
-            // If we found moves that get us out of check, pick one at random
-            if (allMoves.length > 0) {
-                console.log('AI is in check, found', allMoves.length, 'moves to get out of check');
-                return allMoves[Math.floor(Math.random() * allMoves.length)];
-            }
-        }
-        
-        // If not in check or no moves found, use the normal minimax with time limit
-        const result = this.minimaxWithTimeLimit(game, this.maxDepth, -Infinity, Infinity, true, startTime);
+        // Search with minimax under the time limit (legal move generation already limits
+        // the search to check evasions). Scores are from White's point of view.
+        const isMaximizing = board.currentPlayer === 'WHITE';
+        const result = this.minimaxWithTimeLimit(board, this.maxDepth, -Infinity, Infinity, isMaximizing, startTime);
         const endTime = Date.now();
         
-        console.log(`AI thinking time: ${endTime - startTime}ms (limit: ${this.timeLimit}ms)`);
-        console.log(`Evaluated position score: ${result.score}`);
+        this.log(`AI thinking time: ${endTime - startTime}ms (limit: ${this.timeLimit}ms)`);
+        this.log(`Evaluated position score: ${result.score}`);
+        if (this.onProgress) {
+            // Report the score from the side to move, like EnhancedChessAI
+            this.onProgress({ depth: this.maxDepth, score: isMaximizing ? result.score : -result.score });
+        }
         
         return result.move;
     }
 
     // Minimax with time limit
-    minimaxWithTimeLimit(game, depth, alpha, beta, isMaximizing, startTime) {
+    minimaxWithTimeLimit(board, depth, alpha, beta, isMaximizing, startTime) {
         // Check time limit
         if (Date.now() - startTime > this.timeLimit) {
-            return { score: this.evaluatePosition(game), move: null };
+            return { score: this.evaluatePosition(board), move: null };
         }
         
-        return this.minimax(game, depth, alpha, beta, isMaximizing);
+        return this.minimax(board, depth, alpha, beta, isMaximizing);
     }
 
-    // Minimax algorithm with alpha-beta pruning
-    minimax(game, depth, alpha, beta, isMaximizing) {
+    // Minimax algorithm with alpha-beta pruning, making and unmaking moves on a SearchBoard
+    minimax(board, depth, alpha, beta, isMaximizing) {
+        // Repeating a position or reaching the 50-move limit is scored as a draw
+        if (board.isRepetition() || board.halfMoveClock >= 100) {
+            return { score: 0, move: null };
+        }
+
+        // Games the variant has already decided (sooner is better for the winner)
+        const winner = board.getVariantWinner();
+        if (winner) {
+            const winScore = 20000 + depth;
+            return { score: winner === 'WHITE' ? winScore : -winScore, move: null };
+        }
+
         // Check transposition table
-        const boardHash = this.getBoardHash(game);
+        const boardHash = board.getKey();
         const ttEntry = this.transpositionTable.get(boardHash);
         if (ttEntry && ttEntry.depth >= depth) {
             return ttEntry;
         }
 
-        // Base case: reached maximum depth or game over
-        if (depth === 0 || game.gameState !== 'playing') {
-            const score = this.evaluatePosition(game);
+        // Base case: reached maximum depth
+        if (depth === 0) {
+            const score = this.evaluatePosition(board);
             return { score, move: null };
         }
 
-        const moves = this.getAllPossibleMoves(game);
+        const moves = this.getAllPossibleMoves(board);
         
-        // No moves available
+        // No moves available: checkmate (sooner is better for the winner) or stalemate, or
+        // a win for the side to move where running out of moves wins
         if (moves.length === 0) {
-            const score = game.isInCheck(game.currentPlayer) ? -20000 : 0;
-            return { score, move: null };
+            const mateScore = 20000 + depth;
+            if (board.variant.winsWithoutMoves) {
+                return { score: board.currentPlayer === 'WHITE' ? mateScore : -mateScore, move: null };
+            }
+            if (!board.isInCheck(board.currentPlayer)) return { score: 0, move: null };
+            return { score: board.currentPlayer === 'WHITE' ? -mateScore : mateScore, move: null };
         }
 
         // Order moves for better pruning
-        this.orderMoves(moves, game, depth);
+        this.orderMoves(moves, board, depth);
 
         let bestMove = null;
         let bestScore = isMaximizing ? -Infinity : Infinity;
 
         for (const move of moves) {
             // Make the move
-            const gameClone = this.cloneGame(game);
-            
-            if (!moveSuccess) continue;
+            if (!board.makeMove(move)) continue;
 
             // Recursive call
-            const result = this.minimax(gameClone, depth - 1, alpha, beta, !isMaximizing);
+            const result = this.minimax(board, depth - 1, alpha, beta, !isMaximizing);
             const score = result.score;
+            board.unmakeMove();
             
             if (isMaximizing) {
                 if (score > bestScore) {
@@ -206,78 +205,50 @@ class ChessAI {
         return result;
     }
 
-    // Get all possible moves for the current player
-    getAllPossibleMoves(game) {
-        const moves = [];
-        const pieces = game.getPieces(game.currentPlayer);
-
-        for (const piece of pieces) {
-            const legalMoves = game.getLegalMoves(piece);
-            for (const [toRow, toCol] of legalMoves) {
-                const capturedPiece = game.getPieceAt(toRow, toCol);
-                moves.push({
-                    from: [piece.row, piece.col],
-                    to: [toRow, toCol],
-                    piece: piece.type,
-                    captured: capturedPiece ? capturedPiece.type : null
-                });
-            }
-        }
-
-        return moves;
+    // Get all legal moves for the current player on a SearchBoard, with every promotion piece
+    getAllPossibleMoves(board) {
+        return board.getLegalMoves();
     }
 
     // Order moves for better alpha-beta pruning
-    orderMoves(moves, game, depth) {
-        moves.sort((a, b) => {
-            let scoreA = 0;
-            let scoreB = 0;
+    orderMoves(moves, board, depth) {
+        // Prioritize central squares
+        const centerBonus = (row, col) => {
+            const centerDistance = Math.abs(3.5 - row) + Math.abs(3.5 - col);
+            return 10 - centerDistance;
+        };
+
+        for (const move of moves) {
+            move.score = centerBonus(move.to[0], move.to[1]);
 
             // Prioritize captures
-            if (a.captured) scoreA += 1000 + PIECE_VALUES[a.captured];
-            if (b.captured) scoreB += 1000 + PIECE_VALUES[b.captured];
+            if (move.captured) move.score += 1000 + PIECE_VALUES[move.captured];
 
-            // Prioritize checks
-            const gameCloneA = this.cloneGame(game);
-            if (gameCloneA.makeMove(a.from[0], a.from[1], a.to[0], a.to[1])) {
-                if (gameCloneA.isInCheck(gameCloneA.currentPlayer === 'WHITE' ? 'BLACK' : 'WHITE')) {
-                    scoreA += 500;
-                }
-            }
+            // Try queening early and underpromotions last
+            if (move.promotion) move.score += move.promotion === 'QUEEN' ? 1500 : -1500;
 
-            const gameCloneB = this.cloneGame(game);
-            if (gameCloneB.makeMove(b.from[0], b.from[1], b.to[0], b.to[1])) {
-                if (gameCloneB.isInCheck(gameCloneB.currentPlayer === 'WHITE' ? 'BLACK' : 'WHITE')) {
-                    scoreB += 500;
-                }
-            }
+            // Prioritize checks
+            board.makeMove(move);
+            if (board.isInCheck(board.currentPlayer)) move.score += 500;
+            board.unmakeMove();
 
             // Prioritize killer moves
             if (depth < this.killerMoves.length) {
                 const killers = this.killerMoves[depth];
-                if (killers.some(killer => this.movesEqual(killer, a))) scoreA += 100;
-                if (killers.some(killer => this.movesEqual(killer, b))) scoreB += 100;
+                if (killers.some(killer => this.movesEqual(killer, move))) move.score += 100;
             }
+        }
 
-            // Prioritize central squares
-            const centerBonus = (row, col) => {
-                const centerDistance = Math.abs(3.5 - row) + Math.abs(3.5 - col);
-                return 10 - centerDistance;
-            };
-            scoreA += centerBonus(a.to[0], a.to[1]);
-            scoreB += centerBonus(b.to[0], b.to[1]);
-
-            return scoreB - scoreA;
-        });
+        moves.sort((a, b) => b.score - a.score);
     }
 
-    // Check if two moves are equal
+    // Check if two moves are equal; drops match on the piece dropped
     movesEqual(move1, move2) {
-        if (!move1 || !move2) return false;
-        return move1.from[0] === move2.from[0] && 
-               move1.from[1] === move2.from[1] && 
+        if (!move1 || !move2 || (move1.drop || null) !== (move2.drop || null)) return false;
+        return (move1.drop || (move1.from[0] === move2.from[0] && move1.from[1] === move2.from[1])) &&
                move1.to[0] === move2.to[0] && 
-               move1.to[1] === move2.to[1];
+               move1.to[1] === move2.to[1] &&
+               (move1.promotion || null) === (move2.promotion || null);
     }
 
     // Evaluate the current position
@@ -314,8 +285,10 @@ class ChessAI {
             }
         }
 
-        // King safety evaluation
-        score += this.evaluateKingSafety(game, 'WHITE') - this.evaluateKingSafety(game, 'BLACK');
+        // King safety evaluation, where the king is royal
+        if (game.variant.royalKing) {
+            score += this.evaluateKingSafety(game, 'WHITE') - this.evaluateKingSafety(game, 'BLACK');
+        }
 
         // Pawn structure evaluation
         score += this.evaluatePawnStructure(game, 'WHITE') - this.evaluatePawnStructure(game, 'BLACK');
@@ -323,6 +296,9 @@ class ChessAI {
         // Control of center
         score += this.evaluateCenterControl(game, 'WHITE') - this.evaluateCenterControl(game, 'BLACK');
 
+        // What the variant adds to or makes of the usual aims
+        score = game.variant.evaluate(game, score);
+
         // Add some randomness for easier difficulties
         if (this.difficulty < 3) {
             score += (Math.random() - 0.5) * 50 * (4 - this.difficulty);
@@ -445,9 +421,9 @@ class ChessAI {
         const centerSquares = [[3, 3], [3, 4], [4, 3], [4, 4]];
         const pieces = game.getPieces(color);
 
-        for (const [row, col] of centerSquares) {
-            for (const piece of pieces) {
-                const moves = piece.getPossibleMoves(game.board);
+        for (const piece of pieces) {
+            const moves = piece.getPossibleMoves(game.board);
+            for (const [row, col] of centerSquares) {
                 if (moves.some(([r, c]) => r === row && c === col)) {
                     control += 5;
                 }
@@ -457,48 +433,6 @@ class ChessAI {
         return control;
     }
 
-    // Generate a simple hash for the board position
-    getBoardHash(game) {
-        let hash = '';
-        for (let row = 0; row < 8; row++) {
-            for (let col = 0; col < 8; col++) {
-                const piece = game.getPieceAt(row, col);
-                if (piece) {
-                    hash += piece.color.charAt(0) + piece.type.charAt(0);
-                } else {
-                    hash += '--';
-                }
-            }
-        }
-        hash += game.currentPlayer.charAt(0);
-        return hash;
-    }
-
-    // Clone the game state
-    cloneGame(game) {
-        const cloned = new ChessGame();
-        
-        // Clone board
-        for (let row = 0; row < 8; row++) {
-            for (let col = 0; col < 8; col++) {
-                const piece = game.getPieceAt(row, col);
-                if (piece) {
-                    cloned.board[row][col] = piece.clone();
-                }
-            }
-        }
-        
-        // Copy game state
-        cloned.currentPlayer = game.currentPlayer;
-        cloned.gameState = game.gameState;
-        cloned.kingPositions = { ...game.kingPositions };
-        cloned.enPassantTarget = game.enPassantTarget;
-        cloned.halfMoveClock = game.halfMoveClock;
-        cloned.fullMoveNumber = game.fullMoveNumber;
-        
-        return cloned;
-    }
-
     // Get a hint for the human player
     getHint(game) {
         const originalPlayer = game.currentPlayer;
@@ -0,0 +1,834 @@
+// Compact 0x88 Board Representation for the AI Search
+import { PIECES, ChessPiece } from './chess-pieces.js';
+import { ChessGame } from './chess-logic.js';
+import { getVariant, POCKET_PIECES, createPockets, copyPockets } from './chess-variants.js';
+
+// Squares are indexed as row * 16 + col, so (square & 0x88) !== 0 means off the board.
+// Row 0 is rank 8, matching ChessGame's board[row][col] layout.
+const OFF_BOARD = 0x88;
+
+const KNIGHT_DELTAS = [-33, -31, -18, -14, 14, 18, 31, 33];
+const KING_DELTAS = [-17, -16, -15, -1, 1, 15, 16, 17];
+const ROOK_DELTAS = [-16, -1, 1, 16];
+const BISHOP_DELTAS = [-17, -15, 15, 17];
+
+// Castling rights as a bitmask
+const WHITE_KING_SIDE = 1;
+const WHITE_QUEEN_SIDE = 2;
+const BLACK_KING_SIDE = 4;
+const BLACK_QUEEN_SIDE = 8;
+
+// Castling rights of each color and side
+const CASTLING_FLAGS = {
+    WHITE: { kingSide: WHITE_KING_SIDE, queenSide: WHITE_QUEEN_SIDE },
+    BLACK: { kingSide: BLACK_KING_SIDE, queenSide: BLACK_QUEEN_SIDE }
+};
+
+// Move kinds that need special handling in makeMove
+const MOVE_NORMAL = 0;
+const MOVE_DOUBLE_PUSH = 1;
+const MOVE_EN_PASSANT = 2;
+const MOVE_CASTLE = 3;
+const MOVE_DROP = 4;
+
+const PIECE_INDEX = { PAWN: 0, KNIGHT: 1, BISHOP: 2, ROOK: 3, QUEEN: 4, KING: 5 };
+
+// Zobrist keys are split into a 32-bit low part and a 21-bit high part so that
+// the combined key is a safe integer usable as a Map key
+const ZOBRIST_HIGH_FACTOR = 4294967296;
+
+// Deterministic pseudo-random numbers (mulberry32) so keys are the same in every run
+function createRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return (t ^ (t >>> 14)) >>> 0;
+    };
+}
+
+// Build the Zobrist key tables for pieces, side to move, castling rights, en passant files,
+// the checks each side has given in Three-check and how many of each piece a Crazyhouse pocket holds
+function createZobristKeys() {
+    const random = createRandom(0x2545F491);
+    const keyPair = () => [random(), random() & 0x1FFFFF];
+    const keys = { pieces: {}, blackToMove: keyPair(), castling: [], enPassant: [], checks: {}, pockets: {} };
+
+    for (const color of ['WHITE', 'BLACK']) {
+        keys.pieces[color] = Object.keys(PIECE_INDEX).map(() => {
+            const squares = [];
+            for (let square = 0; square < 128; square++) squares.push(keyPair());
+            return squares;
+        });
+    }
+    for (let rights = 0; rights < 16; rights++) keys.castling.push(keyPair());
+    for (let file = 0; file < 8; file++) keys.enPassant.push(keyPair());
+    for (const color of ['WHITE', 'BLACK']) {
+        keys.checks[color] = [0, 1, 2, 3].map(keyPair);
+    }
+    for (const color of ['WHITE', 'BLACK']) {
+        keys.pockets[color] = {};
+        for (const type of POCKET_PIECES) {
+            keys.pockets[color][type] = Array.from({ length: 17 }, keyPair);
+        }
+    }
+
+    return keys;
+}
+
+const ZOBRIST = createZobristKeys();
+
+class SearchBoard {
+    constructor() {
+        this.squares = new Array(128).fill(null);
+        this.board = Array(8).fill(null).map(() => Array(8).fill(null)); // 8x8 view for evaluation
+        this.currentPlayer = 'WHITE';
+        this.gameState = 'playing'; // Terminal positions are found by move generation during search
+        this.variant = getVariant('standard');
+        this.checksGiven = { WHITE: 0, BLACK: 0 }; // Checks each side has given, counted in Three-check
+        this.pockets = createPockets(); // Pieces each side holds to drop, in Crazyhouse
+        this.kingSquares = { WHITE: -1, BLACK: -1 }; // -1 when there is no king, as after an Atomic explosion
+        this.pieceCount = 0; // Pieces on the board, kings included
+        this.kingPositions = { WHITE: null, BLACK: null };
+        this.castling = 0;
+        this.castlingMasks = new Array(128).fill(15); // Rights that survive a move touching each square
+        this.castlingRookSquares = {}; // Original rook square of each castling right
+        this.chess960 = false; // Castling moves are written as the king moving onto its rook
+        this.epSquare = -1;
+        this.halfMoveClock = 0;
+        this.keyLow = 0;
+        this.keyHigh = 0;
+        this.keyHistory = []; // Position key after every ply, for repetition detection
+        this.undoStack = [];
+    }
+
+    // Build a search board for the current position of a ChessGame, including
+    // the keys of earlier positions so the search can recognise repetitions
+    static fromGame(game) {
+        const board = new SearchBoard();
+        board.setPosition(game);
+
+        const history = SearchBoard.replayHistoryKeys(game);
+        if (history && history[history.length - 1] === board.getKey()) {
+            board.keyHistory = history;
+        }
+
+        return board;
+    }
+
+    // Build a search board from a FEN string
+    static fromFEN(fen, variant = 'standard') {
+        const board = new SearchBoard();
+        board.setPosition(ChessGame.fromFEN(fen, null, variant));
+        return board;
+    }
+
+    // Replay a game's moves from its starting position, returning the key of every position reached
+    static replayHistoryKeys(game) {
+        const replay = new SearchBoard();
+        replay.setPosition(ChessGame.fromFEN(game.startingFEN, null, game.variant.id));
+
+        for (const { from, to, promotion, drop } of game.moveHistory) {
+            const move = replay.findMove(from, to, promotion, drop);
+            if (!move) return null;
+            replay.makeMove(move);
+        }
+
+        return replay.keyHistory;
+    }
+
+    // Copy pieces and state from a ChessGame
+    setPosition(game) {
+        this.squares.fill(null);
+        this.pieceCount = 0;
+        this.kingSquares = { WHITE: -1, BLACK: -1 };
+        this.kingPositions = { WHITE: null, BLACK: null };
+        this.variant = game.variant;
+        this.checksGiven = { ...game.checksGiven };
+        this.pockets = copyPockets(game.pockets);
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = game.board[row][col];
+                this.board[row][col] = null;
+                if (piece) {
+                    this.putPiece(piece.clone(), row * 16 + col);
+                    this.pieceCount++;
+                }
+            }
+        }
+
+        // Moves from or to the king's square clear both of its rights, and moves from or to a
+        // castling rook's original square clear that rook's right
+        this.castling = 0;
+        this.castlingMasks.fill(15);
+        this.castlingRookSquares = {};
+        this.chess960 = game.chess960;
+        for (const color of ['WHITE', 'BLACK']) {
+            const flags = CASTLING_FLAGS[color];
+            const homeRow = color === 'WHITE' ? 0x70 : 0x00;
+            if (!game.castlingRights[color].kingSide && !game.castlingRights[color].queenSide) continue;
+            this.castlingMasks[this.kingSquares[color]] &= ~(flags.kingSide | flags.queenSide) & 15;
+
+            for (const side of ['kingSide', 'queenSide']) {
+                if (!game.castlingRights[color][side]) continue;
+                const rookSquare = homeRow + game.castlingRooks[color][side];
+                this.castling |= flags[side];
+                this.castlingRookSquares[flags[side]] = rookSquare;
+                this.castlingMasks[rookSquare] &= ~flags[side] & 15;
+            }
+        }
+        this.currentPlayer = game.currentPlayer;
+        this.halfMoveClock = game.halfMoveClock;
+        this.epSquare = -1;
+        if (game.enPassantTarget) {
+            const [row, col] = game.enPassantTarget;
+            this.epSquare = this.getCapturableEnPassant(row * 16 + col);
+        }
+
+        this.undoStack = [];
+        this.computeKey();
+        this.keyHistory = [this.getKey()];
+    }
+
+    // Place a piece on a square, keeping the 8x8 view and king squares in sync
+    putPiece(piece, square) {
+        const row = square >> 4;
+        const col = square & 7;
+        piece.row = row;
+        piece.col = col;
+        this.squares[square] = piece;
+        this.board[row][col] = piece;
+
+        if (piece.type === 'KING') {
+            this.kingSquares[piece.color] = square;
+            this.kingPositions[piece.color] = [row, col];
+        }
+    }
+
+    // Remove whatever piece is on a square
+    clearSquare(square) {
+        this.squares[square] = null;
+        this.board[square >> 4][square & 7] = null;
+    }
+
+    // Recompute the Zobrist key from scratch
+    computeKey() {
+        this.keyLow = 0;
+        this.keyHigh = 0;
+
+        for (let square = 0; square < 128; square++) {
+            const piece = this.squares[square];
+            if (piece) this.toggleKey(ZOBRIST.pieces[piece.color][PIECE_INDEX[piece.type]][square]);
+        }
+        if (this.currentPlayer === 'BLACK') this.toggleKey(ZOBRIST.blackToMove);
+        this.toggleKey(ZOBRIST.castling[this.castling]);
+        if (this.epSquare !== -1) this.toggleKey(ZOBRIST.enPassant[this.epSquare & 7]);
+        for (const color of ['WHITE', 'BLACK']) {
+            if (this.checksGiven[color]) this.toggleKey(ZOBRIST.checks[color][this.checksGiven[color]]);
+            for (const type of POCKET_PIECES) {
+                if (this.pockets[color][type]) this.toggleKey(ZOBRIST.pockets[color][type][this.pockets[color][type]]);
+            }
+        }
+    }
+
+    // Add `change` (1 or -1) pieces of a type to a Crazyhouse pocket, updating the key
+    changePocket(color, type, change) {
+        const keys = ZOBRIST.pockets[color][type];
+        const count = this.pockets[color][type];
+        if (count) this.toggleKey(keys[count]);
+        this.pockets[color][type] = count + change;
+        if (count + change) this.toggleKey(keys[count + change]);
+    }
+
+    // XOR a Zobrist key pair into the position key
+    toggleKey([low, high]) {
+        this.keyLow ^= low;
+        this.keyHigh ^= high;
+    }
+
+    // Position key combining both Zobrist halves into one safe integer
+    getKey() {
+        return this.keyHigh * ZOBRIST_HIGH_FACTOR + (this.keyLow >>> 0);
+    }
+
+    // Get piece at specific position
+    getPieceAt(row, col) {
+        if (row < 0 || row >= 8 || col < 0 || col >= 8) return null;
+        return this.board[row][col];
+    }
+
+    // Get all pieces of a color
+    getPieces(color) {
+        const pieces = [];
+        for (const row of this.board) {
+            for (const piece of row) {
+                if (piece && piece.color === color) pieces.push(piece);
+            }
+        }
+        return pieces;
+    }
+
+    // Check if a position is under attack by the specified color
+    isSquareUnderAttack(row, col, attackingColor) {
+        return this.isAttacked(row * 16 + col, attackingColor);
+    }
+
+    // Check if the king is in check, by the variant's rules
+    isInCheck(color) {
+        return this.variant.isInCheck(this, color);
+    }
+
+    // Color that has won by the variant's own goal (king on the hill, third check, king blown up), or null
+    getVariantWinner() {
+        return this.variant.getWinner(this);
+    }
+
+    // Same endgame test as ChessGame: four or fewer queens and rooks left
+    isEndgame() {
+        let majorPieces = 0;
+        for (let square = 0; square < 128; square++) {
+            const piece = this.squares[square];
+            if (piece && (piece.type === 'QUEEN' || piece.type === 'ROOK')) majorPieces++;
+        }
+        return majorPieces <= 4;
+    }
+
+    // Castling rights in the same shape as ChessGame.castlingRights
+    get castlingRights() {
+        return {
+            WHITE: { kingSide: (this.castling & WHITE_KING_SIDE) !== 0, queenSide: (this.castling & WHITE_QUEEN_SIDE) !== 0 },
+            BLACK: { kingSide: (this.castling & BLACK_KING_SIDE) !== 0, queenSide: (this.castling & BLACK_QUEEN_SIDE) !== 0 }
+        };
+    }
+
+    // En passant square as [row, col], or null
+    get enPassantTarget() {
+        return this.epSquare === -1 ? null : [this.epSquare >> 4, this.epSquare & 7];
+    }
+
+    // Check whether a square is attacked by the given color
+    isAttacked(square, attackingColor) {
+        const squares = this.squares;
+
+        // Pawns attack towards the opponent, so look one row back towards the attacker's side
+        const pawnSquare = attackingColor === 'WHITE' ? square + 16 : square - 16;
+        for (const target of [pawnSquare - 1, pawnSquare + 1]) {
+            if (!(target & OFF_BOARD)) {
+                const piece = squares[target];
+                if (piece && piece.color === attackingColor && piece.type === 'PAWN') return true;
+            }
+        }
+
+        for (const delta of KNIGHT_DELTAS) {
+            const target = square + delta;
+            if (target & OFF_BOARD) continue;
+            const piece = squares[target];
+            if (piece && piece.color === attackingColor && piece.type === 'KNIGHT') return true;
+        }
+
+        for (const delta of KING_DELTAS) {
+            const target = square + delta;
+            if (target & OFF_BOARD) continue;
+            const piece = squares[target];
+            if (piece && piece.color === attackingColor && piece.type === 'KING') return true;
+        }
+
+        if (this.isSlidingAttack(square, attackingColor, ROOK_DELTAS, 'ROOK')) return true;
+        return this.isSlidingAttack(square, attackingColor, BISHOP_DELTAS, 'BISHOP');
+    }
+
+    // Check the first piece along each ray for a slider of the given type or a queen
+    isSlidingAttack(square, attackingColor, deltas, sliderType) {
+        for (const delta of deltas) {
+            let target = square + delta;
+            while (!(target & OFF_BOARD)) {
+                const piece = this.squares[target];
+                if (piece) {
+                    if (piece.color === attackingColor && (piece.type === sliderType || piece.type === 'QUEEN')) {
+                        return true;
+                    }
+                    break;
+                }
+                target += delta;
+            }
+        }
+        return false;
+    }
+
+    // Create a move object in the shape the AIs use, with the 0x88 details needed by makeMove
+    createMove(fromSquare, toSquare, piece, captured, promotion = null, kind = MOVE_NORMAL) {
+        return {
+            from: [fromSquare >> 4, fromSquare & 7],
+            to: [toSquare >> 4, toSquare & 7],
+            piece: piece.type,
+            captured: captured ? captured.type : null,
+            promotion,
+            fromSquare,
+            toSquare,
+            kind
+        };
+    }
+
+    // Create a move dropping a piece from the side to move's pocket onto an empty square
+    createDropMove(type, toSquare) {
+        return {
+            from: null,
+            to: [toSquare >> 4, toSquare & 7],
+            piece: type,
+            captured: null,
+            promotion: null,
+            drop: type,
+            fromSquare: -1,
+            toSquare,
+            kind: MOVE_DROP
+        };
+    }
+
+    // Generate pseudo-legal moves for the side to move (they may leave the king in check)
+    generateMoves(capturesOnly = false) {
+        const moves = [];
+        const color = this.currentPlayer;
+
+        for (let square = 0; square < 128; square++) {
+            if (square & OFF_BOARD) {
+                square += 7;
+                continue;
+            }
+            const piece = this.squares[square];
+            if (!piece || piece.color !== color) continue;
+
+            switch (piece.type) {
+                case 'PAWN':
+                    this.generatePawnMoves(moves, square, piece, capturesOnly);
+                    break;
+                case 'KNIGHT':
+                    this.generateStepMoves(moves, square, piece, KNIGHT_DELTAS, capturesOnly);
+                    break;
+                case 'BISHOP':
+                    this.generateSlidingMoves(moves, square, piece, BISHOP_DELTAS, capturesOnly);
+                    break;
+                case 'ROOK':
+                    this.generateSlidingMoves(moves, square, piece, ROOK_DELTAS, capturesOnly);
+                    break;
+                case 'QUEEN':
+                    this.generateSlidingMoves(moves, square, piece, ROOK_DELTAS, capturesOnly);
+                    this.generateSlidingMoves(moves, square, piece, BISHOP_DELTAS, capturesOnly);
+                    break;
+                case 'KING':
+                    this.generateStepMoves(moves, square, piece, KING_DELTAS, capturesOnly);
+                    if (!capturesOnly) this.generateCastlingMoves(moves, square, piece);
+                    break;
+            }
+        }
+
+        if (this.variant.drops && !capturesOnly) this.generateDropMoves(moves);
+
+        // Where captures are compulsory, other moves only count when there is nothing to take
+        if (this.variant.capturesCompulsory && !capturesOnly) {
+            const captures = moves.filter(move => move.captured);
+            if (captures.length > 0) return captures;
+        }
+
+        return moves;
+    }
+
+    // Generate legal moves for the side to move, with each promotion choice listed separately
+    getLegalMoves(capturesOnly = false) {
+        return this.generateMoves(capturesOnly).filter(move => {
+            if (!this.makeMove(move)) return false;
+            this.unmakeMove();
+            return true;
+        });
+    }
+
+    // Pawn pushes, captures, promotions and en passant
+    generatePawnMoves(moves, square, piece, capturesOnly) {
+        const isWhite = piece.color === 'WHITE';
+        const forward = isWhite ? -16 : 16;
+        const startRow = isWhite ? 6 : 1;
+        const promotionRow = isWhite ? 0 : 7;
+
+        const addPawnMove = (toSquare, captured, kind) => {
+            if (toSquare >> 4 === promotionRow) {
+                for (const promotion of this.variant.promotionPieces) {
+                    moves.push(this.createMove(square, toSquare, piece, captured, promotion));
+                }
+            } else {
+                moves.push(this.createMove(square, toSquare, piece, captured, null, kind));
+            }
+        };
+
+        const oneStep = square + forward;
+        if (!this.squares[oneStep]) {
+            // Promotions count as tactical moves, so quiescence sees them too
+            if (!capturesOnly || oneStep >> 4 === promotionRow) {
+                addPawnMove(oneStep, null, MOVE_NORMAL);
+            }
+            const twoSteps = oneStep + forward;
+            if (!capturesOnly && square >> 4 === startRow && !this.squares[twoSteps]) {
+                addPawnMove(twoSteps, null, MOVE_DOUBLE_PUSH);
+            }
+        }
+
+        for (const toSquare of [oneStep - 1, oneStep + 1]) {
+            if (toSquare & OFF_BOARD) continue;
+            const target = this.squares[toSquare];
+            if (target && target.color !== piece.color) {
+                addPawnMove(toSquare, target, MOVE_NORMAL);
+            } else if (toSquare === this.epSquare) {
+                const victim = this.squares[toSquare - forward];
+                moves.push(this.createMove(square, toSquare, piece, victim, null, MOVE_EN_PASSANT));
+            }
+        }
+    }
+
+    // Drops of each piece in the side to move's pocket onto every empty square, pawns not on the first or last rank
+    generateDropMoves(moves) {
+        const pocket = this.pockets[this.currentPlayer];
+        for (const type of POCKET_PIECES) {
+            if (!pocket[type]) continue;
+            for (let square = 0; square < 128; square++) {
+                if (square & OFF_BOARD) {
+                    square += 7;
+                    continue;
+                }
+                const row = square >> 4;
+                if (this.squares[square] || (type === 'PAWN' && (row === 0 || row === 7))) continue;
+                moves.push(this.createDropMove(type, square));
+            }
+        }
+    }
+
+    // Knight and king single steps
+    generateStepMoves(moves, square, piece, deltas, capturesOnly) {
+        for (const delta of deltas) {
+            const toSquare = square + delta;
+            if (toSquare & OFF_BOARD) continue;
+            const target = this.squares[toSquare];
+            if (target ? target.color !== piece.color : !capturesOnly) {
+                moves.push(this.createMove(square, toSquare, piece, target));
+            }
+        }
+    }
+
+    // Bishop, rook and queen rays
+    generateSlidingMoves(moves, square, piece, deltas, capturesOnly) {
+        for (const delta of deltas) {
+            let toSquare = square + delta;
+            while (!(toSquare & OFF_BOARD)) {
+                const target = this.squares[toSquare];
+                if (target) {
+                    if (target.color !== piece.color) {
+                        moves.push(this.createMove(square, toSquare, piece, target));
+                    }
+                    break;
+                }
+                if (!capturesOnly) moves.push(this.createMove(square, toSquare, piece, null));
+                toSquare += delta;
+            }
+        }
+    }
+
+    // Castling when the right remains, the squares both pieces cross are empty and the king does not
+    // start in or pass through check (its destination is checked by the legality test like any other
+    // king move). The king goes to the g or c file and the rook to the f or d file, as in Chess960;
+    // the move is written as the king moving onto its rook in Chess960 and two squares otherwise.
+    generateCastlingMoves(moves, square, piece) {
+        const flags = CASTLING_FLAGS[piece.color];
+        const opponent = piece.color === 'WHITE' ? 'BLACK' : 'WHITE';
+        if (!(this.castling & (flags.kingSide | flags.queenSide)) || this.isInCheck(piece.color)) return;
+
+        const homeRow = square & 0x70;
+        for (const side of ['kingSide', 'queenSide']) {
+            if (!(this.castling & flags[side])) continue;
+            const rookFrom = this.castlingRookSquares[flags[side]];
+            if (!this.hasHomeRook(rookFrom, piece.color)) continue;
+
+            const kingTo = homeRow + (side === 'kingSide' ? 6 : 2);
+            const rookTo = homeRow + (side === 'kingSide' ? 5 : 3);
+            const first = Math.min(square, kingTo, rookFrom, rookTo);
+            const last = Math.max(square, kingTo, rookFrom, rookTo);
+            let isClear = true;
+            for (let target = first; target <= last && isClear; target++) {
+                isClear = target === square || target === rookFrom || !this.squares[target];
+            }
+
+            // Squares the king crosses before its destination; the rook may be blocking an attack
+            // on one of them, but then that attack also reaches the destination once it has moved
+            const step = kingTo > square ? 1 : -1;
+            for (let target = square + step; square !== kingTo && target !== kingTo && isClear; target += step) {
+                isClear = !this.isAttacked(target, opponent);
+            }
+
+            if (isClear) {
+                const move = this.createMove(square, this.chess960 ? rookFrom : kingTo, piece, null, null, MOVE_CASTLE);
+                move.castle = { kingTo, rookFrom, rookTo };
+                moves.push(move);
+            }
+        }
+    }
+
+    // Check for a rook of the given color on a square
+    hasHomeRook(square, color) {
+        const rook = this.squares[square];
+        return rook !== null && rook.type === 'ROOK' && rook.color === color;
+    }
+
+    // En passant square to keep after a double push: only when an enemy pawn can capture,
+    // so that positions differing only in an unusable en passant square share a key
+    getCapturableEnPassant(epSquare) {
+        const pawnSquare = this.currentPlayer === 'WHITE' ? epSquare + 16 : epSquare - 16;
+        for (const square of [pawnSquare - 1, pawnSquare + 1]) {
+            if (square & OFF_BOARD) continue;
+            const piece = this.squares[square];
+            if (piece && piece.type === 'PAWN' && piece.color === this.currentPlayer) return epSquare;
+        }
+        return -1;
+    }
+
+    // Make a move generated by this board. Returns false (and takes the move back)
+    // if it would leave the mover's king in check.
+    makeMove(move) {
+        const { fromSquare, toSquare, kind } = move;
+        const piece = kind === MOVE_DROP ? new ChessPiece(move.drop, this.currentPlayer, 0, 0) : this.squares[fromSquare];
+        const color = piece.color;
+        const pieces = ZOBRIST.pieces[color];
+
+        let capturedSquare = toSquare;
+        if (kind === MOVE_EN_PASSANT) {
+            capturedSquare = color === 'WHITE' ? toSquare + 16 : toSquare - 16;
+        }
+        // Chess960 castling lands on the king's own rook
+        const captured = kind === MOVE_CASTLE ? null : this.squares[capturedSquare];
+
+        this.undoStack.push({
+            move,
+            piece,
+            captured,
+            capturedSquare,
+            castling: this.castling,
+            epSquare: this.epSquare,
+            halfMoveClock: this.halfMoveClock,
+            keyLow: this.keyLow,
+            keyHigh: this.keyHigh,
+            exploded: [],
+            gaveCheck: false
+        });
+
+        if (captured) {
+            this.toggleKey(ZOBRIST.pieces[captured.color][PIECE_INDEX[captured.type]][capturedSquare]);
+            this.clearSquare(capturedSquare);
+            this.pieceCount--;
+            // Crazyhouse pockets the captured piece, a promoted one as a pawn again
+            if (this.variant.drops) this.changePocket(color, captured.promoted ? 'PAWN' : captured.type, 1);
+        }
+
+        if (kind === MOVE_DROP) {
+            this.changePocket(color, piece.type, -1);
+            this.putPiece(piece, toSquare);
+            this.toggleKey(pieces[PIECE_INDEX[piece.type]][toSquare]);
+            this.pieceCount++;
+        } else if (kind === MOVE_CASTLE) {
+            // Lift the king and rook before placing either, since their squares can overlap in Chess960
+            const { kingTo, rookFrom, rookTo } = move.castle;
+            const rook = this.squares[rookFrom];
+            this.toggleKey(pieces[PIECE_INDEX.KING][fromSquare]);
+            this.toggleKey(pieces[PIECE_INDEX.ROOK][rookFrom]);
+            this.clearSquare(fromSquare);
+            this.clearSquare(rookFrom);
+            this.putPiece(piece, kingTo);
+            this.putPiece(rook, rookTo);
+            this.toggleKey(pieces[PIECE_INDEX.KING][kingTo]);
+            this.toggleKey(pieces[PIECE_INDEX.ROOK][rookTo]);
+        } else {
+            this.toggleKey(pieces[PIECE_INDEX[piece.type]][fromSquare]);
+            this.clearSquare(fromSquare);
+            if (move.promotion) {
+                piece.type = move.promotion;
+                piece.symbol = PIECES[color][move.promotion];
+                piece.promoted = true;
+            }
+            this.putPiece(piece, toSquare);
+            this.toggleKey(pieces[PIECE_INDEX[piece.type]][toSquare]);
+        }
+
+        const undo = this.undoStack[this.undoStack.length - 1];
+        if (captured && this.variant.explosions) undo.exploded = this.explode(toSquare);
+
+        this.toggleKey(ZOBRIST.castling[this.castling]);
+        if (kind !== MOVE_DROP) this.castling &= this.castlingMasks[fromSquare];
+        this.castling &= this.castlingMasks[toSquare];
+        for (const { square } of undo.exploded) this.castling &= this.castlingMasks[square];
+        this.toggleKey(ZOBRIST.castling[this.castling]);
+
+        if (this.epSquare !== -1) this.toggleKey(ZOBRIST.enPassant[this.epSquare & 7]);
+        this.halfMoveClock = captured || (piece.type === 'PAWN' && kind !== MOVE_DROP) ? 0 : this.halfMoveClock + 1;
+        this.currentPlayer = color === 'WHITE' ? 'BLACK' : 'WHITE';
+        this.toggleKey(ZOBRIST.blackToMove);
+
+        this.epSquare = kind === MOVE_DOUBLE_PUSH ? this.getCapturableEnPassant((fromSquare + toSquare) / 2) : -1;
+        if (this.epSquare !== -1) this.toggleKey(ZOBRIST.enPassant[this.epSquare & 7]);
+
+        this.keyHistory.push(this.getKey());
+
+        if (this.variant.isKingExposed(this, color)) {
+            this.unmakeMove();
+            return false;
+        }
+
+        // Three-check counts the checks each side gives
+        if (this.variant.checkLimit && this.isInCheck(this.currentPlayer)) {
+            const checks = ZOBRIST.checks[color];
+            if (this.checksGiven[color]) this.toggleKey(checks[this.checksGiven[color]]);
+            this.checksGiven[color]++;
+            this.toggleKey(checks[this.checksGiven[color]]);
+            this.keyHistory[this.keyHistory.length - 1] = this.getKey();
+            undo.gaveCheck = true;
+        }
+        return true;
+    }
+
+    // Blow up the piece on a square and every piece but pawns around it, as an Atomic capture does.
+    // Returns the pieces removed with their squares, for unmakeMove to put back.
+    explode(square) {
+        const exploded = [];
+        for (const delta of [0, ...KING_DELTAS]) {
+            const target = square + delta;
+            if (target & OFF_BOARD) continue;
+            const piece = this.squares[target];
+            if (!piece || (piece.type === 'PAWN' && delta !== 0)) continue;
+
+            this.toggleKey(ZOBRIST.pieces[piece.color][PIECE_INDEX[piece.type]][target]);
+            this.clearSquare(target);
+            this.pieceCount--;
+            if (piece.type === 'KING') {
+                this.kingSquares[piece.color] = -1;
+                this.kingPositions[piece.color] = null;
+            }
+            exploded.push({ piece, square: target });
+        }
+        return exploded;
+    }
+
+    // Take back the last move made with makeMove
+    unmakeMove() {
+        const undo = this.undoStack.pop();
+        if (!undo) return null;
+
+        const { move, piece, captured, exploded } = undo;
+        const { fromSquare, toSquare } = move;
+
+        // Put back what an Atomic capture blew up, the capturing piece among them
+        for (const { piece: victim, square } of exploded) {
+            this.putPiece(victim, square);
+            this.pieceCount++;
+        }
+        if (undo.gaveCheck) this.checksGiven[piece.color]--;
+        if (captured && this.variant.drops) this.pockets[piece.color][captured.promoted ? 'PAWN' : captured.type]--;
+
+        if (move.kind === MOVE_CASTLE) {
+            const { kingTo, rookFrom, rookTo } = move.castle;
+            const rook = this.squares[rookTo];
+            this.clearSquare(kingTo);
+            this.clearSquare(rookTo);
+            this.putPiece(rook, rookFrom);
+        } else {
+            this.clearSquare(toSquare);
+        }
+        if (move.promotion) {
+            piece.type = 'PAWN';
+            piece.symbol = PIECES[piece.color].PAWN;
+            piece.promoted = false;
+        }
+        if (move.kind === MOVE_DROP) {
+            this.pockets[piece.color][piece.type]++;
+            this.pieceCount--;
+        } else {
+            this.putPiece(piece, fromSquare);
+        }
+        if (captured) {
+            this.putPiece(captured, undo.capturedSquare);
+            this.pieceCount++;
+        }
+
+        this.currentPlayer = piece.color;
+        this.castling = undo.castling;
+        this.epSquare = undo.epSquare;
+        this.halfMoveClock = undo.halfMoveClock;
+        this.keyLow = undo.keyLow;
+        this.keyHigh = undo.keyHigh;
+        this.keyHistory.pop();
+
+        return move;
+    }
+
+    // Pass the turn without moving (used by null-move pruning)
+    makeNullMove() {
+        this.undoStack.push({
+            move: null,
+            epSquare: this.epSquare,
+            halfMoveClock: this.halfMoveClock,
+            keyLow: this.keyLow,
+            keyHigh: this.keyHigh
+        });
+
+        if (this.epSquare !== -1) this.toggleKey(ZOBRIST.enPassant[this.epSquare & 7]);
+        this.epSquare = -1;
+        this.halfMoveClock++;
+        this.currentPlayer = this.currentPlayer === 'WHITE' ? 'BLACK' : 'WHITE';
+        this.toggleKey(ZOBRIST.blackToMove);
+        this.keyHistory.push(this.getKey());
+    }
+
+    // Take back a null move
+    unmakeNullMove() {
+        const undo = this.undoStack.pop();
+        this.currentPlayer = this.currentPlayer === 'WHITE' ? 'BLACK' : 'WHITE';
+        this.epSquare = undo.epSquare;
+        this.halfMoveClock = undo.halfMoveClock;
+        this.keyLow = undo.keyLow;
+        this.keyHigh = undo.keyHigh;
+        this.keyHistory.pop();
+    }
+
+    // Check whether the current position already occurred since the last capture or pawn move
+    isRepetition() {
+        const key = this.keyHistory[this.keyHistory.length - 1];
+        const oldest = Math.max(0, this.keyHistory.length - 1 - this.halfMoveClock);
+        for (let i = this.keyHistory.length - 3; i >= oldest; i -= 2) {
+            if (this.keyHistory[i] === key) return true;
+        }
+        return false;
+    }
+
+    // Find the legal move matching board coordinates and an optional promotion piece, or the
+    // legal drop of a piece type onto `to` when `drop` is given
+    findMove(from, to, promotion = null, drop = null) {
+        const toSquare = to[0] * 16 + to[1];
+        if (drop) {
+            return this.getLegalMoves().find(move => move.drop === drop && move.toSquare === toSquare) || null;
+        }
+        const fromSquare = from[0] * 16 + from[1];
+        return this.getLegalMoves().find(move =>
+            move.fromSquare === fromSquare && move.toSquare === toSquare &&
+            move.promotion === (move.promotion ? promotion || 'QUEEN' : null)
+        ) || null;
+    }
+
+    // Count the leaf nodes of the legal move tree to the given depth
+    perft(depth) {
+        if (depth === 0) return 1;
+
+        let nodes = 0;
+        for (const move of this.generateMoves()) {
+            if (!this.makeMove(move)) continue;
+            nodes += depth === 1 ? 1 : this.perft(depth - 1);
+            this.unmakeMove();
+        }
+        return nodes;
+    }
+}
+
+// Export for module compatibility
+export { SearchBoard };
@@ -0,0 +1,175 @@
+// Chess clocks and time controls
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+// Preset time controls. All times are in milliseconds:
+// - time: starting time for each player (sudden death when nothing else is set)
+// - increment: added after every move (Fischer)
+// - delay: time used on a move is given back up to this amount (Bronstein)
+// - periods: after `moves` more moves, `bonus` time is added (classical moves-per-period)
+const TIME_CONTROLS = {
+    'bullet-1+0': { name: 'Bullet 1+0', time: 1 * MINUTE },
+    'blitz-3+2': { name: 'Blitz 3+2', time: 3 * MINUTE, increment: 2 * SECOND },
+    'blitz-5-delay-3': { name: 'Blitz 5 min, 3 s delay', time: 5 * MINUTE, delay: 3 * SECOND },
+    'rapid-10+0': { name: 'Rapid 10+0', time: 10 * MINUTE },
+    'rapid-15+10': { name: 'Rapid 15+10', time: 15 * MINUTE, increment: 10 * SECOND },
+    'classical-40/90+30': {
+        name: 'Classical 40/90, then 30 min, +30 s',
+        time: 90 * MINUTE,
+        increment: 30 * SECOND,
+        periods: [{ moves: 40, bonus: 30 * MINUTE }]
+    }
+};
+
+// A clock shows a low-time warning below this, or a fifth of the starting time if that is less
+const LOW_TIME_THRESHOLD = 20 * SECOND;
+
+class ChessClock {
+    constructor(timeControl, now = () => Date.now()) {
+        ChessClock.validateTimeControl(timeControl);
+        this.timeControl = timeControl;
+        this.now = now;
+        this.reset();
+    }
+
+    // Check that a time control has a positive starting time and sensible bonuses
+    static validateTimeControl(timeControl) {
+        if (!timeControl || !(timeControl.time > 0)) {
+            throw new Error('Invalid time control: starting time must be positive');
+        }
+        for (const field of ['increment', 'delay']) {
+            if (timeControl[field] !== undefined && !(timeControl[field] >= 0)) {
+                throw new Error(`Invalid time control: ${field} must not be negative`);
+            }
+        }
+        for (const period of timeControl.periods || []) {
+            if (!(period.moves > 0) || !(period.bonus >= 0)) {
+                throw new Error('Invalid time control: periods need a positive move count and a bonus');
+            }
+        }
+    }
+
+    // Format milliseconds for display: h:mm:ss, m:ss, or seconds with tenths under 10 seconds
+    static formatTime(ms) {
+        const time = Math.max(0, ms);
+        if (time < 10 * SECOND) {
+            return (Math.floor(time / 100) / 10).toFixed(1);
+        }
+
+        const totalSeconds = Math.floor(time / SECOND);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor(totalSeconds / 60) % 60;
+        const seconds = (totalSeconds % 60).toString().padStart(2, '0');
+        return hours > 0
+            ? `${hours}:${minutes.toString().padStart(2, '0')}:${seconds}`
+            : `${minutes}:${seconds}`;
+    }
+
+    // Put both clocks back to the starting time, stopped
+    reset() {
+        this.remaining = { WHITE: this.timeControl.time, BLACK: this.timeControl.time };
+        this.movesMade = { WHITE: 0, BLACK: 0 };
+        this.periodIndex = { WHITE: 0, BLACK: 0 };
+        this.movesToPeriod = { WHITE: this.getPeriodMoves(0), BLACK: this.getPeriodMoves(0) };
+        this.running = null; // Color whose clock is running
+        this.turnStartedAt = null;
+        this.flagged = null; // Color whose time ran out
+    }
+
+    // Moves needed to reach the end of a period (Infinity after the last one)
+    getPeriodMoves(index) {
+        const periods = this.timeControl.periods || [];
+        return index < periods.length ? periods[index].moves : Infinity;
+    }
+
+    // Start (or switch to) a color's clock
+    start(color) {
+        if (this.flagged) return;
+        this.stop();
+        this.running = color;
+        this.turnStartedAt = this.now();
+    }
+
+    // Stop the running clock, charging the time used so far
+    stop() {
+        if (!this.running) return;
+        this.remaining[this.running] -= this.now() - this.turnStartedAt;
+        this.running = null;
+        this.turnStartedAt = null;
+    }
+
+    // The player whose clock is running has moved: charge the move, apply the time control's
+    // bonuses and start the opponent's clock. Returns false if the flag fell before the move.
+    press() {
+        const color = this.running;
+        if (!color) return false;
+
+        const elapsed = this.now() - this.turnStartedAt;
+        this.remaining[color] -= elapsed;
+        if (this.remaining[color] <= 0) {
+            this.flag(color);
+            return false;
+        }
+
+        this.remaining[color] += Math.min(elapsed, this.timeControl.delay || 0);
+        this.remaining[color] += this.timeControl.increment || 0;
+        this.movesMade[color]++;
+
+        this.movesToPeriod[color]--;
+        if (this.movesToPeriod[color] === 0) {
+            const periods = this.timeControl.periods;
+            this.remaining[color] += periods[this.periodIndex[color]].bonus;
+            this.periodIndex[color]++;
+            this.movesToPeriod[color] = this.getPeriodMoves(this.periodIndex[color]);
+        }
+
+        this.running = color === 'WHITE' ? 'BLACK' : 'WHITE';
+        this.turnStartedAt = this.now();
+        return true;
+    }
+
+    // Time left for a color, counting the move in progress
+    getRemainingTime(color) {
+        let time = this.remaining[color];
+        if (this.running === color) {
+            time -= this.now() - this.turnStartedAt;
+        }
+        return Math.max(0, time);
+    }
+
+    // A color's time situation for budgeting a move: { remaining, increment, movesToGo }.
+    // A delay is budgeted like an increment; movesToGo is only set before a period bonus.
+    getClockState(color) {
+        const movesToGo = this.movesToPeriod[color];
+        return {
+            remaining: this.getRemainingTime(color),
+            increment: (this.timeControl.increment || 0) + (this.timeControl.delay || 0),
+            movesToGo: Number.isFinite(movesToGo) ? movesToGo : undefined
+        };
+    }
+
+    // Check whether the running clock has reached zero. Returns the flagged color, or null.
+    checkFlag() {
+        if (this.running && this.getRemainingTime(this.running) <= 0) {
+            this.flag(this.running);
+        }
+        return this.flagged;
+    }
+
+    // Mark a color's time as expired and stop the clocks
+    flag(color) {
+        this.remaining[color] = 0;
+        this.running = null;
+        this.turnStartedAt = null;
+        this.flagged = color;
+    }
+
+    // Whether a color is low enough on time to warn about it
+    isLowTime(color) {
+        const threshold = Math.min(LOW_TIME_THRESHOLD, this.timeControl.time / 5);
+        return this.getRemainingTime(color) < threshold;
+    }
+}
+
+// Export for use in other modules
+export { ChessClock, TIME_CONTROLS };
@@ -5,6 +5,9 @@ class ChessEvaluation {
     if (game.gameState === 'checkmate') {
       return game.currentPlayer === 'BLACK' ? 30000 : -30000;
     }
+    if (game.gameState === 'variant-win') {
+      return game.winner === 'WHITE' ? 30000 : -30000;
+    }
     if (game.gameState === 'stalemate' || game.gameState === 'draw') {
       return 0;
     }
@@ -21,11 +24,9 @@ class ChessEvaluation {
     // Pawn structure
     score += this.evaluatePawnStructureAdvanced(game);
 
-    // King safety
-    if (!isEndgame) {
-      score += this.evaluateKingSafetyAdvanced(game);
-    } else {
-      score += this.evaluateKingEndgame(game);
+    // King safety, where the king is royal (an Antichess king needs none)
+    if (game.variant.royalKing) {
+      score += isEndgame ? this.evaluateKingEndgame(game) : this.evaluateKingSafetyAdvanced(game);
     }
 
     // Control of key squares
@@ -34,18 +35,22 @@ class ChessEvaluation {
     // Piece coordination
     score += this.evaluatePieceCoordination(game);
 
+    // What the variant adds to or makes of the usual aims
+    score = game.variant.evaluate(game, score);
+
     return game.currentPlayer === 'WHITE' ? score : -score;
   }
 
   // Evaluate material balance
   static evaluateMaterial(game) {
     let score = 0;
+    const isEndgame = this.isEndgame(game);
     
     for (let row = 0; row < 8; row++) {
       for (let col = 0; col < 8; col++) {
         const piece = game.getPieceAt(row, col);
         if (piece) {
-          const value = piece.getValue() + piece.getPositionalValue(this.isEndgame(game));
+          const value = piece.getValue() + piece.getPositionalValue(isEndgame);
           score += piece.color === 'WHITE' ? value : -value;
         }
       }
@@ -221,8 +226,8 @@ class ChessEvaluation {
       }
 
       // Castling rights bonus
-      const king = game.getPieceAt(kingPos[0], kingPos[1]);
-      if (king && !king.hasMoved) {
+      const rights = game.castlingRights[color];
+      if (rights.kingSide || rights.queenSide) {
         safety += 25;
       }
 
@@ -311,9 +316,15 @@ class ChessEvaluation {
       [5, 2], [5, 3], [5, 4], [5, 5]
     ];
 
+    // Generate each piece's moves once rather than once per square
+    const attackCounts = {
+      WHITE: this.getAttackCounts(game, 'WHITE'),
+      BLACK: this.getAttackCounts(game, 'BLACK')
+    };
+
     for (const [row, col] of importantSquares) {
-      const whiteAttackers = this.countAttackers(game, row, col, 'WHITE');
-      const blackAttackers = this.countAttackers(game, row, col, 'BLACK');
+      const whiteAttackers = attackCounts.WHITE[row][col];
+      const blackAttackers = attackCounts.BLACK[row][col];
       
       const weight = (row === 3 || row === 4) && (col === 3 || col === 4) ? 10 : 5;
       whiteControl += whiteAttackers * weight;
@@ -498,6 +509,19 @@ class ChessEvaluation {
     return count;
   }
 
+  // Count how many pieces of a color attack each square, as an 8x8 grid
+  static getAttackCounts(game, color) {
+    const counts = Array(8).fill(null).map(() => Array(8).fill(0));
+    
+    for (const piece of game.getPieces(color)) {
+      for (const [r, c] of piece.getPossibleMoves(game.board)) {
+        counts[r][c]++;
+      }
+    }
+    
+    return counts;
+  }
+
   // Check if pawn is passed
   static isPassedPawn(game, pawn) {
     const oppositeColor = pawn.color === 'WHITE' ? 'BLACK' : 'WHITE';
@@ -1,22 +1,102 @@
 // Chess Game Logic and Rules
-import { PIECES, ChessPiece } from './chess-pieces.js';
+import { PIECES, PIECE_LETTERS, ChessPiece } from './chess-pieces.js';
+import { getVariant, STARTING_FEN, POCKET_PIECES, createPockets, copyPockets } from './chess-variants.js';
+
+// Convert board coordinates to a square name (e.g. [7, 4] -> 'e1')
+function toAlgebraic(row, col) {
+    return String.fromCharCode(97 + col) + (8 - row);
+}
+
+// Convert a square name to board coordinates (e.g. 'e1' -> [7, 4]), or null if malformed
+function fromAlgebraic(square) {
+    if (typeof square !== 'string' || !/^[a-h][1-8]$/.test(square)) return null;
+    return [8 - parseInt(square[1]), square.charCodeAt(0) - 97];
+}
+
+// Back rank of the standard starting position, a-file first
+const STANDARD_BACK_RANK = ['ROOK', 'KNIGHT', 'BISHOP', 'QUEEN', 'KING', 'BISHOP', 'KNIGHT', 'ROOK'];
+
+// Number of Chess960 starting positions, and the one that is the standard starting position
+const CHESS960_POSITIONS = 960;
+const CHESS960_STANDARD_POSITION = 518;
+
+// Ways to put the two knights on the five squares left after the bishops and queen, in the
+// order of the Chess960 numbering
+const CHESS960_KNIGHTS = [[0, 1], [0, 2], [0, 3], [0, 4], [1, 2], [1, 3], [1, 4], [2, 3], [2, 4], [3, 4]];
+
+// Back rank of a Chess960 starting position, a-file first, from its number (0-959) in the
+// standard numbering scheme: the bishops on opposite colors, then the queen and knights on
+// the free squares, and the king between the two rooks on the three left over
+function getChess960BackRank(number) {
+    if (!Number.isInteger(number) || number < 0 || number >= CHESS960_POSITIONS) {
+        throw new Error(`Invalid Chess960 position: ${number}`);
+    }
+
+    const backRank = Array(8).fill(null);
+    const freeFiles = () => backRank.map((type, col) => type ? -1 : col).filter(col => col !== -1);
+    let rest = number;
+
+    backRank[(rest % 4) * 2 + 1] = 'BISHOP'; // Light squares: b, d, f or h
+    rest = Math.floor(rest / 4);
+    backRank[(rest % 4) * 2] = 'BISHOP'; // Dark squares: a, c, e or g
+    rest = Math.floor(rest / 4);
+    backRank[freeFiles()[rest % 6]] = 'QUEEN';
+    rest = Math.floor(rest / 6);
+
+    const files = freeFiles();
+    for (const index of CHESS960_KNIGHTS[rest]) {
+        backRank[files[index]] = 'KNIGHT';
+    }
+
+    const [queenSideRook, king, kingSideRook] = freeFiles();
+    backRank[queenSideRook] = 'ROOK';
+    backRank[king] = 'KING';
+    backRank[kingSideRook] = 'ROOK';
+    return backRank;
+}
+
+// Knight jumps and the eight king directions, used for attack detection
+const KNIGHT_OFFSETS = [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]];
+const KING_OFFSETS = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
 
 class ChessGame {
-    constructor() {
+    constructor(variant = 'standard') {
+        this.variant = getVariant(variant); // Rules that differ from standard chess
         this.board = this.initializeBoard();
         this.currentPlayer = 'WHITE';
-        this.gameState = 'playing'; // playing, check, checkmate, stalemate
+        this.gameState = 'playing'; // playing, check, checkmate, stalemate, draw, timeout, variant-win
         this.moveHistory = [];
         this.capturedPieces = { WHITE: [], BLACK: [] };
         this.lastMove = null;
         this.kingPositions = { WHITE: [7, 4], BLACK: [0, 4] };
         this.enPassantTarget = null;
+        this.castlingRights = {
+            WHITE: { kingSide: true, queenSide: true },
+            BLACK: { kingSide: true, queenSide: true }
+        };
+        this.castlingRooks = { // Files of the rooks each castling right belongs to
+            WHITE: { kingSide: 7, queenSide: 0 },
+            BLACK: { kingSide: 7, queenSide: 0 }
+        };
+        this.chess960 = false; // Chess960 castling, written as the king moving onto its rook
         this.halfMoveClock = 0;
         this.fullMoveNumber = 1;
+        this.startingFEN = STARTING_FEN;
+        this.undoStack = []; // Reversible records for each move in moveHistory
+        this.redoStack = []; // Undone moves that can be replayed with redoMove
+        this.drawReason = null; // Which rule ended the game when gameState is 'draw'
+        this.flaggedPlayer = null; // Whose time ran out when gameState is 'timeout'
+        this.winner = null; // Who reached the variant's goal when gameState is 'variant-win'
+        this.checksGiven = { WHITE: 0, BLACK: 0 }; // Checks each side has given, counted in Three-check
+        this.pockets = createPockets(); // Pieces each side holds to drop, in Crazyhouse
+        this.positionHistory = [this.getPositionKey()]; // Position key after every move
+
+        // Variants with their own starting position set it up from its FEN
+        if (this.variant.startingFEN !== STARTING_FEN) this.reset();
     }
 
-    // Initialize the chess board with starting positions
-    initializeBoard() {
+    // Initialize the chess board with the pieces of a back rank (a-file first) and the pawns
+    initializeBoard(backRank = STANDARD_BACK_RANK) {
         const board = Array(8).fill(null).map(() => Array(8).fill(null));
         
         // Place pawns
@@ -26,11 +106,9 @@ class ChessGame {
         }
         
         // Place other pieces
-        const pieceOrder = ['ROOK', 'KNIGHT', 'BISHOP', 'QUEEN', 'KING', 'BISHOP', 'KNIGHT', 'ROOK'];
-        
         for (let col = 0; col < 8; col++) {
-            board[0][col] = new ChessPiece(pieceOrder[col], 'BLACK', 0, col);
-            board[7][col] = new ChessPiece(pieceOrder[col], 'WHITE', 7, col);
+            board[0][col] = new ChessPiece(backRank[col], 'BLACK', 0, col);
+            board[7][col] = new ChessPiece(backRank[col], 'WHITE', 7, col);
         }
         
         return board;
@@ -42,33 +120,66 @@ class ChessGame {
         return this.board[row][col];
     }
 
-    // Check if a position is under attack by the specified color
+    // Check if a position is under attack by the specified color.
+    // Works outwards from the square, so pawns only attack diagonally and empty squares count too.
     isSquareUnderAttack(row, col, attackingColor) {
-        for (let r = 0; r < 8; r++) {
-            for (let c = 0; c < 8; c++) {
-                const piece = this.board[r][c];
-                if (piece && piece.color === attackingColor) {
-                    // For attack checking, we don't need special moves like castling
-                    const gameContext = {
-                        enPassantTarget: this.enPassantTarget,
-                        canCastleKingSide: false,
-                        canCastleQueenSide: false
-                    };
-                    const moves = piece.getPossibleMoves(this.board, gameContext);
-                    if (moves.some(([moveRow, moveCol]) => moveRow === row && moveCol === col)) {
-                        return true;
-                    }
+        const isAttacker = (r, c, types) => {
+            const piece = this.getPieceAt(r, c);
+            return piece !== null && piece.color === attackingColor && types.includes(piece.type);
+        };
+        
+        // Pawns attack towards the opponent, so look one row back towards the attacker's side
+        const pawnRow = attackingColor === 'WHITE' ? row + 1 : row - 1;
+        if (isAttacker(pawnRow, col - 1, ['PAWN']) || isAttacker(pawnRow, col + 1, ['PAWN'])) {
+            return true;
+        }
+        
+        for (const [rowOffset, colOffset] of KNIGHT_OFFSETS) {
+            if (isAttacker(row + rowOffset, col + colOffset, ['KNIGHT'])) return true;
+        }
+        
+        for (const [rowOffset, colOffset] of KING_OFFSETS) {
+            if (isAttacker(row + rowOffset, col + colOffset, ['KING'])) return true;
+        }
+        
+        // Sliding pieces: the first piece met in each direction
+        for (const [rowDir, colDir] of KING_OFFSETS) {
+            const sliders = rowDir === 0 || colDir === 0 ? ['ROOK', 'QUEEN'] : ['BISHOP', 'QUEEN'];
+            let r = row + rowDir;
+            let c = col + colDir;
+            
+            while (r >= 0 && r < 8 && c >= 0 && c < 8) {
+                if (this.board[r][c]) {
+                    if (isAttacker(r, c, sliders)) return true;
+                    break;
                 }
+                r += rowDir;
+                c += colDir;
             }
         }
+        
         return false;
     }
 
-    // Check if the king is in check
+    // Check if the king is in check, by the variant's rules
     isInCheck(color) {
-        const kingPos = this.kingPositions[color];
-        const oppositeColor = color === 'WHITE' ? 'BLACK' : 'WHITE';
-        return this.isSquareUnderAttack(kingPos[0], kingPos[1], oppositeColor);
+        return this.variant.isInCheck(this, color);
+    }
+
+    // Whether a possible move of `piece` to a square captures, en passant included
+    isCapture(piece, toRow, toCol) {
+        const target = this.getPieceAt(toRow, toCol);
+        if (target) return target.color !== piece.color;
+        return piece.type === 'PAWN' && this.enPassantTarget !== null &&
+            toRow === this.enPassantTarget[0] && toCol === this.enPassantTarget[1];
+    }
+
+    // Whether any piece of `color` has a capture, ignoring king safety
+    hasCapture(color) {
+        const gameContext = { enPassantTarget: this.enPassantTarget, castlingMoves: [] };
+        return this.getPieces(color).some(piece =>
+            piece.getPossibleMoves(this.board, gameContext).some(([toRow, toCol]) => this.isCapture(piece, toRow, toCol))
+        );
     }
 
     // Get all legal moves for a piece
@@ -77,8 +188,7 @@ class ChessGame {
         
         const gameContext = {
             enPassantTarget: this.enPassantTarget,
-            canCastleKingSide: piece.type === 'KING' ? this.canCastle(piece.color, true) : false,
-            canCastleQueenSide: piece.type === 'KING' ? this.canCastle(piece.color, false) : false
+            castlingMoves: piece.type === 'KING' ? this.getCastlingMoves(piece.color) : []
         };
         
         const possibleMoves = piece.getPossibleMoves(this.board, gameContext);
@@ -101,16 +211,20 @@ class ChessGame {
         // First check if the move is possible according to piece rules
         const gameContext = {
             enPassantTarget: this.enPassantTarget,
-            canCastleKingSide: piece.type === 'KING' ? this.canCastle(piece.color, true) : false,
-            canCastleQueenSide: piece.type === 'KING' ? this.canCastle(piece.color, false) : false
+            castlingMoves: piece.type === 'KING' ? this.getCastlingMoves(piece.color) : []
         };
         
         const possibleMoves = piece.getPossibleMoves(this.board, gameContext);
         const isPossible = possibleMoves.some(([moveRow, moveCol]) => moveRow === toRow && moveCol === toCol);
         if (!isPossible) return false;
         
+        // Where captures are compulsory, other moves are only allowed when there is nothing to take
+        if (this.variant.capturesCompulsory && !this.isCapture(piece, toRow, toCol) && this.hasCapture(piece.color)) {
+            return false;
+        }
+        
         // Special handling for castling - already checked in canCastle
-        if (piece.type === 'KING' && Math.abs(toCol - fromCol) === 2) {
+        if (this.getCastlingSide(piece, toRow, toCol)) {
             return true; // Castling legality is already verified in canCastle
         }
         
@@ -135,15 +249,19 @@ class ChessGame {
         piece.row = toRow;
         piece.col = toCol;
         
-        // Update king position if king moved
-        if (piece.type === 'KING') {
+        // Update king position if king moved (only royal kings are tracked)
+        if (piece.type === 'KING' && this.variant.royalKing) {
             this.kingPositions[piece.color] = [toRow, toCol];
         }
         
-        // Check if this move leaves the king in check
-        const isLegal = !this.isInCheck(piece.color);
+        // Set off the explosion of an Atomic capture
+        const exploded = (capturedPiece || enPassantCapturedPawn) && this.variant.explosions ? this.explode(toRow, toCol) : [];
+        
+        // Check if this move leaves the king in check (or, in Atomic, blown up)
+        const isLegal = !this.variant.isKingExposed(this, piece.color);
         
         // Restore the original state
+        this.restoreExploded(exploded);
         this.board[fromRow][fromCol] = piece;
         this.board[toRow][toCol] = capturedPiece;
         piece.row = originalRow;
@@ -165,22 +283,49 @@ class ChessGame {
         if (!piece || !this.isLegalMove(fromRow, fromCol, toRow, toCol)) {
             return false;
         }
+
+        // A pawn reaching the last rank must become one of the variant's promotion pieces
+        const isPromotion = piece.type === 'PAWN' && (toRow === 0 || toRow === 7);
+        if (isPromotion && !this.variant.promotionPieces.includes(promotionPiece)) {
+            return false;
+        }
         
-        let capturedPiece = this.getPieceAt(toRow, toCol);
+        // A Chess960 castling move lands on the king's own rook, which is not a capture
+        const castlingSide = this.getCastlingSide(piece, toRow, toCol);
+        let capturedPiece = castlingSide ? null : this.getPieceAt(toRow, toCol);
+        let enPassantCaptureRow = null;
         
         // Handle en passant capture
         if (piece.type === 'PAWN' && !capturedPiece && this.enPassantTarget &&
             toRow === this.enPassantTarget[0] && toCol === this.enPassantTarget[1]) {
-            const captureRow = piece.color === 'WHITE' ? toRow + 1 : toRow - 1;
-            capturedPiece = this.board[captureRow][toCol];
-            this.board[captureRow][toCol] = null;
+            enPassantCaptureRow = piece.color === 'WHITE' ? toRow + 1 : toRow - 1;
+            capturedPiece = this.board[enPassantCaptureRow][toCol];
         }
         
-        const moveNotation = this.getMoveNotation(piece, fromRow, fromCol, toRow, toCol, capturedPiece);
+        // Notation needs the position before the move for disambiguation
+        let moveNotation = this.getMoveNotation(piece, fromRow, fromCol, toRow, toCol, capturedPiece, promotionPiece);
+        
+        // Everything needed to take the move back again
+        const undo = {
+            piece,
+            from: [fromRow, fromCol],
+            to: [toRow, toCol],
+            captured: capturedPiece,
+            pieceHasMoved: piece.hasMoved,
+            promotedFrom: null,
+            castlingRook: null,
+            exploded: [],
+            ...this.saveState()
+        };
         
-        // Handle captures
+        if (enPassantCaptureRow !== null) {
+            this.board[enPassantCaptureRow][toCol] = null;
+        }
+        
+        // Handle captures; in Crazyhouse the capturer pockets the piece, a promoted one as a pawn again
         if (capturedPiece) {
             this.capturedPieces[capturedPiece.color].push(capturedPiece);
+            if (this.variant.drops) this.pockets[piece.color][capturedPiece.promoted ? 'PAWN' : capturedPiece.type]++;
             this.halfMoveClock = 0;
         } else if (piece.type === 'PAWN') {
             this.halfMoveClock = 0;
@@ -188,25 +333,42 @@ class ChessGame {
             this.halfMoveClock++;
         }
         
-        // Move the piece
-        this.board[toRow][toCol] = piece;
-        this.board[fromRow][fromCol] = null;
-        piece.moveTo(toRow, toCol);
+        // Move the piece, and the rook as well when castling
+        if (castlingSide) {
+            undo.castlingRook = this.handleCastling(piece, castlingSide);
+        } else {
+            this.board[toRow][toCol] = piece;
+            this.board[fromRow][fromCol] = null;
+            piece.moveTo(toRow, toCol);
+        }
         
-        // Update king position
-        if (piece.type === 'KING') {
-            this.kingPositions[piece.color] = [toRow, toCol];
+        // Update king position (only royal kings are tracked)
+        if (piece.type === 'KING' && this.variant.royalKing) {
+            this.kingPositions[piece.color] = [piece.row, piece.col];
         }
         
         // Handle pawn promotion
-        if (piece.type === 'PAWN' && (toRow === 0 || toRow === 7)) {
+        if (isPromotion) {
+            undo.promotedFrom = piece.type;
+            piece.promoted = true;
             piece.type = promotionPiece;
             piece.symbol = PIECES[piece.color][promotionPiece];
         }
         
-        // Handle castling
-        if (piece.type === 'KING' && Math.abs(toCol - fromCol) === 2) {
-            this.handleCastling(fromRow, fromCol, toRow, toCol);
+        // Update castling rights
+        this.updateCastlingRights(piece, fromRow, fromCol, capturedPiece, toRow, toCol);
+        
+        // An Atomic capture blows up the capturing piece and everything but pawns around it
+        if (capturedPiece && this.variant.explosions) {
+            undo.exploded = this.explode(toRow, toCol);
+            for (const victim of undo.exploded) {
+                this.capturedPieces[victim.color].push(victim);
+                if (victim.type === 'KING') {
+                    this.castlingRights[victim.color] = { kingSide: false, queenSide: false };
+                } else {
+                    this.revokeRookRight(victim.row, victim.col, victim.color);
+                }
+            }
         }
         
         // Update en passant target
@@ -216,83 +378,519 @@ class ChessGame {
             this.enPassantTarget = null;
         }
         
-        // Record the move
-        this.lastMove = { from: [fromRow, fromCol], to: [toRow, toCol], piece: piece.type };
-        this.moveHistory.push({
+        this.recordMove(undo, {
             notation: moveNotation,
             from: [fromRow, fromCol],
             to: [toRow, toCol],
             piece: piece.type,
-            captured: capturedPiece ? capturedPiece.type : null
+            captured: capturedPiece ? capturedPiece.type : null,
+            promotion: isPromotion ? promotionPiece : null
         });
+        return true;
+    }
+
+    // Drop a piece of `type` from the side to move's pocket onto an empty square (Crazyhouse)
+    makeDrop(type, toRow, toCol) {
+        if (!this.isLegalDrop(type, toRow, toCol)) return false;
+        
+        const piece = new ChessPiece(type, this.currentPlayer, toRow, toCol);
+        const undo = { piece, from: null, to: [toRow, toCol], captured: null, castlingRook: null, exploded: [], ...this.saveState() };
+        
+        this.board[toRow][toCol] = piece;
+        this.pockets[piece.color][type]--;
+        this.halfMoveClock++;
+        this.enPassantTarget = null;
+        
+        this.recordMove(undo, {
+            notation: `${PIECE_LETTERS[type]}@${toAlgebraic(toRow, toCol)}`,
+            from: null,
+            to: [toRow, toCol],
+            piece: type,
+            captured: null,
+            promotion: null,
+            drop: type
+        });
+        return true;
+    }
+
+    // Play a move { from, to, promotion } or a drop { to, drop } as listed by getAllLegalMoves or
+    // moveHistory. Returns false if it is not legal.
+    playMove({ from, to, promotion, drop }) {
+        if (drop) return this.makeDrop(drop, to[0], to[1]);
+        return this.makeMove(from[0], from[1], to[0], to[1], promotion || undefined);
+    }
+
+    // State besides the pieces that a move changes, for unmakeMove to restore
+    saveState() {
+        return {
+            enPassantTarget: this.enPassantTarget,
+            castlingRights: this.copyCastlingRights(),
+            halfMoveClock: this.halfMoveClock,
+            fullMoveNumber: this.fullMoveNumber,
+            kingPositions: { ...this.kingPositions },
+            lastMove: this.lastMove,
+            gameState: this.gameState,
+            drawReason: this.drawReason,
+            winner: this.winner,
+            checksGiven: { ...this.checksGiven },
+            pockets: this.variant.drops ? copyPockets(this.pockets) : null
+        };
+    }
+
+    // Record a move or drop that has been played on the board, pass the turn and update the game state
+    recordMove(undo, entry) {
+        const mover = this.currentPlayer;
+        this.lastMove = { from: entry.from, to: entry.to, piece: entry.piece };
+        this.moveHistory.push(entry);
+        this.undoStack.push(undo);
+        this.redoStack = [];
         
         // Switch players
-        this.currentPlayer = this.currentPlayer === 'WHITE' ? 'BLACK' : 'WHITE';
+        this.currentPlayer = mover === 'WHITE' ? 'BLACK' : 'WHITE';
         if (this.currentPlayer === 'WHITE') {
             this.fullMoveNumber++;
         }
         
+        // Three-check counts the checks each side gives
+        if (this.variant.checkLimit && this.isInCheck(this.currentPlayer)) {
+            this.checksGiven[mover]++;
+        }
+        
         // Update game state
+        this.positionHistory.push(this.getPositionKey());
         this.updateGameState();
         
-        return true;
+        // Check and checkmate suffixes depend on the position after the move
+        if (this.gameState === 'checkmate') {
+            entry.notation += '#';
+        } else if (this.isInCheck(this.currentPlayer)) {
+            entry.notation += '+';
+        }
+    }
+
+    // Check if the side to move may drop a piece of `type` from its pocket on a square: the square
+    // must be empty, pawns cannot go on the first or last rank, and the drop must not leave the king in check
+    isLegalDrop(type, toRow, toCol) {
+        const color = this.currentPlayer;
+        if (!this.variant.drops || !(this.pockets[color][type] > 0)) return false;
+        if (toRow < 0 || toRow >= 8 || toCol < 0 || toCol >= 8 || this.board[toRow][toCol]) return false;
+        if (type === 'PAWN' && (toRow === 0 || toRow === 7)) return false;
+        
+        this.board[toRow][toCol] = new ChessPiece(type, color, toRow, toCol);
+        const isLegal = !this.variant.isKingExposed(this, color);
+        this.board[toRow][toCol] = null;
+        return isLegal;
+    }
+
+    // Get every legal drop for the side to move as { from: null, to, promotion: null, drop }
+    getLegalDrops() {
+        const drops = [];
+        if (!this.variant.drops) return drops;
+        
+        for (const type of POCKET_PIECES) {
+            if (!this.pockets[this.currentPlayer][type]) continue;
+            for (let row = 0; row < 8; row++) {
+                for (let col = 0; col < 8; col++) {
+                    if (this.isLegalDrop(type, row, col)) {
+                        drops.push({ from: null, to: [row, col], promotion: null, drop: type });
+                    }
+                }
+            }
+        }
+        return drops;
+    }
+
+    // Castle towards one side: the king lands on the g or c file and its rook next to it on the
+    // f or d file, wherever they started. Both leave the board before either lands, since in
+    // Chess960 their squares can overlap. Returns the rook's move so it can be undone.
+    handleCastling(king, side) {
+        const row = king.row;
+        const rookFromCol = this.castlingRooks[king.color][side];
+        const rookToCol = side === 'kingSide' ? 5 : 3;
+        const kingToCol = side === 'kingSide' ? 6 : 2;
+        const rook = this.board[row][rookFromCol];
+        
+        const record = { rook, row, fromCol: rookFromCol, toCol: rookToCol, hasMoved: rook.hasMoved };
+        this.board[row][king.col] = null;
+        this.board[row][rookFromCol] = null;
+        this.board[row][kingToCol] = king;
+        this.board[row][rookToCol] = rook;
+        king.moveTo(row, kingToCol);
+        rook.moveTo(row, rookToCol);
+        return record;
+    }
+
+    // Blow up the piece on a square and every piece but pawns around it, as an Atomic capture does.
+    // Returns the pieces removed, which keep their row and col so restoreExploded can put them back.
+    explode(row, col) {
+        const exploded = [];
+        for (let r = row - 1; r <= row + 1; r++) {
+            for (let c = col - 1; c <= col + 1; c++) {
+                const piece = this.getPieceAt(r, c);
+                if (!piece || (piece.type === 'PAWN' && (r !== row || c !== col))) continue;
+                
+                this.board[r][c] = null;
+                if (piece.type === 'KING') this.kingPositions[piece.color] = null;
+                exploded.push(piece);
+            }
+        }
+        return exploded;
+    }
+
+    // Put back pieces removed by explode (king positions are left to the caller)
+    restoreExploded(exploded) {
+        for (const piece of exploded) {
+            this.board[piece.row][piece.col] = piece;
+        }
+    }
+
+    // Take back the last move, restoring the exact previous position.
+    // Returns the undone moveHistory entry, or null if there is nothing to undo.
+    unmakeMove() {
+        const undo = this.undoStack.pop();
+        if (!undo) return null;
+        
+        const move = this.moveHistory.pop();
+        const { piece, captured, castlingRook, exploded } = undo;
+        
+        // Bring back the pieces an Atomic capture blew up, the capturing piece among them
+        for (let i = exploded.length - 1; i >= 0; i--) {
+            this.capturedPieces[exploded[i].color].pop();
+        }
+        this.restoreExploded(exploded);
+        
+        // Lift the piece off its square first: after Chess960 castling it may stand where the rook goes back
+        this.board[piece.row][piece.col] = null;
+        
+        // Put the rook back if this was castling
+        if (castlingRook) {
+            const { rook, row } = castlingRook;
+            this.board[row][castlingRook.toCol] = null;
+            this.board[row][castlingRook.fromCol] = rook;
+            rook.col = castlingRook.fromCol;
+            rook.hasMoved = castlingRook.hasMoved;
+        }
+        
+        // Turn a promoted piece back into a pawn
+        if (undo.promotedFrom) {
+            piece.type = undo.promotedFrom;
+            piece.promoted = false;
+            piece.symbol = PIECES[piece.color][undo.promotedFrom];
+        }
+        
+        // Move the piece back; a dropped piece simply goes back to the pocket with the pockets below
+        if (undo.from) {
+            const [fromRow, fromCol] = undo.from;
+            this.board[fromRow][fromCol] = piece;
+            piece.row = fromRow;
+            piece.col = fromCol;
+            piece.hasMoved = undo.pieceHasMoved;
+        }
+        
+        // Restore a captured piece (en passant victims keep their own square)
+        if (captured) {
+            this.board[captured.row][captured.col] = captured;
+            this.capturedPieces[captured.color].pop();
+        }
+        
+        this.currentPlayer = piece.color;
+        this.enPassantTarget = undo.enPassantTarget;
+        this.castlingRights = undo.castlingRights;
+        this.halfMoveClock = undo.halfMoveClock;
+        this.fullMoveNumber = undo.fullMoveNumber;
+        this.kingPositions = undo.kingPositions;
+        this.lastMove = undo.lastMove;
+        this.gameState = undo.gameState;
+        this.drawReason = undo.drawReason;
+        this.winner = undo.winner;
+        this.checksGiven = undo.checksGiven;
+        if (undo.pockets) this.pockets = undo.pockets;
+        this.flaggedPlayer = null;
+        this.positionHistory.pop();
+        
+        this.redoStack.push({ from: undo.from, to: undo.to, promotion: move.promotion, drop: move.drop || null });
+        return move;
+    }
+
+    // Replay the most recently undone move. Returns false if there is nothing to redo.
+    redoMove() {
+        const next = this.redoStack.pop();
+        if (!next) return false;
+        
+        // makeMove clears the redo stack, so keep the remaining entries
+        const remaining = this.redoStack;
+        const success = this.playMove(next);
+        this.redoStack = remaining;
+        return success;
+    }
+
+    // Check whether there is a move to undo
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    // Check whether there is an undone move to redo
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // Get every legal move for the side to move as { from, to, promotion }, listing each
+    // promotion choice as a separate move, followed by any Crazyhouse drops
+    getAllLegalMoves() {
+        const moves = [];
+        
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = this.board[row][col];
+                if (!piece || piece.color !== this.currentPlayer) continue;
+                
+                for (const [toRow, toCol] of this.getLegalMoves(piece)) {
+                    if (piece.type === 'PAWN' && (toRow === 0 || toRow === 7)) {
+                        for (const promotion of this.variant.promotionPieces) {
+                            moves.push({ from: [row, col], to: [toRow, toCol], promotion });
+                        }
+                    } else {
+                        moves.push({ from: [row, col], to: [toRow, toCol], promotion: null });
+                    }
+                }
+            }
+        }
+        
+        return moves.concat(this.getLegalDrops());
+    }
+
+    // Count the leaf nodes of the legal move tree to the given depth (move generator test)
+    perft(depth) {
+        const redoStack = this.redoStack;
+        const nodes = this.countPerftNodes(depth);
+        this.redoStack = redoStack;
+        return nodes;
+    }
+
+    // Perft split by root move, keyed by coordinate notation such as 'e2e4' or 'e7e8q'
+    divide(depth) {
+        const redoStack = this.redoStack;
+        const counts = {};
+        
+        for (const move of this.getAllLegalMoves()) {
+            this.playMove(move);
+            counts[this.getCoordinateNotation(move)] = depth > 1 ? this.countPerftNodes(depth - 1) : 1;
+            this.unmakeMove();
+        }
+        
+        this.redoStack = redoStack;
+        return counts;
     }
 
-    // Handle castling move
-    handleCastling(fromRow, fromCol, toRow, toCol) {
-        const isKingSide = toCol > fromCol;
-        const rookFromCol = isKingSide ? 7 : 0;
-        const rookToCol = isKingSide ? 5 : 3;
+    // Recursive perft step; makes and unmakes every move on this game
+    countPerftNodes(depth) {
+        if (depth === 0) return 1;
         
-        const rook = this.getPieceAt(fromRow, rookFromCol);
-        if (rook) {
-            this.board[fromRow][rookToCol] = rook;
-            this.board[fromRow][rookFromCol] = null;
-            rook.moveTo(fromRow, rookToCol);
+        const moves = this.getAllLegalMoves();
+        if (depth === 1) return moves.length;
+        
+        let nodes = 0;
+        for (const move of moves) {
+            this.playMove(move);
+            nodes += this.countPerftNodes(depth - 1);
+            this.unmakeMove();
+        }
+        return nodes;
+    }
+
+    // Format a move as coordinate notation, e.g. 'e2e4', 'e7e8q' or the drop 'N@f3'
+    getCoordinateNotation(move) {
+        if (move.drop) return `${PIECE_LETTERS[move.drop]}@${toAlgebraic(move.to[0], move.to[1])}`;
+        const promotion = move.promotion ? PIECE_LETTERS[move.promotion].toLowerCase() : '';
+        return toAlgebraic(move.from[0], move.from[1]) + toAlgebraic(move.to[0], move.to[1]) + promotion;
+    }
+
+    // SAN of a legal move { from, to, promotion } or drop in the current position, including any
+    // check suffix, or null if the move is not legal
+    getSAN(move) {
+        const game = this.cloneGame();
+        if (!game.playMove(move)) return null;
+        return game.moveHistory[game.moveHistory.length - 1].notation;
+    }
+
+    // Format a line of moves { from, to, promotion } from the current position as numbered SAN,
+    // e.g. '12. Nf3 Nc6 13. Bb5' or '12... Nc6 13. Bb5'. The line stops at the first illegal move.
+    formatLine(moves) {
+        const game = this.cloneGame();
+        const parts = [];
+
+        for (const move of moves) {
+            const color = game.currentPlayer;
+            const moveNumber = game.fullMoveNumber;
+            if (!game.playMove(move)) break;
+
+            const { notation } = game.moveHistory[game.moveHistory.length - 1];
+            if (color === 'WHITE') {
+                parts.push(`${moveNumber}. ${notation}`);
+            } else {
+                parts.push(parts.length === 0 ? `${moveNumber}... ${notation}` : notation);
+            }
+        }
+
+        return parts.join(' ');
+    }
+
+    // The position after the first `ply` moves of this game, replayed from its starting position
+    // as a new game. The game itself is left unchanged.
+    getPositionAt(ply) {
+        if (!Number.isInteger(ply) || ply < 0 || ply > this.moveHistory.length) {
+            throw new Error(`Invalid ply: ${ply}`);
         }
+
+        const game = ChessGame.fromFEN(this.startingFEN, null, this.variant.id);
+        for (const move of this.moveHistory.slice(0, ply)) {
+            game.playMove(move);
+        }
+        return game;
     }
 
-    // Check if castling is possible
+    // Parse coordinate notation such as 'e2e4', 'e7e8q' or the drop 'N@f3' into a legal move
+    // { from, to, promotion } or drop, or null if it is malformed or illegal. Promotions must name the piece.
+    parseCoordinateMove(text) {
+        const drop = this.parseDrop(text);
+        if (drop !== undefined) return drop;
+
+        const match = typeof text === 'string' && text.trim().match(/^([a-h][1-8])([a-h][1-8])([qrbnk])?$/);
+        if (!match) return null;
+
+        const from = fromAlgebraic(match[1]);
+        const to = fromAlgebraic(match[2]);
+        const promotion = match[3]
+            ? Object.keys(PIECE_LETTERS).find(type => PIECE_LETTERS[type] === match[3].toUpperCase())
+            : null;
+
+        return this.getAllLegalMoves().find(move =>
+            move.from && move.from[0] === from[0] && move.from[1] === from[1] &&
+            move.to[0] === to[0] && move.to[1] === to[1] &&
+            move.promotion === promotion
+        ) || null;
+    }
+
+    // Update castling rights after a move: king moves lose both rights, and a rook
+    // leaving or being captured on its original square loses that side's right
+    updateCastlingRights(piece, fromRow, fromCol, capturedPiece, toRow, toCol) {
+        if (piece.type === 'KING') {
+            this.castlingRights[piece.color] = { kingSide: false, queenSide: false };
+        }
+        
+        this.revokeRookRight(fromRow, fromCol, piece.color);
+        if (capturedPiece) {
+            this.revokeRookRight(toRow, toCol, capturedPiece.color);
+        }
+    }
+
+    // Remove the castling right tied to a rook's original square
+    revokeRookRight(row, col, color) {
+        const homeRow = color === 'WHITE' ? 7 : 0;
+        if (row !== homeRow) return;
+        
+        if (col === this.castlingRooks[color].kingSide) this.castlingRights[color].kingSide = false;
+        if (col === this.castlingRooks[color].queenSide) this.castlingRights[color].queenSide = false;
+    }
+
+    // Copy castling rights so they can be restored later
+    copyCastlingRights() {
+        return {
+            WHITE: { ...this.castlingRights.WHITE },
+            BLACK: { ...this.castlingRights.BLACK }
+        };
+    }
+
+    // Check if castling is possible. The king goes to the g or c file and the rook to the f or
+    // d file from any starting files, as in Chess960; standard chess is the case of e, h and a.
     canCastle(color, kingSide) {
+        const side = kingSide ? 'kingSide' : 'queenSide';
+        if (!this.castlingRights[color][side]) return false;
+        
         const row = color === 'WHITE' ? 7 : 0;
-        const king = this.getPieceAt(row, 4);
-        const rook = this.getPieceAt(row, kingSide ? 7 : 0);
+        const [kingRow, kingCol] = this.kingPositions[color];
+        const rookCol = this.castlingRooks[color][side];
+        const king = this.getPieceAt(kingRow, kingCol);
+        const rook = this.getPieceAt(row, rookCol);
         
         // Check basic requirements
-        if (!king || king.type !== 'KING' || king.hasMoved) return false;
-        if (!rook || rook.type !== 'ROOK' || rook.hasMoved) return false;
+        if (kingRow !== row || !king || king.type !== 'KING' || king.color !== color) return false;
+        if (!rook || rook.type !== 'ROOK' || rook.color !== color) return false;
         if (this.isInCheck(color)) return false;
         
-        // Check if squares between king and rook are empty
-        if (kingSide) {
-            // King-side: check f and g files
-            if (this.getPieceAt(row, 5) || this.getPieceAt(row, 6)) return false;
-        } else {
-            // Queen-side: check b, c, and d files
-            if (this.getPieceAt(row, 1) || this.getPieceAt(row, 2) || this.getPieceAt(row, 3)) return false;
+        // Every square either piece crosses or lands on must be empty, apart from the two of them
+        const kingToCol = kingSide ? 6 : 2;
+        const rookToCol = kingSide ? 5 : 3;
+        const firstCol = Math.min(kingCol, kingToCol, rookCol, rookToCol);
+        const lastCol = Math.max(kingCol, kingToCol, rookCol, rookToCol);
+        for (let col = firstCol; col <= lastCol; col++) {
+            if (col !== kingCol && col !== rookCol && this.board[row][col]) return false;
         }
         
-        // Check if king passes through or ends up in check
+        // The king may not pass through or land on an attacked square. Both pieces come off the
+        // board while looking, since either may be blocking an attack along the rank.
         const oppositeColor = color === 'WHITE' ? 'BLACK' : 'WHITE';
-        if (kingSide) {
-            // King-side: king moves from e to g, passing through f
-            if (this.isSquareUnderAttack(row, 5, oppositeColor) || 
-                this.isSquareUnderAttack(row, 6, oppositeColor)) return false;
-        } else {
-            // Queen-side: king moves from e to c, passing through d
-            if (this.isSquareUnderAttack(row, 3, oppositeColor) || 
-                this.isSquareUnderAttack(row, 2, oppositeColor)) return false;
+        const step = kingToCol > kingCol ? 1 : -1;
+        this.board[row][kingCol] = null;
+        this.board[row][rookCol] = null;
+        let isSafe = true;
+        for (let col = kingCol; isSafe; col += step) {
+            isSafe = !this.isSquareUnderAttack(row, col, oppositeColor);
+            if (col === kingToCol) break;
         }
+        this.board[row][kingCol] = king;
+        this.board[row][rookCol] = rook;
         
-        return true;
+        return isSafe;
+    }
+
+    // Target squares of the castling moves the king of `color` can make
+    getCastlingMoves(color) {
+        return ['kingSide', 'queenSide']
+            .filter(side => this.canCastle(color, side === 'kingSide'))
+            .map(side => this.getCastlingTarget(color, side));
     }
 
-    // Update game state (check, checkmate, stalemate)
+    // Square a castling move is written to: the king's own rook in Chess960, where the king may
+    // start next to its destination or on it, and otherwise the king's destination
+    getCastlingTarget(color, side) {
+        const row = color === 'WHITE' ? 7 : 0;
+        if (this.chess960) return [row, this.castlingRooks[color][side]];
+        return [row, side === 'kingSide' ? 6 : 2];
+    }
+
+    // Which side ('kingSide' or 'queenSide') a move of `piece` to a square castles to, or null
+    // if it is not castling. Only meaningful for moves that are possible.
+    getCastlingSide(piece, toRow, toCol) {
+        if (piece.type !== 'KING' || toRow !== piece.row) return null;
+        
+        if (this.chess960) {
+            const target = this.getPieceAt(toRow, toCol);
+            if (!target || target.type !== 'ROOK' || target.color !== piece.color) return null;
+            const rooks = this.castlingRooks[piece.color];
+            if (toCol === rooks.kingSide) return 'kingSide';
+            return toCol === rooks.queenSide ? 'queenSide' : null;
+        }
+        
+        if (Math.abs(toCol - piece.col) !== 2) return null;
+        return toCol > piece.col ? 'kingSide' : 'queenSide';
+    }
+
+    // Update game state (check, checkmate, stalemate, or a win by the variant's own rules)
     updateGameState() {
+        this.drawReason = null;
+        this.winner = this.variant.getWinner(this);
         const inCheck = this.isInCheck(this.currentPlayer);
-        const hasLegalMoves = this.hasLegalMoves(this.currentPlayer);
+        const hasLegalMoves = this.winner !== null || this.hasLegalMoves(this.currentPlayer);
+        
+        // In Antichess the player who cannot move wins
+        if (!hasLegalMoves && this.variant.winsWithoutMoves) {
+            this.winner = this.currentPlayer;
+        }
         
-        if (inCheck && !hasLegalMoves) {
+        if (this.winner) {
+            this.gameState = 'variant-win';
+        } else if (inCheck && !hasLegalMoves) {
             this.gameState = 'checkmate';
         } else if (!inCheck && !hasLegalMoves) {
             this.gameState = 'stalemate';
@@ -302,13 +900,113 @@ class ChessGame {
             this.gameState = 'playing';
         }
         
-        // Check for draw by insufficient material or 50-move rule
-        if (this.halfMoveClock >= 100 || this.isInsufficientMaterial()) {
+        // Wins, checkmate and stalemate take precedence over the automatic draw rules
+        if (['checkmate', 'stalemate', 'variant-win'].includes(this.gameState)) return;
+        
+        const drawReason = this.getAutomaticDrawReason();
+        if (drawReason) {
             this.gameState = 'draw';
+            this.drawReason = drawReason;
         }
     }
 
-    // Check if current player has any legal moves
+    // Get the rule that ends the game as a draw without a claim, if any
+    getAutomaticDrawReason() {
+        if (this.isInsufficientMaterial()) return 'insufficient-material';
+        if (this.getRepetitionCount() >= 5) return 'fivefold-repetition';
+        if (this.halfMoveClock >= 150) return 'seventy-five-move-rule';
+        return null;
+    }
+
+    // Get the rule a player could invoke to claim a draw right now, if any
+    getClaimableDrawReason() {
+        if (this.gameState !== 'playing' && this.gameState !== 'check') return null;
+        if (this.getRepetitionCount() >= 3) return 'threefold-repetition';
+        if (this.halfMoveClock >= 100) return 'fifty-move-rule';
+        return null;
+    }
+
+    // Check if the player to move may claim a draw
+    canClaimDraw() {
+        return this.getClaimableDrawReason() !== null;
+    }
+
+    // Claim a draw by threefold repetition or the 50-move rule. Returns false if no claim is possible.
+    claimDraw() {
+        const reason = this.getClaimableDrawReason();
+        if (!reason) return false;
+        
+        this.gameState = 'draw';
+        this.drawReason = reason;
+        return true;
+    }
+
+    // End the game because a player's clock ran out. It is a loss for that player unless the
+    // opponent has no material to checkmate with, which makes it a draw. Returns false if the game is over.
+    flagFall(color) {
+        if (this.gameState !== 'playing' && this.gameState !== 'check') return false;
+        
+        const opponent = color === 'WHITE' ? 'BLACK' : 'WHITE';
+        if (this.hasMatingMaterial(opponent)) {
+            this.gameState = 'timeout';
+            this.flaggedPlayer = color;
+        } else {
+            this.gameState = 'draw';
+            this.drawReason = 'timeout-vs-insufficient-material';
+        }
+        return true;
+    }
+
+    // Check whether a color could checkmate by any sequence of legal moves (FIDE flag-fall rule).
+    // A lone knight or same-colored bishops can only mate with the help of enemy blockers.
+    hasMatingMaterial(color) {
+        const own = this.getPieces(color).filter(piece => piece.type !== 'KING');
+        const enemy = this.getPieces(color === 'WHITE' ? 'BLACK' : 'WHITE').filter(piece => piece.type !== 'KING');
+        const squareColor = (piece) => (piece.row + piece.col) % 2;
+        
+        if (own.some(piece => ['PAWN', 'ROOK', 'QUEEN'].includes(piece.type))) return true;
+        if (own.length === 0) return false;
+        
+        const knights = own.filter(piece => piece.type === 'KNIGHT');
+        const bishops = own.filter(piece => piece.type === 'BISHOP');
+        if (knights.length > 1 || (knights.length === 1 && bishops.length > 0)) return true;
+        if (knights.length === 1) return enemy.length > 0;
+        
+        // Only bishops: they need both square colors, or an enemy piece that can block a flight square
+        const bishopColor = squareColor(bishops[0]);
+        if (bishops.some(bishop => squareColor(bishop) !== bishopColor)) return true;
+        return enemy.some(piece => piece.type !== 'BISHOP' || squareColor(piece) !== bishopColor);
+    }
+
+    // Count how many times the current position has occurred in this game
+    getRepetitionCount() {
+        const key = this.positionHistory[this.positionHistory.length - 1];
+        return this.positionHistory.filter(other => other === key).length;
+    }
+
+    // Key identifying a position for repetition purposes: piece placement, side to move,
+    // castling rights and en passant square (only when an en passant capture is actually legal)
+    getPositionKey() {
+        const [placement, activeColor, castling] = this.toFEN().split(' ');
+        const checks = this.variant.checkLimit ? ` ${this.checksGiven.WHITE}+${this.checksGiven.BLACK}` : '';
+        let enPassant = '-';
+        
+        if (this.enPassantTarget) {
+            const [targetRow, targetCol] = this.enPassantTarget;
+            const pawnRow = this.currentPlayer === 'WHITE' ? targetRow + 1 : targetRow - 1;
+            for (const col of [targetCol - 1, targetCol + 1]) {
+                const pawn = this.getPieceAt(pawnRow, col);
+                if (pawn && pawn.type === 'PAWN' && pawn.color === this.currentPlayer &&
+                    this.isLegalMove(pawnRow, col, targetRow, targetCol)) {
+                    enPassant = toAlgebraic(targetRow, targetCol);
+                }
+            }
+        }
+        
+        return `${placement} ${activeColor} ${castling} ${enPassant}${checks}`;
+    }
+
+    // Check if current player has any legal moves, Crazyhouse drops included
     hasLegalMoves(color) {
         for (let row = 0; row < 8; row++) {
             for (let col = 0; col < 8; col++) {
@@ -319,67 +1017,120 @@ class ChessGame {
                 }
             }
         }
-        return false;
+        return color === this.currentPlayer && this.getLegalDrops().length > 0;
     }
 
-    // Check for insufficient material to checkmate
+    // Check for insufficient material to win, by the variant's rules
     isInsufficientMaterial() {
-        const pieces = { WHITE: [], BLACK: [] };
-        
-        for (let row = 0; row < 8; row++) {
-            for (let col = 0; col < 8; col++) {
-                const piece = this.getPieceAt(row, col);
-                if (piece) {
-                    pieces[piece.color].push(piece.type);
-                }
-            }
-        }
-        
-        // King vs King
-        if (pieces.WHITE.length === 1 && pieces.BLACK.length === 1) return true;
-        
-        // King and Bishop vs King or King and Knight vs King
-        for (const color of ['WHITE', 'BLACK']) {
-            const otherColor = color === 'WHITE' ? 'BLACK' : 'WHITE';
-            if (pieces[color].length === 2 && pieces[otherColor].length === 1) {
-                const nonKingPiece = pieces[color].find(p => p !== 'KING');
-                if (nonKingPiece === 'BISHOP' || nonKingPiece === 'KNIGHT') return true;
-            }
-        }
-        
-        return false;
+        return this.variant.isInsufficientMaterial(this);
     }
 
-    // Get move notation (simplified algebraic notation)
-    getMoveNotation(piece, fromRow, fromCol, toRow, toCol, capturedPiece) {
-        const fromSquare = String.fromCharCode(97 + fromCol) + (8 - fromRow);
-        const toSquare = String.fromCharCode(97 + toCol) + (8 - toRow);
-        
+    // Get Standard Algebraic Notation for a move in the current position, before it is made.
+    // The check ('+') or checkmate ('#') suffix is appended by makeMove once the move is played.
+    getMoveNotation(piece, fromRow, fromCol, toRow, toCol, capturedPiece, promotionPiece = 'QUEEN') {
+        const castlingSide = this.getCastlingSide(piece, toRow, toCol);
+        if (castlingSide) {
+            return castlingSide === 'kingSide' ? 'O-O' : 'O-O-O';
+        }
+
+        const fromSquare = toAlgebraic(fromRow, fromCol);
         let notation = '';
-        
-        if (piece.type === 'KING' && Math.abs(toCol - fromCol) === 2) {
-            notation = toCol > fromCol ? 'O-O' : 'O-O-O';
+
+        if (piece.type === 'PAWN') {
+            if (capturedPiece) notation += fromSquare[0];
         } else {
-            if (piece.type !== 'PAWN') {
-                notation += piece.type.charAt(0);
-            }
-            
-            if (capturedPiece) {
-                if (piece.type === 'PAWN') {
-                    notation += fromSquare.charAt(0);
+            notation += PIECE_LETTERS[piece.type];
+
+            // Disambiguate between identical pieces that can also reach the target square
+            const rivals = this.getPieces(piece.color).filter(other =>
+                other !== piece && other.type === piece.type &&
+                this.getLegalMoves(other).some(([r, c]) => r === toRow && c === toCol)
+            );
+            if (rivals.length > 0) {
+                if (!rivals.some(other => other.col === fromCol)) {
+                    notation += fromSquare[0];
+                } else if (!rivals.some(other => other.row === fromRow)) {
+                    notation += fromSquare[1];
+                } else {
+                    notation += fromSquare;
                 }
-                notation += 'x';
             }
-            
-            notation += toSquare;
         }
-        
+
+        if (capturedPiece) notation += 'x';
+        notation += toAlgebraic(toRow, toCol);
+
+        if (piece.type === 'PAWN' && (toRow === 0 || toRow === 7)) {
+            notation += '=' + PIECE_LETTERS[promotionPiece];
+        }
+
         return notation;
     }
 
+    // Parse a SAN string into a legal move { from, to, promotion } for the side to move.
+    // Check marks and annotation glyphs are ignored; returns null for illegal or ambiguous moves.
+    parseSAN(san) {
+        if (typeof san !== 'string') return null;
+
+        const text = san.trim().replace(/[+#!?]+$/, '').replace(/0/g, 'O');
+        const color = this.currentPlayer;
+
+        const drop = this.parseDrop(text);
+        if (drop !== undefined) return drop;
+
+        if (text === 'O-O' || text === 'O-O-O') {
+            const side = text === 'O-O' ? 'kingSide' : 'queenSide';
+            if (!this.canCastle(color, side === 'kingSide')) return null;
+            return { from: [...this.kingPositions[color]], to: this.getCastlingTarget(color, side), promotion: null };
+        }
+
+        const match = text.match(/^([NBRQK])?([a-h])?([1-8])?x?([a-h][1-8])(?:=?([NBRQK]))?$/);
+        if (!match) return null;
+
+        const [, letter, fromFile, fromRank, toSquare, promotionLetter] = match;
+        const typeForLetter = (l) => Object.keys(PIECE_LETTERS).find(type => PIECE_LETTERS[type] === l);
+        const type = letter ? typeForLetter(letter) : 'PAWN';
+        const [toRow, toCol] = fromAlgebraic(toSquare);
+        const isPromotion = type === 'PAWN' && (toRow === 0 || toRow === 7);
+
+        if (isPromotion !== !!promotionLetter) return null;
+        if (isPromotion && !this.variant.promotionPieces.includes(typeForLetter(promotionLetter))) return null;
+
+        const candidates = this.getPieces(color).filter(piece =>
+            piece.type === type &&
+            // Pawn pushes stay on their file; captures always name the file they come from
+            (type !== 'PAWN' || fromFile || piece.col === toCol) &&
+            // Castling is only written as O-O or O-O-O
+            (type !== 'KING' || !this.getCastlingSide(piece, toRow, toCol)) &&
+            (!fromFile || piece.col === fromFile.charCodeAt(0) - 97) &&
+            (!fromRank || piece.row === 8 - parseInt(fromRank)) &&
+            this.getLegalMoves(piece).some(([r, c]) => r === toRow && c === toCol)
+        );
+        if (candidates.length !== 1) return null;
+
+        return {
+            from: [candidates[0].row, candidates[0].col],
+            to: [toRow, toCol],
+            promotion: isPromotion ? typeForLetter(promotionLetter) : null
+        };
+    }
+
+    // Parse a Crazyhouse drop such as 'N@f3' or '@e4' (a pawn) into a legal drop { from: null, to,
+    // promotion: null, drop }. Returns null for an illegal drop and undefined for text that is not a drop.
+    parseDrop(text) {
+        const match = typeof text === 'string' && text.trim().match(/^([PNBRQ])?@([a-h][1-8])$/);
+        if (!match) return undefined;
+
+        const type = match[1] ? Object.keys(PIECE_LETTERS).find(t => PIECE_LETTERS[t] === match[1]) : 'PAWN';
+        const to = fromAlgebraic(match[2]);
+        return this.isLegalDrop(type, to[0], to[1]) ? { from: null, to, promotion: null, drop: type } : null;
+    }
+
     // Clone the entire game state
     cloneGame() {
         const clone = new ChessGame();
+        clone.variant = this.variant;
+        clone.board = Array(8).fill(null).map(() => Array(8).fill(null));
         
         // Clone the board
         for (let row = 0; row < 8; row++) {
@@ -397,8 +1148,21 @@ class ChessGame {
         clone.lastMove = this.lastMove ? {...this.lastMove} : null;
         clone.kingPositions = {...this.kingPositions};
         clone.enPassantTarget = this.enPassantTarget ? [...this.enPassantTarget] : null;
+        clone.castlingRights = this.copyCastlingRights();
+        clone.castlingRooks = {
+            WHITE: { ...this.castlingRooks.WHITE },
+            BLACK: { ...this.castlingRooks.BLACK }
+        };
+        clone.chess960 = this.chess960;
         clone.halfMoveClock = this.halfMoveClock;
         clone.fullMoveNumber = this.fullMoveNumber;
+        clone.startingFEN = this.startingFEN;
+        clone.drawReason = this.drawReason;
+        clone.flaggedPlayer = this.flaggedPlayer;
+        clone.winner = this.winner;
+        clone.checksGiven = { ...this.checksGiven };
+        clone.pockets = copyPockets(this.pockets);
+        clone.positionHistory = [...this.positionHistory];
         
         // Clone captured pieces
         clone.capturedPieces = {
@@ -409,7 +1173,7 @@ class ChessGame {
         // Clone move history
         clone.moveHistory = this.moveHistory.map(move => ({
             ...move,
-            from: [...move.from],
+            from: move.from ? [...move.from] : null,
             to: [...move.to]
         }));
         
@@ -471,21 +1235,348 @@ class ChessGame {
         return majorPieces.length <= 4;
     }
 
-    // Reset the game
-    reset() {
-        this.board = this.initializeBoard();
+    // Reset the game to the variant's starting position, or with a Chess960 position number
+    // (0-959) to that Chess960 starting position
+    reset(chess960Position = null, variant = this.variant.id) {
+        this.variant = getVariant(variant);
+        if (chess960Position === null) {
+            this.loadFEN(this.variant.startingFEN, false);
+            return;
+        }
+        
+        const backRank = getChess960BackRank(chess960Position);
+        const kingCol = backRank.indexOf('KING');
+        const rooks = { kingSide: backRank.lastIndexOf('ROOK'), queenSide: backRank.indexOf('ROOK') };
+        
+        this.board = this.initializeBoard(backRank);
         this.currentPlayer = 'WHITE';
         this.gameState = 'playing';
         this.moveHistory = [];
         this.capturedPieces = { WHITE: [], BLACK: [] };
         this.lastMove = null;
-        this.kingPositions = { WHITE: [7, 4], BLACK: [0, 4] };
+        this.kingPositions = { WHITE: [7, kingCol], BLACK: [0, kingCol] };
         this.enPassantTarget = null;
+        const canCastle = this.variant.castling;
+        this.castlingRights = {
+            WHITE: { kingSide: canCastle, queenSide: canCastle },
+            BLACK: { kingSide: canCastle, queenSide: canCastle }
+        };
+        this.castlingRooks = { WHITE: { ...rooks }, BLACK: { ...rooks } };
+        this.chess960 = true;
         this.halfMoveClock = 0;
         this.fullMoveNumber = 1;
+        this.startingFEN = this.toFEN();
+        this.undoStack = []; // Reversible records for each move in moveHistory
+        this.redoStack = []; // Undone moves that can be replayed with redoMove
+        this.drawReason = null; // Which rule ended the game when gameState is 'draw'
+        this.flaggedPlayer = null; // Whose time ran out when gameState is 'timeout'
+        this.winner = null; // Who reached the variant's goal when gameState is 'variant-win'
+        this.checksGiven = { WHITE: 0, BLACK: 0 }; // Checks each side has given, counted in Three-check
+        this.pockets = createPockets(); // Pieces each side holds to drop, in Crazyhouse
+        this.positionHistory = [this.getPositionKey()]; // Position key after every move
+    }
+
+    // Create a new game of a variant from a FEN string
+    static fromFEN(fen, chess960 = null, variant = 'standard') {
+        const game = new ChessGame(variant);
+        game.loadFEN(fen, chess960);
+        return game;
+    }
+
+    // Load a position from a FEN string, replacing the current game.
+    // Throws an Error describing the problem if the FEN is malformed.
+    // The castling field may be X-FEN (KQkq, naming the outermost rook on each side) or
+    // Shredder-FEN (the rooks' files, e.g. HAha). `chess960` says whether castling follows
+    // Chess960 rules; when null it does if the field names files or the king or a castling
+    // rook is away from its standard square. Three-check positions may add the checks each side
+    // still needs after the en passant field, as in 'rnbqkbnr/... w KQkq - 3+3 0 1'. Crazyhouse
+    // positions may end the placement with the pockets, as in 'rnbqkbnr/.../RNBQKBNR[Qnp]', and
+    // mark promoted pieces with '~', as in 'Q~'.
+    loadFEN(fen, chess960 = null) {
+        if (typeof fen !== 'string') {
+            throw new Error('Invalid FEN: expected a string');
+        }
+
+        const fields = fen.trim().split(/\s+/);
+        const checksGiven = { WHITE: 0, BLACK: 0 };
+        if (fields.length > 4 && fields[4].includes('+')) {
+            const checksMatch = fields[4].match(/^(\d)\+(\d)$/);
+            const limit = this.variant.checkLimit;
+            if (!limit) {
+                throw new Error(`Invalid FEN: ${this.variant.name} does not count checks`);
+            }
+            if (!checksMatch || checksMatch[1] > limit || checksMatch[2] > limit) {
+                throw new Error(`Invalid FEN: malformed checks field '${fields[4]}'`);
+            }
+            checksGiven.WHITE = limit - parseInt(checksMatch[1]);
+            checksGiven.BLACK = limit - parseInt(checksMatch[2]);
+            fields.splice(4, 1);
+        }
+        if (fields.length < 4 || fields.length > 6) {
+            throw new Error(`Invalid FEN: expected 4 to 6 space-separated fields, got ${fields.length}`);
+        }
+        const [placementField, activeColor, castling, enPassant, halfMove = '0', fullMove = '1'] = fields;
+
+        const typesByLetter = {};
+        for (const [type, letter] of Object.entries(PIECE_LETTERS)) {
+            typesByLetter[letter] = type;
+        }
+
+        // Crazyhouse pockets
+        const pockets = createPockets();
+        const pocketMatch = placementField.match(/^([^[]*)\[(.*)\]$/);
+        const placement = pocketMatch ? pocketMatch[1] : placementField;
+        if (pocketMatch || placement.includes('~')) {
+            if (!this.variant.drops) {
+                throw new Error(`Invalid FEN: ${this.variant.name} has no pockets`);
+            }
+            for (const char of pocketMatch ? pocketMatch[2] : '') {
+                const type = typesByLetter[char.toUpperCase()];
+                if (!POCKET_PIECES.includes(type)) {
+                    throw new Error(`Invalid FEN: '${char}' cannot be in a pocket`);
+                }
+                pockets[char === char.toUpperCase() ? 'WHITE' : 'BLACK'][type]++;
+            }
+        }
+
+        // Piece placement
+        const board = Array(8).fill(null).map(() => Array(8).fill(null));
+        const kingPositions = {};
+        const ranks = placement.split('/');
+        if (ranks.length !== 8) {
+            throw new Error(`Invalid FEN: piece placement must have 8 ranks, got ${ranks.length}`);
+        }
+
+        for (let row = 0; row < 8; row++) {
+            let col = 0;
+            for (const char of ranks[row]) {
+                if (/[1-8]/.test(char)) {
+                    col += parseInt(char);
+                } else if (char === '~') {
+                    const promoted = col > 0 && board[row][col - 1];
+                    if (!promoted || promoted.promoted || ['PAWN', 'KING'].includes(promoted.type)) {
+                        throw new Error(`Invalid FEN: misplaced '~' on rank ${8 - row}`);
+                    }
+                    promoted.promoted = true;
+                } else {
+                    const type = typesByLetter[char.toUpperCase()];
+                    if (!type) {
+                        throw new Error(`Invalid FEN: unknown piece '${char}' on rank ${8 - row}`);
+                    }
+                    if (col >= 8) {
+                        throw new Error(`Invalid FEN: rank ${8 - row} does not describe exactly 8 squares`);
+                    }
+
+                    const color = char === char.toUpperCase() ? 'WHITE' : 'BLACK';
+                    if (type === 'PAWN' && (row === 0 || row === 7)) {
+                        throw new Error(`Invalid FEN: pawn on rank ${8 - row}`);
+                    }
+                    if (type === 'KING' && this.variant.royalKing) {
+                        if (kingPositions[color]) {
+                            throw new Error(`Invalid FEN: more than one ${color.toLowerCase()} king`);
+                        }
+                        kingPositions[color] = [row, col];
+                    }
+                    board[row][col] = new ChessPiece(type, color, row, col);
+                    col++;
+                }
+            }
+            if (col !== 8) {
+                throw new Error(`Invalid FEN: rank ${8 - row} does not describe exactly 8 squares`);
+            }
+        }
+
+        for (const color of ['WHITE', 'BLACK']) {
+            if (!kingPositions[color]) {
+                if (this.variant.royalKing) {
+                    throw new Error(`Invalid FEN: missing ${color.toLowerCase()} king`);
+                }
+                kingPositions[color] = null;
+            }
+        }
+
+        // Side to move
+        if (activeColor !== 'w' && activeColor !== 'b') {
+            throw new Error(`Invalid FEN: side to move must be 'w' or 'b', got '${activeColor}'`);
+        }
+        const currentPlayer = activeColor === 'w' ? 'WHITE' : 'BLACK';
+
+        // Castling rights
+        if (!/^(-|[KQA-H]{0,2}[kqa-h]{0,2})$/.test(castling) || castling === '') {
+            throw new Error(`Invalid FEN: malformed castling field '${castling}'`);
+        }
+        if (castling !== '-' && !this.variant.castling) {
+            throw new Error(`Invalid FEN: there is no castling in ${this.variant.name}`);
+        }
+        const { rights: castlingRights, rooks: castlingRooks, isStandard } = this.parseCastlingField(board, castling, chess960 === false);
+
+        // En passant target
+        let enPassantTarget = null;
+        if (enPassant !== '-') {
+            enPassantTarget = fromAlgebraic(enPassant);
+            const expectedRank = currentPlayer === 'WHITE' ? '6' : '3';
+            if (!enPassantTarget || enPassant[1] !== expectedRank) {
+                throw new Error(`Invalid FEN: bad en passant square '${enPassant}'`);
+            }
+        }
+
+        // Clocks
+        if (!/^\d+$/.test(halfMove)) {
+            throw new Error(`Invalid FEN: halfmove clock must be a non-negative integer, got '${halfMove}'`);
+        }
+        if (!/^\d+$/.test(fullMove) || parseInt(fullMove) < 1) {
+            throw new Error(`Invalid FEN: fullmove number must be a positive integer, got '${fullMove}'`);
+        }
+
+        // The side that just moved cannot have left its king in check
+        const opponent = currentPlayer === 'WHITE' ? 'BLACK' : 'WHITE';
+        const probe = new ChessGame();
+        probe.variant = this.variant;
+        probe.board = board;
+        probe.kingPositions = kingPositions;
+        if (probe.isInCheck(opponent)) {
+            throw new Error('Invalid FEN: the side not to move is in check');
+        }
+
+        this.board = board;
+        this.currentPlayer = currentPlayer;
+        this.moveHistory = [];
+        this.capturedPieces = { WHITE: [], BLACK: [] };
+        this.lastMove = null;
+        this.kingPositions = kingPositions;
+        this.enPassantTarget = enPassantTarget;
+        this.castlingRights = castlingRights;
+        this.castlingRooks = castlingRooks;
+        this.chess960 = chess960 === null ? /[A-Ha-h]/.test(castling) || !isStandard : chess960;
+        this.halfMoveClock = parseInt(halfMove);
+        this.fullMoveNumber = parseInt(fullMove);
+        this.checksGiven = checksGiven;
+        this.pockets = pockets;
+        this.startingFEN = this.toFEN();
+        this.undoStack = [];
+        this.redoStack = [];
+        this.flaggedPlayer = null;
+        this.positionHistory = [this.getPositionKey()];
+
+        this.updateGameState();
+    }
+
+    // Parse a FEN castling field into castling rights and the files of their rooks, checking
+    // that each right has its king on the back rank and a rook on that side of it. Returns
+    // { rights, rooks, isStandard }, where isStandard tells whether every right has the king
+    // and rook on their standard squares, which `requireStandard` insists on.
+    parseCastlingField(board, castling, requireStandard = false) {
+        const rights = {
+            WHITE: { kingSide: false, queenSide: false },
+            BLACK: { kingSide: false, queenSide: false }
+        };
+        const rooks = {
+            WHITE: { kingSide: 7, queenSide: 0 },
+            BLACK: { kingSide: 7, queenSide: 0 }
+        };
+        let isStandard = true;
+
+        for (const flag of castling.replace('-', '')) {
+            const color = flag === flag.toUpperCase() ? 'WHITE' : 'BLACK';
+            const row = color === 'WHITE' ? 7 : 0;
+            const isRook = (col) => board[row][col] && board[row][col].type === 'ROOK' && board[row][col].color === color;
+            const kingCol = board[row].findIndex(piece => piece && piece.type === 'KING' && piece.color === color);
+
+            // K and Q name the outermost rook on that side of the king, a file letter names the rook on it
+            let rookCol = -1;
+            if (kingCol !== -1 && (flag === 'K' || flag === 'k')) {
+                for (let col = 7; col > kingCol && rookCol === -1; col--) {
+                    if (isRook(col)) rookCol = col;
+                }
+            } else if (kingCol !== -1 && (flag === 'Q' || flag === 'q')) {
+                for (let col = 0; col < kingCol && rookCol === -1; col++) {
+                    if (isRook(col)) rookCol = col;
+                }
+            } else if (kingCol !== -1) {
+                const col = flag.toLowerCase().charCodeAt(0) - 97;
+                if (col !== kingCol && isRook(col)) rookCol = col;
+            }
+
+            const side = rookCol > kingCol ? 'kingSide' : 'queenSide';
+            const standardRookCol = side === 'kingSide' ? 7 : 0;
+            if (rookCol !== -1 && (kingCol !== 4 || rookCol !== standardRookCol)) isStandard = false;
+            if (rookCol === -1 || rights[color][side] || (requireStandard && !isStandard)) {
+                throw new Error(`Invalid FEN: castling right '${flag}' needs the king and rook on their original squares`);
+            }
+            rights[color][side] = true;
+            rooks[color][side] = rookCol;
+        }
+
+        return { rights, rooks, isStandard };
+    }
+
+    // Serialize the current position as a FEN string
+    toFEN() {
+        const ranks = [];
+        for (let row = 0; row < 8; row++) {
+            let rank = '';
+            let empty = 0;
+            for (let col = 0; col < 8; col++) {
+                const piece = this.board[row][col];
+                if (!piece) {
+                    empty++;
+                    continue;
+                }
+                if (empty > 0) {
+                    rank += empty;
+                    empty = 0;
+                }
+                const letter = PIECE_LETTERS[piece.type];
+                rank += piece.color === 'WHITE' ? letter : letter.toLowerCase();
+                if (piece.promoted && this.variant.drops) rank += '~';
+            }
+            if (empty > 0) rank += empty;
+            ranks.push(rank);
+        }
+
+        // Crazyhouse positions carry both pockets after the placement
+        let placement = ranks.join('/');
+        if (this.variant.drops) {
+            let pocket = '';
+            for (const color of ['WHITE', 'BLACK']) {
+                for (const type of POCKET_PIECES) {
+                    const letter = color === 'WHITE' ? PIECE_LETTERS[type] : PIECE_LETTERS[type].toLowerCase();
+                    pocket += letter.repeat(this.pockets[color][type]);
+                }
+            }
+            placement += `[${pocket}]`;
+        }
+
+        const activeColor = this.currentPlayer === 'WHITE' ? 'w' : 'b';
+        const enPassant = this.enPassantTarget ? toAlgebraic(...this.enPassantTarget) : '-';
+        const fields = [placement, activeColor, this.getCastlingField(), enPassant];
+
+        // Three-check positions carry the checks each side still needs
+        const limit = this.variant.checkLimit;
+        if (limit) {
+            fields.push(`${limit - this.checksGiven.WHITE}+${limit - this.checksGiven.BLACK}`);
+        }
+
+        return [...fields, this.halfMoveClock, this.fullMoveNumber].join(' ');
+    }
+
+    // Get the FEN castling field for the current position. Chess960 games name the rooks' files
+    // (Shredder-FEN, e.g. HAha), so the field also tells that the game is Chess960.
+    getCastlingField() {
+        let castling = '';
+        for (const color of ['WHITE', 'BLACK']) {
+            for (const side of ['kingSide', 'queenSide']) {
+                if (!this.castlingRights[color][side]) continue;
+                const letter = this.chess960
+                    ? String.fromCharCode(97 + this.castlingRooks[color][side])
+                    : (side === 'kingSide' ? 'k' : 'q');
+                castling += color === 'WHITE' ? letter.toUpperCase() : letter;
+            }
+        }
+        return castling || '-';
     }
 }
 
 // ChessGame class is available globally
 // Export for ES6 module compatibility (for unit tests)
-export { ChessGame };
\ No newline at end of file
+export { ChessGame, STARTING_FEN, CHESS960_POSITIONS, CHESS960_STANDARD_POSITION, getChess960BackRank, toAlgebraic, fromAlgebraic };
\ No newline at end of file
@@ -0,0 +1,207 @@
+// ECO opening classification and the opening explorer
+import { ChessGame, fromAlgebraic } from './chess-logic.js';
+
+// Named openings as [ECO code, name, moves in coordinate notation from the starting position],
+// the same move format as the AI's built-in book lines
+const ECO_OPENINGS = [
+    ['A00', 'Polish Opening', 'b2b4'],
+    ['A01', 'Nimzo-Larsen Attack', 'b2b3'],
+    ['A02', "Bird's Opening", 'f2f4'],
+    ['A04', 'Reti Opening', 'g1f3'],
+    ['A06', 'Reti Opening', 'g1f3 d7d5'],
+    ['A07', "King's Indian Attack", 'g1f3 d7d5 g2g3'],
+    ['A09', 'Reti Opening', 'g1f3 d7d5 c2c4'],
+    ['A10', 'English Opening', 'c2c4'],
+    ['A13', 'English Opening', 'c2c4 e7e6'],
+    ['A15', 'English Opening, Anglo-Indian Defense', 'c2c4 g8f6'],
+    ['A20', "English Opening, King's English Variation", 'c2c4 e7e5'],
+    ['A22', 'English Opening, Two Knights Variation', 'c2c4 e7e5 b1c3 g8f6'],
+    ['A29', 'English Opening, Four Knights Variation', 'c2c4 e7e5 b1c3 g8f6 g1f3 b8c6'],
+    ['A30', 'English Opening, Symmetrical Variation', 'c2c4 c7c5'],
+    ['A40', "Queen's Pawn Game", 'd2d4'],
+    ['A43', 'Old Benoni Defense', 'd2d4 c7c5'],
+    ['A45', 'Indian Defense', 'd2d4 g8f6'],
+    ['A51', 'Budapest Gambit', 'd2d4 g8f6 c2c4 e7e5'],
+    ['A56', 'Benoni Defense', 'd2d4 g8f6 c2c4 c7c5'],
+    ['A57', 'Benko Gambit', 'd2d4 g8f6 c2c4 c7c5 d4d5 b7b5'],
+    ['A60', 'Modern Benoni', 'd2d4 g8f6 c2c4 c7c5 d4d5 e7e6'],
+    ['A80', 'Dutch Defense', 'd2d4 f7f5'],
+    ['B00', "King's Pawn Game", 'e2e4'],
+    ['B00', 'Nimzowitsch Defense', 'e2e4 b8c6'],
+    ['B01', 'Scandinavian Defense', 'e2e4 d7d5'],
+    ['B01', 'Scandinavian Defense, Main Line', 'e2e4 d7d5 e4d5 d8d5 b1c3 d5a5'],
+    ['B02', "Alekhine's Defense", 'e2e4 g8f6'],
+    ['B06', 'Modern Defense', 'e2e4 g7g6'],
+    ['B07', 'Pirc Defense', 'e2e4 d7d6 d2d4 g8f6'],
+    ['B10', 'Caro-Kann Defense', 'e2e4 c7c6'],
+    ['B12', 'Caro-Kann Defense, Advance Variation', 'e2e4 c7c6 d2d4 d7d5 e4e5'],
+    ['B13', 'Caro-Kann Defense, Exchange Variation', 'e2e4 c7c6 d2d4 d7d5 e4d5 c6d5'],
+    ['B15', 'Caro-Kann Defense', 'e2e4 c7c6 d2d4 d7d5 b1c3'],
+    ['B18', 'Caro-Kann Defense, Classical Variation', 'e2e4 c7c6 d2d4 d7d5 b1c3 d5e4 c3e4 c8f5'],
+    ['B20', 'Sicilian Defense', 'e2e4 c7c5'],
+    ['B21', 'Sicilian Defense, Smith-Morra Gambit', 'e2e4 c7c5 d2d4 c5d4 c2c3'],
+    ['B22', 'Sicilian Defense, Alapin Variation', 'e2e4 c7c5 c2c3'],
+    ['B23', 'Sicilian Defense, Closed', 'e2e4 c7c5 b1c3'],
+    ['B27', 'Sicilian Defense', 'e2e4 c7c5 g1f3'],
+    ['B30', 'Sicilian Defense, Old Sicilian', 'e2e4 c7c5 g1f3 b8c6'],
+    ['B33', 'Sicilian Defense, Open', 'e2e4 c7c5 g1f3 b8c6 d2d4 c5d4 f3d4 g8f6'],
+    ['B33', 'Sicilian Defense, Sveshnikov Variation', 'e2e4 c7c5 g1f3 b8c6 d2d4 c5d4 f3d4 g8f6 b1c3 e7e5'],
+    ['B40', 'Sicilian Defense, French Variation', 'e2e4 c7c5 g1f3 e7e6'],
+    ['B50', 'Sicilian Defense, Modern Variations', 'e2e4 c7c5 g1f3 d7d6'],
+    ['B54', 'Sicilian Defense, Open', 'e2e4 c7c5 g1f3 d7d6 d2d4 c5d4 f3d4'],
+    ['B56', 'Sicilian Defense, Classical Variation', 'e2e4 c7c5 g1f3 d7d6 d2d4 c5d4 f3d4 g8f6 b1c3 b8c6'],
+    ['B70', 'Sicilian Defense, Dragon Variation', 'e2e4 c7c5 g1f3 d7d6 d2d4 c5d4 f3d4 g8f6 b1c3 g7g6'],
+    ['B80', 'Sicilian Defense, Scheveningen Variation', 'e2e4 c7c5 g1f3 d7d6 d2d4 c5d4 f3d4 g8f6 b1c3 e7e6'],
+    ['B90', 'Sicilian Defense, Najdorf Variation', 'e2e4 c7c5 g1f3 d7d6 d2d4 c5d4 f3d4 g8f6 b1c3 a7a6'],
+    ['C00', 'French Defense', 'e2e4 e7e6'],
+    ['C01', 'French Defense, Exchange Variation', 'e2e4 e7e6 d2d4 d7d5 e4d5'],
+    ['C02', 'French Defense, Advance Variation', 'e2e4 e7e6 d2d4 d7d5 e4e5'],
+    ['C03', 'French Defense, Tarrasch Variation', 'e2e4 e7e6 d2d4 d7d5 b1d2'],
+    ['C10', 'French Defense, Paulsen Variation', 'e2e4 e7e6 d2d4 d7d5 b1c3'],
+    ['C11', 'French Defense, Classical Variation', 'e2e4 e7e6 d2d4 d7d5 b1c3 g8f6'],
+    ['C15', 'French Defense, Winawer Variation', 'e2e4 e7e6 d2d4 d7d5 b1c3 f8b4'],
+    ['C20', "King's Pawn Game", 'e2e4 e7e5'],
+    ['C21', 'Center Game', 'e2e4 e7e5 d2d4 e5d4'],
+    ['C23', "Bishop's Opening", 'e2e4 e7e5 f1c4'],
+    ['C25', 'Vienna Game', 'e2e4 e7e5 b1c3'],
+    ['C30', "King's Gambit", 'e2e4 e7e5 f2f4'],
+    ['C33', "King's Gambit Accepted", 'e2e4 e7e5 f2f4 e5f4'],
+    ['C40', "King's Knight Opening", 'e2e4 e7e5 g1f3'],
+    ['C41', 'Philidor Defense', 'e2e4 e7e5 g1f3 d7d6'],
+    ['C42', "Petrov's Defense", 'e2e4 e7e5 g1f3 g8f6'],
+    ['C44', "King's Knight Opening, Normal Variation", 'e2e4 e7e5 g1f3 b8c6'],
+    ['C44', 'Ponziani Opening', 'e2e4 e7e5 g1f3 b8c6 c2c3'],
+    ['C44', 'Scotch Game', 'e2e4 e7e5 g1f3 b8c6 d2d4'],
+    ['C45', 'Scotch Game', 'e2e4 e7e5 g1f3 b8c6 d2d4 e5d4 f3d4'],
+    ['C46', 'Three Knights Opening', 'e2e4 e7e5 g1f3 b8c6 b1c3'],
+    ['C47', 'Four Knights Game', 'e2e4 e7e5 g1f3 b8c6 b1c3 g8f6'],
+    ['C50', 'Italian Game', 'e2e4 e7e5 g1f3 b8c6 f1c4'],
+    ['C50', 'Italian Game, Giuoco Piano', 'e2e4 e7e5 g1f3 b8c6 f1c4 f8c5'],
+    ['C51', 'Italian Game, Evans Gambit', 'e2e4 e7e5 g1f3 b8c6 f1c4 f8c5 b2b4'],
+    ['C53', 'Italian Game, Classical Variation', 'e2e4 e7e5 g1f3 b8c6 f1c4 f8c5 c2c3'],
+    ['C55', 'Italian Game, Two Knights Defense', 'e2e4 e7e5 g1f3 b8c6 f1c4 g8f6'],
+    ['C57', 'Italian Game, Two Knights Defense, Knight Attack', 'e2e4 e7e5 g1f3 b8c6 f1c4 g8f6 f3g5'],
+    ['C60', 'Ruy Lopez', 'e2e4 e7e5 g1f3 b8c6 f1b5'],
+    ['C65', 'Ruy Lopez, Berlin Defense', 'e2e4 e7e5 g1f3 b8c6 f1b5 g8f6'],
+    ['C68', 'Ruy Lopez, Exchange Variation', 'e2e4 e7e5 g1f3 b8c6 f1b5 a7a6 b5c6'],
+    ['C70', 'Ruy Lopez, Morphy Defense', 'e2e4 e7e5 g1f3 b8c6 f1b5 a7a6'],
+    ['C78', 'Ruy Lopez, Morphy Defense', 'e2e4 e7e5 g1f3 b8c6 f1b5 a7a6 b5a4 g8f6 e1g1'],
+    ['C84', 'Ruy Lopez, Closed', 'e2e4 e7e5 g1f3 b8c6 f1b5 a7a6 b5a4 g8f6 e1g1 f8e7'],
+    ['C89', 'Ruy Lopez, Marshall Attack', 'e2e4 e7e5 g1f3 b8c6 f1b5 a7a6 b5a4 g8f6 e1g1 f8e7 f1e1 b7b5 a4b3 e8g8 c2c3 d7d5'],
+    ['D00', "Queen's Pawn Game", 'd2d4 d7d5'],
+    ['D02', 'London System', 'd2d4 d7d5 g1f3 g8f6 c1f4'],
+    ['D06', "Queen's Gambit", 'd2d4 d7d5 c2c4'],
+    ['D07', "Queen's Gambit Declined, Chigorin Defense", 'd2d4 d7d5 c2c4 b8c6'],
+    ['D08', "Queen's Gambit Declined, Albin Countergambit", 'd2d4 d7d5 c2c4 e7e5'],
+    ['D10', 'Slav Defense', 'd2d4 d7d5 c2c4 c7c6'],
+    ['D20', "Queen's Gambit Accepted", 'd2d4 d7d5 c2c4 d5c4'],
+    ['D30', "Queen's Gambit Declined", 'd2d4 d7d5 c2c4 e7e6'],
+    ['D35', "Queen's Gambit Declined, Exchange Variation", 'd2d4 d7d5 c2c4 e7e6 b1c3 g8f6 c4d5'],
+    ['D43', 'Semi-Slav Defense', 'd2d4 d7d5 c2c4 c7c6 g1f3 g8f6 b1c3 e7e6'],
+    ['D80', 'Grunfeld Defense', 'd2d4 g8f6 c2c4 g7g6 b1c3 d7d5'],
+    ['D85', 'Grunfeld Defense, Exchange Variation', 'd2d4 g8f6 c2c4 g7g6 b1c3 d7d5 c4d5 f6d5'],
+    ['E00', 'Indian Defense', 'd2d4 g8f6 c2c4 e7e6'],
+    ['E01', 'Catalan Opening', 'd2d4 g8f6 c2c4 e7e6 g2g3'],
+    ['E11', 'Bogo-Indian Defense', 'd2d4 g8f6 c2c4 e7e6 g1f3 f8b4'],
+    ['E12', "Queen's Indian Defense", 'd2d4 g8f6 c2c4 e7e6 g1f3 b7b6'],
+    ['E20', 'Nimzo-Indian Defense', 'd2d4 g8f6 c2c4 e7e6 b1c3 f8b4'],
+    ['E32', 'Nimzo-Indian Defense, Classical Variation', 'd2d4 g8f6 c2c4 e7e6 b1c3 f8b4 d1c2'],
+    ['E60', "King's Indian Defense", 'd2d4 g8f6 c2c4 g7g6'],
+    ['E61', "King's Indian Defense", 'd2d4 g8f6 c2c4 g7g6 b1c3 f8g7'],
+    ['E70', "King's Indian Defense, Normal Variation", 'd2d4 g8f6 c2c4 g7g6 b1c3 f8g7 e2e4 d7d6'],
+    ['E80', "King's Indian Defense, Samisch Variation", 'd2d4 g8f6 c2c4 g7g6 b1c3 f8g7 e2e4 d7d6 f2f3'],
+    ['E92', "King's Indian Defense, Classical Variation", 'd2d4 g8f6 c2c4 g7g6 b1c3 f8g7 e2e4 d7d6 g1f3 e8g8 f1e2 e7e5']
+];
+
+class OpeningExplorer {
+    constructor(openings = ECO_OPENINGS) {
+        this.positions = new Map(); // Position key -> opening reached there
+        this.continuations = new Map(); // Position key -> Map of coordinate move -> opening it leads towards
+        this.maxPlies = 0; // Length of the longest line
+
+        for (const [eco, name, moves] of openings) {
+            this.addOpening({ eco, name, moves });
+        }
+    }
+
+    // Add a named line. Where lines share a move, the shortest names it in the explorer;
+    // where they reach the same position, the first one added names it.
+    addOpening(opening) {
+        const game = new ChessGame();
+        const moves = opening.moves.trim().split(/\s+/);
+
+        for (const text of moves) {
+            const key = game.getPositionKey();
+            const from = fromAlgebraic(text.slice(0, 2));
+            const to = fromAlgebraic(text.slice(2));
+            if (!from || !to || !game.makeMove(from[0], from[1], to[0], to[1])) {
+                throw new Error(`Invalid opening line: illegal move ${text} in ${opening.eco} ${opening.name}`);
+            }
+
+            if (!this.continuations.has(key)) {
+                this.continuations.set(key, new Map());
+            }
+            const known = this.continuations.get(key).get(text);
+            if (!known || known.moves.split(' ').length > moves.length) {
+                this.continuations.get(key).set(text, opening);
+            }
+        }
+
+        const key = game.getPositionKey();
+        if (!this.positions.has(key)) {
+            this.positions.set(key, opening);
+        }
+        this.maxPlies = Math.max(this.maxPlies, moves.length);
+    }
+
+    // Whether the opening lines apply to a game. Only standard chess has them: other variants and
+    // Chess960 can reach the same piece placement under rules that change what the moves mean.
+    covers(game) {
+        return !game.chess960 && game.variant.id === 'standard';
+    }
+
+    // The opening of a game: the one named at the latest position of the game that has a name,
+    // so any move order reaching a known position is recognized. Null before any named position
+    // and in games the lines do not cover.
+    classify(game) {
+        if (!this.covers(game)) return null;
+
+        for (let index = game.positionHistory.length - 1; index >= 0; index--) {
+            const opening = this.positions.get(game.positionHistory[index]);
+            if (opening) return opening;
+        }
+        return null;
+    }
+
+    // Known continuations from the game's position as { move, san, eco, name }: moves along the
+    // opening lines, and moves that transpose into a named position
+    getContinuations(game) {
+        if (!this.covers(game)) return [];
+
+        const lineMoves = this.continuations.get(game.getPositionKey()) || new Map();
+        const continuations = [];
+
+        // Named positions lie within the first maxPlies of a game, so there is nothing to find later
+        if (lineMoves.size === 0 && game.positionHistory.length > this.maxPlies) {
+            return continuations;
+        }
+
+        const position = game.cloneGame();
+        for (const move of position.getAllLegalMoves()) {
+            const text = position.getCoordinateNotation(move);
+            position.playMove(move);
+            const opening = this.positions.get(position.getPositionKey()) || lineMoves.get(text);
+            const san = position.moveHistory[position.moveHistory.length - 1].notation;
+            position.unmakeMove();
+
+            if (opening) {
+                continuations.push({ move, san, eco: opening.eco, name: opening.name });
+            }
+        }
+
+        return continuations.sort((a, b) => a.eco.localeCompare(b.eco) || a.san.localeCompare(b.san));
+    }
+}
+
+// Export for use in other modules
+export { OpeningExplorer, ECO_OPENINGS };
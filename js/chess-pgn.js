@@ -0,0 +1,328 @@
+// PGN (Portable Game Notation) Import and Export
+import { ChessGame, STARTING_FEN } from './chess-logic.js';
+import { GameTree } from './chess-tree.js';
+import { findVariantByName } from './chess-variants.js';
+
+// The Seven Tag Roster, in the order PGN requires them
+const SEVEN_TAG_ROSTER = ['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result'];
+
+const RESULTS = ['1-0', '0-1', '1/2-1/2', '*'];
+
+// Traditional move suffix annotations and their NAG equivalents
+const SUFFIX_NAGS = { '!': 1, '?': 2, '!!': 3, '??': 4, '!?': 5, '?!': 6 };
+
+class ChessPGN {
+    // Export a game as a PGN string. With a GameTree of the game its main line is exported
+    // with the variations and comments; otherwise the game's moves are.
+    static exportPGN(game, headers = {}, tree = null) {
+        const result = headers.Result || this.getResult(game);
+        const tags = {
+            Event: '?',
+            Site: '?',
+            Date: this.formatDate(new Date()),
+            Round: '?',
+            White: '?',
+            Black: '?',
+            ...headers,
+            Result: result
+        };
+
+        if (game.variant.id !== 'standard') {
+            tags.Variant = game.variant.name;
+        } else if (game.chess960) {
+            tags.Variant = 'Chess960';
+        }
+        if (game.startingFEN !== game.variant.startingFEN) {
+            tags.SetUp = '1';
+            tags.FEN = game.startingFEN;
+        }
+
+        // Seven Tag Roster first, then any supplementary tags
+        const tagNames = [
+            ...SEVEN_TAG_ROSTER,
+            ...Object.keys(tags).filter(name => !SEVEN_TAG_ROSTER.includes(name))
+        ];
+        const tagSection = tagNames
+            .map(name => `[${name} "${this.escapeTagValue(String(tags[name]))}"]`)
+            .join('\n');
+
+        return `${tagSection}\n\n${this.formatMovetext(tree || GameTree.fromGame(game), result)}\n`;
+    }
+
+    // Build the movetext section from a game tree, wrapped to 80 columns
+    static formatMovetext(tree, result) {
+        const tokens = this.formatComment(tree.root.comment);
+        this.formatLine(tree, tree.root, true, tokens);
+        tokens.push(result);
+
+        const lines = [];
+        let line = '';
+        for (const token of tokens) {
+            if (line && line.length + 1 + token.length > 80) {
+                lines.push(line);
+                line = token;
+            } else {
+                line = line ? `${line} ${token}` : token;
+            }
+        }
+        lines.push(line);
+
+        return lines.join('\n');
+    }
+
+    // Add the moves after `node` to tokens: its main continuation, with each alternative to a move
+    // in parentheses straight after it. Black moves are numbered at the start of a line and after
+    // a comment or variation.
+    static formatLine(tree, node, numberNext, tokens) {
+        let needsNumber = numberNext;
+
+        while (node.children.length > 0) {
+            const [main, ...alternatives] = node.children;
+            needsNumber = this.formatMove(tree, main, needsNumber, tokens);
+
+            for (const alternative of alternatives) {
+                const variation = [];
+                this.formatMove(tree, alternative, true, variation);
+                this.formatLine(tree, alternative, alternative.comment !== '', variation);
+                variation[0] = `(${variation[0]}`;
+                variation[variation.length - 1] += ')';
+                tokens.push(...variation);
+                needsNumber = true;
+            }
+            node = main;
+        }
+    }
+
+    // Add a move with its number, NAGs and comments to tokens, returning whether the next move needs a number
+    static formatMove(tree, node, needsNumber, tokens) {
+        const commentBefore = this.formatComment(node.commentBefore);
+        tokens.push(...commentBefore);
+
+        const { moveNumber, color } = tree.getMoveNumber(node);
+        if (color === 'WHITE') {
+            tokens.push(`${moveNumber}.`);
+        } else if (needsNumber || commentBefore.length > 0) {
+            tokens.push(`${moveNumber}...`);
+        }
+        tokens.push(node.san, ...node.nags.map(nag => `$${nag}`));
+
+        const comment = this.formatComment(node.comment);
+        tokens.push(...comment);
+        return comment.length > 0;
+    }
+
+    // A comment as brace-delimited tokens, one per word so long comments wrap
+    static formatComment(comment) {
+        const words = comment.replace(/[{}]/g, '').split(/\s+/).filter(word => word);
+        if (words.length === 0) return [];
+
+        words[0] = `{${words[0]}`;
+        words[words.length - 1] += '}';
+        return words;
+    }
+
+    // Get the PGN result string for the current game state
+    static getResult(game) {
+        switch (game.gameState) {
+            case 'checkmate':
+                return game.currentPlayer === 'WHITE' ? '0-1' : '1-0';
+            case 'timeout':
+                return game.flaggedPlayer === 'WHITE' ? '0-1' : '1-0';
+            case 'variant-win':
+                return game.winner === 'WHITE' ? '1-0' : '0-1';
+            case 'stalemate':
+            case 'draw':
+                return '1/2-1/2';
+            default:
+                return '*';
+        }
+    }
+
+    // Format a date as a PGN Date tag value (YYYY.MM.DD)
+    static formatDate(date) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}.${month}.${day}`;
+    }
+
+    // Escape backslashes and quotes inside a tag value
+    static escapeTagValue(value) {
+        return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    }
+
+    // Import a PGN string by replaying its moves through ChessGame.makeMove.
+    // Returns { game, headers, moves, initialComments, result, tree }; moves keep their comments,
+    // NAGs and variations, and the GameTree holds them all with the moves played.
+    static importPGN(pgn) {
+        const { headers, moves, initialComments, result } = this.parsePGN(pgn);
+
+        let game;
+        try {
+            // A Chess960 game's FEN may be X-FEN, which only says so if the pieces are off their standard squares
+            const chess960 = /^(chess\s*960|fischer\s*random)$/i.test(headers.Variant || '') || null;
+            const variant = findVariantByName(headers.Variant || '');
+            const startingFEN = headers.FEN || (variant ? variant.startingFEN : STARTING_FEN);
+            game = ChessGame.fromFEN(startingFEN, chess960, variant ? variant.id : 'standard');
+        } catch (error) {
+            throw new Error(`Invalid PGN: bad FEN tag (${error.message})`);
+        }
+
+        const tree = new GameTree(game.startingFEN, game.variant.id);
+        tree.setComment(tree.root, initialComments.join(' '));
+        this.playLine(game, tree, tree.root, moves);
+
+        return { game, headers, moves, initialComments, result, tree };
+    }
+
+    // Play parsed moves on `game`, adding them to the tree after `node` with their comments and NAGs.
+    // Variations are played on copies of the position they branch from.
+    static playLine(game, tree, node, moves) {
+        for (const move of moves) {
+            const before = move.variations.length > 0 ? game.cloneGame() : null;
+            const parsed = game.parseSAN(move.san);
+            if (!parsed) {
+                const moveNumber = `${game.fullMoveNumber}${game.currentPlayer === 'WHITE' ? '.' : '...'}`;
+                throw new Error(`Invalid PGN: illegal or ambiguous move ${moveNumber} ${move.san}`);
+            }
+            game.playMove(parsed);
+
+            const child = tree.addMove(node, parsed, game.moveHistory[game.moveHistory.length - 1].notation);
+            tree.setComment(child, move.comments.join(' '));
+            tree.setCommentBefore(child, move.commentsBefore.join(' '));
+            tree.setNAGs(child, move.nags);
+            for (const variation of move.variations) {
+                this.playLine(before.cloneGame(), tree, node, variation);
+            }
+            node = child;
+        }
+    }
+
+    // Parse a PGN string into headers and a list of mainline moves without validating them
+    static parsePGN(pgn) {
+        if (typeof pgn !== 'string') {
+            throw new Error('Invalid PGN: expected a string');
+        }
+
+        const headers = {};
+        const tagPattern = /^\s*\[\s*(\w+)\s+"((?:[^"\\]|\\.)*)"\s*\]\s*$/;
+        const lines = pgn.replace(/\r\n?/g, '\n').split('\n');
+        let index = 0;
+
+        for (; index < lines.length; index++) {
+            const line = lines[index];
+            if (line.trim() === '' || line.startsWith('%')) continue;
+
+            const match = line.match(tagPattern);
+            if (!match) break;
+            headers[match[1]] = match[2].replace(/\\(["\\])/g, '$1');
+        }
+
+        const movetext = lines.slice(index).filter(line => !line.startsWith('%')).join('\n');
+        const tokens = this.tokenizeMovetext(movetext);
+        const { moves, initialComments, result } = this.parseMovetext(tokens, 0, false);
+
+        return { headers, moves, initialComments, result: result || headers.Result || '*' };
+    }
+
+    // Split movetext into comments, NAGs, parentheses, move numbers and moves
+    static tokenizeMovetext(text) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (/\s/.test(char)) {
+                i++;
+            } else if (char === '{') {
+                const end = text.indexOf('}', i);
+                if (end === -1) throw new Error('Invalid PGN: unterminated comment');
+                tokens.push({ type: 'comment', value: text.slice(i + 1, end).trim() });
+                i = end + 1;
+            } else if (char === ';') {
+                const end = text.indexOf('\n', i);
+                const stop = end === -1 ? text.length : end;
+                tokens.push({ type: 'comment', value: text.slice(i + 1, stop).trim() });
+                i = stop;
+            } else if (char === '(' || char === ')') {
+                tokens.push({ type: char });
+                i++;
+            } else if (char === '$') {
+                const match = text.slice(i).match(/^\$(\d+)/);
+                if (!match) throw new Error(`Invalid PGN: malformed NAG near '${text.slice(i, i + 10)}'`);
+                tokens.push({ type: 'nag', value: parseInt(match[1]) });
+                i += match[0].length;
+            } else {
+                const match = text.slice(i).match(/^[^\s{}();$]+/);
+                const word = match[0];
+                i += word.length;
+
+                if (RESULTS.includes(word)) {
+                    tokens.push({ type: 'result', value: word });
+                    continue;
+                }
+
+                // Strip a leading move number such as "12." or "12..."
+                const numbered = word.match(/^(\d+)\.+(.*)$/);
+                const san = numbered ? numbered[2] : word;
+                if (!san) continue;
+                if (/^\d+$/.test(san)) {
+                    throw new Error(`Invalid PGN: unexpected token '${word}'`);
+                }
+
+                const suffix = san.match(/[!?]+$/);
+                tokens.push({ type: 'move', value: suffix ? san.slice(0, -suffix[0].length) : san });
+                if (suffix && SUFFIX_NAGS[suffix[0]]) {
+                    tokens.push({ type: 'nag', value: SUFFIX_NAGS[suffix[0]] });
+                }
+            }
+        }
+
+        return tokens;
+    }
+
+    // Parse tokens into a move list, recursing into parenthesised variations. A comment at the start
+    // of a variation is kept in commentsBefore of its first move.
+    static parseMovetext(tokens, start, isVariation) {
+        const moves = [];
+        const initialComments = [];
+        let result = null;
+        let i = start;
+
+        for (; i < tokens.length; i++) {
+            const token = tokens[i];
+            const lastMove = moves[moves.length - 1];
+
+            if (token.type === 'move') {
+                moves.push({ san: token.value, commentsBefore: [], comments: [], nags: [], variations: [] });
+            } else if (token.type === 'comment') {
+                if (lastMove) {
+                    lastMove.comments.push(token.value);
+                } else {
+                    initialComments.push(token.value);
+                }
+            } else if (token.type === 'nag') {
+                if (lastMove) lastMove.nags.push(token.value);
+            } else if (token.type === '(') {
+                if (!lastMove) throw new Error('Invalid PGN: variation before any move');
+                const variation = this.parseMovetext(tokens, i + 1, true);
+                if (variation.moves.length > 0) variation.moves[0].commentsBefore = variation.initialComments;
+                lastMove.variations.push(variation.moves);
+                i = variation.end;
+            } else if (token.type === ')') {
+                if (!isVariation) throw new Error("Invalid PGN: unbalanced ')'");
+                return { moves, initialComments, result, end: i };
+            } else if (token.type === 'result') {
+                result = token.value;
+                if (!isVariation) break;
+            }
+        }
+
+        if (isVariation) throw new Error("Invalid PGN: unterminated variation, missing ')'");
+        return { moves, initialComments, result, end: i };
+    }
+}
+
+// Export for module compatibility
+export { ChessPGN, SEVEN_TAG_ROSTER };
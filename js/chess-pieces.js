@@ -18,6 +18,16 @@ const PIECES = {
     }
 };
 
+// Single-letter piece codes used by FEN and algebraic notation (white = uppercase)
+const PIECE_LETTERS = {
+    'PAWN': 'P',
+    'KNIGHT': 'N',
+    'BISHOP': 'B',
+    'ROOK': 'R',
+    'QUEEN': 'Q',
+    'KING': 'K'
+};
+
 // Piece values for AI evaluation
 const PIECE_VALUES = {
     'PAWN': 100,
@@ -116,6 +126,7 @@ class ChessPiece {
         this.row = row;
         this.col = col;
         this.hasMoved = false;
+        this.promoted = false; // Promoted from a pawn, so it goes back to being one when captured in Crazyhouse
         this.symbol = PIECES[color][type];
     }
 
@@ -145,7 +156,7 @@ class ChessPiece {
             case 'QUEEN':
                 return this.getQueenMoves(board);
             case 'KING':
-                return this.getKingMoves(board, gameContext.canCastleKingSide, gameContext.canCastleQueenSide);
+                return this.getKingMoves(board, gameContext.castlingMoves);
             default:
                 return [];
         }
@@ -277,7 +288,7 @@ class ChessPiece {
     }
 
     // King movement logic (including castling)
-    getKingMoves(board, canCastleKingSide = false, canCastleQueenSide = false) {
+    getKingMoves(board, castlingMoves = []) {
         const moves = [];
         const kingMoves = [
             [-1, -1], [-1, 0], [-1, 1],
@@ -297,17 +308,8 @@ class ChessPiece {
             }
         }
         
-        // Add castling moves if allowed
-        if (!this.hasMoved && this.col === 4) {
-            // King-side castling
-            if (canCastleKingSide) {
-                moves.push([this.row, 6]);
-            }
-            // Queen-side castling
-            if (canCastleQueenSide) {
-                moves.push([this.row, 2]);
-            }
-        }
+        // Add castling moves if allowed (the game checks castling rights and gives their target squares)
+        moves.push(...castlingMoves);
         
         return moves;
     }
@@ -333,10 +335,11 @@ class ChessPiece {
     clone() {
         const cloned = new ChessPiece(this.type, this.color, this.row, this.col);
         cloned.hasMoved = this.hasMoved;
+        cloned.promoted = this.promoted;
         return cloned;
     }
 }
 
 // Classes and constants are available globally
 // Export for ES6 module compatibility (for unit tests)
-export { PIECES, PIECE_VALUES, POSITION_VALUES, ChessPiece };
\ No newline at end of file
+export { PIECES, PIECE_LETTERS, PIECE_VALUES, POSITION_VALUES, ChessPiece };
\ No newline at end of file
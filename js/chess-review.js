@@ -0,0 +1,141 @@
+// Post-game review: scores every position of a game with the engine, grades each move by how
+// much of its winning chances it gave away and works out each player's accuracy
+import { ChessGame } from './chess-logic.js';
+import { MATE_SCORE } from './chess-ai-enhanced.js';
+
+// Smallest drop in the mover's winning percentage (0-100) for each grade, worst first
+const REVIEW_THRESHOLDS = [
+    ['blunder', 15],
+    ['mistake', 10],
+    ['inaccuracy', 5]
+];
+
+// Grades a move can get, best first
+const MOVE_CLASSES = ['best', 'good', 'inaccuracy', 'mistake', 'blunder', 'missed-mate'];
+
+// Whether a score (from the side to move) is a forced mate for that side
+function isWinningMate(score) {
+    return score > MATE_SCORE - 1000;
+}
+
+// Chance of winning as a percentage for a score in centipawns from the side to move. The curve
+// puts a pawn up at about 59% and three pawns up at about 75%; a forced mate is 0 or 100.
+function winPercent(score) {
+    if (Math.abs(score) > MATE_SCORE - 1000) return score > 0 ? 100 : 0;
+    return 100 / (1 + Math.exp(-0.00368208 * score));
+}
+
+// Accuracy of a single move (0-100) from the mover's winning percentage before and after it
+function moveAccuracy(winBefore, winAfter) {
+    const accuracy = 103.1668 * Math.exp(-0.04354 * Math.max(winBefore - winAfter, 0)) - 3.1669;
+    return Math.min(Math.max(accuracy, 0), 100);
+}
+
+// Grade a move from the mover's point of view: `before` is the engine's best score in the position
+// it was played in, `after` the score it left, and `isBest` whether it was the engine's choice
+function classifyMove(before, after, isBest) {
+    if (isBest) return 'best';
+    if (isWinningMate(before) && !isWinningMate(after)) return 'missed-mate';
+
+    const loss = winPercent(before) - winPercent(after);
+    const grade = REVIEW_THRESHOLDS.find(([, threshold]) => loss >= threshold);
+    return grade ? grade[0] : 'good';
+}
+
+class GameReview {
+    constructor(game) {
+        // The positions before each move and after the last, replayed from the start
+        const position = ChessGame.fromFEN(game.startingFEN, null, game.variant.id);
+        this.positions = [position.cloneGame()];
+        for (const move of game.moveHistory) {
+            if (!position.playMove(move)) {
+                throw new Error(`Invalid game: illegal move at ply ${this.positions.length}`);
+            }
+            this.positions.push(position.cloneGame());
+        }
+
+        this.evaluations = []; // Engine { score, move } per position, from the side to move
+        this.moves = []; // Graded moves, filled in by run()
+        this.accuracy = { WHITE: null, BLACK: null };
+    }
+
+    // Score every position with `evaluate(position)`, which resolves with the engine's best
+    // { score, move } for the side to move, then grade the moves. onProgress(done, total) is
+    // called after each position. Finished positions are scored by the rules, not the engine.
+    async run(evaluate, onProgress = null) {
+        this.evaluations = [];
+        for (const position of this.positions) {
+            this.evaluations.push(GameReview.scoreFinishedPosition(position) || await evaluate(position));
+            if (onProgress) onProgress(this.evaluations.length, this.positions.length);
+        }
+
+        this.gradeMoves();
+        return this;
+    }
+
+    // Score a checkmate, variant win, stalemate or draw, or return null while the game goes on
+    static scoreFinishedPosition(position) {
+        if (position.gameState === 'checkmate') return { score: -MATE_SCORE, move: null };
+        if (position.gameState === 'variant-win') {
+            return { score: position.winner === position.currentPlayer ? MATE_SCORE : -MATE_SCORE, move: null };
+        }
+        if (position.gameState === 'stalemate' || position.gameState === 'draw') return { score: 0, move: null };
+        return null;
+    }
+
+    // Grade every move against the engine's choice in the position it was played in, and average
+    // each player's move accuracies
+    gradeMoves() {
+        this.moves = [];
+        const accuracies = { WHITE: [], BLACK: [] };
+
+        for (let ply = 0; ply < this.positions.length - 1; ply++) {
+            const position = this.positions[ply];
+            const played = this.positions[ply + 1].moveHistory[ply];
+            const best = this.evaluations[ply];
+            const before = best.score;
+            const after = -this.evaluations[ply + 1].score;
+            const isBest = best.move !== null && position.getCoordinateNotation(best.move) === position.getCoordinateNotation(played);
+
+            const color = position.currentPlayer;
+            const accuracy = moveAccuracy(winPercent(before), winPercent(after));
+            accuracies[color].push(accuracy);
+
+            this.moves.push({
+                ply,
+                color,
+                moveNumber: position.fullMoveNumber,
+                san: played.notation,
+                move: played.drop
+                    ? { from: null, to: played.to, promotion: null, drop: played.drop }
+                    : { from: played.from, to: played.to, promotion: played.promotion },
+                classification: classifyMove(before, after, isBest),
+                scoreBefore: before,
+                scoreAfter: after,
+                accuracy,
+                bestMove: best.move,
+                bestSAN: best.move ? position.getSAN(best.move) : null
+            });
+        }
+
+        for (const color of ['WHITE', 'BLACK']) {
+            const values = accuracies[color];
+            this.accuracy[color] = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+        }
+    }
+
+    // Count each player's moves in every grade, e.g. { WHITE: { best: 12, blunder: 1, ... }, BLACK: ... }
+    getSummary() {
+        const summary = {};
+        for (const color of ['WHITE', 'BLACK']) {
+            summary[color] = Object.fromEntries(MOVE_CLASSES.map(moveClass => [moveClass, 0]));
+        }
+        for (const { color, classification } of this.moves) {
+            summary[color][classification]++;
+        }
+        return summary;
+    }
+}
+
+// Export for use in other modules
+export { GameReview, MOVE_CLASSES, classifyMove, winPercent, moveAccuracy };
@@ -0,0 +1,504 @@
+// Endgame tablebases: exact results and distance to mate for positions with up to four pieces.
+// Each table is generated in memory by retrograde analysis the first time its ending is probed.
+import { PIECE_LETTERS } from './chess-pieces.js';
+
+// Most pieces, kings included, that a table covers
+const MAX_TABLEBASE_PIECES = 4;
+
+// Table entries are DRAW, ILLEGAL for impossible positions, or the distance to mate in plies
+// plus one: an even entry (odd distance) is a win for the side to move, an odd entry a loss
+const DRAW = 0;
+const ILLEGAL = 255;
+
+// Endings in which neither side can ever mate, so no table is needed
+const DRAWN_ENDINGS = ['KvK', 'KBvK', 'KNvK'];
+
+// Piece types strongest first, the order they are listed in table names such as 'KQvKR'
+const PIECE_ORDER = ['KING', 'QUEEN', 'ROOK', 'BISHOP', 'KNIGHT', 'PAWN'];
+const [KING, QUEEN, ROOK, BISHOP, KNIGHT, PAWN] = PIECE_ORDER.keys();
+const PROMOTIONS = [QUEEN, ROOK, BISHOP, KNIGHT];
+const LETTER_TYPES = Object.fromEntries(Object.entries(PIECE_LETTERS).map(([type, letter]) => [letter, type]));
+
+// Squares are numbered row * 8 + col with row 0 being rank 8, as on ChessGame's board.
+// Directions 0-3 are orthogonal and 4-7 diagonal.
+const DIRECTIONS = [[-1, 0], [1, 0], [0, -1], [0, 1], [-1, -1], [-1, 1], [1, -1], [1, 1]];
+const KNIGHT_JUMPS = [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]];
+
+const onBoard = (row, col) => row >= 0 && row < 8 && col >= 0 && col < 8;
+
+// Squares reached in one step, and the squares along each direction from each square
+const KING_STEPS = [];
+const KNIGHT_STEPS = [];
+const RAYS = [];
+// Direction from one square to another along a line (indexed from * 64 + to), or -1
+const LINE_DIRECTIONS = new Int8Array(64 * 64).fill(-1);
+
+for (let square = 0; square < 64; square++) {
+    const row = square >> 3;
+    const col = square & 7;
+    KING_STEPS.push(DIRECTIONS.filter(([dr, dc]) => onBoard(row + dr, col + dc))
+        .map(([dr, dc]) => (row + dr) * 8 + col + dc));
+    KNIGHT_STEPS.push(KNIGHT_JUMPS.filter(([dr, dc]) => onBoard(row + dr, col + dc))
+        .map(([dr, dc]) => (row + dr) * 8 + col + dc));
+
+    RAYS.push(DIRECTIONS.map(([dr, dc], direction) => {
+        const ray = [];
+        for (let r = row + dr, c = col + dc; onBoard(r, c); r += dr, c += dc) {
+            ray.push(r * 8 + c);
+            LINE_DIRECTIONS[square * 64 + r * 8 + c] = direction;
+        }
+        return ray;
+    }));
+}
+
+// Result of a table entry for the side to move, with the distance to mate in plies
+function describeValue(value) {
+    if (value === DRAW) return { result: 'draw', plies: null };
+    return { result: (value & 1) === 0 ? 'win' : 'loss', plies: value - 1 };
+}
+
+// Table name for a set of pieces, with the stronger side first, and whether that side is White.
+// The side with more pieces is stronger, then the one with the better pieces; equal sides put White first.
+function getTableName(pieces) {
+    const letters = { WHITE: [], BLACK: [] };
+    for (const { type, color } of pieces) {
+        letters[color].push(PIECE_ORDER.indexOf(type));
+    }
+
+    const white = letters.WHITE.sort((a, b) => a - b);
+    const black = letters.BLACK.sort((a, b) => a - b);
+    let whiteStronger = white.length !== black.length ? white.length > black.length : true;
+    if (white.length === black.length) {
+        const difference = white.findIndex((type, index) => type !== black[index]);
+        whiteStronger = difference === -1 || white[difference] < black[difference];
+    }
+
+    const name = (side) => side.map(type => PIECE_LETTERS[PIECE_ORDER[type]]).join('');
+    return {
+        name: whiteStronger ? `${name(white)}v${name(black)}` : `${name(black)}v${name(white)}`,
+        whiteStronger
+    };
+}
+
+class EndgameTable {
+    // A table for an ending named like 'KBNvK'. The stronger side is side 0 and plays up the
+    // board (towards row 0) like White; the weaker side is side 1.
+    constructor(name) {
+        const [strong, weak] = name.split('v');
+        this.name = name;
+        this.types = [...strong, ...weak].map(letter => PIECE_ORDER.indexOf(LETTER_TYPES[letter]));
+        this.sides = [...strong].map(() => 0).concat([...weak].map(() => 1));
+        this.kings = [0, strong.length]; // Index of each side's king in the piece list
+        this.count = this.types.length;
+        this.size = 2 * 32 * 64 ** (this.count - 1);
+        this.values = null;
+    }
+
+    // Index of a position given the square of each piece and the side to move. The board is
+    // mirrored left to right when needed so that the first king is on files a-d.
+    encode(squares, sideToMove) {
+        const mirror = (squares[0] & 7) > 3 ? 7 : 0;
+        const king = squares[0] ^ mirror;
+        let index = sideToMove * 32 + (king >> 3) * 4 + (king & 3);
+        for (let i = 1; i < this.count; i++) {
+            index = index * 64 + (squares[i] ^ mirror);
+        }
+        return index;
+    }
+
+    // Fill in the squares of the position at an index and return its side to move
+    decode(index, squares) {
+        for (let i = this.count - 1; i >= 1; i--) {
+            squares[i] = index & 63;
+            index >>= 6;
+        }
+        const king = index & 31;
+        squares[0] = (king >> 2) * 8 + (king & 3);
+        return index >> 5;
+    }
+
+    // Index of the piece on a square, or -1 (captured pieces have square -1)
+    pieceAt(squares, square) {
+        for (let i = 0; i < this.count; i++) {
+            if (squares[i] === square) return i;
+        }
+        return -1;
+    }
+
+    // Whether one of a side's pieces attacks a square
+    isAttacked(squares, target, side) {
+        for (let i = 0; i < this.count; i++) {
+            const from = squares[i];
+            if (this.sides[i] !== side || from < 0 || from === target) continue;
+
+            const rowDistance = (target >> 3) - (from >> 3);
+            const colDistance = (target & 7) - (from & 7);
+            switch (this.types[i]) {
+                case KING:
+                    if (Math.abs(rowDistance) <= 1 && Math.abs(colDistance) <= 1) return true;
+                    break;
+                case KNIGHT:
+                    if (Math.abs(rowDistance * colDistance) === 2) return true;
+                    break;
+                case PAWN:
+                    if (rowDistance === (side === 0 ? -1 : 1) && Math.abs(colDistance) === 1) return true;
+                    break;
+                default: {
+                    const direction = LINE_DIRECTIONS[from * 64 + target];
+                    if (direction < 0) break;
+                    if (this.types[i] === ROOK && direction >= 4) break;
+                    if (this.types[i] === BISHOP && direction < 4) break;
+
+                    const ray = RAYS[from][direction];
+                    let clear = true;
+                    for (let step = 0; ray[step] !== target; step++) {
+                        if (this.pieceAt(squares, ray[step]) >= 0) {
+                            clear = false;
+                            break;
+                        }
+                    }
+                    if (clear) return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    // Whether a position can occur: no two pieces on a square, no pawns on the first or last
+    // rank, and the side that just moved not left in check
+    isLegal(squares, sideToMove) {
+        for (let i = 0; i < this.count; i++) {
+            if (this.types[i] === PAWN && (squares[i] < 8 || squares[i] >= 56)) return false;
+            for (let j = i + 1; j < this.count; j++) {
+                if (squares[i] === squares[j]) return false;
+            }
+        }
+        return !this.isAttacked(squares, squares[this.kings[1 - sideToMove]], sideToMove);
+    }
+
+    // Call visit(piece, captured, promotion) for every legal move of the side to move, with
+    // `squares` updated to the position after the move. `captured` is the index of the captured
+    // piece or -1, and `promotion` the type a pawn promotes to or -1.
+    forEachMove(squares, sideToMove, visit) {
+        const king = this.kings[sideToMove];
+        const opponent = 1 - sideToMove;
+
+        const tryMove = (piece, from, to, promotes) => {
+            const captured = this.pieceAt(squares, to);
+            if (captured >= 0 && (this.sides[captured] === sideToMove || this.types[captured] === KING)) return;
+
+            if (captured >= 0) squares[captured] = -1;
+            squares[piece] = to;
+            if (!this.isAttacked(squares, squares[king], opponent)) {
+                if (promotes) {
+                    for (const promotion of PROMOTIONS) visit(piece, captured, promotion);
+                } else {
+                    visit(piece, captured, -1);
+                }
+            }
+            squares[piece] = from;
+            if (captured >= 0) squares[captured] = to;
+        };
+
+        for (let piece = 0; piece < this.count; piece++) {
+            const from = squares[piece];
+            if (this.sides[piece] !== sideToMove || from < 0) continue;
+
+            switch (this.types[piece]) {
+                case KING:
+                    for (const to of KING_STEPS[from]) tryMove(piece, from, to, false);
+                    break;
+                case KNIGHT:
+                    for (const to of KNIGHT_STEPS[from]) tryMove(piece, from, to, false);
+                    break;
+                case PAWN: {
+                    const step = sideToMove === 0 ? -8 : 8;
+                    const to = from + step;
+                    const promotes = to < 8 || to >= 56;
+                    if (this.pieceAt(squares, to) < 0) {
+                        tryMove(piece, from, to, promotes);
+                        const startRow = sideToMove === 0 ? 6 : 1;
+                        if ((from >> 3) === startRow && this.pieceAt(squares, to + step) < 0) {
+                            tryMove(piece, from, to + step, false);
+                        }
+                    }
+                    for (const side of [-1, 1]) {
+                        const col = (from & 7) + side;
+                        const target = to + side;
+                        const captured = this.pieceAt(squares, target);
+                        if (col >= 0 && col < 8 && captured >= 0 && this.sides[captured] === opponent) {
+                            tryMove(piece, from, target, promotes);
+                        }
+                    }
+                    break;
+                }
+                default: {
+                    const first = this.types[piece] === BISHOP ? 4 : 0;
+                    const last = this.types[piece] === ROOK ? 4 : 8;
+                    for (let direction = first; direction < last; direction++) {
+                        for (const to of RAYS[from][direction]) {
+                            tryMove(piece, from, to, false);
+                            if (this.pieceAt(squares, to) >= 0) break;
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    // Call visit() for every position from which `mover` could have reached this one with a
+    // move that neither captures nor promotes, with `squares` updated to that position
+    forEachUnmove(squares, mover, visit) {
+        const empty = (square) => this.pieceAt(squares, square) < 0;
+        const tryUnmove = (piece, to, from) => {
+            squares[piece] = from;
+            visit();
+            squares[piece] = to;
+        };
+
+        for (let piece = 0; piece < this.count; piece++) {
+            const to = squares[piece];
+            if (this.sides[piece] !== mover) continue;
+
+            switch (this.types[piece]) {
+                case KING:
+                    for (const from of KING_STEPS[to]) if (empty(from)) tryUnmove(piece, to, from);
+                    break;
+                case KNIGHT:
+                    for (const from of KNIGHT_STEPS[to]) if (empty(from)) tryUnmove(piece, to, from);
+                    break;
+                case PAWN: {
+                    // Pawns of side 0 move towards row 0, so they came from the row below
+                    const step = mover === 0 ? 8 : -8;
+                    const from = to + step;
+                    const fromRow = from >> 3;
+                    if (fromRow >= 1 && fromRow <= 6 && empty(from)) {
+                        tryUnmove(piece, to, from);
+                        const doubleFrom = from + step;
+                        if ((doubleFrom >> 3) === (mover === 0 ? 6 : 1) && empty(doubleFrom)) {
+                            tryUnmove(piece, to, doubleFrom);
+                        }
+                    }
+                    break;
+                }
+                default: {
+                    const first = this.types[piece] === BISHOP ? 4 : 0;
+                    const last = this.types[piece] === ROOK ? 4 : 8;
+                    for (let direction = first; direction < last; direction++) {
+                        for (const from of RAYS[to][direction]) {
+                            if (!empty(from)) break;
+                            tryUnmove(piece, to, from);
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    // Value of the position after a capture or promotion, looked up in the smaller table
+    probeExit(tablebase, squares, sideToMove, moved, promotion) {
+        const pieces = [];
+        for (let i = 0; i < this.count; i++) {
+            if (squares[i] < 0) continue;
+            const type = i === moved && promotion >= 0 ? promotion : this.types[i];
+            pieces.push({ type: PIECE_ORDER[type], color: this.sides[i] === 0 ? 'WHITE' : 'BLACK', square: squares[i] });
+        }
+        return tablebase.probePieces(pieces, sideToMove === 0 ? 'WHITE' : 'BLACK', true);
+    }
+
+    // Solve every position by retrograde analysis: find the mates, then work backwards one ply
+    // at a time. A position is lost once every move leads to a win for the opponent.
+    generate(tablebase) {
+        const values = new Uint8Array(this.size);
+        const safeMoves = new Uint8Array(this.size); // Moves not yet known to lose
+        const exitLosses = new Uint8Array(this.size); // Longest loss through a capture or promotion
+        const queues = []; // Positions to settle at each distance to mate
+        const schedule = (index, plies) => {
+            (queues[plies] = queues[plies] || []).push(index);
+        };
+        const squares = new Int8Array(this.count);
+
+        for (let index = 0; index < this.size; index++) {
+            const sideToMove = this.decode(index, squares);
+            if (!this.isLegal(squares, sideToMove)) {
+                values[index] = ILLEGAL;
+                continue;
+            }
+
+            let moves = 0;
+            let safe = 0;
+            let fastestWin = Infinity;
+            let longestLoss = 0;
+            this.forEachMove(squares, sideToMove, (piece, captured, promotion) => {
+                moves++;
+                if (captured < 0 && promotion < 0) {
+                    safe++;
+                    return;
+                }
+
+                const value = this.probeExit(tablebase, squares, 1 - sideToMove, piece, promotion);
+                if (value === DRAW) {
+                    safe++;
+                } else if (value & 1) {
+                    safe++;
+                    fastestWin = Math.min(fastestWin, value);
+                } else {
+                    longestLoss = Math.max(longestLoss, value);
+                }
+            });
+
+            if (moves === 0) {
+                // Checkmate is lost now; stalemate stays a draw
+                if (this.isAttacked(squares, squares[this.kings[sideToMove]], 1 - sideToMove)) schedule(index, 0);
+                continue;
+            }
+
+            safeMoves[index] = safe;
+            exitLosses[index] = longestLoss;
+            if (fastestWin < Infinity) schedule(index, fastestWin);
+            if (safe === 0) schedule(index, longestLoss);
+        }
+
+        for (let plies = 0; plies < queues.length; plies++) {
+            for (const index of queues[plies] || []) {
+                if (values[index] !== DRAW) continue; // Already settled
+
+                values[index] = plies + 1;
+                const sideToMove = this.decode(index, squares);
+                const mover = 1 - sideToMove;
+                const lost = (plies & 1) === 0;
+
+                this.forEachUnmove(squares, mover, () => {
+                    if (this.isAttacked(squares, squares[this.kings[sideToMove]], mover)) return;
+                    const previous = this.encode(squares, mover);
+                    if (values[previous] !== DRAW) return;
+
+                    if (lost) {
+                        schedule(previous, plies + 1);
+                    } else if (--safeMoves[previous] === 0) {
+                        schedule(previous, Math.max(plies + 1, exitLosses[previous]));
+                    }
+                });
+            }
+            queues[plies] = null;
+        }
+
+        this.values = values;
+    }
+}
+
+class Tablebase {
+    constructor() {
+        this.tables = new Map(); // Table name -> generated EndgameTable
+    }
+
+    // Whether a table has been generated, so probing it is instant
+    hasTable(name) {
+        return DRAWN_ENDINGS.includes(name) || this.tables.has(name);
+    }
+
+    // The table for an ending, generating it (and the tables it leads to) if needed
+    getTable(name, generate = true) {
+        let table = this.tables.get(name);
+        if (!table && generate) {
+            table = new EndgameTable(name);
+            table.generate(this);
+            this.tables.set(name, table);
+        }
+        return table || null;
+    }
+
+    // Generated tables' values by name, so they can be posted to another thread
+    exportTables(names = [...this.tables.keys()]) {
+        return Object.fromEntries(names.map(name => [name, this.tables.get(name).values]));
+    }
+
+    // Add tables exported from another Tablebase, keeping any already generated here
+    importTables(tables) {
+        for (const [name, values] of Object.entries(tables)) {
+            if (this.tables.has(name)) continue;
+            const table = new EndgameTable(name);
+            if (values.length !== table.size) {
+                throw new Error(`Invalid tablebase table: ${name}`);
+            }
+            table.values = values;
+            this.tables.set(name, table);
+        }
+    }
+
+    // Look up a position given as pieces { type, color, square }, returning its table entry
+    // for the side to move, or null when the table is missing and may not be generated
+    probePieces(pieces, sideToMove, generate = true) {
+        const { name, whiteStronger } = getTableName(pieces);
+        if (DRAWN_ENDINGS.includes(name)) return DRAW;
+
+        const table = this.getTable(name, generate);
+        if (!table) return null;
+
+        // Seen from the stronger side, which plays up the board as White does
+        const squares = new Int8Array(table.count).fill(-1);
+        for (const { type, color, square } of pieces) {
+            const side = (color === 'WHITE') === whiteStronger ? 0 : 1;
+            const typeIndex = PIECE_ORDER.indexOf(type);
+            for (let i = 0; i < table.count; i++) {
+                if (squares[i] < 0 && table.types[i] === typeIndex && table.sides[i] === side) {
+                    squares[i] = whiteStronger ? square : square ^ 56;
+                    break;
+                }
+            }
+        }
+
+        const side = (sideToMove === 'WHITE') === whiteStronger ? 0 : 1;
+        return table.values[table.encode(squares, side)];
+    }
+
+    // Probe a ChessGame or SearchBoard position. Returns { result: 'win' | 'loss' | 'draw', plies }
+    // for the side to move, with plies the distance to mate, or null if the position is not
+    // covered: a variant game, more than four pieces, castling or en passant possible, or (when
+    // `generate` is false) a table that has not been generated yet.
+    probe(position, { generate = true } = {}) {
+        if (position.variant.id !== 'standard' || hasSpecialRights(position)) return null;
+
+        const pieces = [];
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = position.board[row][col];
+                if (!piece) continue;
+                if (pieces.length === MAX_TABLEBASE_PIECES) return null;
+                pieces.push({ type: piece.type, color: piece.color, square: row * 8 + col });
+            }
+        }
+
+        const value = this.probePieces(pieces, position.currentPlayer, generate);
+        return value === null || value === ILLEGAL ? null : describeValue(value);
+    }
+}
+
+// Whether castling or an en passant capture is possible, which the tables do not include.
+// ChessGame and SearchBoard both provide castlingRights and enPassantTarget.
+function hasSpecialRights(position) {
+    const { WHITE, BLACK } = position.castlingRights;
+    if (WHITE.kingSide || WHITE.queenSide || BLACK.kingSide || BLACK.queenSide) return true;
+    if (!position.enPassantTarget) return false;
+
+    // The en passant square only matters when a pawn of the side to move can capture onto it
+    const [row, col] = position.enPassantTarget;
+    const pawnRow = position.currentPlayer === 'WHITE' ? row + 1 : row - 1;
+    return [col - 1, col + 1].some(pawnCol => {
+        const piece = pawnCol >= 0 && pawnCol < 8 ? position.board[pawnRow][pawnCol] : null;
+        return piece !== null && piece.type === 'PAWN' && piece.color === position.currentPlayer;
+    });
+}
+
+// Describe a probe result for the side to move, e.g. 'White wins: mate in 5' or 'Draw'
+function formatTablebaseResult({ result, plies }, sideToMove) {
+    if (result === 'draw') return 'Draw';
+    const winner = (result === 'win') === (sideToMove === 'WHITE') ? 'White' : 'Black';
+    return plies === 0 ? `${winner} wins: checkmate` : `${winner} wins: mate in ${Math.ceil(plies / 2)}`;
+}
+
+// Tables are shared by every AI and view in the same thread, since they are costly to generate
+const sharedTablebase = new Tablebase();
+
+// Export for use in other modules
+export { Tablebase, sharedTablebase, formatTablebaseResult, MAX_TABLEBASE_PIECES };
@@ -0,0 +1,79 @@
+// Time management for the AI search: how long to think about a move and when to stop
+
+// Time kept back from the clock to cover move overhead, in milliseconds
+const MOVE_OVERHEAD = 50;
+
+// Moves assumed to remain in the time control when the clock does not say
+const DEFAULT_MOVES_TO_GO = 30;
+
+// The hard limit may stretch to this multiple of the target when the search needs it
+const MAXIMUM_TARGET_RATIO = 4;
+
+// A new iteration usually takes several times as long as everything before it,
+// so none is started once this fraction of the target has been used
+const ITERATION_START_RATIO = 0.5;
+
+// How much the target grows each time the best move changes between iterations
+const INSTABILITY_FACTOR = 1.5;
+
+class TimeManager {
+    constructor(target, maximum = target, now = () => Date.now()) {
+        this.target = target; // Planned thinking time; grows when the best move is unstable
+        this.maximum = Math.max(target, maximum); // Hard limit the search must not pass
+        this.now = now;
+        this.startTime = null;
+        this.lastBestMove = null;
+        this.bestMoveChanges = 0;
+    }
+
+    // Think for a fixed time per move
+    static fixed(ms, now) {
+        return new TimeManager(ms, ms, now);
+    }
+
+    // Budget a move from the side to move's clock: an even share of the remaining time
+    // over the moves left in the period, plus most of the increment
+    static fromClock({ remaining, increment = 0, movesToGo }, now) {
+        const usable = Math.max(0, remaining - MOVE_OVERHEAD);
+        const moves = movesToGo || DEFAULT_MOVES_TO_GO;
+        const target = Math.max(10, Math.min(usable / moves + increment * 0.75, usable));
+        const maximum = Math.max(target, Math.min(usable, target * MAXIMUM_TARGET_RATIO));
+        return new TimeManager(target, maximum, now);
+    }
+
+    // Start timing the search
+    start() {
+        this.startTime = this.now();
+        this.lastBestMove = null;
+        this.bestMoveChanges = 0;
+    }
+
+    // Milliseconds since the search started
+    getElapsed() {
+        return this.now() - this.startTime;
+    }
+
+    // Whether the search has reached the hard limit and must stop at once
+    isHardLimitReached() {
+        return this.getElapsed() >= this.maximum;
+    }
+
+    // Whether there is enough time left to start another iteration
+    canStartIteration() {
+        return this.getElapsed() < this.target * ITERATION_START_RATIO;
+    }
+
+    // Note the best move after a completed iteration. When it differs from the previous
+    // iteration's the position is unclear, so allow more time (up to the hard limit).
+    recordIteration(move) {
+        const key = move.drop ? `${move.drop}@${move.to}` : `${move.from}-${move.to}-${move.promotion || ''}`;
+        if (this.lastBestMove !== null && key !== this.lastBestMove) {
+            this.bestMoveChanges++;
+            this.target = Math.min(this.maximum, this.target * INSTABILITY_FACTOR);
+        }
+        this.lastBestMove = key;
+    }
+}
+
+// Export for use in other modules
+export { TimeManager, MOVE_OVERHEAD };
@@ -0,0 +1,156 @@
+// Game tree: the moves of a game with side variations and comments. Each node is the position
+// after a move; its first child continues the main line and any others are variations.
+import { ChessGame, STARTING_FEN } from './chess-logic.js';
+
+class GameNode {
+    constructor(parent = null, move = null, san = null) {
+        this.parent = parent;
+        this.move = move; // { from, to, promotion } or Crazyhouse drop { from: null, to, drop } leading here, or null at the root
+        this.san = san;
+        this.ply = parent ? parent.ply + 1 : 0;
+        this.children = [];
+        this.comment = '';
+        this.commentBefore = ''; // Comment ahead of the move, as PGN allows at the start of a variation
+        this.nags = []; // Numeric Annotation Glyphs for the move, e.g. 1 for '!' and 2 for '?'
+    }
+}
+
+// Whether two moves { from, to, promotion } or drops are the same
+function isSameMove(a, b) {
+    if ((a.drop || null) !== (b.drop || null)) return false;
+    return (a.drop || (a.from[0] === b.from[0] && a.from[1] === b.from[1])) &&
+        a.to[0] === b.to[0] && a.to[1] === b.to[1] &&
+        (a.promotion || null) === (b.promotion || null);
+}
+
+class GameTree {
+    constructor(startingFEN = STARTING_FEN, variant = 'standard') {
+        // Leave out the Three-check checks field so the move number is in its usual place
+        const [, activeColor, , , , fullMove] = startingFEN.split(' ').filter(field => !field.includes('+'));
+        this.startingFEN = startingFEN;
+        this.variant = variant; // Id of the variant whose rules the moves follow
+        this.whiteFirst = activeColor !== 'b';
+        this.firstMoveNumber = parseInt(fullMove) || 1;
+        this.root = new GameNode();
+    }
+
+    // Tree whose main line is the game's moves
+    static fromGame(game) {
+        const tree = new GameTree(game.startingFEN, game.variant.id);
+        tree.addLine(game.moveHistory);
+        return tree;
+    }
+
+    // Add a move after `node`, returning its node. A move already played from there is reused;
+    // a new one becomes a variation unless it is the first.
+    addMove(node, move, san) {
+        const existing = node.children.find(child => isSameMove(child.move, move));
+        if (existing) return existing;
+
+        const child = new GameNode(node, move.drop
+            ? { from: null, to: move.to, promotion: null, drop: move.drop }
+            : { from: move.from, to: move.to, promotion: move.promotion || null }, san);
+        node.children.push(child);
+        return child;
+    }
+
+    // Add a line of moves { from, to, promotion, notation } from the root, as in a game's
+    // moveHistory, returning the node it ends at
+    addLine(moves) {
+        let node = this.root;
+        for (const move of moves) {
+            node = this.addMove(node, move, move.notation);
+        }
+        return node;
+    }
+
+    // Nodes of the moves leading to `node`, first move first
+    getPath(node) {
+        const path = [];
+        for (let current = node; current.parent; current = current.parent) {
+            path.unshift(current);
+        }
+        return path;
+    }
+
+    // Nodes of the main line, first move first
+    getMainLine() {
+        const line = [];
+        for (let node = this.root.children[0]; node; node = node.children[0]) {
+            line.push(node);
+        }
+        return line;
+    }
+
+    // Whether `node` is on the main line
+    isMainLine(node) {
+        return this.getVariationStart(node) === null;
+    }
+
+    // The position at `node`, replayed from the starting position as a new game
+    getPosition(node) {
+        const game = ChessGame.fromFEN(this.startingFEN, null, this.variant);
+        for (const { move } of this.getPath(node)) {
+            game.playMove(move);
+        }
+        return game;
+    }
+
+    // Move number and color of the move leading to `node`
+    getMoveNumber(node) {
+        const index = node.ply - 1 + (this.whiteFirst ? 0 : 1);
+        return {
+            moveNumber: this.firstMoveNumber + Math.floor(index / 2),
+            color: index % 2 === 0 ? 'WHITE' : 'BLACK'
+        };
+    }
+
+    // First move of the innermost variation containing `node`, or null on the main line
+    getVariationStart(node) {
+        for (let current = node; current.parent; current = current.parent) {
+            if (current.parent.children[0] !== current) return current;
+        }
+        return null;
+    }
+
+    // Swap the innermost variation containing `node` with the line it is an alternative to.
+    // Returns false on the main line.
+    promoteVariation(node) {
+        const start = this.getVariationStart(node);
+        if (!start) return false;
+
+        const siblings = start.parent.children;
+        siblings.splice(siblings.indexOf(start), 1);
+        siblings.unshift(start);
+        return true;
+    }
+
+    // Remove the innermost variation containing `node`, returning the node it branched from,
+    // or null on the main line, which cannot be deleted
+    deleteVariation(node) {
+        const start = this.getVariationStart(node);
+        if (!start) return null;
+
+        const siblings = start.parent.children;
+        siblings.splice(siblings.indexOf(start), 1);
+        return start.parent;
+    }
+
+    // Set the comment on a node; the root's comment comes before the first move
+    setComment(node, comment) {
+        node.comment = String(comment).trim();
+    }
+
+    // Set the comment written ahead of a node's move
+    setCommentBefore(node, comment) {
+        node.commentBefore = String(comment).trim();
+    }
+
+    // Set the NAGs of a node's move, dropping repeats
+    setNAGs(node, nags) {
+        node.nags = [...new Set(nags)];
+    }
+}
+
+// Export for use in other modules
+export { GameTree, GameNode };
@@ -0,0 +1,270 @@
+// UCI (Universal Chess Interface) front end for EnhancedChessAI
+import { ChessGame, STARTING_FEN } from './chess-logic.js';
+import { SearchBoard } from './chess-board.js';
+import { EnhancedChessAI, MATE_SCORE } from './chess-ai-enhanced.js';
+import { TimeManager, MOVE_OVERHEAD } from './chess-time-manager.js';
+
+const ENGINE_NAME = 'Chess Bot 1.0';
+const ENGINE_AUTHOR = 'Chess Bot contributors';
+
+// Deepest iteration when 'go' gives no depth (the size of the AI's killer move table)
+const MAX_SEARCH_DEPTH = 20;
+
+// Most lines the MultiPV option can ask for
+const MAX_MULTI_PV = 10;
+
+// Parse the arguments of a 'go' command into search limits
+function parseGoCommand(args) {
+    const limits = {};
+    const numeric = ['depth', 'movetime', 'wtime', 'btime', 'winc', 'binc', 'movestogo', 'nodes', 'mate'];
+
+    for (let i = 0; i < args.length; i++) {
+        if (numeric.includes(args[i])) {
+            limits[args[i]] = parseInt(args[++i]);
+        } else if (args[i] === 'infinite' || args[i] === 'ponder') {
+            limits[args[i]] = true;
+        }
+    }
+
+    return limits;
+}
+
+// Time manager for the given limits and side: a fixed movetime, a budget from the side's clock,
+// or no limit for depth-limited and infinite searches
+function createTimeManager(limits, color) {
+    if (limits.movetime) return TimeManager.fixed(Math.max(10, limits.movetime - MOVE_OVERHEAD));
+
+    const remaining = color === 'WHITE' ? limits.wtime : limits.btime;
+    if (remaining === undefined || limits.infinite) return TimeManager.fixed(Infinity);
+
+    const increment = (color === 'WHITE' ? limits.winc : limits.binc) || 0;
+    return TimeManager.fromClock({ remaining, increment, movesToGo: limits.movestogo });
+}
+
+// Moves to mate for a mate score, negative when the side to move is getting mated, or null
+function getMateMoves(score) {
+    if (Math.abs(score) <= MATE_SCORE - 1000) return null;
+    const moves = Math.ceil((MATE_SCORE - Math.abs(score)) / 2);
+    return score > 0 ? moves : -moves;
+}
+
+// Format a score for an info line, reporting mates as moves to mate
+function formatScore(score) {
+    const mate = getMateMoves(score);
+    return mate === null ? `cp ${Math.round(score)}` : `mate ${mate}`;
+}
+
+// Wait for the event loop so queued input is handled between iterations
+function yieldToEventLoop() {
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+class UCIEngine {
+    // When commands are read on another thread, `stopSignal` is an Int32Array on shared memory in
+    // which that thread stores the number of the latest 'go' to stop. The search reads it as it runs,
+    // so it stops at once rather than when this thread gets round to handling 'stop'.
+    constructor(send, stopSignal = null) {
+        this.send = send;
+        this.stopSignal = stopSignal;
+        this.ai = new EnhancedChessAI(5);
+        this.game = new ChessGame();
+        this.search = null;
+        this.searchCount = 0; // 'go' commands so far, which number the searches
+        this.multiPV = 1; // Lines reported per iteration, set with 'setoption name MultiPV'
+        this.chess960 = false; // Castling as the king taking its rook, set with 'setoption name UCI_Chess960'
+        this.debug = false; // Log the AI's diagnostics, set with 'debug on|off'
+    }
+
+    // Handle one line of input. Returns false once the GUI has sent 'quit'.
+    handleCommand(line) {
+        const [command, ...args] = line.trim().split(/\s+/);
+
+        switch (command) {
+            case 'uci':
+                this.send(`id name ${ENGINE_NAME}`);
+                this.send(`id author ${ENGINE_AUTHOR}`);
+                this.send(`option name MultiPV type spin default 1 min 1 max ${MAX_MULTI_PV}`);
+                this.send('option name UCI_Chess960 type check default false');
+                this.send('uciok');
+                break;
+            case 'isready':
+                this.send('readyok');
+                break;
+            case 'ucinewgame':
+                this.stop();
+                this.ai = new EnhancedChessAI(5);
+                this.ai.debug = this.debug;
+                this.game = ChessGame.fromFEN(STARTING_FEN, this.chess960);
+                break;
+            case 'position':
+                this.setPosition(args);
+                break;
+            case 'go':
+                this.go(args);
+                break;
+            case 'stop':
+                this.stop();
+                break;
+            case 'setoption':
+                this.setOption(args);
+                break;
+            case 'quit':
+                this.stop();
+                return false;
+            case 'debug':
+                this.debug = args[0] === 'on';
+                this.ai.debug = this.debug;
+                break;
+            case '':
+            case 'register':
+            case 'ponderhit':
+                break;
+            default:
+                this.send(`info string Unknown command: ${command}`);
+        }
+
+        return true;
+    }
+
+    // Set up 'position startpos|fen <fen> [moves ...]'. Moves after an illegal one are ignored.
+    // With UCI_Chess960 the position has Chess960 castling, written as the king taking its rook.
+    setPosition(args) {
+        const movesIndex = args.indexOf('moves');
+        const spec = movesIndex === -1 ? args : args.slice(0, movesIndex);
+        const moves = movesIndex === -1 ? [] : args.slice(movesIndex + 1);
+
+        let game;
+        try {
+            if (spec[0] === 'startpos') {
+                game = ChessGame.fromFEN(STARTING_FEN, this.chess960);
+            } else if (spec[0] === 'fen') {
+                game = ChessGame.fromFEN(spec.slice(1).join(' '), this.chess960 || null);
+            } else {
+                throw new Error(`Invalid position: expected 'startpos' or 'fen', got '${spec[0] || ''}'`);
+            }
+        } catch (error) {
+            this.send(`info string ${error.message}`);
+            return;
+        }
+
+        for (const text of moves) {
+            const move = game.parseCoordinateMove(text);
+            if (!move) {
+                this.send(`info string Illegal move: ${text}`);
+                break;
+            }
+            game.playMove(move);
+        }
+
+        this.game = game;
+    }
+
+    // Handle 'setoption name <name> [value <value>]'. Option names are not case-sensitive.
+    setOption(args) {
+        const valueIndex = args.indexOf('value');
+        const name = args.slice(1, valueIndex === -1 ? args.length : valueIndex).join(' ');
+        const value = valueIndex === -1 ? '' : args.slice(valueIndex + 1).join(' ');
+
+        if (name.toLowerCase() === 'uci_chess960') {
+            if (value !== 'true' && value !== 'false') {
+                this.send(`info string Invalid UCI_Chess960 value: ${value}`);
+                return;
+            }
+            this.chess960 = value === 'true';
+            return;
+        }
+
+        if (name.toLowerCase() !== 'multipv') {
+            this.send(`info string Unknown option: ${name}`);
+            return;
+        }
+
+        const count = Number(value);
+        if (!Number.isInteger(count) || count < 1 || count > MAX_MULTI_PV) {
+            this.send(`info string Invalid MultiPV value: ${value}`);
+            return;
+        }
+        this.multiPV = count;
+    }
+
+    // Start searching the current position; resolves once 'bestmove' has been sent
+    go(args) {
+        this.stop();
+
+        const limits = parseGoCommand(args);
+        const search = { number: ++this.searchCount, limits, stopped: false, onStop: null };
+        this.search = search;
+        search.promise = this.runSearch(search);
+        return search.promise;
+    }
+
+    // Stop the running search. It answers with 'bestmove' from the last completed iteration;
+    // the first root move is always searched, so there is a move to play.
+    stop() {
+        const search = this.search;
+        if (!search) return;
+
+        search.stopped = true;
+        if (search.onStop) search.onStop();
+    }
+
+    // Whether a search has been stopped, here or through the stop signal
+    isStopRequested(search) {
+        return search.stopped || (this.stopSignal !== null && Atomics.load(this.stopSignal, 0) >= search.number);
+    }
+
+    // Iterative deepening that yields between iterations so 'stop' and 'isready' are handled. The
+    // search itself stops at the node limit or when a stop is requested, once it has a move to play.
+    // 'go mate <n>' searches deep enough for a mate in n moves and answers once it finds one.
+    async runSearch(search) {
+        const { limits } = search;
+        const board = SearchBoard.fromGame(this.game);
+        const ai = this.ai;
+
+        // A mate in n takes 2n - 1 plies, plus one to see that the mated side has no move
+        const depth = limits.depth || (limits.mate ? 2 * limits.mate : MAX_SEARCH_DEPTH);
+        ai.maxDepth = Math.min(depth, MAX_SEARCH_DEPTH);
+        ai.multiPV = this.multiPV;
+        ai.beginSearch(createTimeManager(limits, board.currentPlayer), {
+            nodes: limits.nodes || Infinity,
+            shouldStop: () => this.isStopRequested(search)
+        });
+
+        let bestMove = null;
+        const iterations = ai.iterativeDeepening(board);
+        do {
+            const { value, done } = iterations.next();
+            if (done) break;
+
+            bestMove = value.move;
+            this.sendInfo(value);
+
+            const mate = getMateMoves(value.score);
+            if (limits.mate && mate !== null && mate > 0 && mate <= limits.mate) break;
+            await yieldToEventLoop();
+        } while (!this.isStopRequested(search));
+
+        // 'go infinite' and 'go ponder' must not answer before 'stop'
+        if ((limits.infinite || limits.ponder) && !search.stopped) {
+            await new Promise((resolve) => { search.onStop = resolve; });
+        }
+
+        if (this.search === search) this.search = null;
+        this.send(`bestmove ${bestMove ? this.game.getCoordinateNotation(bestMove) : '0000'}`);
+    }
+
+    // Report a completed iteration, one info line per MultiPV line (numbered when there are several)
+    sendInfo({ depth, nodes, lines }) {
+        const time = Date.now() - this.ai.startTime;
+        const nps = Math.round(nodes * 1000 / Math.max(time, 1));
+
+        lines.forEach(({ score, pv: line }, index) => {
+            const multiPV = this.multiPV > 1 ? ` multipv ${index + 1}` : '';
+            const pv = line.map(pvMove => this.game.getCoordinateNotation(pvMove)).join(' ');
+            this.send(`info depth ${depth}${multiPV} score ${formatScore(score)} nodes ${nodes} nps ${nps} time ${time} pv ${pv}`);
+        });
+    }
+}
+
+// Export for the UCI entry point (bin/uci.js) and tests
+export { UCIEngine, parseGoCommand, createTimeManager, formatScore };
@@ -1,22 +1,85 @@
 // Chess UI and Interaction Handler
-import { ChessGame } from './chess-logic.js';
+import { ChessGame, CHESS960_POSITIONS } from './chess-logic.js';
 import { ChessAI } from './chess-ai.js';
-import { EnhancedChessAI } from './chess-ai-enhanced.js';
+import { EnhancedChessAI, MATE_SCORE } from './chess-ai-enhanced.js';
+import { ChessPGN } from './chess-pgn.js';
+import { AIWorkerClient } from './chess-ai-client.js';
+import { ChessClock, TIME_CONTROLS } from './chess-clock.js';
+import { PolyglotBook } from './chess-polyglot.js';
+import { OpeningExplorer } from './chess-openings.js';
+import { formatTablebaseResult, MAX_TABLEBASE_PIECES } from './chess-tablebase.js';
+import { GameReview } from './chess-review.js';
+import { GameTree } from './chess-tree.js';
+import { VARIANTS, POCKET_PIECES } from './chess-variants.js';
+import { PIECES } from './chess-pieces.js';
+
+// Moves a hint search scores, so the best one can be shown with its alternatives
+const HINT_LINES = 3;
+
+// Depth the game review searches every position to
+const REVIEW_DEPTH = 4;
+
+// Names of the AI difficulty levels
+const DIFFICULTY_NAMES = { 1: 'Easy', 2: 'Medium', 3: 'Hard', 4: 'Expert', 5: 'Master' };
+
+// Pause in milliseconds between moves at each speed of an AI-vs-AI game
+const WATCH_SPEEDS = { slow: 2000, normal: 800, fast: 100 };
+
+// How the game review names each grade, with the annotation symbol shown in its move list
+const REVIEW_LABELS = {
+    'best': ['Best move', ''],
+    'good': ['Good move', ''],
+    'inaccuracy': ['Inaccuracy', '?!'],
+    'mistake': ['Mistake', '?'],
+    'blunder': ['Blunder', '??'],
+    'missed-mate': ['Missed mate', '?']
+};
 
 class ChessUI {
   constructor() {
     this.game = new ChessGame();
     this.aiMode = 'enhanced'; // 'classic' or 'enhanced'
     this.ai = this.aiMode === 'enhanced' ? new EnhancedChessAI(2) : new ChessAI(2);
+    this.searchClient = new AIWorkerClient(); // Runs this.ai's search in a Web Worker
+    this.openingBook = null; // Polyglot book loaded by the user, or null for the built-in book
+    this.openingExplorer = new OpeningExplorer();
+    this.tablebaseClient = new AIWorkerClient(); // Probes endgame tablebases in a worker of its own
+    this.tablebaseClient.onTables = (tables) => this.searchClient.loadTables(tables); // So the AI can play from them
+    this.tablebaseProbeId = 0; // Latest probe; older results are ignored
     this.selectedSquare = null;
+    this.selectedDrop = null; // Piece type picked from the pocket in Crazyhouse
     this.validMoves = [];
     this.gameStartTime = null;
     this.gameTimer = null;
+    this.timeControl = 'none'; // Key into TIME_CONTROLS, or 'none' for untimed games
+    this.variant = 'standard'; // 'chess960' or the id of a variant in VARIANTS
+    this.chess960Position = null; // Chess960 starting position chosen by number, or null for a random one
+    this.clock = null;
+    this.lowTimeWarned = false;
     this.playerColor = 'WHITE'; // Player's color
+    this.gameMode = 'human-vs-ai'; // 'human-vs-ai', 'human-vs-human' (hot-seat on one device) or 'ai-vs-ai'
+    this.autoFlip = false; // Hot-seat games turn the board to face the side to move
+    this.engines = { // Engine playing each side of an AI-vs-AI game
+      WHITE: { mode: 'enhanced', difficulty: 2, ai: new EnhancedChessAI(2) },
+      BLACK: { mode: 'enhanced', difficulty: 2, ai: new EnhancedChessAI(2) }
+    };
+    this.watchPaused = false; // An AI-vs-AI game waits for Step or Resume while paused
+    this.watchSpeed = 'normal'; // Key into WATCH_SPEEDS
+    this.aiMoveTimer = null; // Pending start of the AI's next move
     this.isPlayerTurn = true;
     this.isThinking = false;
     this.moveHistory = [];
     this.boardFlipped = false; // Track if board is flipped
+    this.analysisMode = false; // Both sides are moved by hand while the engine analyses
+    this.analysisAI = new EnhancedChessAI(5); // Analyses and reviews on the main thread when workers are unavailable
+    this.analysisPosition = null; // FEN of the position being analysed
+    this.analysisLines = 3; // Best moves shown in analysis mode, each with its line
+    this.review = null; // GameReview of the finished game while it is being reviewed
+    this.reviewIndex = 0; // Reviewed move shown on the board
+    this.viewPly = null; // Ply shown while browsing the move list, or null for the live position
+    this.gameTree = GameTree.fromGame(this.game); // Every line played, with variations and comments
+    this.currentNode = this.gameTree.root; // Tree node of the game's position
+    this.commentNode = null; // Tree node the comment box is editing
     
     this.initializeBoard();
     this.setupEventListeners();
@@ -54,14 +117,47 @@ class ChessUI {
   setupEventListeners() {
     document.getElementById('new-game-btn').addEventListener('click', () => this.newGame());
     document.getElementById('hint-btn').addEventListener('click', () => this.showHint());
+    document.getElementById('analysis-btn')?.addEventListener('click', () => this.toggleAnalysisMode());
+    document.getElementById('analysis-lines-count')?.addEventListener('change', (e) => this.changeAnalysisLines(e.target.value));
+    document.getElementById('review-prev-btn')?.addEventListener('click', () => this.showReviewMove(this.reviewIndex - 1));
+    document.getElementById('review-next-btn')?.addEventListener('click', () => this.showReviewMove(this.reviewIndex + 1));
+    document.getElementById('review-close-btn')?.addEventListener('click', () => this.closeReview());
+    document.getElementById('nav-first-btn')?.addEventListener('click', () => this.navigateMoves('first'));
+    document.getElementById('nav-prev-btn')?.addEventListener('click', () => this.navigateMoves('previous'));
+    document.getElementById('nav-next-btn')?.addEventListener('click', () => this.navigateMoves('next'));
+    document.getElementById('nav-last-btn')?.addEventListener('click', () => this.navigateMoves('last'));
+    document.getElementById('promote-variation-btn')?.addEventListener('click', () => this.promoteVariation());
+    document.getElementById('delete-variation-btn')?.addEventListener('click', () => this.deleteVariation());
+    document.getElementById('move-comment')?.addEventListener('change', (e) => this.setMoveComment(e.target.value));
+    document.getElementById('undo-btn')?.addEventListener('click', () => this.undoMove());
+    document.getElementById('redo-btn')?.addEventListener('click', () => this.redoMove());
+    document.getElementById('claim-draw-btn')?.addEventListener('click', () => this.claimDraw());
     document.getElementById('difficulty').addEventListener('change', (e) => this.changeDifficulty(e.target.value));
     document.getElementById('player-color').addEventListener('change', (e) => this.changePlayerColor(e.target.value));
+    document.getElementById('game-mode')?.addEventListener('change', (e) => this.changeGameMode(e.target.value));
+    document.getElementById('auto-flip')?.addEventListener('change', (e) => this.setAutoFlip(e.target.checked));
+    for (const color of ['WHITE', 'BLACK']) {
+      const prefix = color.toLowerCase();
+      document.getElementById(`${prefix}-engine`)?.addEventListener('change', (e) => this.changeEngine(color, { mode: e.target.value }));
+      document.getElementById(`${prefix}-difficulty`)?.addEventListener('change', (e) => this.changeEngine(color, { difficulty: parseInt(e.target.value) }));
+    }
+    document.getElementById('watch-pause-btn')?.addEventListener('click', () => this.toggleWatchPause());
+    document.getElementById('watch-step-btn')?.addEventListener('click', () => this.stepAIMove());
+    document.getElementById('watch-speed')?.addEventListener('change', (e) => this.changeWatchSpeed(e.target.value));
     document.getElementById('ai-mode')?.addEventListener('change', (e) => this.changeAIMode(e.target.value));
+    document.getElementById('time-control')?.addEventListener('change', (e) => this.changeTimeControl(e.target.value));
+    document.getElementById('variant')?.addEventListener('change', (e) => this.changeVariant(e.target.value));
+    document.getElementById('chess960-position')?.addEventListener('change', (e) => this.changeChess960Position(e.target.value));
+    document.getElementById('export-pgn-btn')?.addEventListener('click', () => this.exportPGN());
+    document.getElementById('import-pgn-btn')?.addEventListener('click', () => document.getElementById('pgn-file-input').click());
+    document.getElementById('pgn-file-input')?.addEventListener('change', (e) => this.handlePGNFile(e));
+    document.getElementById('load-book-btn')?.addEventListener('click', () => document.getElementById('book-file-input').click());
+    document.getElementById('book-file-input')?.addEventListener('change', (e) => this.handleBookFile(e));
   }
 
     // Handle square click events
     handleSquareClick(event) {
-        if (!this.isPlayerTurn || this.isThinking) return;
+        if (!this.isPlayerTurn || this.isThinking || this.viewPly !== null) return;
 
         let target = event.target;
         // If clicked on piece, get the square
@@ -74,18 +170,20 @@ class ChessUI {
         const logical = this.getLogicalCoordinates(visualRow, visualCol);
         const piece = this.game.getPieceAt(logical.row, logical.col);
 
-        if (this.selectedSquare) {
+        if (this.selectedDrop && this.isValidMove(logical.row, logical.col)) {
+            this.makePlayerDrop(this.selectedDrop, logical.row, logical.col);
+        } else if (this.selectedSquare) {
             // Try to make a move
             if (this.isValidMove(logical.row, logical.col)) {
                 this.makePlayerMove(this.selectedSquare.row, this.selectedSquare.col, logical.row, logical.col);
-            } else if (piece && piece.color === this.playerColor) {
+            } else if (this.canMovePiece(piece)) {
                 // Select a different piece
                 this.selectSquare(logical.row, logical.col);
             } else {
                 // Deselect
                 this.deselectSquare();
             }
-        } else if (piece && piece.color === this.playerColor) {
+        } else if (this.canMovePiece(piece)) {
             // Select a piece
             this.selectSquare(logical.row, logical.col);
         }
@@ -98,7 +196,7 @@ class ChessUI {
         
         // Mouse drag events
         pieceElement.addEventListener('mousedown', (e) => {
-            if (piece.color !== this.playerColor || !this.isPlayerTurn || this.isThinking) return;
+            if (!this.canMovePiece(piece)) return;
             
             isDragging = true;
             dragStartPos = { x: e.clientX, y: e.clientY };
@@ -150,7 +248,7 @@ class ChessUI {
         
         // HTML5 drag events as fallback
         pieceElement.addEventListener('dragstart', (e) => {
-            if (piece.color === this.playerColor && this.isPlayerTurn && !this.isThinking) {
+            if (this.canMovePiece(piece)) {
                 this.selectSquare(row, col);
                 e.dataTransfer.effectAllowed = 'move';
                 e.dataTransfer.setData('text/plain', `${row},${col}`);
@@ -173,7 +271,7 @@ class ChessUI {
     // Handle drop events for drag and drop
     handleDrop(event) {
         event.preventDefault();
-        if (!this.isPlayerTurn || this.isThinking) return;
+        if (!this.isPlayerTurn || this.isThinking || this.viewPly !== null) return;
 
         let target = event.target;
         if (target.classList.contains('piece')) {
@@ -184,7 +282,13 @@ class ChessUI {
         const col = parseInt(target.dataset.col);
         
         const dragData = event.dataTransfer.getData('text/plain');
-        if (dragData && this.selectedSquare) {
+        if (dragData.startsWith('drop:') && this.selectedDrop) {
+            // Pieces dragged from a Crazyhouse pocket
+            const logical = this.getLogicalCoordinates(row, col);
+            if (this.isValidMove(logical.row, logical.col)) {
+                this.makePlayerDrop(this.selectedDrop, logical.row, logical.col);
+            }
+        } else if (dragData && this.selectedSquare) {
             const [fromRow, fromCol] = dragData.split(',').map(Number);
             
             if (this.isValidMove(row, col)) {
@@ -200,7 +304,7 @@ class ChessUI {
         this.deselectSquare();
         
         const piece = this.game.getPieceAt(row, col);
-        if (!piece || piece.color !== this.playerColor) return;
+        if (!piece || piece.color !== this.game.currentPlayer || this.isAIColor(piece.color)) return;
 
         this.selectedSquare = { row, col };
         this.validMoves = this.game.getLegalMoves(piece);
@@ -214,7 +318,8 @@ class ChessUI {
             const moveSquare = this.getSquareElement(moveRow, moveCol);
             const targetPiece = this.game.getPieceAt(moveRow, moveCol);
             
-            if (targetPiece) {
+            // A Chess960 castling move lands on the king's own rook
+            if (targetPiece && targetPiece.color !== piece.color) {
                 moveSquare.classList.add('capture-move');
             } else {
                 moveSquare.classList.add('valid-move');
@@ -233,11 +338,63 @@ class ChessUI {
         document.querySelectorAll('.valid-move, .capture-move').forEach(square => {
             square.classList.remove('valid-move', 'capture-move');
         });
+        document.querySelectorAll('.pocket-piece.selected').forEach(element => element.classList.remove('selected'));
 
         this.selectedSquare = null;
+        this.selectedDrop = null;
         this.validMoves = [];
     }
 
+    // Pick a piece from the side to move's Crazyhouse pocket and show where it can be dropped
+    selectDrop(type, pieceElement) {
+        this.deselectSquare();
+
+        this.selectedDrop = type;
+        this.validMoves = this.game.getLegalDrops()
+            .filter(move => move.drop === type)
+            .map(move => move.to);
+
+        pieceElement.classList.add('selected');
+        this.validMoves.forEach(([row, col]) => this.getSquareElement(row, col).classList.add('valid-move'));
+    }
+
+    // Whether the user may pick up a piece: one of the side to move's when a person plays that
+    // side, as either side does in hot-seat games and analysis mode. Earlier positions shown from
+    // the move list are view-only.
+    canMovePiece(piece) {
+        if (!piece || !this.isPlayerTurn || this.isThinking || this.viewPly !== null) return false;
+        return piece.color === this.game.currentPlayer && !this.isAIColor(piece.color);
+    }
+
+    // Whether the engine plays `color` in the current game mode; in analysis mode nobody does
+    isAIColor(color) {
+        if (this.analysisMode || this.gameMode === 'human-vs-human') return false;
+        return this.gameMode === 'ai-vs-ai' || color !== this.playerColor;
+    }
+
+    // Engine settings { engine, ai } of the AI playing `color`
+    getEngine(color) {
+        if (this.gameMode === 'ai-vs-ai') {
+            return { engine: this.engines[color].mode, ai: this.engines[color].ai };
+        }
+        return { engine: this.aiMode, ai: this.ai };
+    }
+
+    // Let the AI move after `delay` milliseconds if it is to move. AI-vs-AI games wait as long as
+    // the chosen speed says, and not at all while paused.
+    scheduleAIMove(delay = 500) {
+        clearTimeout(this.aiMoveTimer);
+        this.aiMoveTimer = null;
+        if (this.isGameOver() || !this.isAIColor(this.game.currentPlayer)) return;
+
+        this.isPlayerTurn = false;
+        if (this.gameMode === 'ai-vs-ai') {
+            if (this.watchPaused) return;
+            delay = WATCH_SPEEDS[this.watchSpeed];
+        }
+        this.aiMoveTimer = setTimeout(() => this.makeAIMove(), delay);
+    }
+
     // Check if a move is valid
     isValidMove(row, col) {
         return this.validMoves.some(([moveRow, moveCol]) => moveRow === row && moveCol === col);
@@ -253,81 +410,104 @@ class ChessUI {
             promotionPiece = await this.showPromotionDialog();
         }
 
-        const moveSuccess = this.game.makeMove(fromRow, fromCol, toRow, toCol, promotionPiece);
-        
-        if (moveSuccess) {
+        // The flag may have fallen while the promotion dialog was open
+        if (this.isGameOver()) return;
+
+        if (this.game.makeMove(fromRow, fromCol, toRow, toCol, promotionPiece)) {
+            this.finishPlayerMove();
+        }
+    }
+
+    // Drop a piece from the player's Crazyhouse pocket
+    makePlayerDrop(type, toRow, toCol) {
+        if (this.isGameOver()) return;
+
+        if (this.game.makeDrop(type, toRow, toCol)) {
+            this.finishPlayerMove();
+        } else {
             this.deselectSquare();
-            this.updateDisplay();
-            this.playMoveSound();
-            
-            // Check for game end
-            if (this.game.gameState === 'checkmate' || this.game.gameState === 'stalemate' || this.game.gameState === 'draw') {
-                this.handleGameEnd();
-                return;
-            }
+        }
+    }
+
+    // After the player's move or drop: update the board and clock, then hand the turn to the AI,
+    // or in a hot-seat game to the other player
+    finishPlayerMove() {
+        if (!this.analysisMode) this.pressClock();
+        this.deselectSquare();
+        if (this.autoFlip) this.flipBoard();
+        this.updateDisplay();
+        this.playMoveSound();
 
-            // AI's turn
-            this.isPlayerTurn = false;
-            setTimeout(() => this.makeAIMove(), 500);
+        // In analysis mode nobody replies; updateDisplay has started analysing the new position
+        if (this.analysisMode) return;
+        
+        // Check for game end
+        if (['checkmate', 'stalemate', 'draw', 'variant-win'].includes(this.game.gameState)) {
+            this.handleGameEnd();
+            return;
         }
+
+        this.scheduleAIMove();
     }
 
     // Make AI move
     async makeAIMove() {
-        const aiColor = this.playerColor === 'WHITE' ? 'BLACK' : 'WHITE';
-        if (this.game.currentPlayer !== aiColor || (this.game.gameState !== 'playing' && this.game.gameState !== 'check')) return;
+        this.aiMoveTimer = null;
+        const aiColor = this.game.currentPlayer;
+        if (!this.isAIColor(aiColor) || this.isThinking || (this.game.gameState !== 'playing' && this.game.gameState !== 'check')) return;
 
         this.isThinking = true;
         this.showThinkingIndicator();
+        this.updateUndoRedoButtons();
 
         try {
-            // Get AI move in a timeout to prevent UI blocking
-            const aiMove = await new Promise((resolve) => {
-                setTimeout(() => {
-                    const move = this.ai.getBestMove(this.game);
-                    resolve(move);
-                }, 100);
+            // Search in the worker so the board and timer stay responsive
+            const aiMove = await this.searchClient.search(this.game, {
+                ...this.getEngine(aiColor),
+                clock: this.clock ? this.clock.getClockState(aiColor) : null,
+                onProgress: (info) => this.showSearchProgress(info)
             });
 
             if (aiMove) {
-                const moveSuccess = this.game.makeMove(
-                    aiMove.from[0], aiMove.from[1], 
-                    aiMove.to[0], aiMove.to[1]
-                );
+                const moveSuccess = this.game.playMove(aiMove);
 
                 if (moveSuccess) {
+                    this.pressClock();
                     this.highlightLastMove(aiMove.from, aiMove.to);
                     this.updateDisplay();
                     this.playMoveSound();
                 }
             }
         } catch (error) {
+            // A cancelled search belongs to a game that has already been reset
+            if (error.name === 'AbortError') return;
             console.error('AI move error:', error);
         }
 
         this.hideThinkingIndicator();
         this.isThinking = false;
-        this.isPlayerTurn = true;
+        this.isPlayerTurn = !this.isAIColor(this.game.currentPlayer);
+        this.updateUndoRedoButtons();
 
         // Check for game end
-        if (this.game.gameState === 'checkmate' || this.game.gameState === 'stalemate' || this.game.gameState === 'draw') {
+        if (['checkmate', 'stalemate', 'draw', 'variant-win'].includes(this.game.gameState)) {
             this.handleGameEnd();
+        } else if (this.gameMode === 'ai-vs-ai') {
+            this.scheduleAIMove();
         }
     }
 
-    // Show promotion dialog
+    // Show promotion dialog with the pieces the variant allows
     showPromotionDialog() {
         return new Promise((resolve) => {
             const dialog = document.createElement('div');
             dialog.className = 'promotion-dialog show';
+            const pieces = this.game.variant.promotionPieces
+                .map(type => `<div class="promotion-piece" data-piece="${type}">${PIECES.WHITE[type]}</div>`)
+                .join('');
             dialog.innerHTML = `
                 <h3>Choose Promotion Piece</h3>
-                <div class="promotion-pieces">
-                    <div class="promotion-piece" data-piece="QUEEN">♕</div>
-                    <div class="promotion-piece" data-piece="ROOK">♖</div>
-                    <div class="promotion-piece" data-piece="BISHOP">♗</div>
-                    <div class="promotion-piece" data-piece="KNIGHT">♘</div>
-                </div>
+                <div class="promotion-pieces">${pieces}</div>
             `;
 
             const overlay = document.createElement('div');
@@ -347,12 +527,12 @@ class ChessUI {
         });
     }
 
-    // Update the visual board display
-    updateBoardDisplay() {
+    // Update the visual board display, showing another position than the game's when given one
+    updateBoardDisplay(game = this.game) {
         for (let row = 0; row < 8; row++) {
             for (let col = 0; col < 8; col++) {
                 const square = this.getSquareElement(row, col);
-                const piece = this.game.getPieceAt(row, col);
+                const piece = game.getPieceAt(row, col);
                 
                 // Remove has-piece class
                 square.classList.remove('has-piece');
@@ -372,20 +552,61 @@ class ChessUI {
         }
     }
 
-    // Update all UI elements
+    // Update all UI elements. The board returns to the live position.
     updateDisplay() {
+        this.viewPly = null;
+        this.syncGameTree();
         this.updateBoardDisplay();
         this.updateGameInfo();
         this.updateMoveHistory();
+        this.updateOpeningExplorer();
+        this.updateTablebaseInfo();
+        this.updateAnalysis();
         this.updateCapturedPieces();
         this.updateGameStatus();
+        this.updateUndoRedoButtons();
+    }
+
+    // Enable undo/redo buttons only when they would do something
+    updateUndoRedoButtons() {
+        const undoButton = document.getElementById('undo-btn');
+        const redoButton = document.getElementById('redo-btn');
+        // AI-vs-AI games can only be taken back or replayed while paused
+        const watching = this.gameMode === 'ai-vs-ai' && !this.analysisMode && !this.watchPaused;
+        if (undoButton) undoButton.disabled = this.isThinking || this.getUndoPlyCount() === 0;
+        if (redoButton) redoButton.disabled = this.isThinking || watching || !this.game.canRedo();
+        this.updateWatchControls();
+
+        const onVariation = !this.gameTree.isMainLine(this.getShownNode());
+        for (const id of ['promote-variation-btn', 'delete-variation-btn']) {
+            const button = document.getElementById(id);
+            if (button) button.disabled = this.isThinking || !onVariation;
+        }
+
+        const claimDrawButton = document.getElementById('claim-draw-btn');
+        if (claimDrawButton) claimDrawButton.hidden = this.isThinking || !this.game.canClaimDraw();
+
+        const canPlayExplorerMove = this.isPlayerTurn && !this.isThinking && this.viewPly === null &&
+            !this.isAIColor(this.game.currentPlayer);
+        document.querySelectorAll('.explorer-move').forEach(button => { button.disabled = !canPlayExplorerMove; });
+    }
+
+    // Claim a draw by threefold repetition or the 50-move rule
+    claimDraw() {
+        if (this.isThinking || !this.game.claimDraw()) return;
+
+        this.updateDisplay();
+        this.handleGameEnd();
     }
 
     // Update game information panel
     updateGameInfo() {
         const turnElement = document.getElementById('current-turn');
         const isPlayerTurn = this.game.currentPlayer === this.playerColor;
-        turnElement.textContent = `${isPlayerTurn ? 'Your' : "Bot's"} Turn`;
+        turnElement.textContent = this.analysisMode || this.gameMode !== 'human-vs-ai'
+            ? `${this.game.currentPlayer === 'WHITE' ? 'White' : 'Black'} to Move`
+            : `${isPlayerTurn ? 'Your' : "Bot's"} Turn`;
+        this.updatePlayerNames();
         
         // Update player indicators
         document.querySelectorAll('.player').forEach(player => player.classList.remove('active'));
@@ -402,30 +623,486 @@ class ChessUI {
             const seconds = (elapsed % 60).toString().padStart(2, '0');
             document.getElementById('game-time').textContent = `${minutes}:${seconds}`;
         }
+
+        this.updateClocks();
     }
 
-    // Update move history
+    // Refresh the player clocks, warn when the player is low on time and end the game on flag fall
+    updateClocks() {
+        for (const color of ['WHITE', 'BLACK']) {
+            const element = document.getElementById(`${color.toLowerCase()}-clock`);
+            if (!element) continue;
+
+            element.hidden = !this.clock;
+            if (!this.clock) continue;
+
+            element.textContent = ChessClock.formatTime(this.clock.getRemainingTime(color));
+            element.classList.toggle('running', this.clock.running === color);
+            element.classList.toggle('low-time', this.clock.isLowTime(color));
+            element.classList.toggle('flagged', this.clock.flagged === color);
+        }
+
+        if (!this.clock || !this.clock.running) return;
+
+        if (this.clock.checkFlag()) {
+            this.handleFlagFall();
+        } else if (!this.isAIColor(this.clock.running) && this.clock.isLowTime(this.clock.running) && !this.lowTimeWarned) {
+            this.lowTimeWarned = true;
+            this.updateStatusMessage('⏰ You are running low on time!', 'status-message low-time');
+        }
+    }
+
+    // Charge the move just made to the mover's clock and start the opponent's
+    pressClock() {
+        if (this.clock && !this.clock.press()) {
+            this.handleFlagFall();
+        }
+    }
+
+    // Start a fresh clock for the selected time control, running for the side to move
+    resetClock() {
+        const timeControl = TIME_CONTROLS[this.timeControl];
+        this.clock = timeControl ? new ChessClock(timeControl) : null;
+        this.lowTimeWarned = false;
+        if (this.clock) {
+            this.clock.start(this.game.currentPlayer);
+        }
+    }
+
+    // A player's time ran out: they lose, unless the opponent cannot possibly checkmate
+    handleFlagFall() {
+        if (this.isThinking) {
+            this.searchClient.cancel();
+            this.isThinking = false;
+            this.hideThinkingIndicator();
+        }
+
+        if (!this.game.flagFall(this.clock.flagged)) return;
+
+        this.updateDisplay();
+        this.handleGameEnd();
+    }
+
+    // List the main line in two columns, a numbered row per move pair, with comments and variations
+    // between the rows, marking the move whose position is on the board
     updateMoveHistory() {
         const movesList = document.getElementById('moves-list');
         movesList.innerHTML = '';
 
-        this.game.moveHistory.forEach((move, index) => {
-            const moveElement = document.createElement('div');
-            moveElement.className = 'move-item';
-            const moveNumber = Math.floor(index / 2) + 1;
-            const isWhiteMove = index % 2 === 0;
-            moveElement.textContent = `${isWhiteMove ? moveNumber + '.' : ''} ${move.notation}`;
-            movesList.appendChild(moveElement);
+        const shownNode = this.getShownNode();
+        const addComment = (comment) => {
+            const commentElement = document.createElement('div');
+            commentElement.className = 'move-comment';
+            commentElement.textContent = comment;
+            movesList.appendChild(commentElement);
+        };
+        if (this.gameTree.root.comment) addComment(this.gameTree.root.comment);
+
+        let row = null;
+        let node = this.gameTree.root;
+        while (node.children.length > 0) {
+            const [main, ...alternatives] = node.children;
+            const { moveNumber, color } = this.gameTree.getMoveNumber(main);
+            if (color === 'WHITE' || row === null) {
+                row = document.createElement('div');
+                row.className = 'move-row';
+                row.innerHTML = `<span class="move-number">${moveNumber}.</span>`;
+                if (color === 'BLACK') row.innerHTML += '<span class="move-placeholder">...</span>';
+                movesList.appendChild(row);
+            }
+            row.appendChild(this.createMoveButton(main, 'move-item', main.san, shownNode));
+
+            if (main.comment) {
+                addComment(main.comment);
+                row = null;
+            }
+            for (const alternative of alternatives) {
+                const variation = document.createElement('div');
+                variation.className = 'move-variation';
+                this.renderVariation(variation, alternative, shownNode);
+                movesList.appendChild(variation);
+                row = null;
+            }
+            node = main;
+        }
+
+        const current = movesList.querySelector('.current');
+        if (this.viewPly === null && this.gameTree.isMainLine(shownNode) || !current) {
+            movesList.scrollTop = movesList.scrollHeight;
+        } else {
+            current.scrollIntoView({ block: 'nearest' });
+        }
+
+        const atStart = this.getShownPly() === 0;
+        const atLive = this.viewPly === null;
+        const buttons = { 'nav-first-btn': atStart, 'nav-prev-btn': atStart, 'nav-next-btn': atLive, 'nav-last-btn': atLive };
+        for (const [id, disabled] of Object.entries(buttons)) {
+            const button = document.getElementById(id);
+            if (button) button.disabled = disabled;
+        }
+
+        // Leave a comment being typed alone until the board shows another position
+        const commentInput = document.getElementById('move-comment');
+        if (commentInput && !(document.activeElement === commentInput && this.commentNode === shownNode)) {
+            commentInput.value = shownNode.comment;
+            commentInput.placeholder = shownNode.parent ? `Comment on ${shownNode.san}` : 'Comment on the game';
+            this.commentNode = shownNode;
+        }
+    }
+
+    // Write a variation into `container` in parentheses, numbered as in PGN, with the alternatives
+    // to its moves nested inside
+    renderVariation(container, first, shownNode) {
+        const addMove = (node, needsNumber) => {
+            const { moveNumber, color } = this.gameTree.getMoveNumber(node);
+            const number = color === 'WHITE' ? `${moveNumber}. ` : needsNumber ? `${moveNumber}... ` : '';
+            container.appendChild(this.createMoveButton(node, 'variation-move', number + node.san, shownNode));
+            if (node.comment) {
+                const commentElement = document.createElement('span');
+                commentElement.className = 'variation-comment';
+                commentElement.textContent = node.comment;
+                container.appendChild(commentElement);
+            }
+            return node.comment !== '';
+        };
+
+        container.append('(');
+        let needsNumber = addMove(first, true);
+        let node = first;
+        while (node.children.length > 0) {
+            const [main, ...alternatives] = node.children;
+            needsNumber = addMove(main, needsNumber);
+            for (const alternative of alternatives) {
+                this.renderVariation(container, alternative, shownNode);
+                needsNumber = true;
+            }
+            node = main;
+        }
+        container.append(')');
+    }
+
+    // A move list button for a tree node, marked when its position is on the board
+    createMoveButton(node, className, text, shownNode) {
+        const button = document.createElement('button');
+        button.className = `${className}${node === shownNode ? ' current' : ''}`;
+        button.textContent = text;
+        button.addEventListener('click', () => this.selectNode(node));
+        return button;
+    }
+
+    // Record the game's moves in the game tree. A move played after going back in the game,
+    // with undo or by switching lines, becomes a variation instead of replacing the moves there.
+    syncGameTree() {
+        if (this.gameTree.startingFEN !== this.game.startingFEN || this.gameTree.variant !== this.game.variant.id) {
+            this.gameTree = new GameTree(this.game.startingFEN, this.game.variant.id);
+        }
+        this.currentNode = this.gameTree.addLine(this.game.moveHistory);
+    }
+
+    // Tree node of the position on the board
+    getShownNode() {
+        let node = this.currentNode;
+        for (let ply = this.game.moveHistory.length; ply > this.getShownPly(); ply--) {
+            node = node.parent;
+        }
+        return node;
+    }
+
+    // Show a move picked from the move list. On the game's line only its position is shown;
+    // a move in another line makes that line the game.
+    selectNode(node) {
+        if (node === this.gameTree.root || this.gameTree.getPath(this.currentNode).includes(node)) {
+            this.viewPosition(node.ply);
+        } else {
+            this.goToNode(node);
+        }
+    }
+
+    // Make the line leading to `node` the game by replaying its moves. As after redo, the AI
+    // moves if the line ends on its turn.
+    goToNode(node) {
+        if (this.isThinking || (this.clock && this.clock.flagged)) return;
+
+        this.game.loadFEN(this.gameTree.startingFEN);
+        for (const { move } of this.gameTree.getPath(node)) {
+            this.game.playMove(move);
+        }
+        this.refreshAfterHistoryChange();
+
+        if (this.analysisMode) return;
+        if (this.isGameOver()) {
+            this.handleGameEnd();
+        } else {
+            this.scheduleAIMove();
+        }
+    }
+
+    // Make the variation holding the position on the board the main line where it branches off
+    promoteVariation() {
+        if (this.isThinking) return;
+        if (this.gameTree.promoteVariation(this.getShownNode())) {
+            this.updateMoveHistory();
+            this.updateUndoRedoButtons();
+        }
+    }
+
+    // Delete the variation holding the position on the board, going back to where it branched off
+    deleteVariation() {
+        if (this.isThinking || (this.clock && this.clock.flagged)) return;
+
+        const branchPoint = this.gameTree.deleteVariation(this.getShownNode());
+        if (branchPoint) {
+            this.goToNode(branchPoint);
+            this.updateStatusMessage('Variation deleted.');
+        }
+    }
+
+    // Save the comment typed for the position on the board
+    setMoveComment(comment) {
+        if (!this.commentNode) return;
+        this.gameTree.setComment(this.commentNode, comment);
+        this.updateMoveHistory();
+    }
+
+    // Number of moves played in the position on the board
+    getShownPly() {
+        return this.viewPly === null ? this.game.moveHistory.length : this.viewPly;
+    }
+
+    // Step through the game from the move list: 'first', 'previous', 'next' or 'last' (the live position)
+    navigateMoves(direction) {
+        const shownPly = this.getShownPly();
+        const targets = {
+            first: 0,
+            previous: shownPly - 1,
+            next: shownPly + 1,
+            last: this.game.moveHistory.length
+        };
+        if (direction in targets) this.viewPosition(targets[direction]);
+    }
+
+    // Show the position after `ply` moves without changing the game. Pieces cannot be moved
+    // until the board is back at the live position, the last ply.
+    viewPosition(ply) {
+        this.closeReview();
+        const length = this.game.moveHistory.length;
+        const target = Math.max(0, Math.min(ply, length));
+        const wasBrowsing = this.viewPly !== null;
+        this.viewPly = target === length ? null : target;
+        this.deselectSquare();
+
+        const position = this.viewPly === null ? this.game : this.game.getPositionAt(target);
+        this.updateBoardDisplay(position);
+        document.querySelectorAll('.last-move, .hint-from, .hint-to').forEach(square => {
+            square.classList.remove('last-move', 'hint-from', 'hint-to');
         });
+        if (position.lastMove) {
+            this.highlightLastMove(position.lastMove.from, position.lastMove.to);
+        }
+        this.updateMoveHistory();
+        this.updateUndoRedoButtons();
+
+        if (this.viewPly !== null) {
+            let shown = 'the starting position';
+            if (target > 0) {
+                const movedWhite = position.currentPlayer === 'BLACK';
+                const moveNumber = movedWhite ? position.fullMoveNumber : position.fullMoveNumber - 1;
+                shown = `the position after ${moveNumber}${movedWhite ? '.' : '...'} ${this.game.moveHistory[target - 1].notation}`;
+            }
+            this.updateStatusMessage(`Viewing ${shown}. Press End or ⏭ to return to the game.`);
+        } else if (wasBrowsing) {
+            this.updateStatusMessage('Back at the current position.');
+        }
+    }
+
+    // Name the opening reached so far and list the known continuations; on the player's turn
+    // clicking a continuation plays it
+    updateOpeningExplorer() {
+        const nameElement = document.getElementById('opening-name');
+        const movesElement = document.getElementById('explorer-moves');
+        if (!nameElement || !movesElement) return;
+
+        // The opening book and names are for standard chess
+        if (!this.openingExplorer.covers(this.game)) {
+            const name = this.game.variant.id !== 'standard' ? this.game.variant.name : 'Chess960';
+            nameElement.textContent = name;
+            movesElement.innerHTML = `<div class="explorer-empty">No opening theory for ${name}</div>`;
+            return;
+        }
+
+        const opening = this.openingExplorer.classify(this.game);
+        if (opening) {
+            nameElement.textContent = `${opening.eco} ${opening.name}`;
+        } else {
+            nameElement.textContent = this.game.moveHistory.length === 0 ? 'Starting position' : 'Unknown opening';
+        }
+
+        movesElement.innerHTML = '';
+        const continuations = this.isGameOver() ? [] : this.openingExplorer.getContinuations(this.game);
+        if (continuations.length === 0) {
+            movesElement.innerHTML = '<div class="explorer-empty">No known continuations</div>';
+            return;
+        }
+
+        for (const { move, san, eco, name } of continuations) {
+            const item = document.createElement('button');
+            item.className = 'explorer-move';
+            item.innerHTML = `<span class="explorer-san">${san}</span><span class="explorer-opening">${eco} ${name}</span>`;
+            item.addEventListener('click', () => {
+                if (!this.isPlayerTurn || this.isThinking) return;
+                this.makePlayerMove(move.from[0], move.from[1], move.to[0], move.to[1]);
+            });
+            movesElement.appendChild(item);
+        }
+    }
+
+    // Show the tablebase result for endings with few enough pieces. Tables are generated in a
+    // worker the first time an ending comes up, so the result may arrive after the position changed.
+    updateTablebaseInfo() {
+        const panel = document.getElementById('tablebase-panel');
+        const info = document.getElementById('tablebase-info');
+        if (!panel || !info) return;
+
+        const probeId = ++this.tablebaseProbeId;
+        const pieceCount = this.game.board.flat().filter(piece => piece).length;
+        panel.hidden = pieceCount > MAX_TABLEBASE_PIECES || this.isGameOver();
+        if (panel.hidden) return;
+
+        const sideToMove = this.game.currentPlayer;
+        info.textContent = 'Looking up the ending...';
+        this.tablebaseClient.probeTablebase(this.game).then(result => {
+            if (probeId !== this.tablebaseProbeId) return;
+            info.textContent = result
+                ? formatTablebaseResult(result, sideToMove)
+                : 'Not covered while castling or en passant is possible';
+        }).catch(error => {
+            if (probeId !== this.tablebaseProbeId) return;
+            console.warn('Tablebase probe failed:', error);
+            info.textContent = 'Tablebase unavailable';
+        });
+    }
+
+    // In analysis mode, show the panel and evaluation bar and analyse the position whenever it changes
+    updateAnalysis() {
+        const panel = document.getElementById('analysis-panel');
+        const evalBar = document.getElementById('eval-bar');
+        if (panel) panel.hidden = !this.analysisMode;
+        if (evalBar) evalBar.hidden = !this.analysisMode;
+        if (!this.analysisMode) return;
+
+        const fen = this.game.toFEN();
+        if (fen === this.analysisPosition) return;
+        this.analysisPosition = fen;
+        this.startAnalysis();
+    }
+
+    // Analyse the position on the board in the worker until it changes, showing every depth
+    async startAnalysis() {
+        const position = this.game.cloneGame();
+        this.showAnalysis(null, position);
+        if (this.isGameOver()) {
+            this.searchClient.cancel();
+            return;
+        }
+
+        try {
+            await this.searchClient.search(this.game, {
+                engine: 'enhanced',
+                ai: this.analysisAI,
+                analysis: true,
+                multiPV: this.analysisLines,
+                onProgress: (info) => this.showAnalysis(info, position)
+            });
+        } catch (error) {
+            // Cancelled because the position changed or analysis mode was left
+            if (error.name !== 'AbortError') console.error('Analysis error:', error);
+        }
+    }
+
+    // Show the number of best moves analysis mode lists, restarting the analysis
+    changeAnalysisLines(count) {
+        this.analysisLines = parseInt(count);
+        this.analysisPosition = null;
+        this.updateAnalysis();
+    }
 
-        movesList.scrollTop = movesList.scrollHeight;
+    // Show a completed depth { depth, score, lines } of the analysis of `position`: the best score
+    // from White's side, the evaluation bar and each line's score and moves in SAN. Without one,
+    // show the result of a finished game or that the analysis is starting.
+    showAnalysis(info, position) {
+        const scoreElement = document.getElementById('analysis-score');
+        const depthElement = document.getElementById('analysis-depth');
+        const linesElement = document.getElementById('analysis-lines');
+        if (!scoreElement || !depthElement || !linesElement) return;
+
+        if (!info) {
+            let whiteScore = 0;
+            scoreElement.textContent = '...';
+            if (position.gameState === 'checkmate') {
+                whiteScore = position.currentPlayer === 'WHITE' ? -MATE_SCORE : MATE_SCORE;
+                scoreElement.textContent = 'Checkmate';
+            } else if (position.gameState === 'variant-win') {
+                whiteScore = position.winner === 'WHITE' ? MATE_SCORE : -MATE_SCORE;
+                scoreElement.textContent = `${position.winner === 'WHITE' ? 'White' : 'Black'} wins`;
+            } else if (this.isGameOver()) {
+                scoreElement.textContent = position.gameState === 'timeout' ? 'Time out' : 'Draw';
+            }
+            depthElement.textContent = '';
+            linesElement.innerHTML = '';
+            this.updateEvalBar(whiteScore);
+            return;
+        }
+
+        const toWhite = (score) => position.currentPlayer === 'WHITE' ? score : -score;
+        scoreElement.textContent = this.formatEvaluation(toWhite(info.score));
+        depthElement.textContent = `Depth ${info.depth}`;
+        this.updateEvalBar(toWhite(info.score));
+
+        linesElement.innerHTML = '';
+        for (const { score, pv } of info.lines) {
+            const item = document.createElement('div');
+            item.className = 'analysis-line';
+            item.innerHTML = `<span class="analysis-line-score">${this.formatEvaluation(toWhite(score))}</span>` +
+                `<span class="analysis-line-moves">${position.formatLine(pv)}</span>`;
+            linesElement.appendChild(item);
+        }
+    }
+
+    // Format a score from White's side: pawns such as '+1.25', or '#3' / '#-3' for a forced mate
+    formatEvaluation(score) {
+        if (Math.abs(score) > MATE_SCORE - 1000) {
+            const moves = Math.ceil((MATE_SCORE - Math.abs(score)) / 2);
+            return `#${score > 0 ? moves : -moves}`;
+        }
+        const pawns = (score / 100).toFixed(2);
+        return score > 0 ? `+${pawns}` : pawns;
     }
 
-    // Update captured pieces display
+    // Fill the evaluation bar with White's share: half when level, most of it a few pawns up, all of it for a mate
+    updateEvalBar(whiteScore) {
+        const fill = document.getElementById('eval-bar-fill');
+        if (!fill) return;
+
+        let share = 1 / (1 + Math.exp(-whiteScore / 250));
+        if (Math.abs(whiteScore) > MATE_SCORE - 1000) {
+            share = whiteScore > 0 ? 1 : 0;
+        }
+        fill.style.height = `${(share * 100).toFixed(1)}%`;
+    }
+
+    // Update captured pieces display; in Crazyhouse it shows the pockets instead
     updateCapturedPieces() {
         const whiteCaptured = document.getElementById('captured-white-pieces');
         const blackCaptured = document.getElementById('captured-black-pieces');
 
+        if (this.game.variant.drops) {
+            // Captured white pieces are in Black's pocket and captured black pieces in White's
+            this.renderPocket(whiteCaptured, 'BLACK');
+            this.renderPocket(blackCaptured, 'WHITE');
+            return;
+        }
+        this.setCapturedHeadings('Captured White Pieces', 'Captured Black Pieces');
+
         whiteCaptured.innerHTML = this.game.capturedPieces.WHITE
             .map(piece => `<span class="captured-piece">${piece.symbol}</span>`)
             .join('');
@@ -435,6 +1112,50 @@ class ChessUI {
             .join('');
     }
 
+    // Show a color's Crazyhouse pocket, whose pieces the player can click or drag onto the board
+    renderPocket(container, color) {
+        this.setCapturedHeadings("Black's Pocket", "White's Pocket");
+        container.innerHTML = '';
+
+        // Like pieces on the board, a pocket piece can only be picked up on its side's turn
+        const canDrop = () => this.canMovePiece({ color }) && this.game.currentPlayer === color;
+        for (const type of POCKET_PIECES) {
+            const count = this.game.pockets[color][type];
+            if (!count) continue;
+
+            const pieceElement = document.createElement('span');
+            pieceElement.className = `captured-piece pocket-piece ${color.toLowerCase()}`;
+            pieceElement.innerHTML = `${PIECES[color][type]}${count > 1 ? `<sub>${count}</sub>` : ''}`;
+            pieceElement.draggable = true;
+            pieceElement.addEventListener('click', () => {
+                if (!canDrop()) return;
+                if (this.selectedDrop === type) {
+                    this.deselectSquare();
+                } else {
+                    this.selectDrop(type, pieceElement);
+                }
+            });
+            pieceElement.addEventListener('dragstart', (e) => {
+                if (!canDrop()) {
+                    e.preventDefault();
+                    return;
+                }
+                this.selectDrop(type, pieceElement);
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', `drop:${type}`);
+            });
+            container.appendChild(pieceElement);
+        }
+    }
+
+    // Label the two captured pieces boxes
+    setCapturedHeadings(whiteHeading, blackHeading) {
+        const white = document.querySelector('.captured-white h4');
+        const black = document.querySelector('.captured-black h4');
+        if (white) white.textContent = whiteHeading;
+        if (black) black.textContent = blackHeading;
+    }
+
     // Update game status message
     updateGameStatus() {
         const statusElement = document.getElementById('status-message');
@@ -449,22 +1170,54 @@ class ChessUI {
                 statusElement.textContent = `Checkmate! ${winner} wins!`;
                 statusElement.className = 'status-message checkmate';
                 break;
+            case 'variant-win':
+                statusElement.textContent = `${this.game.winner === 'WHITE' ? 'White' : 'Black'} wins by ${this.game.variant.goal}!`;
+                statusElement.className = 'status-message checkmate';
+                break;
             case 'stalemate':
                 statusElement.textContent = 'Stalemate! The game is a draw.';
                 statusElement.className = 'status-message stalemate';
                 break;
             case 'draw':
-                statusElement.textContent = 'Draw! The game ends in a tie.';
+                statusElement.textContent = `Draw by ${this.getDrawReasonText()}!`;
                 statusElement.className = 'status-message stalemate';
                 break;
             default:
-                if (this.game.currentPlayer === 'WHITE') {
-                    statusElement.textContent = 'Your turn. Make your move!';
-                } else {
+                if (this.isAIColor(this.game.currentPlayer)) {
                     statusElement.textContent = 'AI is thinking...';
+                } else if (this.gameMode === 'human-vs-human') {
+                    statusElement.textContent = `${this.game.currentPlayer === 'WHITE' ? 'White' : 'Black'} to move.`;
+                } else {
+                    statusElement.textContent = 'Your turn. Make your move!';
                 }
                 statusElement.className = 'status-message';
         }
+
+        // Keep count of the checks in Three-check
+        if (this.game.variant.checkLimit) {
+            const { WHITE, BLACK } = this.game.checksGiven;
+            statusElement.textContent += ` (Checks given: White ${WHITE}, Black ${BLACK})`;
+        }
+
+        // Let the player know a draw can be claimed
+        const claimable = this.game.getClaimableDrawReason();
+        if (claimable) {
+            const rule = claimable === 'threefold-repetition' ? 'Threefold repetition' : '50-move rule';
+            statusElement.textContent += ` (${rule}: a draw can be claimed.)`;
+        }
+    }
+
+    // Describe the rule that drew the game
+    getDrawReasonText() {
+        const descriptions = {
+            'insufficient-material': 'insufficient material',
+            'fifty-move-rule': 'the 50-move rule',
+            'seventy-five-move-rule': 'the 75-move rule',
+            'threefold-repetition': 'threefold repetition',
+            'fivefold-repetition': 'fivefold repetition',
+            'timeout-vs-insufficient-material': 'timeout, as the opponent could not checkmate'
+        };
+        return descriptions[this.game.drawReason] || 'agreement';
     }
 
     // Highlight the last move
@@ -474,11 +1227,9 @@ class ChessUI {
             square.classList.remove('last-move');
         });
 
-        // Add new highlights
-        const fromSquare = this.getSquareElement(from[0], from[1]);
+        // Add new highlights; a Crazyhouse drop only has the square it landed on
         const toSquare = this.getSquareElement(to[0], to[1]);
-        
-        fromSquare.classList.add('last-move');
+        if (from) this.getSquareElement(from[0], from[1]).classList.add('last-move');
         toSquare.classList.add('last-move');
         
         // Add a subtle animation
@@ -517,33 +1268,87 @@ class ChessUI {
 
     // Start a new game
     newGame() {
-        this.game.reset();
+        this.closeReview();
+        if (this.analysisMode) this.setAnalysisMode(false);
+        this.searchClient.cancel();
+        clearTimeout(this.aiMoveTimer);
+        const chess960Position = this.variant !== 'chess960' ? null
+            : this.chess960Position ?? Math.floor(Math.random() * CHESS960_POSITIONS);
+        this.game.reset(chess960Position, this.variant === 'chess960' ? 'standard' : this.variant);
+        this.gameTree = new GameTree(this.game.startingFEN, this.game.variant.id);
         this.deselectSquare();
         this.gameStartTime = Date.now();
         this.isThinking = false;
         
         // Set initial turn based on player color
-        this.isPlayerTurn = (this.playerColor === 'WHITE');
+        this.isPlayerTurn = !this.isAIColor(this.game.currentPlayer);
         
         // Clear last move highlights
         document.querySelectorAll('.last-move').forEach(square => {
             square.classList.remove('last-move');
         });
         
+        this.resetClock();
         this.updateDisplay();
         this.flipBoard(); // Ensure board is oriented correctly
         this.startGameTimer();
+        if (chess960Position !== null) {
+            this.updateStatusMessage(`Chess960 starting position ${chess960Position}`);
+        }
         
-        // If player is black, AI should make the first move
-        if (this.playerColor === 'BLACK') {
-            setTimeout(() => this.makeAIMove(), 1000);
+        // If the AI has White, it makes the first move
+        this.scheduleAIMove(1000);
+    }
+
+
+    // Switch between playing the AI and analysis mode. Leaving analysis mode resumes the game
+    // from the position on the board, with the AI to move if it is its turn.
+    toggleAnalysisMode() {
+        this.setAnalysisMode(!this.analysisMode);
+
+        if (this.analysisMode) {
+            this.updateStatusMessage('Analysis mode: move either side to explore the position.');
+        } else if (!this.isGameOver()) {
+            if (this.clock) this.clock.start(this.game.currentPlayer);
+            if (this.isPlayerTurn) {
+                this.updateStatusMessage('Your turn. Make your move!');
+            } else {
+                this.scheduleAIMove();
+            }
         }
+        this.updateDisplay();
     }
 
+    // Enter or leave analysis mode, stopping the clock and any search in progress
+    setAnalysisMode(enabled) {
+        this.closeReview();
+        this.analysisMode = enabled;
+        this.analysisPosition = null;
+        this.searchClient.cancel();
+        clearTimeout(this.aiMoveTimer);
+        this.isThinking = false;
+        this.hideThinkingIndicator();
+        this.deselectSquare();
+
+        if (enabled && this.clock) this.clock.stop();
+        this.isPlayerTurn = !this.isAIColor(this.game.currentPlayer);
+
+        const button = document.getElementById('analysis-btn');
+        if (button) {
+            button.textContent = enabled ? 'Stop Analysis' : 'Analyze';
+            button.classList.toggle('btn-primary', enabled);
+            button.classList.toggle('btn-secondary', !enabled);
+        }
+    }
 
     // Show hint for the player
     async showHint() {
-        if (this.game.currentPlayer !== this.playerColor || this.isThinking) {
+        if (this.viewPly !== null) this.viewPosition(this.game.moveHistory.length);
+        if (this.analysisMode) {
+            this.updateStatusMessage('The analysis shows the best line for the side to move.');
+            return;
+        }
+        if (this.isAIColor(this.game.currentPlayer) || this.isThinking) {
             this.updateStatusMessage('Cannot show hint right now.');
             return;
         }
@@ -556,36 +1361,47 @@ class ChessUI {
         this.isThinking = true;
         this.updateStatusMessage('Calculating best move...');
         
-        const hint = await new Promise((resolve) => {
-            setTimeout(() => {
-                // Fix the AI hint to work with current player color
-                const originalPlayer = this.game.currentPlayer;
-                this.game.currentPlayer = this.playerColor;
-                const move = this.ai.getBestMove(this.game);
-                this.game.currentPlayer = originalPlayer;
-                resolve(move);
-            }, 100);
-        });
+        let hint;
+        let lines = [];
+        try {
+            hint = await this.searchClient.search(this.game, {
+                engine: this.aiMode,
+                ai: this.ai,
+                sideToMove: this.game.currentPlayer,
+                multiPV: HINT_LINES,
+                onProgress: (info) => { if (info.lines) lines = info.lines; }
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Hint error:', error);
+        }
         
         this.isThinking = false;
 
-        if (hint && hint.from && hint.to) {
-            // Highlight hint squares with special styling
-            const fromSquare = this.getSquareElement(hint.from[0], hint.from[1]);
+        if (hint && (hint.from || hint.drop) && hint.to) {
+            // Highlight hint squares with special styling; a Crazyhouse drop only has a target square
+            const fromSquare = hint.from ? this.getSquareElement(hint.from[0], hint.from[1]) : null;
             const toSquare = this.getSquareElement(hint.to[0], hint.to[1]);
             
-            if (fromSquare && toSquare) {
-                fromSquare.classList.add('hint-from');
+            if ((fromSquare || hint.drop) && toSquare) {
+                fromSquare?.classList.add('hint-from');
                 toSquare.classList.add('hint-to');
                 
                 // Show hint message
-                const fromNotation = String.fromCharCode(97 + hint.from[1]) + (8 - hint.from[0]);
                 const toNotation = String.fromCharCode(97 + hint.to[1]) + (8 - hint.to[0]);
-                this.updateStatusMessage(`Hint: Try moving from ${fromNotation} to ${toNotation}`);
+                let suggestion;
+                if (hint.drop) {
+                    suggestion = `dropping a ${hint.drop.toLowerCase()} on ${toNotation}`;
+                } else {
+                    const fromNotation = String.fromCharCode(97 + hint.from[1]) + (8 - hint.from[0]);
+                    const promotion = hint.promotion ? `, promoting to a ${hint.promotion.toLowerCase()}` : '';
+                    suggestion = `moving from ${fromNotation} to ${toNotation}${promotion}`;
+                }
+                this.updateStatusMessage(`Hint: Try ${suggestion}${this.formatHintAlternatives(hint, lines)}`);
                 
                 // Remove hint highlighting after 4 seconds
                 setTimeout(() => {
-                    fromSquare.classList.remove('hint-from');
+                    fromSquare?.classList.remove('hint-from');
                     toSquare.classList.remove('hint-to');
                     this.updateStatusMessage('Your turn. Make your move!');
                 }, 4000);
@@ -595,21 +1411,215 @@ class ChessUI {
         }
     }
 
+    // Describe the other moves a hint search scored, e.g. '. Alternatives: Nf3 (+0.25), d4 (+0.20)',
+    // with scores from the player's side. Searches that did not report lines have none.
+    formatHintAlternatives(hint, lines) {
+        const hintMove = this.game.getCoordinateNotation(hint);
+        const alternatives = lines
+            .filter(({ pv }) => pv.length > 0 && this.game.getCoordinateNotation(pv[0]) !== hintMove)
+            .map(({ score, pv }) => `${this.game.getSAN(pv[0])} (${this.formatEvaluation(score)})`);
+        return alternatives.length > 0 ? `. Alternatives: ${alternatives.join(', ')}` : '';
+    }
+
+    // Download the current game as a PGN file
+    exportPGN() {
+        const headers = {
+            Event: 'Chess Bot Game',
+            White: this.getPlayerName('WHITE'),
+            Black: this.getPlayerName('BLACK')
+        };
+
+        // The result belongs to the main line, which the game may have left for a variation
+        const mainLine = this.gameTree.getMainLine();
+        const mainLineEnd = mainLine.length > 0 ? mainLine[mainLine.length - 1] : this.gameTree.root;
+        if (mainLineEnd !== this.currentNode) {
+            headers.Result = ChessPGN.getResult(this.gameTree.getPosition(mainLineEnd));
+        }
+        const pgn = ChessPGN.exportPGN(this.game, headers, this.gameTree);
+
+        const blob = new Blob([pgn], { type: 'application/x-chess-pgn' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `chess-game-${ChessPGN.formatDate(new Date()).replace(/\./g, '-')}.pgn`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(link.href);
+
+        this.updateStatusMessage('Game saved as PGN.');
+    }
+
+    // Read a PGN file chosen by the user
+    handlePGNFile(event) {
+        const file = event.target.files[0];
+        event.target.value = ''; // Allow loading the same file again
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => this.importPGN(reader.result);
+        reader.readAsText(file);
+    }
+
+    // Read a Polyglot opening book (.bin) chosen by the user
+    handleBookFile(event) {
+        const file = event.target.files[0];
+        event.target.value = ''; // Allow loading the same file again
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => this.loadOpeningBook(reader.result, file.name);
+        reader.readAsArrayBuffer(file);
+    }
+
+    // Use a Polyglot book for the enhanced AI's openings, in the worker and on the main thread
+    loadOpeningBook(data, name) {
+        let book;
+        try {
+            book = new PolyglotBook(data);
+        } catch (error) {
+            this.updateStatusMessage(error.message, 'status-message check');
+            return;
+        }
+
+        this.openingBook = book;
+        this.searchClient.setOpeningBook(data);
+        for (const ai of [this.ai, this.engines.WHITE.ai, this.engines.BLACK.ai]) {
+            if (ai.setOpeningBook) ai.setOpeningBook(book);
+        }
+        this.updateStatusMessage(`Loaded opening book ${name} with ${book.size} entries.`);
+    }
+
+    // Load a game from PGN text, replaying its moves on the current game
+    importPGN(pgn) {
+        this.closeReview();
+        let imported;
+        try {
+            imported = ChessPGN.importPGN(pgn);
+        } catch (error) {
+            this.updateStatusMessage(error.message, 'status-message check');
+            return;
+        }
+
+        this.searchClient.cancel();
+        clearTimeout(this.aiMoveTimer);
+        this.hideThinkingIndicator();
+
+        this.game.variant = imported.game.variant;
+        this.game.loadFEN(imported.game.startingFEN);
+        for (const move of imported.game.moveHistory) {
+            this.game.playMove(move);
+        }
+        this.gameTree = imported.tree;
+
+        this.deselectSquare();
+        this.isThinking = false;
+        this.isPlayerTurn = !this.isAIColor(this.game.currentPlayer);
+        this.gameStartTime = Date.now();
+        this.resetClock();
+        if (this.analysisMode && this.clock) this.clock.stop();
+
+        document.querySelectorAll('.last-move').forEach(square => square.classList.remove('last-move'));
+        if (this.game.lastMove) {
+            this.highlightLastMove(this.game.lastMove.from, this.game.lastMove.to);
+        }
+
+        this.updateDisplay();
+        this.updateStatusMessage(`Loaded game with ${this.game.moveHistory.length} moves.`);
+
+        if (['checkmate', 'stalemate', 'draw', 'variant-win'].includes(this.game.gameState)) {
+            this.handleGameEnd();
+        } else {
+            this.scheduleAIMove();
+        }
+    }
+
+    // Number of plies to take back so it is the player's turn again:
+    // the AI's reply plus the player's move, or just the player's move if the AI has not replied.
+    // Analysis mode and hot-seat games take back one move at a time, and so do AI-vs-AI games
+    // while paused.
+    getUndoPlyCount() {
+        // Running out of time cannot be taken back
+        if (this.clock && this.clock.flagged) return 0;
+        if (this.gameMode === 'ai-vs-ai' && !this.analysisMode && !this.watchPaused) return 0;
+        if (this.analysisMode || this.gameMode !== 'human-vs-ai') return this.game.moveHistory.length > 0 ? 1 : 0;
+
+        const plies = this.game.currentPlayer === this.playerColor ? 2 : 1;
+        return this.game.moveHistory.length >= plies ? plies : 0;
+    }
+
+    // Take back the player's last move (and the AI's reply to it)
+    undoMove() {
+        if (this.isThinking) return;
+
+        const plies = this.getUndoPlyCount();
+        if (plies === 0) {
+            this.updateStatusMessage('Nothing to undo.');
+            return;
+        }
+
+        for (let i = 0; i < plies; i++) {
+            this.game.unmakeMove();
+        }
+        this.refreshAfterHistoryChange();
+        this.updateStatusMessage(this.analysisMode || this.gameMode !== 'human-vs-ai' ? 'Move taken back.' : 'Move taken back. Your turn!');
+    }
+
+    // Replay moves that were taken back with undo
+    redoMove() {
+        if (this.isThinking || !this.game.canRedo()) return;
+        if (this.gameMode === 'ai-vs-ai' && !this.analysisMode && !this.watchPaused) return;
+
+        // Replay the player's move and, if it was undone too, the AI's reply
+        this.game.redoMove();
+        if (this.gameMode === 'human-vs-ai' && this.isAIColor(this.game.currentPlayer) && !this.isGameOver()) {
+            this.game.redoMove();
+        }
+        this.refreshAfterHistoryChange();
+
+        if (this.analysisMode) return;
+        if (this.isGameOver()) {
+            this.handleGameEnd();
+        } else {
+            // The AI's reply was never played or was discarded; let it move now
+            this.scheduleAIMove();
+        }
+    }
+
+    // Check whether the game has ended
+    isGameOver() {
+        return ['checkmate', 'stalemate', 'draw', 'timeout', 'variant-win'].includes(this.game.gameState);
+    }
+
+    // Redraw the board after moves were undone or redone
+    refreshAfterHistoryChange() {
+        this.closeReview();
+        this.deselectSquare();
+        this.isPlayerTurn = !this.isAIColor(this.game.currentPlayer);
+        if (this.autoFlip) this.flipBoard();
+
+        document.querySelectorAll('.last-move, .hint-from, .hint-to').forEach(square => {
+            square.classList.remove('last-move', 'hint-from', 'hint-to');
+        });
+        if (this.game.lastMove) {
+            this.highlightLastMove(this.game.lastMove.from, this.game.lastMove.to);
+        }
+
+        // Resume the timer if undo brought a finished game back to life
+        if (!this.isGameOver() && this.gameStartTime) {
+            if (this.clock && !this.analysisMode) this.clock.start(this.game.currentPlayer);
+            this.startGameTimer();
+        }
+
+        this.updateDisplay();
+    }
+
     // Change AI difficulty
     changeDifficulty(difficulty) {
         const difficultyLevel = parseInt(difficulty);
         this.ai.setDifficulty(difficultyLevel);
         
         // Provide user feedback
-        const difficultyNames = {
-            1: 'Easy',
-            2: 'Medium', 
-            3: 'Hard',
-            4: 'Expert',
-            5: 'Master'
-        };
-        
-        const difficultyName = difficultyNames[difficultyLevel] || 'Unknown';
+        const difficultyName = DIFFICULTY_NAMES[difficultyLevel] || 'Unknown';
         this.updateStatusMessage(`Difficulty changed to ${difficultyName}. The AI will now be ${difficultyLevel <= 2 ? 'more forgiving' : difficultyLevel >= 4 ? 'very challenging' : 'moderately challenging'}.`);
         
         // Clear the message after 3 seconds
@@ -629,7 +1639,10 @@ class ChessUI {
     // Handle game end
     handleGameEnd() {
         this.isPlayerTurn = false;
+        clearTimeout(this.aiMoveTimer);
         clearInterval(this.gameTimer);
+        if (this.clock) this.clock.stop();
+        this.updateClocks();
         
         // Play game end sound
         this.playGameEndSound();
@@ -640,13 +1653,31 @@ class ChessUI {
         }, 1000);
     }
 
-    // Show game over dialog with result and rematch option
+    // Show game over dialog with result, rematch and review options
     showGameOverDialog() {
         let title = '';
         let message = '';
         let resultClass = '';
         
-        switch (this.game.gameState) {
+        // Without a single human player the dialog names the winning color
+        const winners = {
+            'checkmate': this.game.currentPlayer === 'WHITE' ? 'BLACK' : 'WHITE',
+            'variant-win': this.game.winner,
+            'timeout': this.game.flaggedPlayer === 'WHITE' ? 'BLACK' : 'WHITE'
+        };
+        const colorWinner = this.gameMode !== 'human-vs-ai' ? winners[this.game.gameState] : null;
+        const reasons = {
+            'checkmate': 'by checkmate',
+            'variant-win': `by ${this.game.variant.goal}`,
+            'timeout': 'on time'
+        };
+        
+        switch (colorWinner ? 'color-win' : this.game.gameState) {
+            case 'color-win':
+                title = `🏆 ${colorWinner === 'WHITE' ? 'White' : 'Black'} Wins!`;
+                message = `${this.getPlayerName(colorWinner)} won ${reasons[this.game.gameState]}.`;
+                resultClass = 'victory';
+                break;
             case 'checkmate':
                 const winner = this.game.currentPlayer === 'WHITE' ? 'BLACK' : 'WHITE';
                 if (winner === this.playerColor) {
@@ -659,6 +1690,28 @@ class ChessUI {
                     resultClass = 'defeat';
                 }
                 break;
+            case 'variant-win':
+                if (this.game.winner === this.playerColor) {
+                    title = '🎉 You Won!';
+                    message = `Congratulations! You won by ${this.game.variant.goal}!`;
+                    resultClass = 'victory';
+                } else {
+                    title = '😔 You Lost!';
+                    message = `The AI won by ${this.game.variant.goal}. Better luck next time!`;
+                    resultClass = 'defeat';
+                }
+                break;
+            case 'timeout':
+                if (this.game.flaggedPlayer === this.playerColor) {
+                    title = '⏰ You Lost on Time!';
+                    message = 'Your clock ran out. Better luck next time!';
+                    resultClass = 'defeat';
+                } else {
+                    title = '🎉 You Won on Time!';
+                    message = "The AI's clock ran out!";
+                    resultClass = 'victory';
+                }
+                break;
             case 'stalemate':
                 title = '🤝 Draw!';
                 message = 'The game ended in a stalemate. No one wins!';
@@ -666,7 +1719,7 @@ class ChessUI {
                 break;
             case 'draw':
                 title = '🤝 Draw!';
-                message = 'The game ended in a draw due to insufficient material or 50-move rule.';
+                message = `The game ended in a draw by ${this.getDrawReasonText()}.`;
                 resultClass = 'draw';
                 break;
         }
@@ -679,6 +1732,7 @@ class ChessUI {
                 <p>${message}</p>
                 <div class="dialog-buttons">
                     <button id="rematch-btn" class="btn primary">Play Again</button>
+                    <button id="review-game-btn" class="btn secondary">Review Game</button>
                     <button id="close-dialog-btn" class="btn secondary">Close</button>
                 </div>
             </div>
@@ -697,6 +1751,12 @@ class ChessUI {
             this.newGame();
         });
 
+        document.getElementById('review-game-btn').addEventListener('click', () => {
+            document.body.removeChild(dialog);
+            document.body.removeChild(overlay);
+            this.startReview();
+        });
+
         document.getElementById('close-dialog-btn').addEventListener('click', () => {
             document.body.removeChild(dialog);
             document.body.removeChild(overlay);
@@ -709,12 +1769,167 @@ class ChessUI {
         });
     }
 
+    // Review the finished game: score every position in the worker to a fixed depth, then step
+    // through the graded moves
+    async startReview() {
+        this.viewPosition(this.game.moveHistory.length);
+        if (this.game.moveHistory.length === 0) {
+            this.updateStatusMessage('There are no moves to review.');
+            return;
+        }
+
+        const review = new GameReview(this.game);
+        this.review = review;
+        this.reviewIndex = 0;
+        this.isThinking = true; // Keeps hints and undo from interrupting the review's searches
+        this.updateUndoRedoButtons();
+        this.showReviewSummary();
+
+        const evaluate = async (position) => {
+            let best = null;
+            await this.searchClient.search(position, {
+                engine: 'enhanced',
+                ai: this.analysisAI,
+                analysis: true,
+                depth: REVIEW_DEPTH,
+                onProgress: ({ score, pv }) => { best = { score, move: pv[0] }; }
+            });
+            return best;
+        };
+
+        try {
+            await review.run(evaluate, (done, total) => {
+                this.updateStatusMessage(`Reviewing the game: ${done} of ${total} positions scored...`);
+            });
+        } catch (error) {
+            // Cancelled by a new game, analysis mode or closing the review
+            if (error.name !== 'AbortError') {
+                console.error('Review error:', error);
+                this.updateStatusMessage('The game review failed.', 'status-message check');
+            }
+            if (this.review === review) this.closeReview();
+            return;
+        }
+
+        this.isThinking = false;
+        this.updateUndoRedoButtons();
+        this.showReviewSummary();
+        this.showReviewMove(0);
+        this.updateStatusMessage('Review ready. Step through the moves to see where the game turned.');
+    }
+
+    // Leave the review, cancelling its searches if it is still running, and show the game again
+    closeReview() {
+        if (!this.review) return;
+
+        // Moves are graded once every position has been scored
+        if (this.review.moves.length === 0) {
+            this.searchClient.cancel();
+            this.isThinking = false;
+        }
+        this.review = null;
+
+        const panel = document.getElementById('review-panel');
+        if (panel) panel.hidden = true;
+        document.querySelectorAll('.review-played, .hint-from, .hint-to').forEach(square => {
+            square.classList.remove('review-played', 'hint-from', 'hint-to');
+        });
+        this.updateBoardDisplay();
+        if (this.game.lastMove) {
+            this.highlightLastMove(this.game.lastMove.from, this.game.lastMove.to);
+        }
+        this.updateUndoRedoButtons();
+    }
+
+    // Show the review panel: each player's accuracy and mistakes and the graded moves, or the
+    // progress while positions are still being scored
+    showReviewSummary() {
+        const panel = document.getElementById('review-panel');
+        const summaryElement = document.getElementById('review-summary');
+        const movesElement = document.getElementById('review-moves');
+        if (!panel || !summaryElement || !movesElement) return;
+
+        panel.hidden = false;
+        movesElement.innerHTML = '';
+        if (this.review.moves.length === 0) {
+            summaryElement.textContent = 'Scoring every position...';
+            return;
+        }
+
+        const summary = this.review.getSummary();
+        summaryElement.innerHTML = '';
+        for (const color of ['WHITE', 'BLACK']) {
+            const counts = summary[color];
+            const accuracy = this.review.accuracy[color];
+            const mistakes = ['inaccuracy', 'mistake', 'blunder', 'missed-mate']
+                .filter(moveClass => counts[moveClass] > 0)
+                .map(moveClass => `${counts[moveClass]} ${REVIEW_LABELS[moveClass][0].toLowerCase()}`);
+
+            const row = document.createElement('div');
+            row.className = 'review-player';
+            row.innerHTML = `<span class="review-player-name">${color === 'WHITE' ? 'White' : 'Black'}</span>` +
+                `<span class="review-accuracy">${accuracy === null ? '-' : `${accuracy.toFixed(1)}%`}</span>` +
+                `<span class="review-counts">${mistakes.length > 0 ? mistakes.join(', ') : 'No mistakes'}</span>`;
+            summaryElement.appendChild(row);
+        }
+
+        this.review.moves.forEach(({ color, moveNumber, san, classification }, index) => {
+            const item = document.createElement('button');
+            item.className = `review-move review-${classification}`;
+            item.textContent = `${moveNumber}${color === 'WHITE' ? '.' : '...'} ${san}${REVIEW_LABELS[classification][1]}`;
+            item.addEventListener('click', () => this.showReviewMove(index));
+            movesElement.appendChild(item);
+        });
+    }
+
+    // Show a reviewed move on the board in the position it was played in, marking the move and,
+    // when the engine preferred another, the better move, with its grade and scores from White's side
+    showReviewMove(index) {
+        if (!this.review || this.review.moves.length === 0) return;
+
+        this.reviewIndex = Math.max(0, Math.min(index, this.review.moves.length - 1));
+        const reviewed = this.review.moves[this.reviewIndex];
+        const position = this.review.positions[reviewed.ply];
+
+        this.updateBoardDisplay(position);
+        document.querySelectorAll('.last-move, .review-played, .hint-from, .hint-to').forEach(square => {
+            square.classList.remove('last-move', 'review-played', 'hint-from', 'hint-to');
+        });
+        if (reviewed.move.from) this.getSquareElement(reviewed.move.from[0], reviewed.move.from[1]).classList.add('review-played');
+        this.getSquareElement(reviewed.move.to[0], reviewed.move.to[1]).classList.add('review-played');
+
+        const showBest = reviewed.classification !== 'best' && reviewed.bestMove;
+        if (showBest) {
+            if (reviewed.bestMove.from) this.getSquareElement(reviewed.bestMove.from[0], reviewed.bestMove.from[1]).classList.add('hint-from');
+            this.getSquareElement(reviewed.bestMove.to[0], reviewed.bestMove.to[1]).classList.add('hint-to');
+        }
+
+        const toWhite = (score) => reviewed.color === 'WHITE' ? score : -score;
+        const detail = document.getElementById('review-detail');
+        if (detail) {
+            const moveText = `${reviewed.moveNumber}${reviewed.color === 'WHITE' ? '.' : '...'} ${reviewed.san}`;
+            const scores = `${this.formatEvaluation(toWhite(reviewed.scoreBefore))} → ${this.formatEvaluation(toWhite(reviewed.scoreAfter))}`;
+            detail.className = `review-detail review-${reviewed.classification}`;
+            detail.textContent = `${moveText}: ${REVIEW_LABELS[reviewed.classification][0]} (${scores}).` +
+                (showBest ? ` Better was ${reviewed.bestSAN}.` : '');
+        }
+
+        document.querySelectorAll('.review-move').forEach((item, itemIndex) => {
+            item.classList.toggle('active', itemIndex === this.reviewIndex);
+        });
+        const prevButton = document.getElementById('review-prev-btn');
+        const nextButton = document.getElementById('review-next-btn');
+        if (prevButton) prevButton.disabled = this.reviewIndex === 0;
+        if (nextButton) nextButton.disabled = this.reviewIndex === this.review.moves.length - 1;
+    }
+
     // Start game timer
     startGameTimer() {
         clearInterval(this.gameTimer);
+        // Clocks show tenths of a second when time is short, so tick faster in timed games
         this.gameTimer = setInterval(() => {
             this.updateGameInfo();
-        }, 1000);
+        }, this.clock ? 100 : 1000);
     }
 
     // Play move sound
@@ -732,12 +1947,166 @@ class ChessUI {
     // Change AI mode
     changeAIMode(mode) {
         this.aiMode = mode;
-        const difficulty = this.ai.difficulty || 2;
-        this.ai = mode === 'enhanced' ? new EnhancedChessAI(difficulty) : new ChessAI(difficulty);
+        this.ai = this.createAI(mode, this.ai.difficulty || 2);
         console.log(`AI mode changed to: ${mode}`);
     }
 
+    // Create an engine of the given mode ('classic' or 'enhanced') and difficulty, using the loaded opening book
+    createAI(mode, difficulty) {
+        const ai = mode === 'enhanced' ? new EnhancedChessAI(difficulty) : new ChessAI(difficulty);
+        if (ai.setOpeningBook) {
+            ai.setOpeningBook(this.openingBook);
+        }
+        return ai;
+    }
+
+    // Switch between playing the AI, two players sharing the device and watching the AI play
+    // itself; this starts a new game
+    changeGameMode(mode) {
+        if (this.game.moveHistory.length > 0 && !this.isGameOver()) {
+            if (!confirm('Changing the game mode will start a new game. Continue?')) {
+                document.getElementById('game-mode').value = this.gameMode;
+                return;
+            }
+        }
+
+        this.gameMode = ['human-vs-human', 'ai-vs-ai'].includes(mode) ? mode : 'human-vs-ai';
+        this.watchPaused = false;
+        const settings = {
+            'human-vs-ai': ['.color-selector', '.difficulty-settings', '.ai-mode-settings'],
+            'human-vs-human': ['#hot-seat-settings'],
+            'ai-vs-ai': ['#ai-vs-ai-settings']
+        };
+        for (const [gameMode, selectors] of Object.entries(settings)) {
+            for (const selector of selectors) {
+                const element = document.querySelector(selector);
+                if (element) element.hidden = gameMode !== this.gameMode;
+            }
+        }
+        this.newGame();
+    }
+
+    // Turn the board to face the side to move after every move of a hot-seat game, or keep it still
+    setAutoFlip(enabled) {
+        this.autoFlip = enabled;
+        this.flipBoard();
+    }
+
+    // Change the engine mode and/or difficulty of one side of an AI-vs-AI game. A search already
+    // under way finishes with the old settings.
+    changeEngine(color, { mode = this.engines[color].mode, difficulty = this.engines[color].difficulty }) {
+        this.engines[color] = { mode, difficulty, ai: this.createAI(mode, difficulty) };
+        this.updatePlayerNames();
+    }
+
+    // Pause or resume an AI-vs-AI game. Pausing lets the move being searched finish.
+    toggleWatchPause() {
+        if (this.gameMode !== 'ai-vs-ai') return;
+
+        this.watchPaused = !this.watchPaused;
+        if (this.watchPaused) {
+            clearTimeout(this.aiMoveTimer);
+            this.aiMoveTimer = null;
+        } else {
+            this.scheduleAIMove();
+        }
+        this.updateUndoRedoButtons();
+    }
+
+    // Play a single engine move of a paused AI-vs-AI game
+    stepAIMove() {
+        if (this.gameMode !== 'ai-vs-ai' || !this.watchPaused || this.isThinking || this.viewPly !== null) return;
+        this.makeAIMove();
+    }
+
+    // Change how long an AI-vs-AI game waits between moves
+    changeWatchSpeed(speed) {
+        this.watchSpeed = WATCH_SPEEDS[speed] ? speed : 'normal';
+    }
+
+    // Show the AI-vs-AI controls' state: Pause or Resume, and Step only while paused
+    updateWatchControls() {
+        const pauseButton = document.getElementById('watch-pause-btn');
+        const stepButton = document.getElementById('watch-step-btn');
+        if (pauseButton) pauseButton.textContent = this.watchPaused ? 'Resume' : 'Pause';
+        if (stepButton) {
+            stepButton.disabled = !this.watchPaused || this.isThinking || this.analysisMode || this.isGameOver();
+        }
+    }
+
+    // Name shown and saved to PGN for the player of `color`
+    getPlayerName(color) {
+        if (this.gameMode === 'human-vs-human') return color === 'WHITE' ? 'White' : 'Black';
+        if (this.gameMode === 'ai-vs-ai') {
+            const { mode, difficulty } = this.engines[color];
+            return `Chess Bot (${mode === 'enhanced' ? 'Enhanced' : 'Classic'}, ${DIFFICULTY_NAMES[difficulty]})`;
+        }
+        return color === this.playerColor ? 'You' : 'Chess Bot';
+    }
+
+    // Show who plays each side in the player panels
+    updatePlayerNames() {
+        for (const color of ['WHITE', 'BLACK']) {
+            const panel = document.querySelector(`.${color.toLowerCase()}-player`);
+            if (!panel) continue;
+            const name = panel.querySelector('.player-details h3');
+            const avatar = panel.querySelector('.player-avatar');
+            if (name) name.textContent = this.getPlayerName(color);
+            if (avatar) avatar.textContent = this.gameMode === 'ai-vs-ai' || (this.gameMode === 'human-vs-ai' && color !== this.playerColor) ? '🤖' : '👤';
+        }
+    }
+
+
 
+    // Switch between standard chess, Chess960 and the other variants; this starts a new game
+    changeVariant(variant) {
+        if (this.game.moveHistory.length > 0 && !this.isGameOver()) {
+            if (!confirm('Changing the variant will start a new game. Continue?')) {
+                document.getElementById('variant').value = this.variant;
+                return;
+            }
+        }
+
+        this.variant = variant === 'chess960' || VARIANTS[variant] ? variant : 'standard';
+        const positionSettings = document.getElementById('chess960-settings');
+        if (positionSettings) positionSettings.hidden = this.variant !== 'chess960';
+        this.newGame();
+    }
+
+    // Choose the Chess960 starting position by number (0-959), or a random one for an empty
+    // value; this starts a new game
+    changeChess960Position(value) {
+        const input = document.getElementById('chess960-position');
+        const number = value.trim() === '' ? null : Number(value);
+        if (number !== null && !(Number.isInteger(number) && number >= 0 && number < CHESS960_POSITIONS)) {
+            this.updateStatusMessage(`Chess960 positions are numbered 0 to ${CHESS960_POSITIONS - 1}`, 'status-message check');
+            if (input) input.value = this.chess960Position ?? '';
+            return;
+        }
+
+        if (this.game.moveHistory.length > 0 && !this.isGameOver()) {
+            if (!confirm('Changing the starting position will start a new game. Continue?')) {
+                if (input) input.value = this.chess960Position ?? '';
+                return;
+            }
+        }
+
+        this.chess960Position = number;
+        this.newGame();
+    }
+
+    // Change the time control; this starts a new game
+    changeTimeControl(key) {
+        if (this.game.moveHistory.length > 0 && !this.isGameOver()) {
+            if (!confirm('Changing the time control will start a new game. Continue?')) {
+                document.getElementById('time-control').value = this.timeControl;
+                return;
+            }
+        }
+
+        this.timeControl = TIME_CONTROLS[key] ? key : 'none';
+        this.newGame();
+    }
 
     // Change player color
     changePlayerColor(color) {
@@ -762,12 +2131,9 @@ class ChessUI {
             sq.classList.remove('last-move');
         });
         
-        // Add new highlights
-        const fromSquare = this.getSquareElement(from[0], from[1]);
-        const toSquare = this.getSquareElement(to[0], to[1]);
-        
-        fromSquare.classList.add('last-move');
-        toSquare.classList.add('last-move');
+        // Add new highlights; a Crazyhouse drop only has the square it landed on
+        if (from) this.getSquareElement(from[0], from[1]).classList.add('last-move');
+        this.getSquareElement(to[0], to[1]).classList.add('last-move');
     }
 
     // Show thinking indicator
@@ -779,6 +2145,14 @@ class ChessUI {
         }
     }
 
+    // Show how far the running search has got
+    showSearchProgress({ depth }) {
+        const statusElement = document.getElementById('status-message');
+        if (statusElement && this.isThinking) {
+            statusElement.textContent = `🤔 AI is thinking... (depth ${depth})`;
+        }
+    }
+
     // Hide thinking indicator
     hideThinkingIndicator() {
         const statusElement = document.getElementById('status-message');
@@ -797,14 +2171,22 @@ class ChessUI {
         }
     }
 
+    // Color shown at the bottom of the board: the player's when playing the AI, the side to move
+    // in hot-seat games with auto-flip, and otherwise White
+    getViewColor() {
+        if (this.gameMode === 'human-vs-ai') return this.playerColor;
+        return this.gameMode === 'human-vs-human' && this.autoFlip ? this.game.currentPlayer : 'WHITE';
+    }
+
     // Flip the board for black player perspective
     flipBoard() {
         const chessboard = document.getElementById('chessboard');
         const boardWrapper = document.querySelector('.board-wrapper');
+        const wasFlipped = this.boardFlipped;
         
         console.log(`flipBoard called: playerColor=${this.playerColor}, boardFlipped=${this.boardFlipped}`);
         
-        if (this.playerColor === 'BLACK') {
+        if (this.getViewColor() === 'BLACK') {
             // Always ensure black perspective
             if (!chessboard.classList.contains('flipped')) {
                 chessboard.classList.add('flipped');
@@ -821,6 +2203,11 @@ class ChessUI {
                 console.log('Board flipped to WHITE perspective');
             }
         }
+
+        // Pieces and highlights are placed by square, so redraw the shown position facing the new way
+        if (this.boardFlipped !== wasFlipped) {
+            this.viewPosition(this.viewPly ?? this.game.moveHistory.length);
+        }
     }
 
 
@@ -0,0 +1,258 @@
+// Variant Rules: how a variant departs from standard chess. ChessGame and SearchBoard consult their
+// variant for the starting position, move legality and game end, and the evaluation asks it to adjust
+// the score. Hooks receive either board; both provide getPieces, isSquareUnderAttack, kingPositions
+// (null for a king that has been blown up), checksGiven and pockets.
+
+// FEN of the standard starting position
+const STARTING_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+// Pieces a pawn may promote to
+const PROMOTION_PIECES = ['QUEEN', 'ROOK', 'BISHOP', 'KNIGHT'];
+
+// Pieces that can be held in a Crazyhouse pocket, in FEN order
+const POCKET_PIECES = ['QUEEN', 'ROOK', 'BISHOP', 'KNIGHT', 'PAWN'];
+
+// Empty pockets for both colors: how many of each piece they hold
+function createPockets() {
+    const empty = () => Object.fromEntries(POCKET_PIECES.map(type => [type, 0]));
+    return { WHITE: empty(), BLACK: empty() };
+}
+
+// Copy both colors' pockets
+function copyPockets(pockets) {
+    return { WHITE: { ...pockets.WHITE }, BLACK: { ...pockets.BLACK } };
+}
+
+// The color playing against `color`
+function opponentOf(color) {
+    return color === 'WHITE' ? 'BLACK' : 'WHITE';
+}
+
+// Standard chess; each variant overrides the parts it changes
+class Variant {
+    constructor(id = 'standard', name = 'Standard') {
+        this.id = id;
+        this.name = name; // As written in the PGN Variant tag
+        this.startingFEN = STARTING_FEN;
+        this.royalKing = true; // Kings can be checked and must not be left in check
+        this.castling = true;
+        this.promotionPieces = PROMOTION_PIECES;
+        this.capturesCompulsory = false; // A capture must be made whenever one is possible
+        this.explosions = false; // Captures blow up the surrounding pieces
+        this.checkLimit = 0; // Checks that win the game, or 0 when checks are not counted
+        this.winsWithoutMoves = false; // A player with no legal move wins instead of being mated or stalemated
+        this.drops = false; // Captured pieces go to the capturer's pocket and can be dropped back on the board
+        this.goal = 'checkmate'; // How a variant win comes about, for messages
+    }
+
+    // Whether the king of `color` is in check
+    isInCheck(board, color) {
+        const king = board.kingPositions[color];
+        if (!this.royalKing || !king) return false;
+        return board.isSquareUnderAttack(king[0], king[1], opponentOf(color));
+    }
+
+    // Whether a move by `color` has left its own king exposed, which makes the move illegal
+    isKingExposed(board, color) {
+        return this.isInCheck(board, color);
+    }
+
+    // Color that has won by reaching the variant's own goal in this position, or null
+    getWinner(board) {
+        return null;
+    }
+
+    // Whether neither side has the material to win, so the game is drawn: bare kings, or a
+    // single bishop or knight against a bare king
+    isInsufficientMaterial(board) {
+        const pieces = {
+            WHITE: board.getPieces('WHITE').map(piece => piece.type),
+            BLACK: board.getPieces('BLACK').map(piece => piece.type)
+        };
+
+        for (const color of ['WHITE', 'BLACK']) {
+            const own = pieces[color];
+            if (pieces[opponentOf(color)].length !== 1) continue;
+            if (own.length === 1) return true;
+            if (own.length === 2 && own.some(type => type === 'BISHOP' || type === 'KNIGHT')) return true;
+        }
+        return false;
+    }
+
+    // Adjust an evaluation (centipawns from White's point of view) for what matters in the variant
+    evaluate(board, score) {
+        return score;
+    }
+}
+
+// Squares d4, e4, d5 and e5 as [row, col]
+const HILL = [[3, 3], [3, 4], [4, 3], [4, 4]];
+
+// Bonus for a king by its distance in king moves from the nearest centre square
+const HILL_DISTANCE_BONUS = [0, 160, 40, 0];
+
+// King of the Hill: bringing the king to one of the four centre squares also wins
+class KingOfTheHill extends Variant {
+    constructor() {
+        super('kingOfTheHill', 'King of the Hill');
+        this.goal = 'reaching the centre with the king';
+    }
+
+    getWinner(board) {
+        for (const color of ['WHITE', 'BLACK']) {
+            const king = board.kingPositions[color];
+            if (king && HILL.some(([row, col]) => king[0] === row && king[1] === col)) return color;
+        }
+        return null;
+    }
+
+    // A bare king can still walk to the centre
+    isInsufficientMaterial() {
+        return false;
+    }
+
+    evaluate(board, score) {
+        for (const color of ['WHITE', 'BLACK']) {
+            const [row, col] = board.kingPositions[color];
+            const distance = Math.max(Math.abs(row - 3.5), Math.abs(col - 3.5)) - 0.5;
+            score += (color === 'WHITE' ? 1 : -1) * HILL_DISTANCE_BONUS[distance];
+        }
+        return score;
+    }
+}
+
+// Bonus for having given this many checks, short of the winning one
+const CHECKS_GIVEN_BONUS = [0, 200, 600];
+
+// Three-check: giving a third check also wins
+class ThreeCheck extends Variant {
+    constructor() {
+        super('threeCheck', 'Three-check');
+        this.startingFEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 3+3 0 1';
+        this.checkLimit = 3;
+        this.goal = 'giving three checks';
+    }
+
+    getWinner(board) {
+        for (const color of ['WHITE', 'BLACK']) {
+            if (board.checksGiven[color] >= this.checkLimit) return color;
+        }
+        return null;
+    }
+
+    // Any piece can still give checks, so only bare kings are a draw
+    isInsufficientMaterial(board) {
+        return board.getPieces('WHITE').length === 1 && board.getPieces('BLACK').length === 1;
+    }
+
+    evaluate(board, score) {
+        return score + CHECKS_GIVEN_BONUS[board.checksGiven.WHITE] - CHECKS_GIVEN_BONUS[board.checksGiven.BLACK];
+    }
+}
+
+// Antichess: captures are compulsory, the king is an ordinary piece, and the player who runs out of
+// moves, usually by losing every piece, wins
+class Antichess extends Variant {
+    constructor() {
+        super('antichess', 'Antichess');
+        this.startingFEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w - - 0 1';
+        this.royalKing = false;
+        this.castling = false;
+        this.promotionPieces = [...PROMOTION_PIECES, 'KING'];
+        this.capturesCompulsory = true;
+        this.winsWithoutMoves = true;
+        this.goal = 'running out of moves';
+    }
+
+    isInsufficientMaterial() {
+        return false;
+    }
+
+    // Material is a burden: count pieces rather than value them
+    evaluate(board) {
+        return (board.getPieces('BLACK').length - board.getPieces('WHITE').length) * 100;
+    }
+}
+
+// Atomic: a capture blows up the capturing piece and every piece but pawns next to the square, and
+// blowing up the enemy king wins. Kings cannot capture, and kings side by side cannot check each other.
+class Atomic extends Variant {
+    constructor() {
+        super('atomic', 'Atomic');
+        this.explosions = true;
+        this.goal = 'blowing up the king';
+    }
+
+    isInCheck(board, color) {
+        const king = board.kingPositions[color];
+        const enemyKing = board.kingPositions[opponentOf(color)];
+        if (king && enemyKing && Math.abs(king[0] - enemyKing[0]) <= 1 && Math.abs(king[1] - enemyKing[1]) <= 1) {
+            return false;
+        }
+        return super.isInCheck(board, color);
+    }
+
+    // Blowing up your own king is never allowed; blowing up the enemy king is, even out of check
+    isKingExposed(board, color) {
+        if (!board.kingPositions[color]) return true;
+        if (!board.kingPositions[opponentOf(color)]) return false;
+        return this.isInCheck(board, color);
+    }
+
+    getWinner(board) {
+        if (!board.kingPositions.WHITE) return 'BLACK';
+        return board.kingPositions.BLACK ? null : 'WHITE';
+    }
+}
+
+// Worth of a piece in hand, a little more than on the board since it can be dropped where it is needed
+const POCKET_VALUES = { QUEEN: 950, ROOK: 520, BISHOP: 350, KNIGHT: 350, PAWN: 120 };
+
+// Crazyhouse: a captured piece changes color and joins the capturer's pocket, and instead of moving
+// a player may drop a piece from their pocket onto any empty square (pawns not on the first or last rank)
+class Crazyhouse extends Variant {
+    constructor() {
+        super('crazyhouse', 'Crazyhouse');
+        this.startingFEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR[] w KQkq - 0 1';
+        this.drops = true;
+    }
+
+    // Captured pieces never leave the game
+    isInsufficientMaterial() {
+        return false;
+    }
+
+    evaluate(board, score) {
+        for (const type of POCKET_PIECES) {
+            score += (board.pockets.WHITE[type] - board.pockets.BLACK[type]) * POCKET_VALUES[type];
+        }
+        return score;
+    }
+}
+
+// Every available variant by id
+const VARIANTS = {
+    standard: new Variant(),
+    kingOfTheHill: new KingOfTheHill(),
+    threeCheck: new ThreeCheck(),
+    antichess: new Antichess(),
+    atomic: new Atomic(),
+    crazyhouse: new Crazyhouse()
+};
+
+// Get a variant by its id
+function getVariant(id) {
+    if (!Object.prototype.hasOwnProperty.call(VARIANTS, id)) {
+        throw new Error(`Invalid variant: ${id}`);
+    }
+    return VARIANTS[id];
+}
+
+// Find a variant by the name in a PGN Variant tag, ignoring case, spaces and hyphens, or null
+function findVariantByName(name) {
+    const normalize = (text) => String(text).toLowerCase().replace(/[\s-]/g, '');
+    return Object.values(VARIANTS).find(variant => normalize(variant.name) === normalize(name)) || null;
+}
+
+// Export for use in other modules
+export { Variant, VARIANTS, getVariant, findVariantByName, STARTING_FEN, PROMOTION_PIECES, POCKET_PIECES, createPockets, copyPockets };
@@ -27,6 +27,42 @@ document.addEventListener('DOMContentLoaded', function() {
                     chessUI.showHint();
                 }
                 break;
+            case 'z':
+            case 'Z':
+                if (event.target.closest && event.target.closest('input, select, textarea')) break;
+                if (event.ctrlKey || event.metaKey) {
+                    event.preventDefault();
+                    if (event.shiftKey) {
+                        chessUI.redoMove();
+                    } else {
+                        chessUI.undoMove();
+                    }
+                }
+                break;
+            case 'y':
+            case 'Y':
+                if (event.target.closest && event.target.closest('input, select, textarea')) break;
+                if (event.ctrlKey || event.metaKey) {
+                    event.preventDefault();
+                    chessUI.redoMove();
+                }
+                break;
+            case 'ArrowLeft':
+            case 'ArrowRight':
+                if (event.target.closest && event.target.closest('input, select, textarea')) break;
+                event.preventDefault();
+                if (chessUI.review && chessUI.review.moves.length > 0) {
+                    chessUI.showReviewMove(chessUI.reviewIndex + (event.key === 'ArrowLeft' ? -1 : 1));
+                } else {
+                    chessUI.navigateMoves(event.key === 'ArrowLeft' ? 'previous' : 'next');
+                }
+                break;
+            case 'Home':
+            case 'End':
+                if (event.target.closest && event.target.closest('input, select, textarea')) break;
+                event.preventDefault();
+                chessUI.navigateMoves(event.key === 'Home' ? 'first' : 'last');
+                break;
             case 'Escape':
                 chessUI.deselectSquare();
                 break;
@@ -172,15 +208,14 @@ document.addEventListener('DOMContentLoaded', function() {
         return result;
     };
     
-    // Add AI performance monitoring
-    const originalGetBestMove = chessUI.ai.getBestMove.bind(chessUI.ai);
-    chessUI.ai.getBestMove = function(game) {
+    // Add AI performance monitoring (the search itself runs in the AI worker)
+    const originalSearch = chessUI.searchClient.search.bind(chessUI.searchClient);
+    chessUI.searchClient.search = async function(game, options) {
         const startTime = performance.now();
-        const result = originalGetBestMove(game);
+        const result = await originalSearch(game, options);
         const endTime = performance.now();
         
         console.log(`AI calculation took ${(endTime - startTime).toFixed(2)}ms`);
-        console.log(`Transposition table size: ${chessUI.ai.transpositionTable.size}`);
         
         return result;
     };
@@ -209,6 +244,13 @@ document.addEventListener('DOMContentLoaded', function() {
                     gameStats.aiWins++;
                 }
                 break;
+            case 'variant-win':
+                if (chessUI.game.winner === chessUI.playerColor) {
+                    gameStats.playerWins++;
+                } else {
+                    gameStats.aiWins++;
+                }
+                break;
             case 'stalemate':
             case 'draw':
                 gameStats.draws++;
@@ -227,6 +269,9 @@ document.addEventListener('DOMContentLoaded', function() {
     console.log('Available commands:');
     console.log('- Ctrl/Cmd + N: New Game');
     console.log('- Ctrl/Cmd + H: Get Hint');
+    console.log('- Ctrl/Cmd + Z: Undo Move');
+    console.log('- Ctrl/Cmd + Y or Ctrl/Cmd + Shift + Z: Redo Move');
+    console.log('- Left/Right arrows: Previous/next move, Home/End: Start/current position');
     console.log('- Escape: Deselect piece');
     console.log('- window.gameStats: View game statistics');
     console.log('- window.chessGame: Access game instance');
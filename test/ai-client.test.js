@@ -0,0 +1,195 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { ChessGame } from '../js/chess-logic.js';
+import { EnhancedChessAI, MATE_SCORE } from '../js/chess-ai-enhanced.js';
+import { AIWorkerClient, serializePosition, deserializePosition } from '../js/chess-ai-client.js';
+import { quietAI } from './helpers.js';
+
+const backRankMate = '6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1';
+
+describe('AI worker client', () => {
+  describe('Position messages', () => {
+    test('Round-trip the move history so repetitions are kept', () => {
+      const game = new ChessGame();
+      for (const [fromRow, fromCol, toRow, toCol] of [[7, 6, 5, 5], [0, 6, 2, 5], [5, 5, 7, 6], [2, 5, 0, 6]]) {
+        game.makeMove(fromRow, fromCol, toRow, toCol);
+      }
+
+      const position = JSON.parse(JSON.stringify(serializePosition(game)));
+      const copy = deserializePosition(position);
+
+      assert.strictEqual(copy.toFEN(), game.toFEN());
+      assert.strictEqual(copy.moveHistory.length, 4);
+      assert.strictEqual(copy.getRepetitionCount(), game.getRepetitionCount());
+    });
+
+    test('Fall back to the FEN when the history does not match', () => {
+      const game = ChessGame.fromFEN(backRankMate);
+      const position = serializePosition(game);
+      position.moves = [{ from: [6, 4], to: [4, 4], promotion: null }];
+
+      assert.strictEqual(deserializePosition(position).toFEN(), backRankMate);
+    });
+
+    test('Search for another side when asked', () => {
+      const game = new ChessGame();
+      const copy = deserializePosition(serializePosition(game, 'BLACK'));
+
+      assert.strictEqual(copy.currentPlayer, 'BLACK');
+      assert.strictEqual(game.currentPlayer, 'WHITE');
+    });
+  });
+
+  describe('Main-thread fallback', () => {
+    test('Searches with the given AI and reports progress', async () => {
+      const client = new AIWorkerClient();
+      const ai = quietAI(new EnhancedChessAI(1));
+      const depths = [];
+
+      const move = await client.search(ChessGame.fromFEN(backRankMate), {
+        engine: 'enhanced',
+        ai,
+        onProgress: ({ depth }) => depths.push(depth)
+      });
+
+      assert.deepStrictEqual(move, { from: [7, 0], to: [0, 0], promotion: null });
+      assert.ok(depths.length > 0);
+      assert.strictEqual(client.isSearching(), false);
+      assert.strictEqual(ai.onProgress, null);
+    });
+
+    test('Analyses with a principal variation for every depth', async () => {
+      const client = new AIWorkerClient();
+      const ai = new EnhancedChessAI(1);
+      ai.timeLimit = 300;
+      const reports = [];
+
+      const move = await client.search(ChessGame.fromFEN(backRankMate), {
+        engine: 'enhanced',
+        ai,
+        analysis: true,
+        onProgress: (info) => reports.push(info)
+      });
+
+      assert.deepStrictEqual(move, { from: [7, 0], to: [0, 0], promotion: null });
+      assert.ok(reports.length > 1);
+      assert.deepStrictEqual(reports.map(({ depth }) => depth), reports.map((_, index) => index + 1));
+
+      const last = reports[reports.length - 1];
+      assert.strictEqual(last.score, MATE_SCORE - 1);
+      assert.deepStrictEqual(last.pv, [move]);
+    });
+
+    test('Reports the best moves in order with MultiPV', async () => {
+      const client = new AIWorkerClient();
+      const ai = quietAI(new EnhancedChessAI(1));
+      let last = null;
+
+      const move = await client.search(ChessGame.fromFEN(backRankMate), {
+        engine: 'enhanced',
+        ai,
+        multiPV: 3,
+        onProgress: (info) => { last = info; }
+      });
+
+      assert.strictEqual(last.lines.length, 3);
+      assert.deepStrictEqual(last.lines[0].pv[0], move);
+      assert.strictEqual(last.lines[0].score, last.score);
+      const firstMoves = last.lines.map(({ pv }) => `${pv[0].from}-${pv[0].to}`);
+      assert.strictEqual(new Set(firstMoves).size, 3);
+      for (let i = 1; i < last.lines.length; i++) {
+        assert.ok(last.lines[i].score <= last.lines[i - 1].score);
+      }
+    });
+
+    test('Cancelling rejects the running search with an AbortError', async () => {
+      const client = new AIWorkerClient();
+      const search = client.search(new ChessGame(), { engine: 'enhanced', ai: quietAI(new EnhancedChessAI(1)) });
+
+      client.cancel();
+
+      await assert.rejects(search, { name: 'AbortError' });
+      assert.strictEqual(client.isSearching(), false);
+    });
+  });
+
+  describe('Worker protocol', () => {
+    // Replace the Worker global with one that records the messages posted to it; returns the
+    // workers created so far. Tests delete globalThis.Worker again when done.
+    function installFakeWorker() {
+      const workers = [];
+      globalThis.Worker = class {
+        constructor() {
+          this.messages = [];
+          workers.push(this);
+        }
+        postMessage(message) { this.messages.push(message); }
+        terminate() {}
+      };
+      return workers;
+    }
+
+    test('Sends the opening book to each new worker before searching', () => {
+      const workers = installFakeWorker();
+      const data = new Uint8Array(16);
+      try {
+        const client = new AIWorkerClient();
+        client.setOpeningBook(data);
+        // Cancelling terminates the first worker, so the second search starts another
+        client.search(new ChessGame(), { engine: 'enhanced', ai: new EnhancedChessAI(2) }).catch(() => {});
+        client.cancel();
+        client.search(new ChessGame(), { engine: 'enhanced', ai: new EnhancedChessAI(2) }).catch(() => {});
+        client.dispose();
+      } finally {
+        delete globalThis.Worker;
+      }
+
+      assert.strictEqual(workers.length, 2);
+      for (const worker of workers) {
+        assert.deepStrictEqual(worker.messages.map(message => message.type), ['book', 'search']);
+        assert.strictEqual(worker.messages[0].data, data);
+      }
+    });
+
+    test('Passes tables generated by a probe on to the searching worker', async () => {
+      const workers = installFakeWorker();
+      const tables = { KQvK: new Uint8Array(16) };
+      try {
+        const prober = new AIWorkerClient();
+        const searcher = new AIWorkerClient();
+        prober.onTables = (generated) => searcher.loadTables(generated);
+        const probe = prober.probeTablebase(ChessGame.fromFEN('7k/8/8/8/8/8/8/KQ6 w - - 0 1'));
+        prober.handleMessage({ type: 'tablebase', id: workers[0].messages[0].id, result: null, tables });
+        assert.strictEqual(await probe, null);
+
+        searcher.search(new ChessGame(), { engine: 'enhanced', ai: new EnhancedChessAI(2) }).catch(() => {});
+        searcher.dispose();
+        prober.dispose();
+      } finally {
+        delete globalThis.Worker;
+      }
+
+      assert.deepStrictEqual(workers[1].messages.map(message => message.type), ['tables', 'search']);
+      assert.strictEqual(workers[1].messages[0].tables.KQvK, tables.KQvK);
+    });
+
+    test('Answers a search request with progress and the best move', async () => {
+      const messages = [];
+      const random = Math.random;
+      globalThis.self = { postMessage: (message) => messages.push(message) };
+      Math.random = () => 0.99; // The worker's engine plays a random move at low difficulty otherwise
+      try {
+        await import('../js/chess-ai-worker.js');
+        const position = serializePosition(ChessGame.fromFEN(backRankMate));
+        self.onmessage({ data: { type: 'search', id: 7, engine: 'classic', difficulty: 1, position } });
+      } finally {
+        Math.random = random;
+        delete globalThis.self;
+      }
+
+      const result = messages[messages.length - 1];
+      assert.deepStrictEqual(result, { type: 'bestmove', id: 7, move: { from: [7, 0], to: [0, 0], promotion: null } });
+      assert.ok(messages.slice(0, -1).every(message => message.type === 'progress' && message.id === 7));
+    });
+  });
+});
@@ -1,6 +1,6 @@
 import { test, describe } from 'node:test';
 import assert from 'node:assert';
-import { ChessGame } from '../js/chess-logic.js';
+import { ChessGame, STARTING_FEN, CHESS960_POSITIONS, CHESS960_STANDARD_POSITION, getChess960BackRank } from '../js/chess-logic.js';
 import { ChessPiece } from '../js/chess-pieces.js';
 
 describe('Chess Bot Tests', () => {
@@ -119,9 +119,13 @@ describe('Chess Bot Tests', () => {
       game.board[7][5] = null; // f1
       game.board[7][6] = null; // g1
       
-      const king = game.getPieceAt(7, 4);
-      king.hasMoved = true; // Mark king as moved
+      // King e1-f1 and back loses both castling rights
+      game.makeMove(7, 4, 7, 5);
+      game.makeMove(1, 0, 2, 0);
+      game.makeMove(7, 5, 7, 4);
+      game.makeMove(2, 0, 3, 0);
       
+      assert.deepStrictEqual(game.castlingRights.WHITE, { kingSide: false, queenSide: false });
       const result = game.makeMove(7, 4, 7, 6);
       assert.strictEqual(result, false);
     });
@@ -132,12 +136,103 @@ describe('Chess Bot Tests', () => {
       game.board[7][5] = null; // f1
       game.board[7][6] = null; // g1
       
-      const rook = game.getPieceAt(7, 7);
-      rook.hasMoved = true; // Mark rook as moved
+      // Rook h1-g1 and back loses the king-side right only
+      game.makeMove(7, 7, 7, 6);
+      game.makeMove(1, 0, 2, 0);
+      game.makeMove(7, 6, 7, 7);
+      game.makeMove(2, 0, 3, 0);
       
+      assert.deepStrictEqual(game.castlingRights.WHITE, { kingSide: false, queenSide: true });
       const result = game.makeMove(7, 4, 7, 6);
       assert.strictEqual(result, false);
     });
+
+    test('Capturing a rook on its corner removes that castling right', () => {
+      const game = ChessGame.fromFEN('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1');
+      assert.strictEqual(game.makeMove(7, 7, 0, 7), true); // Rxh8+
+      
+      assert.deepStrictEqual(game.castlingRights.WHITE, { kingSide: false, queenSide: true });
+      assert.deepStrictEqual(game.castlingRights.BLACK, { kingSide: false, queenSide: true });
+      assert.strictEqual(game.toFEN().split(' ')[2], 'Qq');
+    });
+
+    test('Undo restores castling rights', () => {
+      const game = ChessGame.fromFEN('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1');
+      game.makeMove(7, 4, 7, 5); // Kf1
+      assert.strictEqual(game.getCastlingField(), 'kq');
+      
+      game.unmakeMove();
+      assert.strictEqual(game.getCastlingField(), 'KQkq');
+      assert.strictEqual(game.makeMove(7, 4, 7, 6), true); // O-O
+    });
+
+    test('Castling follows FEN rights rather than piece history', () => {
+      const game = ChessGame.fromFEN('r3k2r/8/8/8/8/8/8/R3K2R w Kq - 0 1');
+      assert.strictEqual(game.makeMove(7, 4, 7, 2), false); // O-O-O not allowed
+      assert.strictEqual(game.makeMove(7, 4, 7, 6), true); // O-O allowed
+    });
+  });
+
+  describe('Chess960', () => {
+    test('Starting positions are numbered 0 to 959', () => {
+      assert.strictEqual(getChess960BackRank(CHESS960_STANDARD_POSITION).join(','), 'ROOK,KNIGHT,BISHOP,QUEEN,KING,BISHOP,KNIGHT,ROOK');
+      assert.strictEqual(getChess960BackRank(0).join(','), 'BISHOP,BISHOP,QUEEN,KNIGHT,KNIGHT,ROOK,KING,ROOK');
+      assert.throws(() => getChess960BackRank(CHESS960_POSITIONS), /Invalid Chess960 position: 960/);
+
+      const game = new ChessGame();
+      game.reset(0);
+      assert.strictEqual(game.chess960, true);
+      assert.strictEqual(game.toFEN(), 'bbqnnrkr/pppppppp/8/8/8/8/PPPPPPPP/BBQNNRKR w HFhf - 0 1');
+    });
+
+    test('Castling moves the king onto its rook and lands on the standard squares', () => {
+      const fen = 'r5kr/8/8/8/8/8/8/RK5R w HAha - 0 1';
+      const game = ChessGame.fromFEN(fen);
+
+      assert.strictEqual(game.makeMove(7, 1, 7, 0), true); // O-O-O
+      assert.strictEqual(game.getPieceAt(7, 2).type, 'KING');
+      assert.strictEqual(game.getPieceAt(7, 3).type, 'ROOK');
+      assert.strictEqual(game.getPieceAt(7, 0), null);
+      assert.strictEqual(game.moveHistory[0].notation, 'O-O-O');
+
+      // Black's king already stands on g8, so only the rook moves
+      assert.strictEqual(game.makeMove(0, 6, 0, 7), true);
+      assert.strictEqual(game.moveHistory[1].notation, 'O-O');
+      assert.strictEqual(game.toFEN(), 'r4rk1/8/8/8/8/8/8/2KR3R w - - 2 2');
+
+      game.unmakeMove();
+      game.unmakeMove();
+      assert.strictEqual(game.toFEN(), fen);
+    });
+
+    test('Castling needs a clear path and no attack on the king\'s way', () => {
+      // The b1 rook shields the king from the a1 rook until it castles away
+      const game = ChessGame.fromFEN('k7/8/8/8/8/8/8/rRK4R w HB - 0 1');
+      assert.strictEqual(game.makeMove(7, 2, 7, 1), false);
+      assert.strictEqual(game.parseSAN('O-O-O'), null);
+      assert.deepStrictEqual(game.parseSAN('O-O').to, [7, 7]);
+
+      const blocked = ChessGame.fromFEN('k7/8/8/8/8/8/8/1RK3NR w HB - 0 1');
+      assert.strictEqual(blocked.makeMove(7, 2, 7, 7), false);
+      assert.strictEqual(blocked.makeMove(7, 2, 7, 1), true);
+      assert.strictEqual(blocked.toFEN().split(' ')[0], 'k7/8/8/8/8/8/8/2KR2NR');
+    });
+
+    test('Reads X-FEN and Shredder-FEN castling fields', () => {
+      const xfen = ChessGame.fromFEN('bbqnnrkr/pppppppp/8/8/8/8/PPPPPPPP/BBQNNRKR w KQkq - 0 1');
+      assert.strictEqual(xfen.chess960, true);
+      assert.deepStrictEqual(xfen.castlingRooks.WHITE, { kingSide: 7, queenSide: 5 });
+      assert.strictEqual(xfen.getCastlingField(), 'HFhf');
+
+      const shredder = ChessGame.fromFEN('rkr5/8/8/8/8/8/8/RKR5 w Ac - 0 1');
+      assert.deepStrictEqual(shredder.castlingRights.WHITE, { kingSide: false, queenSide: true });
+      assert.deepStrictEqual(shredder.castlingRights.BLACK, { kingSide: true, queenSide: false });
+      assert.strictEqual(shredder.toFEN(), 'rkr5/8/8/8/8/8/8/RKR5 w Ac - 0 1');
+
+      // The standard array stays standard unless Chess960 is asked for
+      assert.strictEqual(ChessGame.fromFEN(STARTING_FEN).chess960, false);
+      assert.strictEqual(ChessGame.fromFEN(STARTING_FEN, true).getCastlingField(), 'HAha');
+    });
   });
 
   describe('En Passant', () => {
@@ -251,5 +346,393 @@ describe('Chess Bot Tests', () => {
       assert.ok(promotedPiece);
       assert.strictEqual(promotedPiece.type, 'QUEEN'); // Default promotion
     });
+
+    test('Rejects promotion to a piece the variant does not allow', () => {
+      const game = ChessGame.fromFEN('8/4P3/8/8/8/8/k7/4K3 w - - 0 1');
+
+      for (const piece of ['KING', 'PAWN', 'DRAGON']) {
+        assert.strictEqual(game.makeMove(1, 4, 0, 4, piece), false);
+      }
+      assert.strictEqual(game.getPieceAt(1, 4).type, 'PAWN');
+      assert.strictEqual(game.moveHistory.length, 0);
+
+      assert.strictEqual(game.makeMove(1, 4, 0, 4, 'KNIGHT'), true);
+      assert.strictEqual(game.getPieceAt(0, 4).type, 'KNIGHT');
+
+      // Antichess allows promoting to a king
+      const antichess = ChessGame.fromFEN('8/4P3/8/8/8/8/k7/8 w - - 0 1', null, 'antichess');
+      assert.strictEqual(antichess.makeMove(1, 4, 0, 4, 'KING'), true);
+    });
+  });
+  describe('FEN', () => {
+    test('New game serializes to the starting FEN', () => {
+      const game = new ChessGame();
+      assert.strictEqual(game.toFEN(), STARTING_FEN);
+    });
+
+    test('FEN round-trips through loadFEN and toFEN', () => {
+      const fens = [
+        'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+        '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1',
+        'rnbqkbnr/pp1ppppp/8/2p5/4P3/8/PPPP1PPP/RNBQKBNR w KQkq c6 0 2',
+        'r3k2r/8/8/8/8/8/8/4K2R b Kq - 12 40'
+      ];
+      for (const fen of fens) {
+        assert.strictEqual(ChessGame.fromFEN(fen).toFEN(), fen);
+      }
+    });
+
+    test('FEN state is tracked through moves', () => {
+      const game = new ChessGame();
+      game.makeMove(6, 4, 4, 4); // e2-e4
+      assert.strictEqual(game.toFEN(), 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1');
+
+      game.makeMove(1, 2, 3, 2); // c7-c5
+      game.makeMove(7, 6, 5, 5); // Ng1-f3
+      assert.strictEqual(game.toFEN(), 'rnbqkbnr/pp1ppppp/8/2p5/4P3/5N2/PPPP1PPP/RNBQKB1R b KQkq - 1 2');
+    });
+
+    test('Loaded position drives legal moves and castling', () => {
+      const game = ChessGame.fromFEN('r3k2r/8/8/8/8/8/8/R3K2R b Qk - 0 1');
+      assert.strictEqual(game.currentPlayer, 'BLACK');
+      assert.deepStrictEqual(game.kingPositions, { WHITE: [7, 4], BLACK: [0, 4] });
+      assert.strictEqual(game.makeMove(0, 4, 0, 2), false); // no black queen-side right
+      assert.strictEqual(game.makeMove(0, 4, 0, 6), true);
+      assert.strictEqual(game.toFEN(), 'r4rk1/8/8/8/8/8/8/R3K2R w Q - 1 2');
+    });
+
+    test('Loaded position detects checkmate', () => {
+      const game = ChessGame.fromFEN('rnb1kbnr/pppp1ppp/8/4p3/6Pq/5P2/PPPPP2P/RNBQKBNR w KQkq - 1 3');
+      assert.strictEqual(game.gameState, 'checkmate');
+    });
+
+    test('Malformed FEN strings are rejected with clear errors', () => {
+      const invalid = [
+        ['', /expected 4 to 6/],
+        ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP w KQkq - 0 1', /8 ranks/],
+        ['rnbqkbnr/pppppppp/5p3/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1', /exactly 8 squares/],
+        ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNX w KQkq - 0 1', /unknown piece 'X'/],
+        ['rnbq1bnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQ - 0 1', /missing black king/],
+        ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR x KQkq - 0 1', /side to move/],
+        ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkx - 0 1', /castling field/],
+        ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBN1 w KQkq - 0 1', /castling right 'K'/],
+        ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq e3 0 1', /en passant/],
+        ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - -1 1', /halfmove clock/],
+        ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 0', /fullmove number/],
+        ['P3k3/8/8/8/8/8/8/4K3 w - - 0 1', /pawn on rank 8/],
+        ['4k2R/8/8/8/8/8/8/4K3 w - - 0 1', /not to move is in check/]
+      ];
+      for (const [fen, message] of invalid) {
+        assert.throws(() => ChessGame.fromFEN(fen), message, fen);
+      }
+    });
+
+    test('Failed load leaves the current game untouched', () => {
+      const game = new ChessGame();
+      game.makeMove(6, 4, 4, 4);
+      const before = game.toFEN();
+      assert.throws(() => game.loadFEN('not a fen'));
+      assert.strictEqual(game.toFEN(), before);
+    });
+  });
+  describe('Notation', () => {
+    // Play a SAN move and return the notation recorded in the move history
+    const playSAN = (game, san) => {
+      const move = game.parseSAN(san);
+      assert.ok(move, `${san} should be legal`);
+      assert.strictEqual(game.makeMove(move.from[0], move.from[1], move.to[0], move.to[1], move.promotion || 'QUEEN'), true);
+      return game.moveHistory[game.moveHistory.length - 1].notation;
+    };
+
+    test('Records piece letters, captures and pawn files', () => {
+      const game = new ChessGame();
+      const played = ['e4', 'd5', 'exd5', 'Nf6', 'Nc3', 'Nxd5', 'Nxd5', 'Qxd5'].map(san => playSAN(game, san));
+      assert.deepStrictEqual(played, ['e4', 'd5', 'exd5', 'Nf6', 'Nc3', 'Nxd5', 'Nxd5', 'Qxd5']);
+    });
+
+    test('Disambiguates by file, rank or full square', () => {
+      const game = ChessGame.fromFEN('4k3/8/8/R7/8/8/8/R4RK1 w - - 0 1');
+      assert.strictEqual(game.getMoveNotation(game.getPieceAt(7, 0), 7, 0, 7, 3, null), 'Rad1');
+      assert.strictEqual(game.getMoveNotation(game.getPieceAt(7, 0), 7, 0, 5, 0, null), 'R1a3');
+
+      const queens = ChessGame.fromFEN('1k6/8/8/8/4Q2Q/8/K7/7Q w - - 0 1');
+      assert.strictEqual(queens.getMoveNotation(queens.getPieceAt(4, 7), 4, 7, 7, 4, null), 'Qh4e1');
+      assert.strictEqual(playSAN(queens, 'Qh4e1'), 'Qh4e1');
+    });
+
+    test('Adds check, checkmate and promotion suffixes', () => {
+      const game = ChessGame.fromFEN('4k3/1P6/8/8/8/8/8/R3K2R w KQ - 0 1');
+      assert.strictEqual(playSAN(game.cloneGame(), 'b8=Q'), 'b8=Q+');
+      assert.strictEqual(playSAN(game.cloneGame(), 'b8N'), 'b8=N');
+      assert.strictEqual(playSAN(game.cloneGame(), 'O-O'), 'O-O');
+      assert.strictEqual(playSAN(game.cloneGame(), '0-0-0'), 'O-O-O');
+      assert.strictEqual(playSAN(game.cloneGame(), 'Ra8'), 'Ra8+');
+
+      const mate = new ChessGame();
+      const played = ['f3', 'e5', 'g4', 'Qh4'].map(san => playSAN(mate, san));
+      assert.strictEqual(played[3], 'Qh4#');
+    });
+
+    test('Notates en passant as a pawn capture', () => {
+      const game = ChessGame.fromFEN('4k3/8/8/3pP3/8/8/8/4K3 w - d6 0 1');
+      assert.strictEqual(playSAN(game, 'exd6'), 'exd6');
+      assert.strictEqual(game.getPieceAt(3, 3), null);
+    });
+
+    test('Parser returns from, to and promotion', () => {
+      const game = ChessGame.fromFEN('4k3/1P6/8/8/8/8/8/4K1N1 w - - 0 1');
+      assert.deepStrictEqual(game.parseSAN('Nf3'), { from: [7, 6], to: [5, 5], promotion: null });
+      assert.deepStrictEqual(game.parseSAN('b8=R+'), { from: [1, 1], to: [0, 1], promotion: 'ROOK' });
+      assert.deepStrictEqual(game.parseSAN('Ng1f3!?'), { from: [7, 6], to: [5, 5], promotion: null });
+    });
+
+    test('Parser rejects illegal, ambiguous and malformed moves', () => {
+      const game = ChessGame.fromFEN('4k3/1P6/8/8/8/8/8/R4RK1 w - - 0 1');
+      assert.strictEqual(game.parseSAN('Rd1'), null); // ambiguous
+      assert.strictEqual(game.parseSAN('Nf3'), null); // no knight
+      assert.strictEqual(game.parseSAN('b8'), null); // promotion piece missing
+      assert.strictEqual(game.parseSAN('O-O'), null); // no castling rights
+      assert.strictEqual(game.parseSAN('hello'), null);
+    });
+
+    test('Formats a line of moves as numbered SAN', () => {
+      const game = new ChessGame();
+      const line = ['e4', 'e5', 'Qh5', 'Nc6', 'Bc4', 'Nf6', 'Qxf7'].map(san => {
+        const move = game.parseSAN(san);
+        game.makeMove(move.from[0], move.from[1], move.to[0], move.to[1]);
+        return move;
+      });
+
+      assert.strictEqual(new ChessGame().formatLine(line), '1. e4 e5 2. Qh5 Nc6 3. Bc4 Nf6 4. Qxf7#');
+
+      const afterE4 = ChessGame.fromFEN('rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1');
+      assert.strictEqual(afterE4.formatLine(line.slice(1, 4)), '1... e5 2. Qh5 Nc6');
+      assert.strictEqual(afterE4.moveHistory.length, 0);
+      // The line stops at a move that is not legal in it
+      assert.strictEqual(afterE4.formatLine([line[1], line[1]]), '1... e5');
+    });
+
+    test('Names a single move in SAN', () => {
+      const game = ChessGame.fromFEN('6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1');
+      assert.strictEqual(game.getSAN({ from: [7, 0], to: [0, 0] }), 'Ra8#');
+      assert.strictEqual(game.getSAN({ from: [7, 6], to: [7, 7] }), 'Kh1');
+      assert.strictEqual(game.getSAN({ from: [7, 0], to: [6, 1] }), null);
+      assert.strictEqual(game.moveHistory.length, 0);
+    });
+  });
+  describe('Undo and Redo', () => {
+    const playSAN = (game, ...moves) => {
+      for (const san of moves) {
+        const move = game.parseSAN(san);
+        assert.ok(move, `${san} should be legal`);
+        game.makeMove(move.from[0], move.from[1], move.to[0], move.to[1], move.promotion || 'QUEEN');
+      }
+    };
+
+    test('Replays earlier positions without changing the game', () => {
+      const game = ChessGame.fromFEN('rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1');
+      playSAN(game, 'e5', 'Nf3', 'Nc6');
+
+      const afterE5 = game.getPositionAt(1);
+      assert.strictEqual(afterE5.toFEN(), 'rnbqkbnr/pppp1ppp/8/4p3/4P3/8/PPPP1PPP/RNBQKBNR w KQkq e6 0 2');
+      assert.deepStrictEqual(afterE5.lastMove.to, [3, 4]);
+      assert.strictEqual(game.getPositionAt(0).toFEN(), game.startingFEN);
+      assert.strictEqual(game.getPositionAt(3).toFEN(), game.toFEN());
+      assert.strictEqual(game.moveHistory.length, 3);
+      assert.throws(() => game.getPositionAt(4), /Invalid ply/);
+    });
+
+    test('Undoing every move returns to the starting position', () => {
+      const game = new ChessGame();
+      const fens = [game.toFEN()];
+      for (const san of ['e4', 'd5', 'exd5', 'Qxd5', 'Nc3', 'Qa5', 'd4', 'c6', 'Nf3', 'Bg4', 'Be2', 'e6', 'O-O']) {
+        playSAN(game, san);
+        fens.push(game.toFEN());
+      }
+
+      while (game.canUndo()) {
+        fens.pop();
+        assert.ok(game.unmakeMove());
+        assert.strictEqual(game.toFEN(), fens[fens.length - 1]);
+      }
+      assert.strictEqual(game.moveHistory.length, 0);
+      assert.strictEqual(game.capturedPieces.WHITE.length + game.capturedPieces.BLACK.length, 0);
+      assert.strictEqual(game.unmakeMove(), null);
+    });
+
+    test('Undo restores castling, en passant and promotion captures', () => {
+      const game = ChessGame.fromFEN('r3k2r/1P6/8/3pP3/8/8/8/R3K2R w KQkq d6 0 1');
+      const start = game.toFEN();
+      for (const san of ['O-O', 'O-O-O', 'exd6', 'bxa8=N']) {
+        const position = game.toFEN();
+        playSAN(game, san);
+        assert.ok(game.unmakeMove());
+        assert.strictEqual(game.toFEN(), position, `undo ${san}`);
+        assert.strictEqual(game.toFEN(), start);
+        assert.strictEqual(game.getPieceAt(1, 1).type, 'PAWN');
+      }
+    });
+
+    test('Undo restores check state and king positions', () => {
+      const game = new ChessGame();
+      playSAN(game, 'f3', 'e5', 'g4', 'Qh4#');
+      assert.strictEqual(game.gameState, 'checkmate');
+      game.unmakeMove();
+      assert.strictEqual(game.gameState, 'playing');
+      assert.strictEqual(game.currentPlayer, 'BLACK');
+
+      playSAN(game, 'Ke7');
+      assert.deepStrictEqual(game.kingPositions.BLACK, [1, 4]);
+      game.unmakeMove();
+      assert.deepStrictEqual(game.kingPositions.BLACK, [0, 4]);
+    });
+
+    test('Redo replays undone moves in order', () => {
+      const game = new ChessGame();
+      playSAN(game, 'e4', 'e5', 'Nf3', 'Nc6');
+      const finalFEN = game.toFEN();
+
+      game.unmakeMove();
+      game.unmakeMove();
+      game.unmakeMove();
+      assert.strictEqual(game.canRedo(), true);
+      assert.strictEqual(game.redoMove(), true);
+      assert.strictEqual(game.redoMove(), true);
+      assert.strictEqual(game.redoMove(), true);
+      assert.strictEqual(game.redoMove(), false);
+      assert.strictEqual(game.toFEN(), finalFEN);
+      assert.deepStrictEqual(game.moveHistory.map(m => m.notation), ['e4', 'e5', 'Nf3', 'Nc6']);
+    });
+
+    test('A new move discards the redo stack', () => {
+      const game = new ChessGame();
+      playSAN(game, 'e4', 'e5');
+      game.unmakeMove();
+      playSAN(game, 'c5');
+      assert.strictEqual(game.canRedo(), false);
+      assert.strictEqual(game.redoMove(), false);
+    });
+  });
+  describe('Draw Rules', () => {
+    const playSAN = (game, ...moves) => {
+      for (const san of moves) {
+        const move = game.parseSAN(san);
+        assert.ok(move, `${san} should be legal`);
+        game.makeMove(move.from[0], move.from[1], move.to[0], move.to[1], move.promotion || 'QUEEN');
+      }
+    };
+    const knightDance = ['Nf3', 'Nf6', 'Ng1', 'Ng8'];
+
+    test('Threefold repetition can be claimed but does not end the game', () => {
+      const game = new ChessGame();
+      playSAN(game, ...knightDance);
+      assert.strictEqual(game.getRepetitionCount(), 2);
+      assert.strictEqual(game.canClaimDraw(), false);
+
+      playSAN(game, ...knightDance);
+      assert.strictEqual(game.getRepetitionCount(), 3);
+      assert.strictEqual(game.gameState, 'playing');
+      assert.strictEqual(game.getClaimableDrawReason(), 'threefold-repetition');
+
+      assert.strictEqual(game.claimDraw(), true);
+      assert.strictEqual(game.gameState, 'draw');
+      assert.strictEqual(game.drawReason, 'threefold-repetition');
+    });
+
+    test('Fivefold repetition ends the game automatically', () => {
+      const game = new ChessGame();
+      for (let i = 0; i < 4; i++) playSAN(game, ...knightDance);
+      assert.strictEqual(game.gameState, 'draw');
+      assert.strictEqual(game.drawReason, 'fivefold-repetition');
+
+      game.unmakeMove();
+      assert.strictEqual(game.gameState, 'playing');
+      assert.strictEqual(game.drawReason, null);
+      assert.strictEqual(game.getRepetitionCount(), 4);
+    });
+
+    test('Castling rights are part of the repeated position', () => {
+      const game = new ChessGame();
+      playSAN(game, 'e4', 'e5', 'Ke2', 'Ke7', 'Ke1', 'Ke8');
+      // Same placement as after 2...e5, but neither side can castle any more
+      assert.strictEqual(game.getRepetitionCount(), 1);
+      playSAN(game, 'Ke2', 'Ke7', 'Ke1', 'Ke8');
+      assert.strictEqual(game.getRepetitionCount(), 2);
+    });
+
+    test('En passant rights only count when the capture is legal', () => {
+      const game = ChessGame.fromFEN('4k3/8/8/8/4p3/8/3P4/4K3 w - - 0 1');
+      playSAN(game, 'd4');
+      assert.match(game.getPositionKey(), / d3$/);
+
+      const pinned = ChessGame.fromFEN('8/8/8/8/k3p2R/8/3P4/4K3 w - - 0 1');
+      playSAN(pinned, 'd4');
+      assert.deepStrictEqual(pinned.enPassantTarget, [5, 3]);
+      assert.match(pinned.getPositionKey(), / -$/);
+    });
+
+    test('50-move rule is claimable and 75-move rule is automatic', () => {
+      const game = ChessGame.fromFEN('4k3/8/8/8/8/8/R7/4K3 w - - 99 80');
+      assert.strictEqual(game.canClaimDraw(), false);
+      playSAN(game, 'Rb2');
+      assert.strictEqual(game.gameState, 'playing');
+      assert.strictEqual(game.getClaimableDrawReason(), 'fifty-move-rule');
+
+      const late = ChessGame.fromFEN('4k3/8/8/8/8/8/R7/4K3 w - - 149 100');
+      playSAN(late, 'Rb2');
+      assert.strictEqual(late.gameState, 'draw');
+      assert.strictEqual(late.drawReason, 'seventy-five-move-rule');
+    });
+
+    test('Checkmate takes precedence over the 75-move rule', () => {
+      const game = ChessGame.fromFEN('k7/8/1K6/8/8/8/8/7R w - - 149 100');
+      playSAN(game, 'Rh8');
+      assert.strictEqual(game.gameState, 'checkmate');
+      assert.strictEqual(game.drawReason, null);
+    });
+
+    test('Insufficient material reports its draw reason', () => {
+      const game = ChessGame.fromFEN('4k3/8/8/8/8/8/3n4/4K3 w - - 0 1');
+      playSAN(game, 'Kxd2');
+      assert.strictEqual(game.gameState, 'draw');
+      assert.strictEqual(game.drawReason, 'insufficient-material');
+    });
+  });
+
+  describe('Flag Fall', () => {
+    test('Running out of time loses when the opponent can mate', () => {
+      const game = ChessGame.fromFEN('4k3/8/8/8/8/8/4P3/4K3 b - - 0 1');
+      assert.strictEqual(game.flagFall('BLACK'), true);
+      assert.strictEqual(game.gameState, 'timeout');
+      assert.strictEqual(game.flaggedPlayer, 'BLACK');
+      assert.strictEqual(game.flagFall('WHITE'), false);
+    });
+
+    test('Running out of time draws when the opponent cannot mate', () => {
+      const game = ChessGame.fromFEN('4k3/8/8/8/8/8/4P3/4K3 w - - 0 1');
+      assert.strictEqual(game.flagFall('WHITE'), true);
+      assert.strictEqual(game.gameState, 'draw');
+      assert.strictEqual(game.drawReason, 'timeout-vs-insufficient-material');
+    });
+
+    test('Mating material follows the FIDE helpmate rule', () => {
+      const hasMaterial = (fen, color) => ChessGame.fromFEN(fen).hasMatingMaterial(color);
+
+      assert.strictEqual(hasMaterial('4k3/8/8/8/8/8/8/4KN2 w - - 0 1', 'WHITE'), false);
+      assert.strictEqual(hasMaterial('4k3/4p3/8/8/8/8/8/4KN2 w - - 0 1', 'WHITE'), true);
+      assert.strictEqual(hasMaterial('4k3/8/8/8/8/8/8/2B1KB2 w - - 0 1', 'WHITE'), true);
+      assert.strictEqual(hasMaterial('4k3/8/8/8/8/8/8/3BKB2 w - - 0 1', 'WHITE'), false);
+      assert.strictEqual(hasMaterial('4kb2/8/8/8/8/8/8/4KB2 w - - 0 1', 'WHITE'), true);
+      assert.strictEqual(hasMaterial('4k3/8/8/8/8/8/8/4KNN1 w - - 0 1', 'WHITE'), true);
+    });
+
+    test('Undo clears the flag', () => {
+      const game = new ChessGame();
+      game.makeMove(6, 4, 4, 4);
+      game.flagFall('BLACK');
+      game.unmakeMove();
+      assert.strictEqual(game.gameState, 'playing');
+      assert.strictEqual(game.flaggedPlayer, null);
+    });
   });
 });
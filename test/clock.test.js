@@ -0,0 +1,114 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { ChessClock, TIME_CONTROLS } from '../js/chess-clock.js';
+
+// A clock driven by a fake time source
+function createClock(timeControl) {
+  const time = { now: 0 };
+  const clock = new ChessClock(timeControl, () => time.now);
+  return { clock, advance: (ms) => { time.now += ms; } };
+}
+
+describe('Chess Clock', () => {
+  test('Sudden death only counts down the side to move', () => {
+    const { clock, advance } = createClock({ time: 60000 });
+    clock.start('WHITE');
+    advance(5000);
+    assert.strictEqual(clock.getRemainingTime('WHITE'), 55000);
+    assert.strictEqual(clock.press(), true);
+
+    advance(2000);
+    assert.strictEqual(clock.getRemainingTime('WHITE'), 55000);
+    assert.strictEqual(clock.getRemainingTime('BLACK'), 58000);
+    assert.strictEqual(clock.running, 'BLACK');
+  });
+
+  test('Fischer increment is added after every move', () => {
+    const { clock, advance } = createClock(TIME_CONTROLS['blitz-3+2']);
+    clock.start('WHITE');
+    advance(1000);
+    clock.press();
+    assert.strictEqual(clock.getRemainingTime('WHITE'), 180000 - 1000 + 2000);
+  });
+
+  test('Bronstein delay gives back the time used, up to the delay', () => {
+    const { clock, advance } = createClock({ time: 60000, delay: 3000 });
+    clock.start('WHITE');
+    advance(2000);
+    clock.press();
+    assert.strictEqual(clock.getRemainingTime('WHITE'), 60000);
+
+    advance(10000);
+    clock.press();
+    assert.strictEqual(clock.getRemainingTime('BLACK'), 53000);
+  });
+
+  test('Classical periods add time after the set number of moves', () => {
+    const { clock, advance } = createClock({ time: 10000, periods: [{ moves: 2, bonus: 30000 }] });
+    clock.start('WHITE');
+    for (let i = 0; i < 4; i++) {
+      advance(1000);
+      clock.press();
+    }
+    assert.strictEqual(clock.getRemainingTime('WHITE'), 10000 - 2000 + 30000);
+    assert.strictEqual(clock.getRemainingTime('BLACK'), 10000 - 2000 + 30000);
+
+    // The bonus is only given once
+    for (let i = 0; i < 4; i++) {
+      advance(1000);
+      clock.press();
+    }
+    assert.strictEqual(clock.getRemainingTime('WHITE'), 36000);
+  });
+
+  test('The flag falls when the running clock reaches zero', () => {
+    const { clock, advance } = createClock({ time: 1000 });
+    clock.start('WHITE');
+    advance(999);
+    assert.strictEqual(clock.checkFlag(), null);
+
+    advance(1);
+    assert.strictEqual(clock.checkFlag(), 'WHITE');
+    assert.strictEqual(clock.running, null);
+    assert.strictEqual(clock.getRemainingTime('WHITE'), 0);
+
+    // A flagged clock cannot be restarted
+    clock.start('BLACK');
+    assert.strictEqual(clock.running, null);
+  });
+
+  test('Moving after the time ran out does not save the flag', () => {
+    const { clock, advance } = createClock({ time: 1000, increment: 5000 });
+    clock.start('WHITE');
+    advance(1500);
+    assert.strictEqual(clock.press(), false);
+    assert.strictEqual(clock.flagged, 'WHITE');
+  });
+
+  test('Warns below 20 seconds, or a fifth of the starting time', () => {
+    const { clock, advance } = createClock(TIME_CONTROLS['rapid-10+0']);
+    clock.start('WHITE');
+    advance(580000);
+    assert.strictEqual(clock.isLowTime('WHITE'), false);
+    advance(1);
+    assert.strictEqual(clock.isLowTime('WHITE'), true);
+
+    const bullet = createClock({ time: 30000 });
+    bullet.clock.start('WHITE');
+    bullet.advance(24001);
+    assert.strictEqual(bullet.clock.isLowTime('WHITE'), true);
+  });
+
+  test('Formats times for display', () => {
+    assert.strictEqual(ChessClock.formatTime(5400000), '1:30:00');
+    assert.strictEqual(ChessClock.formatTime(185000), '3:05');
+    assert.strictEqual(ChessClock.formatTime(9870), '9.8');
+    assert.strictEqual(ChessClock.formatTime(-50), '0.0');
+  });
+
+  test('Rejects invalid time controls', () => {
+    assert.throws(() => new ChessClock({ time: 0 }), /Invalid time control/);
+    assert.throws(() => new ChessClock({ time: 1000, increment: -1 }), /Invalid time control/);
+    assert.throws(() => new ChessClock({ time: 1000, periods: [{ moves: 0, bonus: 1000 }] }), /Invalid time control/);
+  });
+});
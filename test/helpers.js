@@ -0,0 +1,8 @@
+// Fixtures shared by the test files
+
+// Make an AI deterministic
+export function quietAI(ai) {
+  ai.moveRandomness = 0;
+  ai.useOpeningBook = false;
+  return ai;
+}
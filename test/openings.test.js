@@ -0,0 +1,98 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { ChessGame, STARTING_FEN } from '../js/chess-logic.js';
+import { OpeningExplorer } from '../js/chess-openings.js';
+
+const explorer = new OpeningExplorer();
+
+function playMoves(moves) {
+  const game = new ChessGame();
+  for (const text of moves.split(' ')) {
+    const move = game.parseCoordinateMove(text);
+    game.makeMove(move.from[0], move.from[1], move.to[0], move.to[1], move.promotion || undefined);
+  }
+  return game;
+}
+
+describe('Opening Explorer', () => {
+  describe('Classification', () => {
+    test('No opening at the starting position', () => {
+      assert.strictEqual(explorer.classify(new ChessGame()), null);
+    });
+
+    test('Name the opening of a main line', () => {
+      const opening = explorer.classify(playMoves('e2e4 c7c5 g1f3 d7d6 d2d4 c5d4 f3d4 g8f6 b1c3 a7a6'));
+      assert.strictEqual(opening.eco, 'B90');
+      assert.strictEqual(opening.name, 'Sicilian Defense, Najdorf Variation');
+    });
+
+    test('Recognize a position reached by another move order', () => {
+      const opening = explorer.classify(playMoves('c2c4 e7e6 b1c3 g8f6 d2d4 f8b4'));
+      assert.strictEqual(opening.eco, 'E20');
+      assert.strictEqual(opening.name, 'Nimzo-Indian Defense');
+    });
+
+    test('Keep the last known name after leaving the opening lines', () => {
+      const opening = explorer.classify(playMoves('e2e4 e7e6 d2d4 d7d5 b1c3 f8b4 a2a3 b4c3'));
+      assert.strictEqual(opening.eco, 'C15');
+    });
+
+    test('Reject illegal moves in an opening line', () => {
+      assert.throws(() => new OpeningExplorer([['X00', 'Broken', 'e2e4 e2e4']]), /Invalid opening line/);
+    });
+  });
+
+  describe('Continuations', () => {
+    test('List first moves with their openings and SAN', () => {
+      const continuations = explorer.getContinuations(new ChessGame());
+      const e4 = continuations.find(({ san }) => san === 'e4');
+
+      assert.deepStrictEqual(e4, {
+        move: { from: [6, 4], to: [4, 4], promotion: null },
+        san: 'e4',
+        eco: 'B00',
+        name: "King's Pawn Game"
+      });
+      assert.ok(continuations.some(({ san, name }) => san === 'd4' && name === "Queen's Pawn Game"));
+    });
+
+    test('Name a continuation after the shortest line it starts', () => {
+      const continuations = explorer.getContinuations(playMoves('e2e4 e7e5 g1f3 b8c6'));
+      const bishop = continuations.find(({ san }) => san === 'Bb5');
+      assert.strictEqual(bishop.name, 'Ruy Lopez');
+    });
+
+    test('Follow the lines after a transposition', () => {
+      const sans = explorer.getContinuations(playMoves('c2c4 g8f6 d2d4')).map(({ san }) => san);
+      for (const san of ['e6', 'g6', 'c5', 'e5']) {
+        assert.ok(sans.includes(san), `${san} should be listed`);
+      }
+    });
+
+    test('Leave the game unchanged', () => {
+      const game = playMoves('d2d4 d7d5');
+      const fen = game.toFEN();
+      explorer.getContinuations(game);
+
+      assert.strictEqual(game.toFEN(), fen);
+      assert.strictEqual(game.moveHistory.length, 2);
+    });
+
+    test('Nothing to list away from the opening lines', () => {
+      const game = ChessGame.fromFEN('4k3/8/8/8/8/8/4P3/4K3 w - - 0 1');
+      assert.strictEqual(explorer.classify(game), null);
+      assert.deepStrictEqual(explorer.getContinuations(game), []);
+    });
+
+    test('Nothing to name or list outside standard chess', () => {
+      for (const game of [ChessGame.fromFEN(STARTING_FEN, true), ChessGame.fromFEN(STARTING_FEN, null, 'atomic')]) {
+        for (const text of ['e2e4', 'c7c5']) {
+          assert.ok(game.playMove(game.parseCoordinateMove(text)));
+        }
+        assert.strictEqual(explorer.covers(game), false);
+        assert.strictEqual(explorer.classify(game), null);
+        assert.deepStrictEqual(explorer.getContinuations(game), []);
+      }
+    });
+  });
+});
@@ -0,0 +1,122 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { ChessGame, STARTING_FEN } from '../js/chess-logic.js';
+import { SearchBoard } from '../js/chess-board.js';
+
+// Reference positions with known node counts (https://www.chessprogramming.org/Perft_Results,
+// and https://www.chessprogramming.org/Chess960_Perft_Results for the Chess960 ones).
+// Depths are kept modest so the suite stays fast.
+const PERFT_POSITIONS = [
+  {
+    name: 'Initial position',
+    fen: STARTING_FEN,
+    nodes: [20, 400, 8902]
+  },
+  {
+    name: 'Kiwipete',
+    fen: 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+    nodes: [48, 2039, 97862]
+  },
+  {
+    name: 'Position 3 (en passant and rook endgame)',
+    fen: '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1',
+    nodes: [14, 191, 2812, 43238]
+  },
+  {
+    name: 'Position 4 (promotions and castling)',
+    fen: 'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1',
+    nodes: [6, 264, 9467]
+  },
+  {
+    name: 'Position 4 mirrored',
+    fen: 'r2q1rk1/pP1p2pp/Q4n2/bbp1p3/Np6/1B3NBn/pPPP1PPP/R3K2R b KQ - 0 1',
+    nodes: [6, 264, 9467]
+  },
+  {
+    name: 'Position 5',
+    fen: 'rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8',
+    nodes: [44, 1486, 62379]
+  },
+  {
+    name: 'Position 6',
+    fen: 'r4rk1/1pp1qppp/p1np1n2/2b1p1B1/2B1P1b1/P1NP1N2/1PP1QPPP/R4RK1 w - - 0 10',
+    nodes: [46, 2079, 89890]
+  },
+  {
+    name: 'Chess960 position 1',
+    fen: 'bqnb1rkr/pp3ppp/3ppn2/2p5/5P2/P2P4/NPP1P1PP/BQ1BNRKR w HFhf - 2 9',
+    nodes: [21, 528, 12189]
+  },
+  {
+    name: 'Chess960 position 2',
+    fen: '2nnrbkr/p1qppppp/8/1ppb4/6PP/3PP3/PPP2P2/BQNNRBKR w HEhe - 1 9',
+    nodes: [21, 807, 18002]
+  },
+  {
+    name: 'Chess960 position 3',
+    fen: 'b1q1rrkb/pppppppp/3nn3/8/P7/1PPP4/4PPPP/BQNNRKRB w GE - 1 9',
+    nodes: [20, 479, 10471]
+  }
+];
+
+describe('Perft', () => {
+  describe('Reference positions', () => {
+    for (const { name, fen, nodes } of PERFT_POSITIONS) {
+      test(`${name} to depth ${nodes.length}`, () => {
+        const game = ChessGame.fromFEN(fen);
+        nodes.forEach((expected, index) => {
+          assert.strictEqual(game.perft(index + 1), expected, `depth ${index + 1}`);
+        });
+        assert.strictEqual(game.toFEN(), fen);
+      });
+    }
+  });
+
+  describe('Search board', () => {
+    for (const { name, fen, nodes } of PERFT_POSITIONS) {
+      test(`${name} matches ChessGame to depth ${nodes.length}`, () => {
+        const board = SearchBoard.fromFEN(fen);
+        const key = board.getKey();
+        nodes.forEach((expected, index) => {
+          assert.strictEqual(board.perft(index + 1), expected, `depth ${index + 1}`);
+        });
+        assert.strictEqual(board.getKey(), key);
+      });
+    }
+  });
+
+  describe('Divide', () => {
+    test('Splits the node count by root move', () => {
+      const game = new ChessGame();
+      const counts = game.divide(3);
+
+      assert.strictEqual(Object.keys(counts).length, 20);
+      assert.strictEqual(counts.e2e4, 600);
+      assert.strictEqual(counts.g1f3, 440);
+      assert.strictEqual(Object.values(counts).reduce((sum, n) => sum + n, 0), 8902);
+    });
+
+    test('Lists every promotion choice separately', () => {
+      const game = ChessGame.fromFEN('8/4P3/8/8/8/8/k7/4K3 w - - 0 1');
+      const counts = game.divide(1);
+
+      for (const suffix of ['q', 'r', 'b', 'n']) {
+        assert.strictEqual(counts[`e7e8${suffix}`], 1);
+      }
+      assert.strictEqual(game.perft(1), 9);
+    });
+
+    test('Leaves the game and its redo history untouched', () => {
+      const game = new ChessGame();
+      game.makeMove(6, 4, 4, 4);
+      game.unmakeMove();
+
+      game.divide(2);
+      game.perft(2);
+
+      assert.strictEqual(game.toFEN(), STARTING_FEN);
+      assert.strictEqual(game.moveHistory.length, 0);
+      assert.strictEqual(game.canRedo(), true);
+    });
+  });
+});
@@ -0,0 +1,209 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { ChessGame } from '../js/chess-logic.js';
+import { ChessPGN } from '../js/chess-pgn.js';
+import { GameTree } from '../js/chess-tree.js';
+
+// Play a list of [fromRow, fromCol, toRow, toCol] moves on a game
+function playMoves(game, moves) {
+  for (const [fromRow, fromCol, toRow, toCol, promotion] of moves) {
+    assert.strictEqual(game.makeMove(fromRow, fromCol, toRow, toCol, promotion), true);
+  }
+  return game;
+}
+
+const SCHOLARS_MATE = [
+  [6, 4, 4, 4], // e4
+  [1, 4, 3, 4], // e5
+  [7, 5, 4, 2], // Bc4
+  [0, 1, 2, 2], // Nc6
+  [7, 3, 3, 7], // Qh5
+  [0, 6, 2, 5], // Nf6
+  [3, 7, 1, 5]  // Qxf7#
+];
+
+describe('PGN', () => {
+  describe('Export', () => {
+    test('Exports the Seven Tag Roster in order with SAN movetext', () => {
+      const game = playMoves(new ChessGame(), SCHOLARS_MATE);
+      const pgn = ChessPGN.exportPGN(game, { White: 'Alice', Black: 'Bot', Date: '2024.01.02' });
+
+      assert.strictEqual(pgn, [
+        '[Event "?"]',
+        '[Site "?"]',
+        '[Date "2024.01.02"]',
+        '[Round "?"]',
+        '[White "Alice"]',
+        '[Black "Bot"]',
+        '[Result "1-0"]',
+        '',
+        '1. e4 e5 2. Bc4 Nc6 3. Qh5 Nf6 4. Qxf7# 1-0',
+        ''
+      ].join('\n'));
+    });
+
+    test('Unfinished games use the * result', () => {
+      const game = playMoves(new ChessGame(), SCHOLARS_MATE.slice(0, 3));
+      const pgn = ChessPGN.exportPGN(game);
+      assert.match(pgn, /\[Result "\*"\]/);
+      assert.match(pgn, /1\. e4 e5 2\. Bc4 \*\n$/);
+    });
+
+    test('Losing on time sets the result against the flagged player', () => {
+      const game = playMoves(new ChessGame(), SCHOLARS_MATE.slice(0, 3));
+      game.flagFall('BLACK');
+      assert.match(ChessPGN.exportPGN(game), /\[Result "1-0"\]/);
+    });
+
+    test('Games from a custom position include SetUp and FEN tags', () => {
+      const fen = '4k3/8/8/8/8/8/4P3/4K3 b - - 0 30';
+      const game = ChessGame.fromFEN(fen);
+      playMoves(game, [[0, 4, 0, 3], [6, 4, 4, 4]]);
+      const pgn = ChessPGN.exportPGN(game);
+
+      assert.match(pgn, /\[SetUp "1"\]/);
+      assert.match(pgn, new RegExp(`\\[FEN "${fen}"\\]`));
+      assert.match(pgn, /30\.\.\. Kd8 31\. e4 \*/);
+    });
+
+    test('Exports the variations and comments of a game tree', () => {
+      const game = playMoves(new ChessGame(), SCHOLARS_MATE.slice(0, 4));
+      const tree = GameTree.fromGame(game);
+      const [e4, e5, bc4] = tree.getMainLine();
+      tree.setComment(tree.root, 'Casual game');
+      tree.setComment(e5, 'Symmetrical');
+
+      const d5 = tree.addMove(e4, { from: [1, 3], to: [3, 3] }, 'd5');
+      tree.addMove(d5, { from: [4, 4], to: [3, 3] }, 'exd5');
+      tree.addMove(e4, { from: [1, 2], to: [3, 2] }, 'c5');
+      tree.addMove(e5, { from: [7, 6], to: [5, 5] }, 'Nf3');
+      tree.setComment(bc4, 'Aiming at f7');
+
+      const movetext = ChessPGN.exportPGN(game, {}, tree).split('\n\n')[1];
+      assert.strictEqual(movetext.replace(/\n/g, ' '),
+        '{Casual game} 1. e4 e5 {Symmetrical} (1... d5 2. exd5) (1... c5) 2. Bc4 {Aiming at f7} (2. Nf3) 2... Nc6 * ');
+    });
+
+    test('Long games wrap movetext at 80 columns', () => {
+      const game = new ChessGame();
+      const knightDance = [[7, 6, 5, 5], [0, 6, 2, 5], [5, 5, 7, 6], [2, 5, 0, 6]];
+      for (let i = 0; i < 5; i++) playMoves(game, knightDance);
+      const movetext = ChessPGN.exportPGN(game).split('\n\n')[1];
+      for (const line of movetext.trim().split('\n')) {
+        assert.ok(line.length <= 80, line);
+      }
+    });
+  });
+
+  describe('Import', () => {
+    test('Replays moves and reads headers', () => {
+      const { game, headers, result } = ChessPGN.importPGN([
+        '[Event "Casual"]',
+        '[White "Alice \\"A\\""]',
+        '[Result "1-0"]',
+        '',
+        '1. e4 e5 2. Bc4 Nc6 3. Qh5 Nf6?? 4. Qxf7# 1-0'
+      ].join('\n'));
+
+      assert.strictEqual(headers.Event, 'Casual');
+      assert.strictEqual(headers.White, 'Alice "A"');
+      assert.strictEqual(result, '1-0');
+      assert.strictEqual(game.moveHistory.length, 7);
+      assert.strictEqual(game.gameState, 'checkmate');
+    });
+
+    test('Keeps comments, NAGs and variations without playing them', () => {
+      const { game, moves, initialComments } = ChessPGN.importPGN(
+        '{Opening} 1. e4 $1 {best by test} (1. d4 d5 (1... Nf6) 2. c4) 1... c5; Sicilian\n2. Nf3 *'
+      );
+
+      assert.deepStrictEqual(initialComments, ['Opening']);
+      assert.strictEqual(game.moveHistory.length, 3);
+      assert.deepStrictEqual(moves[0].nags, [1]);
+      assert.deepStrictEqual(moves[0].comments, ['best by test']);
+      assert.deepStrictEqual(moves[0].variations[0].map(m => m.san), ['d4', 'd5', 'c4']);
+      assert.deepStrictEqual(moves[0].variations[0][1].variations[0].map(m => m.san), ['Nf6']);
+      assert.deepStrictEqual(moves[1].comments, ['Sicilian']);
+    });
+
+    test('Builds a game tree with the variations and comments', () => {
+      const pgn = '{Opening} 1. e4 {best by test} (1. d4 d5 (1... Nf6) 2. c4) 1... c5 {Sicilian} 2. Nf3 *';
+      const { game, tree } = ChessPGN.importPGN(pgn);
+
+      assert.strictEqual(tree.root.comment, 'Opening');
+      assert.deepStrictEqual(tree.getMainLine().map(({ san }) => san), ['e4', 'c5', 'Nf3']);
+      assert.deepStrictEqual(tree.root.children.map(({ san }) => san), ['e4', 'd4']);
+      assert.deepStrictEqual(tree.root.children[1].children.map(({ san }) => san), ['d5', 'Nf6']);
+      assert.strictEqual(tree.getMainLine()[1].comment, 'Sicilian');
+      assert.strictEqual(game.moveHistory.length, 3);
+
+      const exported = ChessPGN.exportPGN(game, {}, tree).split('\n\n')[1].replace(/\n/g, ' ');
+      assert.strictEqual(exported, `${pgn} `);
+    });
+
+    test('Round-trips comments at the start of variations and NAGs', () => {
+      const pgn = '{Opening} 1. e4 $1 {best by test} ({Queen\'s pawn} 1. d4 d5 $2 ({Or} 1... Nf6 $5) 2. c4) 1... c5 {Sicilian} 2. Nf3 *';
+      const { game, tree } = ChessPGN.importPGN(pgn);
+
+      const [e4] = tree.getMainLine();
+      const d4 = tree.root.children[1];
+      const [d5, nf6] = d4.children;
+      assert.deepStrictEqual(e4.nags, [1]);
+      assert.strictEqual(d4.commentBefore, "Queen's pawn");
+      assert.deepStrictEqual(d5.nags, [2]);
+      assert.strictEqual(nf6.commentBefore, 'Or');
+      assert.deepStrictEqual(nf6.nags, [5]);
+
+      const exported = ChessPGN.exportPGN(game, {}, tree).split('\n\n')[1].replace(/\n/g, ' ');
+      assert.strictEqual(exported, `${pgn} `);
+    });
+
+    test('Exports move suffixes as NAGs', () => {
+      const { game, tree } = ChessPGN.importPGN('1. e4! e5?! 2. Nf3!! *');
+      assert.match(ChessPGN.exportPGN(game, {}, tree), /1\. e4 \$1 e5 \$6 2\. Nf3 \$3 \*/);
+    });
+
+    test('Rejects illegal moves in variations', () => {
+      assert.throws(() => ChessPGN.importPGN('1. e4 (1. Nf6) e5 *'), /illegal or ambiguous move 1\. Nf6/);
+    });
+
+    test('Plays promotions, castling and en passant', () => {
+      const { game } = ChessPGN.importPGN(
+        '[FEN "r3k3/6P1/8/3pP3/8/8/8/4K2R w Kq d6 0 1"]\n[SetUp "1"]\n\n1. exd6 O-O-O 2. g8=N Rd7 3. 0-0 *'
+      );
+      assert.strictEqual(game.getPieceAt(0, 6).type, 'KNIGHT');
+      assert.strictEqual(game.getPieceAt(0, 2).type, 'KING');
+      assert.strictEqual(game.getPieceAt(2, 3).type, 'PAWN');
+      assert.strictEqual(game.getPieceAt(7, 6).type, 'KING');
+      assert.strictEqual(game.getPieceAt(7, 5).type, 'ROOK');
+    });
+
+    test('Chess960 games carry the Variant tag and replay castling', () => {
+      const original = ChessGame.fromFEN('r5kr/pppppppp/8/8/8/8/PPPPPPPP/RK5R w HAha - 0 1');
+      original.makeMove(7, 1, 7, 0); // O-O-O
+      original.makeMove(0, 6, 0, 7); // O-O
+      const pgn = ChessPGN.exportPGN(original);
+      assert.match(pgn, /\[Variant "Chess960"\]/);
+      assert.match(pgn, /1\. O-O-O O-O/);
+
+      const { game } = ChessPGN.importPGN(pgn);
+      assert.strictEqual(game.chess960, true);
+      assert.strictEqual(game.toFEN(), original.toFEN());
+    });
+
+    test('Export and import round-trip', () => {
+      const original = playMoves(new ChessGame(), SCHOLARS_MATE);
+      const pgn = ChessPGN.exportPGN(original);
+      const { game } = ChessPGN.importPGN(pgn);
+      assert.strictEqual(game.toFEN(), original.toFEN());
+      assert.strictEqual(ChessPGN.exportPGN(game), pgn);
+    });
+
+    test('Illegal moves and malformed movetext raise errors', () => {
+      assert.throws(() => ChessPGN.importPGN('1. e4 e5 2. Ke3 *'), /illegal or ambiguous move 2\. Ke3/);
+      assert.throws(() => ChessPGN.importPGN('1. e4 {unclosed'), /unterminated comment/);
+      assert.throws(() => ChessPGN.importPGN('1. e4 (1. d4 *'), /unterminated variation/);
+      assert.throws(() => ChessPGN.importPGN('[FEN "bad"]\n\n*'), /bad FEN tag/);
+    });
+  });
+});
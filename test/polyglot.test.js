@@ -0,0 +1,150 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { ChessGame } from '../js/chess-logic.js';
+import { EnhancedChessAI } from '../js/chess-ai-enhanced.js';
+import { PolyglotBook, polyglotKey } from '../js/chess-polyglot.js';
+
+function playMoves(game, moves) {
+  for (const text of moves.split(' ')) {
+    const move = game.parseCoordinateMove(text);
+    game.makeMove(move.from[0], move.from[1], move.to[0], move.to[1], move.promotion || undefined);
+  }
+  return game;
+}
+
+// A single book entry: key, move, weight and learn value, big-endian
+function bookEntry(key, move, weight) {
+  const bytes = new Uint8Array(16);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, parseInt(key.slice(0, 8), 16));
+  view.setUint32(4, parseInt(key.slice(8), 16));
+  view.setUint16(8, move);
+  view.setUint16(10, weight);
+  return bytes;
+}
+
+describe('Polyglot Books', () => {
+  describe('Position keys', () => {
+    // Test positions from the Polyglot book format specification
+    const positions = [
+      ['', '463b96181691fc9c'],
+      ['e2e4', '823c9b50fd114196'],
+      ['e2e4 d7d5', '0756b94461c50fb0'],
+      ['e2e4 d7d5 e4e5', '662fafb965db29d4'],
+      ['e2e4 d7d5 e4e5 f7f5', '22a48b5a8e47ff78'],
+      ['e2e4 d7d5 e4e5 f7f5 e1e2', '652a607ca3f242c1'],
+      ['e2e4 d7d5 e4e5 f7f5 e1e2 e8f7', '00fdd303c946bdd9'],
+      ['a2a4 b7b5 h2h4 b5b4 c2c4', '3c8123ea7b067637'],
+      ['a2a4 b7b5 h2h4 b5b4 c2c4 b4c3 a1a3', '5c3f9b829b279560']
+    ];
+
+    for (const [moves, key] of positions) {
+      test(`Key after '${moves || 'start'}'`, () => {
+        const game = moves ? playMoves(new ChessGame(), moves) : new ChessGame();
+        assert.strictEqual(polyglotKey(game), key);
+      });
+    }
+
+    test('Transpositions share a key', () => {
+      const italian = playMoves(new ChessGame(), 'e2e4 e7e5 g1f3 b8c6');
+      const transposed = playMoves(new ChessGame(), 'g1f3 b8c6 e2e4 e7e5');
+      assert.strictEqual(polyglotKey(transposed), polyglotKey(italian));
+    });
+  });
+
+  describe('Reading books', () => {
+    test('Reject data that is not whole entries', () => {
+      assert.throws(() => new PolyglotBook(new Uint8Array(20)), /Invalid Polyglot book/);
+    });
+
+    test('Reject entries out of key order', () => {
+      const data = new Uint8Array(32);
+      data.set(bookEntry('823c9b50fd114196', 0, 1), 0);
+      data.set(bookEntry('463b96181691fc9c', 0, 1), 16);
+      assert.throws(() => new PolyglotBook(data), /not sorted/);
+    });
+
+    test('Decode castling written as the king taking its rook', () => {
+      const game = ChessGame.fromFEN('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1');
+      // e1h1: from file 4, row 0; to file 7, row 0
+      const book = new PolyglotBook(bookEntry(polyglotKey(game), 4 << 6 | 7, 10));
+
+      assert.deepStrictEqual(book.getMoves(game), [{ from: [7, 4], to: [7, 6], promotion: null, weight: 10 }]);
+    });
+
+    test('Decode promotions and skip moves that are not legal', () => {
+      const game = ChessGame.fromFEN('8/1P6/8/8/8/8/8/k6K w - - 0 1');
+      const key = polyglotKey(game);
+      const underpromotion = 1 << 12 | 6 << 9 | 1 << 6 | 7 << 3 | 1; // b7b8n
+      const illegal = 4 << 9 | 4 << 6 | 5 << 3 | 4; // e5e6, no piece there
+      const data = new Uint8Array(32);
+      data.set(bookEntry(key, underpromotion, 5), 0);
+      data.set(bookEntry(key, illegal, 5), 16);
+
+      assert.deepStrictEqual(new PolyglotBook(data).getMoves(game),
+        [{ from: [1, 1], to: [0, 1], promotion: 'KNIGHT', weight: 5 }]);
+    });
+  });
+
+  describe('Building books', () => {
+    test('Lines round-trip through the binary format', () => {
+      const built = PolyglotBook.fromLines(['e2e4 e7e5 g1f3 b8c6 f1b5 a7a6 b5a4 g8f6 e1g1']);
+      const book = new PolyglotBook(built.bytes.buffer.slice(0));
+      const game = playMoves(new ChessGame(), 'e2e4 e7e5 g1f3 b8c6 f1b5 a7a6 b5a4 g8f6');
+
+      assert.strictEqual(book.size, 9);
+      assert.deepStrictEqual(book.getMoves(game), [{ from: [7, 4], to: [7, 6], promotion: null, weight: 1 }]);
+    });
+
+    test('Moves shared by several lines get more weight', () => {
+      const book = PolyglotBook.fromLines(['e2e4 e7e5', 'e2e4 c7c5', 'd2d4 d7d5']);
+      const weights = book.getMoves(new ChessGame())
+        .map(move => [new ChessGame().getCoordinateNotation(move), move.weight]);
+
+      assert.deepStrictEqual(weights.sort(), [['d2d4', 1], ['e2e4', 2]]);
+    });
+
+    test('Reject illegal moves in a line', () => {
+      assert.throws(() => PolyglotBook.fromLines(['e2e5']), /Invalid book line/);
+    });
+  });
+
+  describe('Choosing moves', () => {
+    test('Pick moves in proportion to their weights', () => {
+      const book = PolyglotBook.fromLines(['e2e4', 'e2e4', 'e2e4', 'd2d4']);
+      const game = new ChessGame();
+      const pick = (random) => game.getCoordinateNotation(book.pickMove(game, () => random));
+
+      // e2e4 has weight 3 and d2d4 weight 1; the heavier move comes first
+      assert.strictEqual(pick(0), 'e2e4');
+      assert.strictEqual(pick(0.74), 'e2e4');
+      assert.strictEqual(pick(0.75), 'd2d4');
+      assert.strictEqual(pick(0.99), 'd2d4');
+    });
+
+    test('No move for positions outside the book', () => {
+      const book = PolyglotBook.fromLines(['e2e4']);
+      assert.strictEqual(book.pickMove(playMoves(new ChessGame(), 'a2a3')), null);
+    });
+
+    test('The AI plays book moves up to its book depth', () => {
+      const ai = new EnhancedChessAI(2);
+      ai.setOpeningBook(PolyglotBook.fromLines(['g1f3 d7d5 g2g3 g8f6 f1g2 e7e6 e1g1 f8e7 d2d3 e8g8']));
+      const game = playMoves(new ChessGame(), 'g1f3 d7d5 g2g3 g8f6 f1g2 e7e6');
+
+      assert.deepStrictEqual(ai.getOpeningBookMove(game).to, [7, 6]);
+      assert.strictEqual(ai.bookDepth, 4);
+      assert.strictEqual(game.fullMoveNumber, 4);
+      assert.strictEqual(game.getCoordinateNotation(ai.getBestMove(game)), 'e1g1');
+
+      playMoves(game, 'e1g1 f8e7');
+      ai.moveRandomness = 0;
+      ai.timeLimit = 200;
+      ai.maxDepth = 2;
+      // Move 5 is past the book depth, so the AI searches instead of playing d2d3 from the book
+      const searched = ai.getBestMove(game);
+      assert.ok(ai.nodesSearched > 0);
+      assert.ok(searched);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { ChessGame } from '../js/chess-logic.js';
+import { EnhancedChessAI, MATE_SCORE } from '../js/chess-ai-enhanced.js';
+import { GameReview, classifyMove, winPercent, moveAccuracy } from '../js/chess-review.js';
+
+function playSAN(game, ...moves) {
+  for (const san of moves) {
+    const move = game.parseSAN(san);
+    game.makeMove(move.from[0], move.from[1], move.to[0], move.to[1], move.promotion || undefined);
+  }
+  return game;
+}
+
+// Score positions with the enhanced engine searching to a fixed depth
+function engineEvaluator(depth) {
+  const ai = new EnhancedChessAI(3);
+  return async (position) => {
+    let best = null;
+    ai.onProgress = ({ score, pv }) => { best = { score, move: pv[0] }; };
+    ai.analyze(position, Infinity, depth);
+    return best;
+  };
+}
+
+describe('Game Review', () => {
+  describe('Grading', () => {
+    test('Winning chances follow the score', () => {
+      assert.strictEqual(winPercent(0), 50);
+      assert.ok(winPercent(100) > 55 && winPercent(100) < 60);
+      assert.ok(winPercent(-300) < 30);
+      assert.strictEqual(winPercent(MATE_SCORE - 5), 100);
+      assert.strictEqual(winPercent(-(MATE_SCORE - 5)), 0);
+    });
+
+    test('A move that keeps the evaluation is fully accurate', () => {
+      assert.ok(moveAccuracy(60, 60) > 99.9);
+      assert.ok(moveAccuracy(60, 70) > 99.9);
+      assert.ok(moveAccuracy(60, 30) < 30);
+    });
+
+    test('Grades moves by the winning chances they give away', () => {
+      assert.strictEqual(classifyMove(30, -200, true), 'best');
+      assert.strictEqual(classifyMove(30, 10, false), 'good');
+      assert.strictEqual(classifyMove(30, -50, false), 'inaccuracy');
+      assert.strictEqual(classifyMove(30, -110, false), 'mistake');
+      assert.strictEqual(classifyMove(30, -400, false), 'blunder');
+      assert.strictEqual(classifyMove(200, -(MATE_SCORE - 1), false), 'blunder');
+    });
+
+    test('Grades giving up a forced mate as a missed mate', () => {
+      assert.strictEqual(classifyMove(MATE_SCORE - 3, 900, false), 'missed-mate');
+      assert.strictEqual(classifyMove(MATE_SCORE - 3, MATE_SCORE - 5, false), 'good');
+    });
+  });
+
+  describe('Reviewing a game', () => {
+    test("Finds the blunder in Fool's Mate", async () => {
+      const game = playSAN(new ChessGame(), 'f3', 'e5', 'g4', 'Qh4');
+      const review = new GameReview(game);
+      const progress = [];
+      await review.run(engineEvaluator(2), (done, total) => progress.push(`${done}/${total}`));
+
+      assert.deepStrictEqual(progress, ['1/5', '2/5', '3/5', '4/5', '5/5']);
+      assert.strictEqual(review.evaluations[4].score, -MATE_SCORE);
+      assert.deepStrictEqual(review.moves.map(({ san }) => san), ['f3', 'e5', 'g4', 'Qh4#']);
+
+      const [, , g4, mate] = review.moves;
+      assert.strictEqual(g4.color, 'WHITE');
+      assert.strictEqual(g4.moveNumber, 2);
+      assert.strictEqual(g4.classification, 'blunder');
+      assert.strictEqual(mate.classification, 'best');
+      assert.strictEqual(review.getSummary().WHITE.blunder, 1);
+      assert.ok(review.accuracy.WHITE < review.accuracy.BLACK);
+    });
+
+    test('Shows the better move for a missed mate', async () => {
+      const game = playSAN(ChessGame.fromFEN('6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1'), 'Kf2');
+      const review = new GameReview(game);
+      const scores = [{ score: MATE_SCORE - 1, move: { from: [7, 0], to: [0, 0], promotion: null } }, { score: -500, move: null }];
+      await review.run(async () => scores.shift());
+
+      const [kingMove] = review.moves;
+      assert.strictEqual(kingMove.classification, 'missed-mate');
+      assert.strictEqual(kingMove.scoreAfter, 500);
+      assert.strictEqual(kingMove.bestSAN, 'Ra8#');
+      assert.deepStrictEqual(kingMove.move, { from: [7, 6], to: [6, 5], promotion: null });
+      assert.strictEqual(review.accuracy.BLACK, null);
+      assert.strictEqual(review.positions.length, 2);
+      assert.strictEqual(game.moveHistory.length, 1);
+    });
+  });
+});
@@ -0,0 +1,188 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { ChessGame } from '../js/chess-logic.js';
+import { SearchBoard } from '../js/chess-board.js';
+import { ChessAI } from '../js/chess-ai.js';
+import { EnhancedChessAI } from '../js/chess-ai-enhanced.js';
+import { quietAI } from './helpers.js';
+
+// Play a list of [fromRow, fromCol, toRow, toCol] moves on a game
+function playMoves(game, moves) {
+  for (const [fromRow, fromCol, toRow, toCol] of moves) {
+    assert.strictEqual(game.makeMove(fromRow, fromCol, toRow, toCol), true);
+  }
+  return game;
+}
+
+describe('Search Board', () => {
+  describe('Make and unmake', () => {
+    test('Unmaking restores the position and its key', () => {
+      const board = SearchBoard.fromFEN('r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1');
+      const key = board.getKey();
+
+      for (const move of board.getLegalMoves()) {
+        assert.strictEqual(board.makeMove(move), true);
+        board.unmakeMove();
+        assert.strictEqual(board.getKey(), key);
+      }
+    });
+
+    test('Incremental keys match keys computed from scratch', () => {
+      const board = SearchBoard.fromFEN('r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1');
+
+      for (const move of board.getLegalMoves()) {
+        board.makeMove(move);
+        const key = board.getKey();
+        board.computeKey();
+        assert.strictEqual(board.getKey(), key);
+        board.unmakeMove();
+      }
+    });
+
+    test('Transposed move orders reach the same key', () => {
+      const first = SearchBoard.fromGame(playMoves(new ChessGame(), [[7, 6, 5, 5], [0, 6, 2, 5], [7, 1, 5, 2]]));
+      const second = SearchBoard.fromGame(playMoves(new ChessGame(), [[7, 1, 5, 2], [0, 6, 2, 5], [7, 6, 5, 5]]));
+      assert.strictEqual(first.getKey(), second.getKey());
+    });
+
+    test('Moves that leave the king in check are rejected', () => {
+      const pinned = SearchBoard.fromFEN('4k3/4r3/8/8/8/8/4B3/4K3 w - - 0 1');
+      const bishopMove = pinned.generateMoves().find(move => move.piece === 'BISHOP');
+      const key = pinned.getKey();
+      assert.strictEqual(pinned.makeMove(bishopMove), false);
+      assert.strictEqual(pinned.getKey(), key);
+      assert.ok(pinned.getLegalMoves().every(move => move.piece === 'KING'));
+    });
+
+    test('Captures update the piece count', () => {
+      const board = SearchBoard.fromFEN('4k3/8/8/3p4/4P3/8/8/4K3 w - - 0 1');
+      assert.strictEqual(board.pieceCount, 4);
+
+      board.makeMove(board.getLegalMoves().find(move => move.captured));
+      assert.strictEqual(board.pieceCount, 3);
+      board.unmakeMove();
+      assert.strictEqual(board.pieceCount, 4);
+    });
+
+    test('Null moves only change the side to move', () => {
+      const board = SearchBoard.fromFEN('4k3/8/8/8/8/8/8/4K2R w K - 0 1');
+      const key = board.getKey();
+
+      board.makeNullMove();
+      assert.strictEqual(board.currentPlayer, 'BLACK');
+      assert.notStrictEqual(board.getKey(), key);
+      board.unmakeNullMove();
+      assert.strictEqual(board.currentPlayer, 'WHITE');
+      assert.strictEqual(board.getKey(), key);
+    });
+  });
+
+  describe('Game compatibility', () => {
+    test('Reads the position and history of a ChessGame', () => {
+      const game = playMoves(new ChessGame(), [[6, 4, 4, 4], [1, 0, 2, 0], [4, 4, 3, 4], [1, 3, 3, 3]]);
+      const board = SearchBoard.fromGame(game);
+
+      assert.strictEqual(board.currentPlayer, 'WHITE');
+      assert.deepStrictEqual(board.enPassantTarget, [2, 3]);
+      assert.deepStrictEqual(board.kingPositions, game.kingPositions);
+      assert.strictEqual(board.keyHistory.length, 5);
+      assert.ok(board.findMove([3, 4], [2, 3]));
+    });
+
+    test('Castles in Chess960 as the king taking its rook', () => {
+      const game = ChessGame.fromFEN('r5kr/8/8/8/8/8/8/RK5R w HAha - 0 1');
+      const board = SearchBoard.fromGame(game);
+
+      board.makeMove(board.findMove([7, 1], [7, 0]));
+      game.makeMove(7, 1, 7, 0);
+      assert.strictEqual(SearchBoard.fromGame(game).getKey(), board.getKey());
+
+      board.unmakeMove();
+      assert.strictEqual(board.getKey(), SearchBoard.fromFEN('r5kr/8/8/8/8/8/8/RK5R w HAha - 0 1').getKey());
+    });
+
+    test('Leaves the ChessGame untouched', () => {
+      const game = new ChessGame();
+      const fen = game.toFEN();
+      const board = SearchBoard.fromGame(game);
+      board.perft(2);
+      assert.strictEqual(game.toFEN(), fen);
+      assert.strictEqual(game.getPieceAt(6, 4).row, 6);
+    });
+
+    test('Detects repetitions including earlier game positions', () => {
+      const knightDance = [[7, 6, 5, 5], [0, 6, 2, 5], [5, 5, 7, 6], [2, 5, 0, 6]];
+      const board = SearchBoard.fromGame(playMoves(new ChessGame(), knightDance));
+      assert.strictEqual(board.isRepetition(), true);
+
+      board.makeMove(board.findMove([6, 4], [4, 4]));
+      assert.strictEqual(board.isRepetition(), false);
+    });
+  });
+
+  describe('AI search', () => {
+    const backRankMate = '6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1';
+
+    test('ChessAI finds a mate in one', () => {
+      const ai = quietAI(new ChessAI(1));
+      const move = ai.getBestMove(ChessGame.fromFEN(backRankMate));
+      assert.deepStrictEqual([move.from, move.to], [[7, 0], [0, 0]]);
+    });
+
+    test('ChessAI plays for Black as well as White', () => {
+      const ai = quietAI(new ChessAI(1));
+      const game = ChessGame.fromFEN('r5k1/8/8/8/8/8/5PPP/6K1 b - - 0 1');
+      const move = ai.getBestMove(game);
+      assert.deepStrictEqual([move.from, move.to], [[0, 0], [7, 0]]);
+    });
+
+    test('EnhancedChessAI finds a mate in one', () => {
+      const ai = quietAI(new EnhancedChessAI(1));
+      const move = ai.getBestMove(ChessGame.fromFEN(backRankMate));
+      assert.deepStrictEqual([move.from, move.to], [[7, 0], [0, 0]]);
+    });
+
+    // Only f8=N is mate; f8=Q does not even give check
+    const knightPromotionMate = '6bn/5Ppk/6pp/8/8/8/8/K7 w - - 0 1';
+
+    test('Both AIs consider every promotion piece', () => {
+      const board = SearchBoard.fromGame(ChessGame.fromFEN(knightPromotionMate));
+      for (const ai of [new ChessAI(1), new EnhancedChessAI(1)]) {
+        const promotions = ai.getAllPossibleMoves(board)
+          .filter(move => move.promotion && move.to[1] === 5)
+          .map(move => move.promotion);
+        assert.deepStrictEqual(promotions.sort(), ['BISHOP', 'KNIGHT', 'QUEEN', 'ROOK']);
+      }
+    });
+
+    test('Both AIs underpromote when it mates', () => {
+      for (const ai of [quietAI(new ChessAI(1)), quietAI(new EnhancedChessAI(1))]) {
+        const move = ai.getBestMove(ChessGame.fromFEN(knightPromotionMate));
+        assert.deepStrictEqual([move.from, move.to, move.promotion], [[1, 5], [0, 5], 'KNIGHT']);
+      }
+    });
+
+    test('EnhancedChessAI tries Chess960 castling before other king moves', () => {
+      // The king castles onto a rook one and six files away
+      const board = SearchBoard.fromGame(ChessGame.fromFEN('r5kr/8/8/8/8/8/8/RK5R w HAha - 0 1'));
+      const ai = new EnhancedChessAI(1);
+      const moves = ai.getAllPossibleMoves(board);
+      ai.orderMovesAdvanced(moves, board, 0);
+
+      const kingMoves = moves.filter(move => move.piece === 'KING');
+      const castles = kingMoves.filter(move => move.castle);
+      assert.strictEqual(castles.length, 2);
+      for (const move of kingMoves.filter(move => !move.castle)) {
+        assert.ok(castles.every(castle => castle.score > move.score));
+      }
+    });
+
+    test('Searching does not change the game', () => {
+      const game = playMoves(new ChessGame(), [[6, 4, 4, 4], [1, 4, 3, 4]]);
+      const fen = game.toFEN();
+      quietAI(new EnhancedChessAI(1)).getBestMove(game);
+      assert.strictEqual(game.toFEN(), fen);
+      assert.strictEqual(game.moveHistory.length, 2);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { ChessGame } from '../js/chess-logic.js';
+import { SearchBoard } from '../js/chess-board.js';
+import { EnhancedChessAI, MATE_SCORE } from '../js/chess-ai-enhanced.js';
+import { AIWorkerClient } from '../js/chess-ai-client.js';
+import { Tablebase, sharedTablebase, formatTablebaseResult } from '../js/chess-tablebase.js';
+
+// Three-piece tables generate in well under a second; the four-piece ones take much longer
+const tablebase = new Tablebase();
+
+function probe(fen) {
+  return tablebase.probe(ChessGame.fromFEN(fen));
+}
+
+describe('Endgame Tablebase', () => {
+  describe('Probing', () => {
+    test('Mate in one', () => {
+      assert.deepStrictEqual(probe('7k/8/6K1/8/8/8/8/1Q6 w - - 0 1'), { result: 'win', plies: 1 });
+    });
+
+    test('Checkmate and stalemate', () => {
+      assert.deepStrictEqual(probe('1Q5k/8/6K1/8/8/8/8/8 b - - 0 1'), { result: 'loss', plies: 0 });
+      assert.deepStrictEqual(probe('7k/5Q2/6K1/8/8/8/8/8 b - - 0 1'), { result: 'draw', plies: null });
+    });
+
+    test('Exact distance to mate', () => {
+      assert.deepStrictEqual(probe('7k/8/8/8/8/8/8/KQ6 w - - 0 1'), { result: 'win', plies: 13 });
+      assert.deepStrictEqual(probe('8/8/8/8/3k4/8/8/K6R w - - 0 1'), { result: 'win', plies: 29 });
+    });
+
+    test('The longest mates match the known maximums', () => {
+      const longest = (name) => tablebase.getTable(name).values
+        .reduce((max, value) => value === 255 ? max : Math.max(max, value - 1), 0);
+      assert.strictEqual(longest('KQvK'), 20); // Mate in 10 with the weaker side to move
+      assert.strictEqual(longest('KRvK'), 32); // Mate in 16
+    });
+
+    test('Colors and sides are interchangeable', () => {
+      assert.deepStrictEqual(probe('k7/8/8/8/8/8/2q5/K7 b - - 0 1'), probe('K7/2Q5/8/8/8/8/8/k7 w - - 0 1'));
+
+      // The same rook ending with colors swapped and the board mirrored
+      const black = probe('6k1/8/8/8/8/8/8/1K3R2 b - - 0 1');
+      assert.strictEqual(black.result, 'loss');
+      assert.deepStrictEqual(probe('1k3r2/8/8/8/8/8/8/6K1 w - - 0 1'), black);
+    });
+
+    test('King and pawn against king', () => {
+      // With the king on the sixth rank ahead of its pawn White wins whoever is to move
+      assert.strictEqual(probe('4k3/8/4K3/4P3/8/8/8/8 w - - 0 1').result, 'win');
+      assert.strictEqual(probe('4k3/8/4K3/4P3/8/8/8/8 b - - 0 1').result, 'loss');
+      // Behind its pawn, with Black holding the opposition, it is a draw
+      assert.strictEqual(probe('4k3/8/4P3/4K3/8/8/8/8 w - - 0 1').result, 'draw');
+      // The defending king can capture the pawn
+      assert.strictEqual(probe('8/8/8/8/8/8/3kP3/7K b - - 0 1').result, 'draw');
+    });
+
+    test('Endings without mating material are drawn', () => {
+      assert.deepStrictEqual(probe('8/8/3k4/8/8/3BK3/8/8 w - - 0 1'), { result: 'draw', plies: null });
+      assert.ok(!tablebase.tables.has('KBvK'));
+    });
+
+    test('Positions the tables do not cover', () => {
+      assert.strictEqual(tablebase.probe(new ChessGame()), null);
+      assert.strictEqual(probe('r3k3/8/8/8/8/8/8/4K3 b q - 0 1'), null);
+      // En passant only matters when the capture is possible
+      assert.strictEqual(probe('4k3/8/8/8/3pP3/8/8/4K3 b - e3 0 1'), null);
+      assert.strictEqual(tablebase.probe(SearchBoard.fromFEN('4k3/8/8/8/3pP3/8/8/4K3 b - e3 0 1')), null);
+      assert.notStrictEqual(probe('4k3/8/8/8/4P3/8/8/4K3 b - e3 0 1'), null);
+    });
+
+    test('Tables are only generated when allowed', () => {
+      const empty = new Tablebase();
+      const game = ChessGame.fromFEN('7k/8/8/8/8/8/8/KQ6 w - - 0 1');
+      assert.strictEqual(empty.probe(game, { generate: false }), null);
+      assert.ok(empty.probe(game));
+      assert.ok(empty.hasTable('KQvK'));
+      assert.deepStrictEqual(empty.probe(game, { generate: false }), { result: 'win', plies: 13 });
+    });
+
+    test('Tables can be passed to another tablebase', () => {
+      const copy = new Tablebase();
+      copy.importTables(tablebase.exportTables(['KQvK']));
+      assert.ok(copy.hasTable('KQvK'));
+      assert.deepStrictEqual(copy.probe(ChessGame.fromFEN('7k/8/8/8/8/8/8/KQ6 w - - 0 1'), { generate: false }),
+        { result: 'win', plies: 13 });
+      assert.throws(() => copy.importTables({ KRvK: new Uint8Array(10) }), /Invalid tablebase table: KRvK/);
+    });
+
+    test('Describe results for display', () => {
+      assert.strictEqual(formatTablebaseResult({ result: 'win', plies: 13 }, 'WHITE'), 'White wins: mate in 7');
+      assert.strictEqual(formatTablebaseResult({ result: 'loss', plies: 30 }, 'WHITE'), 'Black wins: mate in 15');
+      assert.strictEqual(formatTablebaseResult({ result: 'loss', plies: 0 }, 'BLACK'), 'White wins: checkmate');
+      assert.strictEqual(formatTablebaseResult({ result: 'draw', plies: null }, 'BLACK'), 'Draw');
+    });
+  });
+
+  describe('AI play', () => {
+    test('EnhancedChessAI mates with the rook in the fewest moves', () => {
+      const ai = new EnhancedChessAI(3);
+      ai.moveRandomness = 0;
+      const game = ChessGame.fromFEN('8/8/8/8/3k4/8/8/K6R w - - 0 1');
+      sharedTablebase.getTable('KRvK');
+
+      for (let ply = 0; ply < 29; ply++) {
+        const move = ai.getBestMove(game);
+        game.makeMove(move.from[0], move.from[1], move.to[0], move.to[1], move.promotion || undefined);
+      }
+      assert.strictEqual(game.gameState, 'checkmate');
+    });
+
+    test('The search scores tablebase positions as mates', () => {
+      const ai = new EnhancedChessAI(3);
+      const board = SearchBoard.fromFEN('7k/8/8/8/8/8/8/KQ6 w - - 0 1');
+      sharedTablebase.getTable('KQvK');
+      ai.beginSearch();
+
+      const [first] = [...ai.iterativeDeepening(board, 1)];
+      assert.strictEqual(first.score, MATE_SCORE - 13);
+    });
+
+    test('The AI searches rather than generate a missing table', () => {
+      const ai = new EnhancedChessAI(3);
+      ai.moveRandomness = 0;
+      const game = ChessGame.fromFEN('8/8/8/3k4/8/8/8/KBN5 w - - 0 1');
+
+      const move = ai.getBestMove(game);
+      assert.ok(move);
+      assert.ok(!sharedTablebase.hasTable('KBNvK'));
+    });
+
+    test('Easy difficulty does not use the tablebase', () => {
+      assert.strictEqual(new EnhancedChessAI(1).useTablebase, false);
+      assert.strictEqual(new EnhancedChessAI(2).useTablebase, true);
+    });
+
+    test('The AI client probes on the main thread without workers', async () => {
+      const client = new AIWorkerClient();
+      const result = await client.probeTablebase(ChessGame.fromFEN('7k/8/6K1/8/8/8/8/1Q6 w - - 0 1'));
+      assert.deepStrictEqual(result, { result: 'win', plies: 1 });
+    });
+  });
+});
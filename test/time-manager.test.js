@@ -0,0 +1,125 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { ChessGame } from '../js/chess-logic.js';
+import { SearchBoard } from '../js/chess-board.js';
+import { EnhancedChessAI } from '../js/chess-ai-enhanced.js';
+import { TimeManager } from '../js/chess-time-manager.js';
+
+// A time manager driven by a fake time source
+function createManager(create) {
+  const time = { now: 0 };
+  const manager = create(() => time.now);
+  manager.start();
+  return { manager, advance: (ms) => { time.now += ms; } };
+}
+
+const middlegame = 'r1bq1rk1/pp2bppp/2n1pn2/3p4/2PP4/2N1PN2/PP3PPP/R2QKB1R w KQ - 0 8';
+
+describe('Time Manager', () => {
+  test('Budgets a share of the remaining time plus most of the increment', () => {
+    const suddenDeath = TimeManager.fromClock({ remaining: 30050 });
+    assert.strictEqual(suddenDeath.target, 1000);
+    assert.strictEqual(suddenDeath.maximum, 4000);
+
+    const increment = TimeManager.fromClock({ remaining: 30050, increment: 2000, movesToGo: 10 });
+    assert.strictEqual(increment.target, 4500);
+
+    // Never more than the clock holds
+    const lastMove = TimeManager.fromClock({ remaining: 1050, movesToGo: 1 });
+    assert.strictEqual(lastMove.target, 1000);
+    assert.strictEqual(lastMove.maximum, 1000);
+  });
+
+  test('Stops starting iterations halfway through the target', () => {
+    const { manager, advance } = createManager((now) => TimeManager.fixed(1000, now));
+    advance(499);
+    assert.strictEqual(manager.canStartIteration(), true);
+    advance(1);
+    assert.strictEqual(manager.canStartIteration(), false);
+    assert.strictEqual(manager.isHardLimitReached(), false);
+    advance(500);
+    assert.strictEqual(manager.isHardLimitReached(), true);
+  });
+
+  test('Extends the target when the best move changes, up to the hard limit', () => {
+    const { manager } = createManager((now) => new TimeManager(1000, 2000, now));
+    const e4 = { from: [6, 4], to: [4, 4], promotion: null };
+    const d4 = { from: [6, 3], to: [4, 3], promotion: null };
+
+    manager.recordIteration(e4);
+    manager.recordIteration(e4);
+    assert.strictEqual(manager.target, 1000);
+
+    manager.recordIteration(d4);
+    assert.strictEqual(manager.target, 1500);
+    manager.recordIteration(e4);
+    assert.strictEqual(manager.target, 2000);
+    assert.strictEqual(manager.bestMoveChanges, 2);
+  });
+
+  test('Tells Crazyhouse drops of different pieces apart', () => {
+    const { manager } = createManager((now) => new TimeManager(1000, 2000, now));
+    const knightDrop = { from: null, to: [3, 3], promotion: null, drop: 'KNIGHT' };
+    const bishopDrop = { from: null, to: [3, 3], promotion: null, drop: 'BISHOP' };
+
+    manager.recordIteration(knightDrop);
+    manager.recordIteration(knightDrop);
+    assert.strictEqual(manager.bestMoveChanges, 0);
+    manager.recordIteration(bishopDrop);
+    assert.strictEqual(manager.bestMoveChanges, 1);
+    assert.strictEqual(manager.target, 1500);
+  });
+
+  test('The search aborts at the hard limit and plays the last completed iteration\'s move', () => {
+    const ai = new EnhancedChessAI(5);
+    ai.useOpeningBook = false;
+    const game = ChessGame.fromFEN(middlegame);
+
+    const start = Date.now();
+    const move = ai.getBestMove(game, { remaining: 2000, movesToGo: 1 });
+
+    assert.ok(Date.now() - start < 2500, 'search should stop near the hard limit');
+    assert.notStrictEqual(move, null);
+    assert.ok(game.getAllLegalMoves().some(legal =>
+      legal.from.join() === move.from.join() && legal.to.join() === move.to.join()));
+  });
+
+  test('A four-piece ending with little time left is answered within the allocation', () => {
+    const ai = new EnhancedChessAI(5);
+    // A late move number keeps the opening book, and the time to load it, out of the measurement
+    const game = ChessGame.fromFEN('8/8/8/3k4/8/8/2r5/KQ6 w - - 0 60');
+    const clock = { remaining: 1000 };
+
+    const start = Date.now();
+    const move = ai.getBestMove(game, clock);
+
+    // The hard limit is checked every few thousand nodes, so allow a little over it
+    assert.ok(Date.now() - start < TimeManager.fromClock(clock).maximum + 100, 'search should stop within its allocation');
+    assert.notStrictEqual(move, null);
+  });
+
+  test('A stop request aborts the search part-way through an iteration', () => {
+    const ai = new EnhancedChessAI(5);
+    ai.beginSearch(TimeManager.fixed(Infinity), { shouldStop: () => ai.nodesSearched >= 5000 });
+    const board = SearchBoard.fromFEN(middlegame);
+
+    const iterations = [...ai.iterativeDeepening(board, 20)];
+
+    assert.ok(ai.searchAborted);
+    assert.ok(ai.nodesSearched <= 5000 + 1024, 'the stop request is polled every 1024 nodes');
+    assert.ok(iterations.length > 0);
+  });
+
+  test('A search with no time at all still plays a move from the first iteration', () => {
+    const ai = new EnhancedChessAI(5);
+    ai.useOpeningBook = false;
+    ai.beginSearch(TimeManager.fixed(0));
+    const board = SearchBoard.fromFEN(middlegame);
+
+    const iterations = [...ai.iterativeDeepening(board)];
+
+    assert.strictEqual(iterations.length, 1);
+    assert.strictEqual(iterations[0].depth, 1);
+    assert.ok(iterations[0].move);
+  });
+});
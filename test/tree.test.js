@@ -0,0 +1,99 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { ChessGame } from '../js/chess-logic.js';
+import { GameTree } from '../js/chess-tree.js';
+
+function playSAN(game, ...moves) {
+  for (const san of moves) {
+    const move = game.parseSAN(san);
+    game.makeMove(move.from[0], move.from[1], move.to[0], move.to[1], move.promotion || undefined);
+  }
+  return game;
+}
+
+// Tree with the main line 1. e4 e5 2. Nf3 and the variations 1... c5 2. Nf3 and 1... c5 2. c3
+function buildTree() {
+  const game = playSAN(new ChessGame(), 'e4', 'e5', 'Nf3');
+  const tree = GameTree.fromGame(game);
+
+  for (let i = 0; i < 2; i++) game.unmakeMove();
+  playSAN(game, 'c5', 'Nf3');
+  const sicilian = tree.addLine(game.moveHistory);
+  game.unmakeMove();
+  playSAN(game, 'c3');
+  const alapin = tree.addLine(game.moveHistory);
+
+  return { tree, sicilian, alapin };
+}
+
+describe('Game Tree', () => {
+  test('Playing another move from a past position adds a variation', () => {
+    const { tree, sicilian, alapin } = buildTree();
+
+    assert.deepStrictEqual(tree.getMainLine().map(({ san }) => san), ['e4', 'e5', 'Nf3']);
+    assert.deepStrictEqual(tree.getPath(sicilian).map(({ san }) => san), ['e4', 'c5', 'Nf3']);
+    assert.deepStrictEqual(tree.getPath(alapin).map(({ san }) => san), ['e4', 'c5', 'c3']);
+    assert.strictEqual(tree.root.children[0].children.length, 2);
+    assert.strictEqual(tree.isMainLine(tree.getMainLine()[2]), true);
+    assert.strictEqual(tree.isMainLine(alapin), false);
+  });
+
+  test('Replaying a known move reuses its node', () => {
+    const { tree, sicilian } = buildTree();
+    const game = playSAN(new ChessGame(), 'e4', 'c5', 'Nf3');
+
+    assert.strictEqual(tree.addLine(game.moveHistory), sicilian);
+    assert.strictEqual(tree.getPosition(sicilian).toFEN(), game.toFEN());
+  });
+
+  test('Numbers moves from the starting position', () => {
+    const game = playSAN(ChessGame.fromFEN('4k3/8/8/8/8/8/4P3/4K3 b - - 0 30'), 'Kd8', 'e4');
+    const tree = GameTree.fromGame(game);
+    const [kingMove, pawnMove] = tree.getMainLine();
+
+    assert.deepStrictEqual(tree.getMoveNumber(kingMove), { moveNumber: 30, color: 'BLACK' });
+    assert.deepStrictEqual(tree.getMoveNumber(pawnMove), { moveNumber: 31, color: 'WHITE' });
+  });
+
+  test('Promotes a variation over the line it branches from', () => {
+    const { tree, alapin } = buildTree();
+
+    // First within the Sicilian, then the Sicilian over 1... e5
+    assert.strictEqual(tree.promoteVariation(alapin), true);
+    assert.deepStrictEqual(alapin.parent.children.map(({ san }) => san), ['c3', 'Nf3']);
+    assert.deepStrictEqual(tree.getMainLine().map(({ san }) => san), ['e4', 'e5', 'Nf3']);
+    assert.strictEqual(tree.promoteVariation(alapin), true);
+    assert.deepStrictEqual(tree.getMainLine().map(({ san }) => san), ['e4', 'c5', 'c3']);
+    assert.strictEqual(tree.promoteVariation(alapin), false);
+  });
+
+  test('Deletes a variation but not the main line', () => {
+    const { tree, sicilian, alapin } = buildTree();
+
+    assert.strictEqual(tree.deleteVariation(alapin), sicilian.parent);
+    assert.deepStrictEqual(sicilian.parent.children, [sicilian]);
+    assert.strictEqual(tree.deleteVariation(sicilian), tree.root.children[0]);
+    assert.strictEqual(tree.root.children[0].children.length, 1);
+    assert.strictEqual(tree.deleteVariation(tree.getMainLine()[2]), null);
+  });
+
+  test('Keeps a comment per node', () => {
+    const { tree, sicilian } = buildTree();
+    tree.setComment(sicilian, '  The Open Sicilian  ');
+    tree.setComment(tree.root, 'Casual game');
+
+    assert.strictEqual(sicilian.comment, 'The Open Sicilian');
+    assert.strictEqual(tree.root.comment, 'Casual game');
+    assert.strictEqual(tree.getMainLine()[2].comment, '');
+  });
+
+  test('Keeps a comment before the move and its NAGs', () => {
+    const { tree, sicilian } = buildTree();
+    tree.setCommentBefore(sicilian, ' Instead ');
+    tree.setNAGs(sicilian, [1, 1, 18]);
+
+    assert.strictEqual(sicilian.commentBefore, 'Instead');
+    assert.deepStrictEqual(sicilian.nags, [1, 18]);
+    assert.deepStrictEqual(tree.getMainLine()[2].nags, []);
+  });
+});
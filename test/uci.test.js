@@ -0,0 +1,193 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { UCIEngine, parseGoCommand, createTimeManager, formatScore } from '../js/chess-uci.js';
+
+function createEngine() {
+  const output = [];
+  const engine = new UCIEngine((line) => output.push(line));
+  return { engine, output };
+}
+
+describe('UCI adapter', () => {
+  test('Identifies itself and answers isready', () => {
+    const { engine, output } = createEngine();
+    engine.handleCommand('uci');
+    engine.handleCommand('isready');
+
+    assert.ok(output[0].startsWith('id name '));
+    assert.ok(output.includes('uciok'));
+    assert.strictEqual(output[output.length - 1], 'readyok');
+  });
+
+  test('Sets up positions from startpos or FEN plus moves', () => {
+    const { engine } = createEngine();
+
+    engine.handleCommand('position startpos moves e2e4 e7e5 g1f3');
+    assert.strictEqual(engine.game.toFEN(), 'rnbqkbnr/pppp1ppp/8/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R b KQkq - 1 2');
+
+    engine.handleCommand('position fen 8/4P3/8/8/8/8/k7/4K3 w - - 0 1 moves e7e8n');
+    assert.strictEqual(engine.game.getPieceAt(0, 4).type, 'KNIGHT');
+  });
+
+  test('Reports illegal moves and keeps the moves before them', () => {
+    const { engine, output } = createEngine();
+    engine.handleCommand('position startpos moves e2e4 e2e4 d2d4');
+
+    assert.deepStrictEqual(output, ['info string Illegal move: e2e4']);
+    assert.strictEqual(engine.game.moveHistory.length, 1);
+  });
+
+  test('Searches to a fixed depth with info lines before bestmove', async () => {
+    const { engine, output } = createEngine();
+    engine.handleCommand('position startpos moves e2e4');
+    await engine.go(['depth', '2']);
+
+    const infos = output.filter(line => line.startsWith('info depth'));
+    assert.strictEqual(infos.length, 2);
+    assert.match(infos[1], /^info depth 2 score cp -?\d+ nodes \d+ nps \d+ time \d+ pv [a-h][1-8][a-h][1-8] [a-h][1-8][a-h][1-8]/);
+
+    const bestMove = output[output.length - 1].split(' ')[1];
+    assert.notStrictEqual(engine.game.parseCoordinateMove(bestMove), null);
+  });
+
+  test('Reports a mate score for a mate in one', async () => {
+    const { engine, output } = createEngine();
+    engine.handleCommand('position fen 6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1');
+    await engine.go(['depth', '2']);
+
+    assert.match(output[output.length - 2], /score mate 1 .* pv a1a8$/);
+    assert.strictEqual(output[output.length - 1], 'bestmove a1a8');
+  });
+
+  test('Reports several lines with the MultiPV option', async () => {
+    const { engine, output } = createEngine();
+    engine.handleCommand('uci');
+    assert.ok(output.includes('option name MultiPV type spin default 1 min 1 max 10'));
+
+    output.length = 0;
+    engine.handleCommand('setoption name MultiPV value 2');
+    engine.handleCommand('position startpos moves e2e4');
+    await engine.go(['depth', '2']);
+
+    const infos = output.filter(line => line.startsWith('info depth 2'));
+    assert.strictEqual(infos.length, 2);
+    assert.match(infos[0], /^info depth 2 multipv 1 score cp -?\d+ .* pv ([a-h][1-8]){2}/);
+    assert.match(infos[1], /^info depth 2 multipv 2 score cp -?\d+ .* pv ([a-h][1-8]){2}/);
+    assert.notStrictEqual(infos[0].split(' pv ')[1].split(' ')[0], infos[1].split(' pv ')[1].split(' ')[0]);
+    assert.strictEqual(output[output.length - 1], `bestmove ${infos[0].split(' pv ')[1].split(' ')[0]}`);
+  });
+
+  test('Writes Chess960 castling as the king taking its rook', () => {
+    const { engine, output } = createEngine();
+    engine.handleCommand('uci');
+    assert.ok(output.includes('option name UCI_Chess960 type check default false'));
+
+    engine.handleCommand('setoption name UCI_Chess960 value true');
+    engine.handleCommand('position fen r5kr/8/8/8/8/8/8/RK5R w KQkq - 0 1 moves b1a1 g8h8');
+    assert.strictEqual(engine.game.toFEN(), 'r4rk1/8/8/8/8/8/8/2KR3R w - - 2 2');
+
+    engine.handleCommand('setoption name UCI_Chess960 value false');
+    engine.handleCommand('position startpos moves e2e4');
+    assert.strictEqual(engine.game.chess960, false);
+  });
+
+  test('Rejects unknown options and invalid MultiPV values', () => {
+    const { engine, output } = createEngine();
+    engine.handleCommand('setoption name MultiPV value 0');
+    engine.handleCommand('setoption name Hash value 64');
+
+    assert.deepStrictEqual(output, ['info string Invalid MultiPV value: 0', 'info string Unknown option: Hash']);
+    assert.strictEqual(engine.multiPV, 1);
+  });
+
+  test('Turns the AI\'s diagnostics on and off with debug', () => {
+    const { engine, output } = createEngine();
+    assert.strictEqual(engine.ai.debug, false);
+
+    engine.handleCommand('debug on');
+    engine.handleCommand('ucinewgame');
+    assert.strictEqual(engine.ai.debug, true);
+    engine.handleCommand('debug off');
+    assert.strictEqual(engine.ai.debug, false);
+    assert.deepStrictEqual(output, []);
+  });
+
+  test('Holds an infinite search until stop', async () => {
+    const { engine, output } = createEngine();
+    engine.handleCommand('position fen 6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1');
+
+    engine.handleCommand('go infinite depth 2');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.ok(!output.some(line => line.startsWith('bestmove')));
+
+    const search = engine.search.promise;
+    engine.handleCommand('stop');
+    await search;
+
+    assert.strictEqual(output[output.length - 1], 'bestmove a1a8');
+  });
+
+  test('Stops a search that another thread has stopped through the stop signal', async () => {
+    const output = [];
+    const stopSignal = new Int32Array(new SharedArrayBuffer(4));
+    const engine = new UCIEngine((line) => output.push(line), stopSignal);
+    engine.handleCommand('position startpos moves e2e4 e7e5 g1f3 b8c6');
+
+    // Another thread has already stopped the first search
+    Atomics.store(stopSignal, 0, 1);
+    await engine.go(['depth', '20']);
+
+    assert.deepStrictEqual(output.filter(line => line.startsWith('info depth')).map(line => line.split(' ')[2]), ['1']);
+    assert.notStrictEqual(engine.game.parseCoordinateMove(output[output.length - 1].split(' ')[1]), null);
+  });
+
+  test('Stops at the node limit', async () => {
+    const { engine, output } = createEngine();
+    engine.handleCommand('position startpos moves e2e4 e7e5 g1f3 b8c6');
+    await engine.go(['nodes', '2000']);
+
+    assert.ok(engine.ai.nodesSearched <= 2000);
+    const infos = output.filter(line => line.startsWith('info depth'));
+    assert.ok(infos.length > 0 && infos.every(line => Number(line.match(/ nodes (\d+)/)[1]) <= 2000));
+    assert.match(output[output.length - 1], /^bestmove ([a-h][1-8]){2}$/);
+  });
+
+  test('Answers go mate once it finds a mate that short', async () => {
+    const { engine, output } = createEngine();
+    engine.handleCommand('position fen 6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1');
+    await engine.go(['mate', '1']);
+
+    assert.match(output[output.length - 2], /^info depth 2 score mate 1 /);
+    assert.strictEqual(output[output.length - 1], 'bestmove a1a8');
+  });
+
+  test('Answers 0000 when there is no legal move', async () => {
+    const { engine, output } = createEngine();
+    engine.handleCommand('position fen R5k1/5ppp/8/8/8/8/8/6K1 b - - 1 1');
+    await engine.go(['depth', '3']);
+
+    assert.deepStrictEqual(output, ['bestmove 0000']);
+  });
+
+  describe('Go parameters', () => {
+    test('Parses limits and flags', () => {
+      assert.deepStrictEqual(parseGoCommand(['wtime', '60000', 'btime', '50000', 'winc', '1000', 'movestogo', '20']),
+        { wtime: 60000, btime: 50000, winc: 1000, movestogo: 20 });
+      assert.deepStrictEqual(parseGoCommand(['infinite']), { infinite: true });
+    });
+
+    test('Budgets time from the side to move\'s clock', () => {
+      assert.strictEqual(createTimeManager({ movetime: 250 }, 'WHITE').maximum, 200);
+      assert.strictEqual(createTimeManager({ depth: 4 }, 'WHITE').maximum, Infinity);
+      assert.strictEqual(createTimeManager({ wtime: 60000, btime: 30050, movestogo: 30 }, 'BLACK').target, 1000);
+      assert.strictEqual(createTimeManager({ wtime: 30050, winc: 2000, movestogo: 30 }, 'WHITE').target, 2500);
+      assert.strictEqual(createTimeManager({ wtime: 60 }, 'WHITE').maximum, 10);
+    });
+
+    test('Formats centipawn and mate scores', () => {
+      assert.strictEqual(formatScore(35.4), 'cp 35');
+      assert.strictEqual(formatScore(29999), 'mate 1');
+      assert.strictEqual(formatScore(-29996), 'mate -2');
+    });
+  });
+});
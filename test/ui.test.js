@@ -0,0 +1,55 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { ChessGame } from '../js/chess-logic.js';
+import { EnhancedChessAI } from '../js/chess-ai-enhanced.js';
+import { AIWorkerClient } from '../js/chess-ai-client.js';
+import { ChessUI } from '../js/chess-ui.js';
+import { quietAI } from './helpers.js';
+
+// A ChessUI without a page: the game and search client are real, drawing is skipped
+function headlessUI() {
+  const ui = Object.create(ChessUI.prototype);
+  Object.assign(ui, {
+    game: new ChessGame(),
+    searchClient: new AIWorkerClient(),
+    aiMode: 'enhanced',
+    ai: quietAI(new EnhancedChessAI(1)),
+    gameMode: 'human-vs-ai',
+    playerColor: 'BLACK',
+    analysisMode: false,
+    clock: null,
+    isThinking: false,
+    aiMoveTimer: null
+  });
+  for (const method of ['closeReview', 'deselectSquare', 'resetClock', 'pressClock', 'highlightLastMove',
+    'updateDisplay', 'updateStatusMessage', 'updateUndoRedoButtons', 'showThinkingIndicator',
+    'hideThinkingIndicator', 'showSearchProgress', 'playMoveSound', 'handleGameEnd']) {
+    ui[method] = () => {};
+  }
+  return ui;
+}
+
+describe('Chess UI', () => {
+  describe('PGN import', () => {
+    test('Importing a game cancels the AI search still running on the old one', async () => {
+      globalThis.document = { querySelectorAll: () => [] };
+      try {
+        const ui = headlessUI();
+        const thinking = ui.makeAIMove();
+        assert.strictEqual(ui.isThinking, true);
+
+        ui.importPGN('1. Nf3 Nc6 *');
+        const fen = ui.game.toFEN();
+        await thinking;
+
+        assert.strictEqual(ui.game.moveHistory.length, 2);
+        assert.strictEqual(ui.game.toFEN(), fen);
+        assert.strictEqual(ui.isThinking, false);
+        assert.strictEqual(ui.isPlayerTurn, false);
+        clearTimeout(ui.aiMoveTimer);
+      } finally {
+        delete globalThis.document;
+      }
+    });
+  });
+});
@@ -0,0 +1,310 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { ChessGame, STARTING_FEN } from '../js/chess-logic.js';
+import { SearchBoard } from '../js/chess-board.js';
+import { EnhancedChessAI } from '../js/chess-ai-enhanced.js';
+import { ChessPGN } from '../js/chess-pgn.js';
+import { getVariant, findVariantByName } from '../js/chess-variants.js';
+
+// Count the leaf nodes of ChessGame's legal move tree
+function perft(game, depth) {
+  if (depth === 0) return 1;
+  let nodes = 0;
+  for (const move of game.getAllLegalMoves()) {
+    game.playMove(move);
+    nodes += perft(game, depth - 1);
+    game.unmakeMove();
+  }
+  return nodes;
+}
+
+// Best move of a deterministic enhanced AI
+function findBestMove(game) {
+  const ai = new EnhancedChessAI(2);
+  ai.moveRandomness = 0;
+  return ai.getBestMove(game);
+}
+
+describe('Variants', () => {
+  test('Variants are found by id and by PGN name', () => {
+    assert.strictEqual(getVariant('atomic').name, 'Atomic');
+    assert.throws(() => getVariant('bughouse'), /Invalid variant/);
+    assert.strictEqual(findVariantByName('king of the hill').id, 'kingOfTheHill');
+    assert.strictEqual(findVariantByName('ThreeCheck').id, 'threeCheck');
+    assert.strictEqual(findVariantByName('Bughouse'), null);
+    assert.strictEqual(new ChessGame().variant.id, 'standard');
+  });
+
+  describe('King of the Hill', () => {
+    test('Bringing the king to the centre wins', () => {
+      const game = ChessGame.fromFEN('4k3/8/8/8/8/4K3/8/8 w - - 0 1', null, 'kingOfTheHill');
+      assert.strictEqual(game.gameState, 'playing'); // Bare kings can still race to the centre
+
+      assert.strictEqual(game.makeMove(5, 4, 4, 4), true);
+      assert.strictEqual(game.gameState, 'variant-win');
+      assert.strictEqual(game.winner, 'WHITE');
+      assert.strictEqual(game.hasLegalMoves('BLACK'), true);
+
+      game.unmakeMove();
+      assert.strictEqual(game.gameState, 'playing');
+      assert.strictEqual(game.winner, null);
+    });
+
+    test('Exports and imports the Variant tag and result', () => {
+      const game = ChessGame.fromFEN('4k3/8/8/8/8/4K3/8/8 w - - 0 1', null, 'kingOfTheHill');
+      game.makeMove(5, 4, 4, 4);
+      const pgn = ChessPGN.exportPGN(game);
+      assert.match(pgn, /\[Variant "King of the Hill"\]/);
+      assert.match(pgn, /\[Result "1-0"\]/);
+
+      const imported = ChessPGN.importPGN(pgn).game;
+      assert.strictEqual(imported.variant.id, 'kingOfTheHill');
+      assert.strictEqual(imported.gameState, 'variant-win');
+    });
+  });
+
+  describe('Three-check', () => {
+    test('Counts checks in the FEN and wins on the third', () => {
+      const game = new ChessGame('threeCheck');
+      assert.strictEqual(game.toFEN(), 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 3+3 0 1');
+
+      const nearlyWon = ChessGame.fromFEN('4k3/8/8/8/8/8/8/4K2R w - - 1+3 0 1', null, 'threeCheck');
+      assert.deepStrictEqual(nearlyWon.checksGiven, { WHITE: 2, BLACK: 0 });
+
+      assert.strictEqual(nearlyWon.makeMove(7, 7, 0, 7), true);
+      assert.strictEqual(nearlyWon.gameState, 'variant-win');
+      assert.strictEqual(nearlyWon.winner, 'WHITE');
+      assert.strictEqual(nearlyWon.toFEN(), '4k2R/8/8/8/8/8/8/4K3 b - - 0+3 1 1');
+
+      nearlyWon.unmakeMove();
+      assert.deepStrictEqual(nearlyWon.checksGiven, { WHITE: 2, BLACK: 0 });
+      assert.strictEqual(nearlyWon.gameState, 'playing');
+    });
+
+    test('Only Three-check positions may count checks', () => {
+      assert.throws(() => ChessGame.fromFEN('4k3/8/8/8/8/8/8/4K2R w - - 1+3 0 1'), /does not count checks/);
+      assert.throws(() => ChessGame.fromFEN('4k3/8/8/8/8/8/8/4K2R w - - 4+3 0 1', null, 'threeCheck'), /checks field/);
+    });
+  });
+
+  describe('Antichess', () => {
+    test('Captures are compulsory', () => {
+      const game = new ChessGame('antichess');
+      assert.strictEqual(game.toFEN(), 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w - - 0 1');
+      game.makeMove(6, 4, 5, 4); // e3
+      game.makeMove(1, 1, 3, 1); // b5
+
+      const moves = game.getAllLegalMoves();
+      assert.deepStrictEqual(moves.map(({ from, to }) => [from, to]), [[[7, 5], [3, 1]]]);
+      assert.strictEqual(game.isLegalMove(6, 0, 5, 0), false);
+    });
+
+    test('A pawn may promote to a king, and the king can be captured', () => {
+      const game = ChessGame.fromFEN('8/1P6/8/8/8/8/8/k7 w - - 0 1', null, 'antichess');
+      assert.ok(game.getAllLegalMoves().some(move => move.promotion === 'KING'));
+      assert.deepStrictEqual(game.parseSAN('b8=K'), { from: [1, 1], to: [0, 1], promotion: 'KING' });
+
+      const capture = ChessGame.fromFEN('8/8/8/8/8/8/8/kR6 b - - 0 1', null, 'antichess');
+      assert.strictEqual(capture.makeMove(7, 0, 7, 1), true);
+      assert.strictEqual(capture.gameState, 'variant-win');
+    });
+
+    test('The player who runs out of moves wins', () => {
+      const game = ChessGame.fromFEN('8/8/8/8/8/8/p7/R7 w - - 0 1', null, 'antichess');
+      assert.strictEqual(game.makeMove(7, 0, 6, 0), true);
+      assert.strictEqual(game.gameState, 'variant-win');
+      assert.strictEqual(game.winner, 'BLACK');
+      assert.strictEqual(ChessPGN.getResult(game), '0-1');
+    });
+
+    test('Castling rights are rejected', () => {
+      assert.throws(() => ChessGame.fromFEN(STARTING_FEN, null, 'antichess'), /no castling/);
+    });
+  });
+
+  describe('Atomic', () => {
+    test('A capture blows up the pieces around it, but not pawns', () => {
+      const fen = '4k3/8/8/2rbn3/2PQ4/8/8/4K3 w - - 0 1';
+      const game = ChessGame.fromFEN(fen, null, 'atomic');
+      assert.strictEqual(game.makeMove(4, 3, 3, 3), true); // Qxd5
+
+      assert.strictEqual(game.toFEN(), '4k3/8/8/8/2P5/8/8/4K3 b - - 0 1');
+      assert.strictEqual(game.capturedPieces.BLACK.length, 3);
+      assert.strictEqual(game.capturedPieces.WHITE.length, 1);
+
+      game.unmakeMove();
+      assert.strictEqual(game.toFEN(), fen);
+      assert.strictEqual(game.capturedPieces.BLACK.length, 0);
+    });
+
+    test('Blowing up the enemy king wins; blowing up your own is illegal', () => {
+      const game = ChessGame.fromFEN('4k3/3p4/8/8/8/8/8/3QK3 w - - 0 1', null, 'atomic');
+      assert.strictEqual(game.makeMove(7, 3, 1, 3), true);
+      assert.strictEqual(game.gameState, 'variant-win');
+      assert.strictEqual(game.winner, 'WHITE');
+      assert.strictEqual(game.kingPositions.BLACK, null);
+
+      const selfDestruct = ChessGame.fromFEN('k7/8/8/8/8/8/3p4/3QK3 w - - 0 1', null, 'atomic');
+      assert.strictEqual(selfDestruct.isLegalMove(7, 3, 6, 3), false);
+      assert.strictEqual(selfDestruct.isLegalMove(7, 4, 6, 3), false);
+    });
+
+    test('Kings side by side cannot check each other', () => {
+      const game = ChessGame.fromFEN('4r3/8/8/8/3k4/4K3/8/8 w - - 0 1', null, 'atomic');
+      assert.strictEqual(game.gameState, 'playing');
+      assert.strictEqual(ChessGame.fromFEN('4r3/8/8/8/2k5/4K3/8/8 w - - 0 1', null, 'atomic').gameState, 'check');
+    });
+  });
+
+  describe('Crazyhouse', () => {
+    test('Captured pieces join the capturer\'s pocket and can be dropped', () => {
+      const game = new ChessGame('crazyhouse');
+      assert.strictEqual(game.toFEN(), 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR[] w KQkq - 0 1');
+      for (const san of ['e4', 'd5', 'exd5', 'Qxd5', 'Nc3', 'Qa5']) {
+        assert.ok(game.playMove(game.parseSAN(san)), san);
+      }
+      assert.deepStrictEqual([game.pockets.WHITE.PAWN, game.pockets.BLACK.PAWN], [1, 1]);
+      const before = game.toFEN();
+      assert.strictEqual(before, 'rnb1kbnr/ppp1pppp/8/q7/8/2N5/PPPP1PPP/R1BQKBNR[Pp] w KQkq - 2 4');
+
+      assert.strictEqual(game.parseSAN('N@f3'), null);
+      const drop = game.parseSAN('P@e6');
+      assert.deepStrictEqual(drop, { from: null, to: [2, 4], promotion: null, drop: 'PAWN' });
+      assert.strictEqual(game.getCoordinateNotation(drop), 'P@e6');
+      assert.strictEqual(game.playMove(drop), true);
+      assert.strictEqual(game.moveHistory[game.moveHistory.length - 1].notation, 'P@e6');
+      assert.strictEqual(game.toFEN(), 'rnb1kbnr/ppp1pppp/4P3/q7/8/2N5/PPPP1PPP/R1BQKBNR[p] b KQkq - 3 4');
+
+      game.unmakeMove();
+      assert.strictEqual(game.toFEN(), before);
+      game.redoMove();
+      assert.strictEqual(game.getPieceAt(2, 4).type, 'PAWN');
+    });
+
+    test('A promoted piece goes back to the pocket as a pawn', () => {
+      const fen = 'n3k3/1P6/8/8/8/8/r7/4K3[] w - - 0 1';
+      const game = ChessGame.fromFEN(fen, null, 'crazyhouse');
+      assert.strictEqual(game.makeMove(1, 1, 0, 0, 'QUEEN'), true);
+      assert.strictEqual(game.toFEN(), 'Q~3k3/8/8/8/8/8/r7/4K3[N] b - - 0 1');
+
+      assert.strictEqual(game.makeMove(6, 0, 0, 0), true);
+      assert.strictEqual(game.toFEN(), 'r3k3/8/8/8/8/8/8/4K3[Np] w - - 0 2');
+
+      game.unmakeMove();
+      game.unmakeMove();
+      assert.strictEqual(game.toFEN(), fen);
+
+      const loaded = ChessGame.fromFEN('4k3/8/8/8/8/8/8/Q~3K3[Qnp] w - - 0 1', null, 'crazyhouse');
+      assert.strictEqual(loaded.getPieceAt(7, 0).promoted, true);
+      assert.deepStrictEqual(loaded.pockets.BLACK, { QUEEN: 0, ROOK: 0, BISHOP: 0, KNIGHT: 1, PAWN: 1 });
+    });
+
+    test('Only Crazyhouse positions may have pockets', () => {
+      assert.throws(() => ChessGame.fromFEN('4k3/8/8/8/8/8/8/4K3[Q] w - - 0 1'), /has no pockets/);
+      assert.throws(() => ChessGame.fromFEN('4k3/8/8/8/8/8/8/4K3[K] w - - 0 1', null, 'crazyhouse'), /cannot be in a pocket/);
+    });
+
+    test('Drops go on empty squares, pawns not on the first or last rank, and must answer check', () => {
+      const game = ChessGame.fromFEN('k7/8/8/8/8/8/8/4K3[P] w - - 0 1', null, 'crazyhouse');
+      assert.strictEqual(game.isLegalDrop('PAWN', 4, 4), true);
+      assert.strictEqual(game.isLegalDrop('PAWN', 0, 4), false);
+      assert.strictEqual(game.isLegalDrop('PAWN', 7, 3), false);
+      assert.strictEqual(game.isLegalDrop('PAWN', 7, 4), false);
+      assert.strictEqual(game.isLegalDrop('KNIGHT', 4, 4), false);
+      assert.strictEqual(game.makeDrop('PAWN', 0, 4), false);
+
+      const inCheck = ChessGame.fromFEN('k7/8/8/8/8/8/8/r3K3[N] w - - 0 1', null, 'crazyhouse');
+      assert.deepStrictEqual(inCheck.getLegalDrops().map(move => move.to), [[7, 1], [7, 2], [7, 3]]);
+    });
+
+    test('A drop can checkmate, and the game survives a PGN round trip', () => {
+      const game = ChessGame.fromFEN('6k1/5ppp/8/8/8/8/8/6K1[R] w - - 0 1', null, 'crazyhouse');
+      assert.strictEqual(game.makeDrop('ROOK', 0, 4), true);
+      assert.strictEqual(game.gameState, 'checkmate');
+      assert.strictEqual(game.moveHistory[0].notation, 'R@e8#');
+
+      const pgn = ChessPGN.exportPGN(game);
+      assert.match(pgn, /\[Variant "Crazyhouse"\]/);
+      const imported = ChessPGN.importPGN(pgn).game;
+      assert.strictEqual(imported.toFEN(), game.toFEN());
+      assert.strictEqual(imported.gameState, 'checkmate');
+    });
+  });
+
+  describe('Search', () => {
+    const positions = [
+      ['kingOfTheHill', '8/8/8/8/8/2k5/8/4K3 w - - 0 1', 3],
+      ['threeCheck', 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 1+1 0 1', 2],
+      ['antichess', '8/1P6/8/8/8/8/1k6/8 w - - 0 1', 3],
+      ['atomic', 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1', 2],
+      ['atomic', 'rnbqkbnr/pp1ppppp/8/2p5/4P3/5N2/PPPP1PPP/RNBQKB1R b KQkq - 1 2', 3],
+      ['crazyhouse', 'r1bqkbnr/ppp2ppp/2n5/3pp3/4P3/5N2/PPPP1PPP/RNBQKB1R[Pp] w KQkq - 0 4', 2],
+      ['crazyhouse', '3k4/1P6/8/8/8/8/6p1/4K3[Nn] w - - 0 1', 3]
+    ];
+
+    for (const [variant, fen, depth] of positions) {
+      test(`The search board and ChessGame agree on ${variant} moves from ${fen}`, () => {
+        const board = SearchBoard.fromFEN(fen, variant);
+        const key = board.getKey();
+        assert.strictEqual(board.perft(depth), perft(ChessGame.fromFEN(fen, null, variant), depth));
+        assert.strictEqual(board.getKey(), key);
+      });
+    }
+
+    test('Antichess perft from the starting position', () => {
+      const board = SearchBoard.fromGame(new ChessGame('antichess'));
+      assert.deepStrictEqual([1, 2, 3].map(depth => board.perft(depth)), [20, 400, 8067]);
+    });
+
+    test('Three-check counts are part of the position key', () => {
+      const board = SearchBoard.fromFEN('4k3/8/8/8/8/8/8/4K2R w - - 3+3 0 1', 'threeCheck');
+      const move = board.findMove([7, 7], [0, 7]);
+      const key = board.getKey();
+      board.makeMove(move);
+      assert.deepStrictEqual(board.checksGiven, { WHITE: 1, BLACK: 0 });
+      assert.notStrictEqual(board.getKey(), SearchBoard.fromFEN('4k2R/8/8/8/8/8/8/4K3 b - - 3+3 1 1', 'threeCheck').getKey());
+      board.unmakeMove();
+      assert.strictEqual(board.getKey(), key);
+      assert.deepStrictEqual(board.checksGiven, { WHITE: 0, BLACK: 0 });
+    });
+
+    test('Pockets are part of the position key', () => {
+      const fen = 'r1bqkbnr/ppp2ppp/2n5/3pp3/4P3/5N2/PPPP1PPP/RNBQKB1R[Pp] w KQkq - 0 4';
+      const board = SearchBoard.fromFEN(fen, 'crazyhouse');
+      assert.notStrictEqual(board.getKey(), SearchBoard.fromFEN(fen.replace('[Pp]', '[Np]'), 'crazyhouse').getKey());
+
+      const key = board.getKey();
+      board.makeMove(board.findMove(null, [4, 3], null, 'PAWN'));
+      assert.deepStrictEqual([board.pockets.WHITE.PAWN, board.getPieceAt(4, 3).type], [0, 'PAWN']);
+      board.makeMove(board.findMove([3, 4], [4, 3]));
+      assert.strictEqual(board.pockets.BLACK.PAWN, 2);
+      assert.strictEqual(board.getKey(), SearchBoard.fromFEN('r1bqkbnr/ppp2ppp/2n5/3p4/3pP3/5N2/PPPP1PPP/RNBQKB1R[pp] w KQkq - 0 5', 'crazyhouse').getKey());
+      board.unmakeMove();
+      board.unmakeMove();
+      assert.strictEqual(board.getKey(), key);
+    });
+
+    test('The enhanced AI wins by each variant\'s goal when it can', () => {
+      const wins = [
+        ['kingOfTheHill', '4k3/8/8/8/8/4K3/8/8 w - - 0 1'],
+        ['threeCheck', '4k3/8/8/8/8/8/1R6/4K3 w - - 1+3 0 1'],
+        ['atomic', '4k3/3p4/8/8/8/8/8/3QK3 w - - 0 1']
+      ];
+      for (const [variant, fen] of wins) {
+        const game = ChessGame.fromFEN(fen, null, variant);
+        game.playMove(findBestMove(game));
+        assert.strictEqual(game.winner, 'WHITE', variant);
+      }
+
+      // Crazyhouse mates with a drop
+      const crazyhouse = ChessGame.fromFEN('6k1/5ppp/8/8/8/8/8/6K1[R] w - - 0 1', null, 'crazyhouse');
+      assert.strictEqual(crazyhouse.playMove(findBestMove(crazyhouse)), true);
+      assert.strictEqual(crazyhouse.gameState, 'checkmate');
+
+      // Giving the rook away wins once Black has to take it
+      const game = ChessGame.fromFEN('7r/8/8/8/8/8/8/R7 w - - 0 1', null, 'antichess');
+      const { to } = findBestMove(game);
+      assert.ok(game.isSquareUnderAttack(to[0], to[1], 'BLACK'));
+    });
+  });
+});